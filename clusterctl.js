@@ -10,12 +10,14 @@ const version = require("./package").version;
 const asTable = require("as-table").configure({ delimiter: " | " });
 const chalk = require("chalk");
 const events = require("events");
+const path = require("path");
 
 const link = require("lib/link");
 const errors = require("lib/errors");
 const config = require("lib/config");
 const plugin = require("lib/plugin");
 const command = require("lib/command");
+const fileOps = require("lib/fileOps");
 
 
 /**
@@ -56,12 +58,28 @@ function formatOutputColored(output) {
 	return time + info + output.message;
 }
 
+/**
+ * Format a time for display in a table
+ *
+ * @param {?number} time - Time in milliseconds since the epoch.
+ * @returns {string} the time formatted in local time or an empty string.
+ * @private
+ */
+function formatTime(time) {
+	return time === null ? "" : new Date(time).toLocaleString();
+}
+
 const slaveCommands = new command.CommandTree({ name: "slave", description: "Slave management" });
 slaveCommands.add(new command.Command({
 	definition: [["list", "l"], "List slaves connected to the master"],
 	handler: async function(args, control) {
 		let response = await link.messages.listSlaves.send(control);
-		console.log(asTable(response.list));
+		console.log(asTable(response.list.map(({ warnings, ...slave }) => slave)));
+		for (let slave of response.list) {
+			for (let warning of slave.warnings) {
+				console.log(`Warning: slave ${slave.name}: ${warning}`);
+			}
+		}
 	},
 }));
 
@@ -75,6 +93,30 @@ slaveCommands.add(new command.Command({
 	},
 }));
 
+slaveCommands.add(new command.Command({
+	definition: ["revoke-token", "Revoke the tokens of a slave and disconnect it", (yargs) => {
+		yargs.option("id", { type: "number", nargs: 1, describe: "Slave id", demandOption: true });
+	}],
+	handler: async function(args, control) {
+		await link.messages.revokeSlaveToken.send(control, { slave_id: args.id });
+	},
+}));
+
+slaveCommands.add(new command.Command({
+	definition: ["rotate-token", "Replace the tokens of a slave with a new token", (yargs) => {
+		yargs.option("id", { type: "number", nargs: 1, describe: "Slave id", demandOption: true });
+	}],
+	handler: async function(args, control) {
+		let response = await link.messages.rotateSlaveToken.send(control, { slave_id: args.id });
+		if (response.updated) {
+			console.log("New token sent to the slave and saved to its config");
+		} else {
+			console.log("Slave is not connected, set the new token in its config manually:");
+			console.log(response.token);
+		}
+	},
+}));
+
 slaveCommands.add(new command.Command({
 	definition: ["create-config", "Create slave config", (yargs) => {
 		yargs.option("id", { type: "number", nargs: 1, describe: "Slave id", default: null });
@@ -116,7 +158,10 @@ instanceCommands.add(new command.Command({
 	definition: [["list", "l"], "List instances known to the master"],
 	handler: async function(args, control) {
 		let response = await link.messages.listInstances.send(control);
-		console.log(asTable(response.list));
+		console.log(asTable(response.list.map(instance => ({
+			...instance,
+			last_crash_time: formatTime(instance.last_crash_time),
+		}))));
 	},
 }));
 
@@ -194,6 +239,108 @@ instanceConfigCommands.add(new command.Command({
 }));
 instanceCommands.add(instanceConfigCommands);
 
+const instanceSaveCommands = new command.CommandTree({
+	name: "save", alias: ["s"], description: "Instance save management",
+});
+instanceSaveCommands.add(new command.Command({
+	definition: [["list <instance>", "l"], "List saves on an instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to list saves on", type: "string" });
+	}],
+	handler: async function(args, control) {
+		let instanceId = await command.resolveInstance(control, args.instance);
+		let response = await link.messages.listSaves.send(control, { instance_id: instanceId });
+		console.log(asTable(response.list.map(save => ({
+			name: save.name,
+			size: save.size,
+			last_modified: formatTime(save.mtime_ms),
+		}))));
+	},
+}));
+
+instanceSaveCommands.add(new command.Command({
+	definition: ["download <instance> <save>", "Download a save from an instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to download save from", type: "string" });
+		yargs.positional("save", { describe: "Save to download", type: "string" });
+		yargs.options({
+			"output": { describe: "File to write save to", nargs: 1, type: "string", defaultDescription: "<save>" },
+		});
+	}],
+	handler: async function(args, control) {
+		let instanceId = await command.resolveInstance(control, args.instance);
+		let response = await link.messages.downloadSave.send(control, { instance_id: instanceId, save: args.save });
+		let output = args.output || args.save;
+		await fileOps.downloadFile(control.streamUrl(response.stream_id), output);
+		console.log(`Downloaded ${args.save} to ${output}`);
+	},
+}));
+
+instanceSaveCommands.add(new command.Command({
+	definition: ["upload <instance> <file>", "Upload a save to an instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to upload save to", type: "string" });
+		yargs.positional("file", { describe: "Save file to upload", type: "string" });
+		yargs.options({
+			"name": { describe: "Name to store save as", nargs: 1, type: "string", defaultDescription: "<file>" },
+		});
+	}],
+	handler: async function(args, control) {
+		let instanceId = await command.resolveInstance(control, args.instance);
+		if (!await fs.pathExists(args.file)) {
+			throw new errors.CommandError(`File ${args.file} does not exist`);
+		}
+
+		let save = args.name || path.basename(args.file);
+		let response = await link.messages.uploadSave.send(control, { instance_id: instanceId, save });
+		await fileOps.uploadFile(control.streamUrl(response.stream_id), args.file, {
+			"Content-Type": "application/zip",
+		});
+		console.log(`Uploaded ${args.file} as ${save}`);
+	},
+}));
+
+instanceSaveCommands.add(new command.Command({
+	definition: ["rename <instance> <old-name> <new-name>", "Rename a save on an instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to rename save on", type: "string" });
+		yargs.positional("old-name", { describe: "Save to rename", type: "string" });
+		yargs.positional("new-name", { describe: "New name of save", type: "string" });
+	}],
+	handler: async function(args, control) {
+		let instanceId = await command.resolveInstance(control, args.instance);
+		await link.messages.renameSave.send(control, {
+			instance_id: instanceId,
+			old_name: args.oldName,
+			new_name: args.newName,
+		});
+	},
+}));
+
+instanceSaveCommands.add(new command.Command({
+	definition: ["copy <instance> <source> <destination>", "Copy a save on an instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to copy save on", type: "string" });
+		yargs.positional("source", { describe: "Save to copy", type: "string" });
+		yargs.positional("destination", { describe: "Name of the copy", type: "string" });
+	}],
+	handler: async function(args, control) {
+		let instanceId = await command.resolveInstance(control, args.instance);
+		await link.messages.copySave.send(control, {
+			instance_id: instanceId,
+			source: args.source,
+			destination: args.destination,
+		});
+	},
+}));
+
+instanceSaveCommands.add(new command.Command({
+	definition: ["delete <instance> <save>", "Delete a save on an instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to delete save on", type: "string" });
+		yargs.positional("save", { describe: "Save to delete", type: "string" });
+	}],
+	handler: async function(args, control) {
+		let instanceId = await command.resolveInstance(control, args.instance);
+		await link.messages.deleteSave.send(control, { instance_id: instanceId, save: args.save });
+	},
+}));
+instanceCommands.add(instanceSaveCommands);
+
 instanceCommands.add(new command.Command({
 	definition: ["assign <instance> <slave>", "Assign instance to a slave", (yargs) => {
 		yargs.positional("instance", { describe: "Instance to assign", type: "string" });
@@ -209,6 +356,26 @@ instanceCommands.add(new command.Command({
 	},
 }));
 
+instanceCommands.add(new command.Command({
+	definition: ["migrate <instance> <slave>", "Move instance with its saves and mods to another slave", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to migrate", type: "string" });
+		yargs.positional("slave", { describe: "Slave to migrate to", type: "string" });
+		yargs.options({
+			"start": { describe: "Start instance after migrating it", nargs: 0, type: "boolean", default: false },
+		});
+	}],
+	handler: async function(args, control) {
+		let instanceId = await command.resolveInstance(control, args.instance);
+		let slaveId = await command.resolveSlave(control, args.slave);
+		await link.messages.migrateInstance.send(control, {
+			instance_id: instanceId,
+			slave_id: slaveId,
+			start: args.start,
+		});
+		console.log("Migration complete");
+	},
+}));
+
 instanceCommands.add(new command.Command({
 	definition: ["create-save <instance>", "Create a new save on an instance", (yargs) => {
 		yargs.positional("instance", { describe: "Instance to create on", type: "string" });
@@ -295,6 +462,42 @@ instanceCommands.add(new command.Command({
 	},
 }));
 
+instanceCommands.add(new command.Command({
+	definition: ["log <instance>", "Show stored output of instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to show log of", type: "string" });
+		yargs.options({
+			"since": { describe: "Show output since time or duration ago, e.g. 2h", nargs: 1, type: "string" },
+			"until": { describe: "Show output until time or duration ago", nargs: 1, type: "string" },
+			"type": { describe: "Only show output of this type", nargs: 1, type: "string" },
+			"action": { describe: "Only show output with this action", nargs: 1, type: "string" },
+			"level": { describe: "Only show output with this log level", nargs: 1, type: "string" },
+		});
+	}],
+	handler: async function(args, control) {
+		let instanceId = await command.resolveInstance(control, args.instance);
+		let since = args.since === undefined ? null : command.parseTime(args.since);
+		let until = args.until === undefined ? null : command.parseTime(args.until);
+		let offset = 0;
+		let response;
+		do {
+			response = await link.messages.getInstanceLog.send(control, {
+				instance_id: instanceId,
+				since,
+				until,
+				type: args.type || null,
+				action: args.action || null,
+				level: args.level || null,
+				offset,
+				limit: 1000,
+			});
+			for (let output of response.log) {
+				console.log(formatOutputColored(output));
+			}
+			offset += response.log.length;
+		} while (response.log.length && offset < response.total);
+	},
+}));
+
 instanceCommands.add(new command.Command({
 	definition: ["send-rcon <instance> <command>", "Send RCON command", (yargs) => {
 		yargs.positional("instance", { describe: "Instance to send to", type: "string" });
@@ -450,6 +653,75 @@ userCommands.add(new command.Command({
 	},
 }));
 
+const scheduleCommands = new command.CommandTree({ name: "schedule", description: "Scheduled task management" });
+scheduleCommands.add(new command.Command({
+	definition: [["list", "l"], "List scheduled tasks"],
+	handler: async function(args, control) {
+		let response = await link.messages.listScheduledTasks.send(control);
+		console.log(asTable(response.list.map(task => ({
+			...task,
+			last_run_time: formatTime(task.last_run_time),
+			last_run_result: task.last_run_result || "",
+			next_run_time: formatTime(task.next_run_time),
+		}))));
+	},
+}));
+
+scheduleCommands.add(new command.Command({
+	definition: ["add <instance> <schedule> <action> [argument]", "Schedule an action on an instance", (yargs) => {
+		yargs.positional("instance", { describe: "Instance to run the action on", type: "string" });
+		yargs.positional("schedule", { describe: "Cron expression of when to run, e.g. \"0 4 * * *\"", type: "string" });
+		yargs.positional("action", {
+			describe: "Action to run",
+			choices: ["start", "stop", "create_save", "load_scenario", "send_rcon", "export_data"],
+		});
+		yargs.positional("argument", {
+			describe: "Save to start, scenario to load or command to send", type: "string",
+		});
+	}],
+	handler: async function(args, control) {
+		let response = await link.messages.createScheduledTask.send(control, {
+			instance_id: await command.resolveInstance(control, args.instance),
+			action: args.action,
+			argument: args.argument === undefined ? null : args.argument,
+			schedule: args.schedule,
+		});
+		console.log(`Created scheduled task ${response.id}`);
+	},
+}));
+
+scheduleCommands.add(new command.Command({
+	definition: ["remove <id>", "Remove scheduled task", (yargs) => {
+		yargs.positional("id", { describe: "ID of task to remove", type: "number" });
+	}],
+	handler: async function(args, control) {
+		await link.messages.deleteScheduledTask.send(control, { id: args.id });
+	},
+}));
+
+
+const backupCommands = new command.CommandTree({ name: "backup", description: "Master database backups" });
+backupCommands.add(new command.Command({
+	definition: [["list", "l"], "List backups stored on the master"],
+	handler: async function(args, control) {
+		let response = await link.messages.listMasterBackups.send(control);
+		console.log(asTable(response.list.map(entry => ({
+			name: entry.name,
+			size: entry.size,
+			created: formatTime(entry.mtime_ms),
+		}))));
+	},
+}));
+
+backupCommands.add(new command.Command({
+	definition: ["create", "Create a backup of the master database"],
+	handler: async function(args, control) {
+		let response = await link.messages.createMasterBackup.send(control);
+		console.log(`Created backup ${response.name}`);
+	},
+}));
+
+
 const debugCommands = new command.CommandTree({ name: "debug", description: "Debugging utilities" });
 debugCommands.add(new command.Command({
 	definition: ["dump-ws", "Dump WebSocket messages sent and received by master", (yargs) => { }],
@@ -476,6 +748,8 @@ class ControlConnector extends link.WebSocketClientConnector {
 			token: this._token,
 			agent: "clusterctl",
 			version: version,
+			protocol_version: link.protocolVersion,
+			min_protocol_version: link.minProtocolVersion,
 		});
 	}
 }
@@ -488,10 +762,16 @@ class ControlConnector extends link.WebSocketClientConnector {
  */
 class Control extends link.Link {
 
-	constructor(connector, controlPlugins) {
+	constructor(connector, controlConfig, controlPlugins) {
 		super("control", "master", connector);
 		link.attachAllMessages(this);
 
+		/**
+		 * Control config used for connecting to the master.
+		 * @type {module:lib/config.ControlConfig}
+		 */
+		this.config = controlConfig;
+
 		/**
 		 * Mapping of plugin names to their instance for loaded plugins.
 		 * @type {Map<string, module:lib/plugin.BaseControlPlugin>}
@@ -502,11 +782,27 @@ class Control extends link.Link {
 		}
 	}
 
+	/**
+	 * Get URL for connecting to a stream on the master server
+	 *
+	 * @param {string} streamId - ID of stream to connect to.
+	 * @returns {URL} URL of the stream.
+	 */
+	streamUrl(streamId) {
+		let url = new URL(this.connector.url);
+		url.pathname += `api/stream/${streamId}`;
+		return url;
+	}
+
 	async instanceOutputEventHandler(message) {
 		let { instance_id, output } = message.data;
 		console.log(formatOutputColored(output));
 	}
 
+	async instanceMigrationProgressEventHandler(message) {
+		console.log(message.data.message);
+	}
+
 	async debugWsMessageEventHandler(message) {
 		console.log("WS", message.data.direction, message.data.content);
 	}
@@ -549,6 +845,8 @@ async function startControl() {
 	rootCommands.add(permissionCommands);
 	rootCommands.add(roleCommands);
 	rootCommands.add(userCommands);
+	rootCommands.add(scheduleCommands);
+	rootCommands.add(backupCommands);
 	rootCommands.add(debugCommands);
 
 	console.log("Loading Plugin info");
@@ -618,15 +916,18 @@ async function startControl() {
 	}
 
 	let controlConnector = new ControlConnector(
-		controlConfig.get("control.master_url"),
+		[
+			controlConfig.get("control.master_url"),
+			...(controlConfig.get("control.standby_master_urls") || "").split(/\s+/).filter(url => url),
+		],
 		controlConfig.get("control.reconnect_delay"),
 		controlConfig.get("control.master_token")
 	);
-	let control = new Control(controlConnector, controlPlugins);
+	let control = new Control(controlConnector, controlConfig, controlPlugins);
 	try {
 		await controlConnector.connect();
 	} catch(err) {
-		if (err instanceof errors.AuthenticationFailed) {
+		if (err instanceof errors.AuthenticationFailed || err instanceof errors.IncompatibleVersion) {
 			throw new errors.StartupError(err.message);
 		}
 		throw err;
@@ -650,6 +951,10 @@ async function startControl() {
 			console.error(`Error running command: ${err.message}`);
 			process.exitCode = 1;
 
+		} else if (err instanceof errors.RequestTimeout) {
+			console.error(`Error sending request: ${err.message} without a response from the cluster`);
+			process.exitCode = 1;
+
 		} else if (err instanceof errors.RequestError) {
 			console.error(`Error sending request: ${err.message}`);
 			process.exitCode = 1;
@@ -0,0 +1,167 @@
+/**
+ * Backups of the master server database
+ *
+ * A backup is a zip file containing the files making up the master
+ * database along with a manifest.json describing its content.  Files are
+ * stored under the path they have relative to the database directory so
+ * that restoring a backup consists of writing them back there.
+ *
+ * @module
+ */
+"use strict";
+const fs = require("fs-extra");
+const JSZip = require("jszip");
+const path = require("path");
+
+
+function checkFileName(name) {
+	if (
+		typeof name !== "string"
+		|| name === ""
+		|| path.posix.isAbsolute(name)
+		|| path.posix.normalize(name) !== name
+		|| name.startsWith("../")
+		|| name.includes("\\")
+	) {
+		throw new Error(`Invalid file name in backup: ${name}`);
+	}
+}
+
+/**
+ * Create a backup zip
+ *
+ * @param {Map<string, string|Buffer>} files -
+ *     Mapping of file path relative to the database directory to the
+ *     content of the file.
+ * @param {Object} manifest - Extra properties to store in the manifest.
+ * @returns {Promise<Buffer>} the content of the zip created.
+ * @throws {Error} if a file path is not a relative path.
+ */
+async function createBackup(files, manifest = {}) {
+	let zip = new JSZip();
+	for (let [name, content] of files) {
+		checkFileName(name);
+		zip.file(`database/${name}`, content);
+	}
+
+	zip.file("manifest.json", JSON.stringify({ ...manifest, files: [...files.keys()] }, null, 4));
+	return await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/**
+ * Write a backup into a backup directory
+ *
+ * @param {string} directory - Path to directory to store backup in.
+ * @param {Buffer} content - Content of the backup zip.
+ * @param {number} now - Current time in milliseconds since the epoch.
+ * @returns {Promise<string>} name of the backup file written.
+ */
+async function writeBackup(directory, content, now = Date.now()) {
+	let name = `backup-${new Date(now).toISOString().replace(/[:.]/g, "-")}.zip`;
+	await fs.ensureDir(directory);
+	let tempPath = path.join(directory, `${name}.tmp`);
+	await fs.writeFile(tempPath, content);
+	await fs.rename(tempPath, path.join(directory, name));
+	return name;
+}
+
+/**
+ * List the backups in a backup directory
+ *
+ * @param {string} directory - Path to directory to list backups in.
+ * @returns {Promise<Array<Object>>}
+ *     name, size and mtime_ms of each backup sorted newest first.
+ */
+async function listBackups(directory) {
+	let list = [];
+	for (let entry of await fs.readdir(directory, { withFileTypes: true }).catch(() => [])) {
+		if (!entry.isFile() || !entry.name.endsWith(".zip")) {
+			continue;
+		}
+
+		let stat = await fs.stat(path.join(directory, entry.name));
+		list.push({ name: entry.name, size: stat.size, mtime_ms: stat.mtimeMs });
+	}
+	list.sort((a, b) => b.mtime_ms - a.mtime_ms || (a.name < b.name ? 1 : -1));
+	return list;
+}
+
+/**
+ * Remove the oldest backups in a directory
+ *
+ * @param {string} directory - Path to directory with backups.
+ * @param {?number} maxCount -
+ *     Number of backups to keep, or null to keep all of them.
+ * @returns {Promise<Array<string>>} names of the backups removed.
+ */
+async function rotateBackups(directory, maxCount) {
+	if (maxCount === null) {
+		return [];
+	}
+
+	let removed = [];
+	for (let backup of (await listBackups(directory)).slice(maxCount)) {
+		await fs.unlink(path.join(directory, backup.name));
+		removed.push(backup.name);
+	}
+	return removed;
+}
+
+/**
+ * Restore the files in a backup to a database directory
+ *
+ * All the files are extracted before any of them are moved into place,
+ * so an invalid backup leaves the database directory unchanged.  Files
+ * in the database directory that are not in the backup are left as is.
+ *
+ * @param {string} filePath - Path to backup zip to restore.
+ * @param {string} databaseDirectory - Path to database directory.
+ * @returns {Promise<Object>} the manifest of the backup restored.
+ * @throws {Error} if the file is not a valid backup.
+ */
+async function restoreBackup(filePath, databaseDirectory) {
+	let zip = await JSZip.loadAsync(await fs.readFile(filePath));
+	let manifestFile = zip.file("manifest.json");
+	if (!manifestFile) {
+		throw new Error("Not a backup, manifest.json is missing");
+	}
+
+	let manifest = JSON.parse(await manifestFile.async("string"));
+	let files = [];
+	for (let name of manifest.files) {
+		checkFileName(name);
+		let file = zip.file(`database/${name}`);
+		if (!file) {
+			throw new Error(`Backup is missing ${name}`);
+		}
+		files.push([name, file]);
+	}
+
+	let tempPaths = [];
+	try {
+		for (let [name, file] of files) {
+			let tempPath = path.join(databaseDirectory, `${name}.restore.tmp`);
+			await fs.outputFile(tempPath, await file.async("nodebuffer"));
+			tempPaths.push([tempPath, path.join(databaseDirectory, name)]);
+		}
+
+		for (let [tempPath, targetPath] of tempPaths) {
+			await fs.rename(tempPath, targetPath);
+		}
+
+	} finally {
+		for (let [tempPath] of tempPaths) {
+			await fs.remove(tempPath);
+		}
+	}
+
+	return manifest;
+}
+
+module.exports = {
+	createBackup,
+	writeBackup,
+	listBackups,
+	rotateBackups,
+	restoreBackup,
+};
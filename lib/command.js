@@ -238,10 +238,37 @@ async function retrieveRole(client, roleName) {
 	return resolvedRole;
 }
 
+/**
+ * Parse a point in time given on the command line
+ *
+ * Accepts either a duration relative to now like 30s, 15m, 2h or 7d, or
+ * a date string understood by Date.parse.
+ *
+ * @param {string} value - Time to parse.
+ * @param {number} now - Current time in milliseconds since the epoch.
+ * @returns {number} time in milliseconds since the epoch.
+ * @throws {module:lib/errors.CommandError} if the time is not valid.
+ * @static
+ */
+function parseTime(value, now = Date.now()) {
+	let units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+	let match = /^(\d+(?:\.\d+)?)([smhd])$/.exec(value);
+	if (match) {
+		return now - Number(match[1]) * units[match[2]];
+	}
+
+	let time = Date.parse(value);
+	if (isNaN(time)) {
+		throw new errors.CommandError(`Invalid time ${value}`);
+	}
+	return time;
+}
+
 module.exports = {
 	Command,
 	CommandTree,
 
+	parseTime,
 	resolveSlave,
 	resolveInstance,
 	retrieveRole,
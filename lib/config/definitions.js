@@ -23,6 +23,15 @@ MasterGroup.define({
 	type: "string",
 	initial_value: "database",
 });
+MasterGroup.define({
+	name: "autosave_interval",
+	title: "Autosave Interval",
+	description:
+		"Seconds between periodic saves of the master database, set to null to only save it when it changes.",
+	type: "number",
+	optional: true,
+	initial_value: 300,
+});
 MasterGroup.define({
 	name: "http_port",
 	title: "HTTP Port",
@@ -97,6 +106,74 @@ MasterGroup.define({
 	type: "number",
 	initial_value: 30,
 });
+MasterGroup.define({
+	name: "instance_log_max_age",
+	title: "Instance Log Max Age",
+	description: "Number of days to keep the stored output of instances for, set to null to keep it forever.",
+	type: "number",
+	optional: true,
+	initial_value: 30,
+});
+MasterGroup.define({
+	name: "instance_log_max_entries",
+	title: "Instance Log Max Entries",
+	description: "Max number of output lines to store per instance, set to null for no limit.",
+	type: "number",
+	optional: true,
+	initial_value: 100000,
+});
+MasterGroup.define({
+	name: "backup_directory",
+	title: "Backup directory",
+	description: "Directory where backups of the master database are stored.",
+	type: "string",
+	initial_value: "backups",
+});
+MasterGroup.define({
+	name: "backup_interval",
+	title: "Backup Interval",
+	description: "Hours between automatic backups of the master database, set to null to disable them.",
+	type: "number",
+	optional: true,
+});
+MasterGroup.define({
+	name: "backup_max_count",
+	title: "Backup Max Count",
+	description: "Number of backups to keep, older backups are removed when a new is made.  Null keeps all backups.",
+	type: "number",
+	optional: true,
+	initial_value: 10,
+});
+MasterGroup.define({
+	name: "leader_url",
+	title: "Leader URL",
+	description:
+		"URL of the master server to be a standby for.  A standby replicates the database of the leader and "
+		+"takes over serving the cluster if the leader becomes unreachable.  Null runs as a normal master.",
+	type: "string",
+	optional: true,
+});
+MasterGroup.define({
+	name: "leader_token",
+	title: "Leader Token",
+	description: "Token of a user with the core.backup.replicate permission on the leader.",
+	type: "string",
+	optional: true,
+});
+MasterGroup.define({
+	name: "replication_interval",
+	title: "Replication Interval",
+	description: "Seconds between replications of the leader's database when running as a standby.",
+	type: "number",
+	initial_value: 60,
+});
+MasterGroup.define({
+	name: "failover_timeout",
+	title: "Failover Timeout",
+	description: "Seconds the leader has to be unreachable for before a standby takes over.",
+	type: "number",
+	initial_value: 120,
+});
 MasterGroup.define({
 	name: "default_role_id",
 	title: "Default role",
@@ -153,6 +230,14 @@ SlaveGroup.define({
 	type: "string",
 	initial_value: "https://localhost:8443/",
 });
+SlaveGroup.define({
+	name: "standby_master_urls",
+	description:
+		"Space separated list of URLs of standby master servers to fail over to if the master server can not be "
+		+"reached",
+	type: "string",
+	optional: true,
+});
 SlaveGroup.define({
 	name: "master_token",
 	description: "Token to authenticate to master server with.",
@@ -206,6 +291,25 @@ InstanceGroup.define({
 	type: "number",
 	optional: true,
 });
+InstanceGroup.define({
+	name: "restart_policy",
+	description: "When to restart the instance after it exits without being stopped",
+	type: "string",
+	enum: ["never", "on-failure", "always"],
+	initial_value: "never",
+});
+InstanceGroup.define({
+	name: "restart_max_retries",
+	description: "Max number of times in a row to restart the instance before giving up",
+	type: "number",
+	initial_value: 5,
+});
+InstanceGroup.define({
+	name: "restart_backoff",
+	description: "Seconds to wait before restarting, doubled for each retry in a row",
+	type: "number",
+	initial_value: 10,
+});
 InstanceGroup.finalize();
 
 /**
@@ -279,6 +383,14 @@ ControlGroup.define({
 	type: "string",
 	optional: true,
 });
+ControlGroup.define({
+	name: "standby_master_urls",
+	description:
+		"Space separated list of URLs of standby master servers to fail over to if the master server can not be "
+		+"reached",
+	type: "string",
+	optional: true,
+});
 ControlGroup.define({
 	name: "master_token",
 	description: "Token to authenticate to master server with.",
@@ -7,6 +7,8 @@
 
 "use strict";
 const fs = require("fs-extra");
+const path = require("path");
+const readline = require("readline");
 
 const { basicType } = require("lib/helpers");
 
@@ -33,44 +35,155 @@ function mapToObject(map) {
 }
 
 /**
- * Load JSON object file as a Map
+ * Write a file atomically
  *
- * Loads the JSON file specified by path containing an object with
- * properties as key value pairs and converts it into a JavaScript Map.
- * Returns an empty Map if the file does not exist.
+ * Writes the content to a temporary file next to the target and then
+ * renames it over the target, so that the file is never left partially
+ * written if the process is interrupted.  The previous content of the
+ * file is kept in a copy with .bak appended to the name for use by
+ * {@link module:lib/database.loadJson} in case the file is damaged by
+ * other means.  If the directory the file is to be saved into doesn't
+ * exist it will be created.
  *
- * @param {string} filePath - The path to the JSON file to load.
- * @throws {Error} If JSON file did not contain an object.
- * @throws {Error} If an error occured reading the file.
+ * @param {string} filePath - The path to the file to write.
+ * @param {string|Buffer} content - The content to write to the file.
+ * @throws {Error} if an error occured writing to the file.
  */
-async function loadJsonAsMap(filePath) {
+async function writeFileAtomic(filePath, content) {
+	let tempPath = `${filePath}.tmp`;
+	await fs.outputFile(tempPath, content);
 	try {
-		let content = await fs.readFile(filePath);
-		let parsed = JSON.parse(content);
-
-		if (basicType(parsed) !== "object") {
-			throw new Error(`Expected object but got ${basicType(parsed)}`);
+		await fs.copyFile(filePath, `${filePath}.bak`);
+	} catch (err) {
+		if (err.code !== "ENOENT") {
+			await fs.remove(tempPath);
+			throw err;
 		}
+	}
+	await fs.rename(tempPath, filePath);
+}
 
-		return new Map(Object.entries(parsed));
+async function readJson(filePath) {
+	return JSON.parse(await fs.readFile(filePath, "utf8"));
+}
+
+/**
+ * Load a JSON file
+ *
+ * If the file fails to parse, for example due to being truncated by a
+ * crash while it was written by something other than {@link
+ * module:lib/database.writeFileAtomic}, the damaged file is kept with
+ * .corrupt appended to its name and the copy of the previous content
+ * kept by writeFileAtomic is loaded instead.
+ *
+ * @param {string} filePath - The path to the JSON file to load.
+ * @param {*} missingValue - Value to return if the file does not exist.
+ * @returns {*} the parsed content of the file.
+ * @throws {Error} if the file is damaged and no valid copy is available.
+ * @throws {Error} if an error occured reading the file.
+ */
+async function loadJson(filePath, missingValue) {
+	try {
+		return await readJson(filePath);
 
 	} catch (err) {
-		if (err.code == "ENOENT") {
-			// File does not exist, return empty map
-			return new Map();
+		if (err.code === "ENOENT") {
+			return missingValue;
 
-		} else {
+		} else if (!(err instanceof SyntaxError)) {
 			throw err;
 		}
+
+		let backupPath = `${filePath}.bak`;
+		let parsed;
+		try {
+			parsed = await readJson(backupPath);
+		} catch (backupErr) {
+			throw new Error(`Failed to parse ${filePath} and no valid backup copy is available: ${err.message}`);
+		}
+
+		console.error(`Failed to parse ${filePath} (${err.message}), recovering from ${backupPath}`);
+		await fs.copyFile(filePath, `${filePath}.corrupt`);
+		await fs.copyFile(backupPath, filePath);
+		return parsed;
 	}
 }
 
+/**
+ * Read a file of lines of JSON
+ *
+ * Streams the file and invokes the callback with each entry parsed,
+ * skipping lines that fail to parse such as those truncated by an
+ * interrupted write.  Reading stops early if the callback returns true.
+ *
+ * @param {string} filePath - The path to the file to read.
+ * @param {function(object): boolean} callback -
+ *     Invoked with each entry, return true to stop reading.
+ * @returns {boolean} true if reading was stopped by the callback.
+ * @throws {Error} if an error occured reading the file.
+ */
+function readJsonLines(filePath, callback) {
+	return new Promise((resolve, reject) => {
+		let stream = fs.createReadStream(filePath, "utf8");
+		let lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+		let stopped = false;
+		function onError(err) {
+			if (err.code === "ENOENT") {
+				resolve(false);
+			} else {
+				reject(err);
+			}
+			lines.close();
+		}
+		// Newer versions of Node forward errors of the input to the interface.
+		stream.on("error", onError);
+		lines.on("error", onError);
+		lines.on("line", line => {
+			if (stopped || !line) {
+				return;
+			}
+
+			let entry;
+			try {
+				entry = JSON.parse(line);
+			} catch (err) {
+				return;
+			}
+			if (callback(entry)) {
+				stopped = true;
+				lines.close();
+				stream.destroy();
+			}
+		});
+		lines.on("close", () => resolve(stopped));
+	});
+}
+
+/**
+ * Load JSON object file as a Map
+ *
+ * Loads the JSON file specified by path containing an object with
+ * properties as key value pairs and converts it into a JavaScript Map.
+ * Returns an empty Map if the file does not exist.
+ *
+ * @param {string} filePath - The path to the JSON file to load.
+ * @throws {Error} If JSON file did not contain an object.
+ * @throws {Error} If an error occured reading the file.
+ */
+async function loadJsonAsMap(filePath) {
+	let parsed = await loadJson(filePath, {});
+	if (basicType(parsed) !== "object") {
+		throw new Error(`Expected object but got ${basicType(parsed)}`);
+	}
+
+	return new Map(Object.entries(parsed));
+}
+
 /**
  * Save a Map as a JSON object file
  *
  * Save the content of a key-value Map with only string keys as a JSON file.
- * If the directory the file is to be saved into doesn't exist it will be
- * created.
+ * The file is written with {@link module:lib/database.writeFileAtomic}.
  *
  * @param {string} filePath - The path to the JSON file that will be saved.
  * @param {Map} map - Map with only string keys to save.
@@ -79,7 +192,7 @@ async function loadJsonAsMap(filePath) {
  */
 async function saveMapAsJson(filePath, map) {
 	let obj = mapToObject(map);
-	await fs.outputFile(filePath, JSON.stringify(obj, null, 4));
+	await writeFileAtomic(filePath, JSON.stringify(obj, null, 4));
 }
 
 /**
@@ -94,44 +207,32 @@ async function saveMapAsJson(filePath, map) {
  * @throws {Error} If an error occured reading the file.
  */
 async function loadJsonArrayAsMap(filePath) {
-	try {
-		let content = await fs.readFile(filePath);
-		let parsed = JSON.parse(content);
+	let parsed = await loadJson(filePath, []);
+	if (basicType(parsed) !== "array") {
+		throw new Error(`Expected array but got ${basicType(parsed)}`);
+	}
 
-		if (basicType(parsed) !== "array") {
-			throw new Error(`Expected array but got ${basicType(parsed)}`);
+	let map = new Map();
+	for (let element of parsed) {
+		if (basicType(element) !== "object") {
+			throw new Error("Expected all elements to be objects");
 		}
 
-		let map = new Map();
-		for (let element of parsed) {
-			if (basicType(element) !== "object") {
-				throw new Error("Expected all elements to be objects");
-			}
-
-			if (element.id === undefined) {
-				throw new Error("Expected all elements to have an id property");
-			}
-
-			map.set(element.id, element);
+		if (element.id === undefined) {
+			throw new Error("Expected all elements to have an id property");
 		}
-		return map;
 
-	} catch (err) {
-		if (err.code == "ENOENT") {
-			// File does not exist, return empty map
-			return new Map();
-
-		} else {
-			throw err;
-		}
+		map.set(element.id, element);
 	}
+	return map;
 }
 
 /**
  * Save a Map as a JSON array file
  *
  * Save the values of a Map with objects containing an id property that is
- * equal to the key the objects are stored at into a JSON file.
+ * equal to the key the objects are stored at into a JSON file.  The file
+ * is written with {@link module:lib/database.writeFileAtomic}.
  *
  * @param {string} filePath - The path to the JSON file that will be saved.
  * @param {Map} map -
@@ -140,7 +241,87 @@ async function loadJsonArrayAsMap(filePath) {
  * @throws {Error} if an error occured writing to the file.
  */
 async function saveMapAsJsonArray(filePath, map) {
-	await fs.outputFile(filePath, JSON.stringify([...map.values()], null, 4));
+	await writeFileAtomic(filePath, JSON.stringify([...map.values()], null, 4));
+}
+
+/**
+ * Saves data on changes and at regular intervals
+ *
+ * Changes are reported with markDirty, which saves the data after a short
+ * delay so that several changes made together are saved at once.  Saves
+ * are run one at a time in the order they are made.
+ */
+class AutoSaver {
+
+	/**
+	 * Create a new auto saver
+	 *
+	 * @param {string} name - Name of the data saved used in error messages.
+	 * @param {function(): Promise} save - Async function saving the data.
+	 * @param {number} delay -
+	 *     Time in milliseconds to wait after a change before saving.
+	 */
+	constructor(name, save, delay = 1000) {
+		this.name = name;
+		this.delay = delay;
+		this._save = save;
+		this._queue = Promise.resolve();
+		this._timeoutId = null;
+		this._intervalId = null;
+	}
+
+	_saveInBackground() {
+		this.save().catch(err => {
+			console.error(`Error saving ${this.name}:`, err.message);
+		});
+	}
+
+	/**
+	 * Save the data after the delay unless a save is already pending
+	 */
+	markDirty() {
+		if (this._timeoutId === null) {
+			this._timeoutId = setTimeout(() => {
+				this._timeoutId = null;
+				this._saveInBackground();
+			}, this.delay);
+		}
+	}
+
+	/**
+	 * Save the data now
+	 *
+	 * Cancels any pending save from markDirty.
+	 */
+	async save() {
+		clearTimeout(this._timeoutId);
+		this._timeoutId = null;
+		let next = this._queue.catch(() => {}).then(() => this._save());
+		this._queue = next;
+		await next;
+	}
+
+	/**
+	 * Start saving the data periodically
+	 *
+	 * @param {?number} interval -
+	 *     Interval in milliseconds to save on, or null to only save on
+	 *     changes.
+	 */
+	start(interval) {
+		if (interval !== null) {
+			this._intervalId = setInterval(() => this._saveInBackground(), interval);
+		}
+	}
+
+	/**
+	 * Stop saving and save the data a final time
+	 */
+	async stop() {
+		clearInterval(this._intervalId);
+		this._intervalId = null;
+		await this.save();
+	}
 }
 
 
@@ -178,6 +359,9 @@ class ItemDatabase {
 	constructor(serialized) {
 		this._items = new Map();
 
+		// Names of items changed since the changes were last taken.
+		this._changed = new Set();
+
 		// Verify the content of the serialized database
 		if (serialized !== undefined) {
 			for (let [name, count] of Object.entries(serialized)) {
@@ -254,6 +438,7 @@ class ItemDatabase {
 		}
 
 		this._items.set(name, count);
+		this._changed.add(name);
 	};
 
 	/**
@@ -276,14 +461,552 @@ class ItemDatabase {
 		}
 
 		this._items.set(name, count);
+		this._changed.add(name);
 	};
+
+	/**
+	 * Take the names of items changed
+	 *
+	 * Returns the names of the items that have been added or removed since
+	 * the last time this was called, and clears the set of changed items.
+	 *
+	 * @returns {Set<string>} names of the items changed.
+	 */
+	takeChanges() {
+		let changed = this._changed;
+		this._changed = new Set();
+		return changed;
+	}
+}
+
+
+/**
+ * Storage backend for the item database
+ *
+ * Base class for the ways an {@link
+ * module:lib/database~ItemDatabase} can be stored on disk.  Subclasses
+ * implement load, saveAll and backupFiles, and may override save to only
+ * write the items changed since the last save.
+ */
+class ItemStorage {
+
+	/**
+	 * Check if the storage contains a saved item database
+	 *
+	 * @returns {boolean} true if there is a database to load.
+	 */
+	async exists() {
+		throw new Error("Not implemented");
+	}
+
+	/**
+	 * Load the item database from storage
+	 *
+	 * @returns {module:lib/database~ItemDatabase}
+	 *     the stored database, or an empty database if none was saved.
+	 */
+	async load() {
+		throw new Error("Not implemented");
+	}
+
+	/**
+	 * Save changes to the item database
+	 *
+	 * Saves the items changed since the last save, or the whole database
+	 * if the storage does not support partial writes.
+	 *
+	 * @param {module:lib/database~ItemDatabase} items - Database to save.
+	 */
+	async save(items) {
+		await this.saveAll(items);
+	}
+
+	/**
+	 * Save the whole item database
+	 *
+	 * Replaces everything stored with the content of the given database.
+	 *
+	 * @param {module:lib/database~ItemDatabase} items - Database to save.
+	 */
+	async saveAll(items) {
+		throw new Error("Not implemented");
+	}
+
+	/**
+	 * Serialize the item database into the files of this storage
+	 *
+	 * Returns an object mapping the path of each file relative to the
+	 * database directory to the content of the file.
+	 *
+	 * @param {module:lib/database~ItemDatabase} items - Database to serialize.
+	 */
+	backupFiles(items) {
+		throw new Error("Not implemented");
+	}
+}
+
+/**
+ * Stores the item database as a single JSON file
+ *
+ * The whole database is written to items.json in the database directory
+ * on every save.
+ */
+class JsonItemStorage extends ItemStorage {
+
+	/**
+	 * Create a new JSON item storage
+	 *
+	 * @param {string} directory - Database directory to store items.json in.
+	 */
+	constructor(directory) {
+		super();
+		this.filePath = path.join(directory, "items.json");
+	}
+
+	async exists() {
+		return await fs.pathExists(this.filePath);
+	}
+
+	async load() {
+		let content = await loadJson(this.filePath, null);
+		return new ItemDatabase(content === null ? undefined : content);
+	}
+
+	async saveAll(items) {
+		items.takeChanges();
+		await writeFileAtomic(this.filePath, JSON.stringify(items.serialize()));
+	}
+
+	backupFiles(items) {
+		return { "items.json": JSON.stringify(items.serialize()) };
+	}
+}
+
+/**
+ * Stores the item database as a snapshot with a journal of changes
+ *
+ * Saving appends the new count of each item changed since the last save
+ * to a journal file, with the write flushed to disk before it completes.
+ * Once the journal has more entries than both the compact threshold and
+ * the number of items in the database, a new snapshot of the whole
+ * database is written and the journal is started over.
+ *
+ * Snapshots are numbered by generation and the journals from the
+ * generation of the snapshot loaded onwards are replayed on load, so an
+ * interrupted compaction leaves either the old snapshot and journal or the
+ * new snapshot in use.  The journal of the previous generation is kept
+ * along with its snapshot as the .bak copy, so that no changes are lost if
+ * the current snapshot is damaged and the previous one is loaded instead.
+ * Journal lines cut short by a crash are skipped on load.
+ */
+class JournalItemStorage extends ItemStorage {
+
+	/**
+	 * Create a new journaling item storage
+	 *
+	 * @param {string} directory -
+	 *     Database directory to store the items_journal directory in.
+	 * @param {number} compactThreshold -
+	 *     Min number of journal entries before it's compacted.
+	 */
+	constructor(directory, compactThreshold = 1000) {
+		super();
+		this.directory = path.join(directory, "items_journal");
+		this.compactThreshold = compactThreshold;
+
+		// Generation of the current journal and the entries in it.
+		this._generation = null;
+		this._entries = 0;
+
+		// Generation of the snapshot file, the journals from it onwards are needed to load it.
+		this._snapshotGeneration = null;
+	}
+
+	_journalPath(generation) {
+		return path.join(this.directory, `journal-${generation}.log`);
+	}
+
+	async _journalGenerations() {
+		let generations = [];
+		for (let file of await fs.readdir(this.directory).catch(() => [])) {
+			let match = /^journal-(\d+)\.log$/.exec(file);
+			if (match) {
+				generations.push(Number(match[1]));
+			}
+		}
+		return generations.sort((a, b) => a - b);
+	}
+
+	async _replay(items, generation) {
+		let content = "";
+		try {
+			content = await fs.readFile(this._journalPath(generation), "utf8");
+		} catch (err) {
+			if (err.code !== "ENOENT") {
+				throw err;
+			}
+		}
+
+		let entries = 0;
+		for (let line of content.split("\n")) {
+			let entry;
+			try {
+				entry = JSON.parse(line);
+			} catch (err) {
+				// Skip empty lines and lines truncated by an interrupted write
+				continue;
+			}
+
+			let [name, count] = entry;
+			checkName(name);
+			checkCount(count);
+			items._items.set(name, count);
+			entries += 1;
+		}
+		return entries;
+	}
+
+	async exists() {
+		return await fs.pathExists(path.join(this.directory, "snapshot.json"));
+	}
+
+	async load() {
+		let snapshot = await loadJson(path.join(this.directory, "snapshot.json"), null);
+		if (snapshot === null) {
+			this._generation = null;
+			return new ItemDatabase();
+		}
+		if (basicType(snapshot) !== "object" || !Number.isInteger(snapshot.generation)) {
+			throw new Error("Invalid item journal snapshot");
+		}
+		let items = new ItemDatabase(snapshot.items);
+
+		let generation = snapshot.generation;
+		let entries = await this._replay(items, generation);
+		// Journals of later generations are there if the snapshot was damaged and its .bak copy loaded.
+		for (let journal of await this._journalGenerations()) {
+			if (journal > snapshot.generation) {
+				entries = await this._replay(items, journal);
+				generation = journal;
+			}
+		}
+
+		items.takeChanges();
+		this._generation = generation;
+		this._entries = entries;
+		this._snapshotGeneration = snapshot.generation;
+
+		if (generation !== snapshot.generation) {
+			console.error(
+				`Item snapshot generation ${snapshot.generation} loaded with the journals up to generation ` +
+				`${generation}, writing a new snapshot`
+			);
+			await this.saveAll(items);
+		}
+		return items;
+	}
+
+	async save(items) {
+		if (this._generation === null) {
+			await this.saveAll(items);
+			return;
+		}
+
+		let changed = items.takeChanges();
+		if (!changed.size) {
+			return;
+		}
+
+		if (this._entries + changed.size > Math.max(this.compactThreshold, items.size)) {
+			await this.saveAll(items);
+			return;
+		}
+
+		let content = "";
+		for (let name of changed) {
+			content += `${JSON.stringify([name, items.getItemCount(name)])}\n`;
+		}
+
+		try {
+			await fs.ensureDir(this.directory);
+			let fd = await fs.open(this._journalPath(this._generation), "a");
+			try {
+				await fs.write(fd, content);
+				await fs.fsync(fd);
+			} finally {
+				await fs.close(fd);
+			}
+		} catch (err) {
+			// Keep the changes so that they are written on the next save.
+			for (let name of changed) {
+				items._changed.add(name);
+			}
+			throw err;
+		}
+		this._entries += changed.size;
+	}
+
+	async saveAll(items) {
+		if (this._generation === null) {
+			let snapshot = await loadJson(path.join(this.directory, "snapshot.json"), { generation: 0 });
+			this._generation = snapshot.generation;
+			this._snapshotGeneration = snapshot.generation;
+		}
+
+		items.takeChanges();
+		let generation = this._generation + 1;
+		await writeFileAtomic(
+			path.join(this.directory, "snapshot.json"),
+			JSON.stringify({ generation, items: items.serialize() })
+		);
+
+		// The replaced snapshot is now the .bak copy and needs the journals
+		// from its generation onwards, older ones are left by previous
+		// compactions.
+		for (let journal of await this._journalGenerations()) {
+			if (journal < this._snapshotGeneration) {
+				await fs.unlink(this._journalPath(journal));
+			}
+		}
+		this._generation = generation;
+		this._snapshotGeneration = generation;
+		this._entries = 0;
+	}
+
+	backupFiles(items) {
+		return {
+			"items_journal/snapshot.json": JSON.stringify({ generation: 0, items: items.serialize() }),
+			"items_journal/journal-0.log": "",
+		};
+	}
+}
+
+/**
+ * Copy the item database from one storage to another
+ *
+ * @param {module:lib/database~ItemStorage} source - Storage to copy from.
+ * @param {module:lib/database~ItemStorage} target - Storage to copy to.
+ * @returns {module:lib/database~ItemDatabase} the database copied.
+ */
+async function migrateItemStorage(source, target) {
+	let items = await source.load();
+	await target.saveAll(items);
+	return items;
+}
+
+
+/**
+ * Instance output log
+ *
+ * Stores the parsed output of instances as lines of JSON in a file per
+ * instance inside a directory.  Entries older than the max age or exceeding
+ * the max entries for an instance are pruned from the log.  Operations on
+ * the log of an instance are run in the order they are made.
+ */
+class InstanceLog {
+
+	/**
+	 * Create a new instance log
+	 *
+	 * @param {string} directory - Directory to store the log files in.
+	 * @param {?number} maxAge -
+	 *     Max age in milliseconds of entries kept, or null for no limit.
+	 * @param {?number} maxEntries -
+	 *     Max number of entries kept per instance, or null for no limit.
+	 */
+	constructor(directory, maxAge = null, maxEntries = null) {
+		this.directory = directory;
+		this.maxAge = maxAge;
+		this.maxEntries = maxEntries;
+
+		// Number of entries in each log file, loaded on first append.
+		this._counts = new Map();
+		this._queues = new Map();
+	}
+
+	_path(instanceId) {
+		return path.join(this.directory, `${instanceId}.log`);
+	}
+
+	_enqueue(instanceId, task) {
+		let previous = this._queues.get(instanceId) || Promise.resolve();
+		let next = previous.catch(() => {}).then(task);
+		this._queues.set(instanceId, next);
+		return next;
+	}
+
+	async _read(instanceId) {
+		let content;
+		try {
+			content = await fs.readFile(this._path(instanceId), "utf8");
+		} catch (err) {
+			if (err.code === "ENOENT") {
+				return [];
+			}
+			throw err;
+		}
+
+		let entries = [];
+		for (let line of content.split("\n")) {
+			if (!line) {
+				continue;
+			}
+
+			try {
+				entries.push(JSON.parse(line));
+			} catch (err) {
+				// Skip lines truncated by an interrupted write
+			}
+		}
+		return entries;
+	}
+
+	async _prune(instanceId, now) {
+		let entries = await this._read(instanceId);
+		let kept = entries;
+		if (this.maxAge !== null) {
+			kept = kept.filter(entry => entry.received >= now - this.maxAge);
+		}
+		if (this.maxEntries !== null && kept.length > this.maxEntries) {
+			kept = kept.slice(kept.length - this.maxEntries);
+		}
+
+		this._counts.set(instanceId, kept.length);
+		if (kept.length === entries.length) {
+			return;
+		}
+
+		let logPath = this._path(instanceId);
+		if (!kept.length) {
+			await fs.remove(logPath);
+			return;
+		}
+
+		let tempPath = `${logPath}.tmp`;
+		await fs.writeFile(tempPath, kept.map(entry => `${JSON.stringify(entry)}\n`).join(""));
+		await fs.rename(tempPath, logPath);
+	}
+
+	/**
+	 * Append output to the log of an instance
+	 *
+	 * @param {number} instanceId - ID of instance the output is from.
+	 * @param {object} output - Parsed output line from the instance.
+	 */
+	async append(instanceId, output) {
+		await this._enqueue(instanceId, async () => {
+			if (!this._counts.has(instanceId)) {
+				this._counts.set(instanceId, (await this._read(instanceId)).length);
+			}
+
+			await fs.outputFile(this._path(instanceId), `${JSON.stringify(output)}\n`, { flag: "a" });
+			let count = this._counts.get(instanceId) + 1;
+			this._counts.set(instanceId, count);
+
+			// Allow some slack to avoid rewriting the file on every append.
+			if (this.maxEntries !== null && count > this.maxEntries + Math.ceil(this.maxEntries / 10)) {
+				await this._prune(instanceId, Date.now());
+			}
+		});
+	}
+
+	/**
+	 * Query the log of an instance
+	 *
+	 * Entries are returned in the order they were received.  Reading the
+	 * log stops once one more entry than the page returned has been found.
+	 *
+	 * @param {number} instanceId - ID of instance to query the log of.
+	 * @param {object} options - Filters and pagination for the query.
+	 * @param {?number} options.since - Exclude entries received before this time.
+	 * @param {?number} options.until - Exclude entries received after this time.
+	 * @param {?string} options.type - Only include entries of this type.
+	 * @param {?string} options.action - Only include entries with this action.
+	 * @param {?string} options.level - Only include entries with this level.
+	 * @param {number} options.offset - Number of matching entries to skip.
+	 * @param {?number} options.limit - Max number of entries to return.
+	 * @returns {{entries: Array<object>, total: number}}
+	 *     the matching entries and count of matching entries found, which
+	 *     is the total count unless it exceeds offset + limit.
+	 */
+	async query(instanceId, {
+		since = null, until = null, type = null, action = null, level = null, offset = 0, limit = null,
+	} = {}) {
+		let entries = [];
+		let total = 0;
+		await this._enqueue(instanceId, () => readJsonLines(this._path(instanceId), entry => {
+			if (
+				(since !== null && entry.received < since)
+				|| (until !== null && entry.received > until)
+				|| (type !== null && entry.type !== type)
+				|| (action !== null && entry.action !== action)
+				|| (level !== null && entry.level !== level)
+			) {
+				return false;
+			}
+
+			total += 1;
+			if (total > offset && (limit === null || total <= offset + limit)) {
+				entries.push(entry);
+			}
+			return limit !== null && total > offset + limit;
+		}));
+
+		return { entries, total };
+	}
+
+	/**
+	 * Prune entries exceeding the retention limits from all logs
+	 *
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 */
+	async prune(now = Date.now()) {
+		let files;
+		try {
+			files = await fs.readdir(this.directory);
+		} catch (err) {
+			if (err.code === "ENOENT") {
+				return;
+			}
+			throw err;
+		}
+
+		for (let file of files) {
+			let match = /^(-?\d+)\.log$/.exec(file);
+			if (match) {
+				let instanceId = Number(match[1]);
+				await this._enqueue(instanceId, () => this._prune(instanceId, now));
+			}
+		}
+	}
+
+	/**
+	 * Remove the log of an instance
+	 *
+	 * @param {number} instanceId - ID of instance to remove the log of.
+	 */
+	async remove(instanceId) {
+		await this._enqueue(instanceId, async () => {
+			await fs.remove(this._path(instanceId));
+			this._counts.delete(instanceId);
+		});
+	}
 }
 
 module.exports = {
 	mapToObject,
+	writeFileAtomic,
+	loadJson,
+	readJsonLines,
 	loadJsonAsMap,
 	saveMapAsJson,
 	loadJsonArrayAsMap,
 	saveMapAsJsonArray,
+	AutoSaver,
 	ItemDatabase,
+	ItemStorage,
+	JsonItemStorage,
+	JournalItemStorage,
+	migrateItemStorage,
+	InstanceLog,
 };
@@ -16,6 +16,12 @@ class CommandError extends Error { }
  */
 class RequestError extends Error { }
 
+/**
+ * Thrown from requests sent when no response was received in time
+ * @static
+ */
+class RequestTimeout extends RequestError { }
+
 /**
  * Signal for messages that fail validation
  * @static
@@ -33,12 +39,24 @@ class InvalidMessage extends Error {
  */
 class SessionLost extends Error { }
 
+/**
+ * Thrown from streams sent over a link when the transfer failed
+ * @static
+ */
+class StreamError extends Error { }
+
 /**
  * Thrown when WebSocket authentication failed
  * @static
  */
 class AuthenticationFailed extends Error { }
 
+/**
+ * Thrown when the other side of a link is running an incompatible version
+ * @static
+ */
+class IncompatibleVersion extends Error { }
+
 /**
  * Errror class for known errors occuring during startup
  * @static
@@ -66,9 +84,12 @@ class PluginError extends Error {
 module.exports = {
 	CommandError,
 	RequestError,
+	RequestTimeout,
 	InvalidMessage,
 	SessionLost,
+	StreamError,
 	AuthenticationFailed,
+	IncompatibleVersion,
 	StartupError,
 	EnvironmentError,
 	PluginError,
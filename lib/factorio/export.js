@@ -98,6 +98,19 @@ async function loadFile(server, modVersions, modPath) {
 	return await file.async("nodebuffer");
 }
 
+/**
+ * Get the name of the mod providing the icon of an item
+ *
+ * @param {object} item - Prototype of item.
+ * @returns {?string} name of mod or null if unknown.
+ * @private
+ */
+function iconMod(item) {
+	let icon = item.icons ? item.icons[0].icon : item.icon;
+	let match = /^__([^/]+)__\//.exec(icon || "");
+	return match ? match[1] : null;
+}
+
 /**
  * Export item icons and data
  *
@@ -239,6 +252,7 @@ async function exportItems(server, modVersions, items) {
 				x: iconPos * size % width,
 				y: Math.floor(iconPos / (width / size)) * size,
 				size,
+				mod: iconMod(item),
 				localised_name: item.localised_name,
 				localised_description: item.localised_description,
 			});
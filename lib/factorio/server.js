@@ -480,7 +480,8 @@ const outputHeuristics = [
  * - game-ready - invoked when the server is finished starting up
  * - autosave-start - invoked when the server starts an autosave
  * - autosave-fnished - invoked when the autosave finished
- * - exit - invoked when the sterver has exited
+ * - exit - invoked when the sterver has exited, with an object describing
+ *   why it exited if it was started with start() or startScenario()
  * @extends events.EventEmitter
  * @memberof module:lib/factorio
  */
@@ -700,12 +701,14 @@ class FactorioServer extends events.EventEmitter {
 
 	_watchExit() {
 		this._server.on("exit", (code, signal) => {
+			let exit = { expected: true, crashed: false, reason: null };
 			if (this._state !== "stopping") {
+				let err;
 				if (this._unexpected.length === 0) {
 					if (signal === "SIGKILL") {
-						this.emit("error", new errors.EnvironmentError(
+						err = new errors.EnvironmentError(
 							"Factorio server was unexpectedly killed, is the system low on memory?"
-						));
+						);
 
 					} else {
 						let msg;
@@ -715,18 +718,27 @@ class FactorioServer extends events.EventEmitter {
 							msg = `Factorio server was unexpectedly shut by down by signal ${signal}`;
 						}
 
-						this.emit("error", new Error(msg));
+						err = new Error(msg);
 					}
 
 				} else if (this._unexpected.length === 1) {
-					this.emit("error", new Error(this._unexpected[0]));
+					err = new Error(this._unexpected[0]);
 
 				} else {
-					this.emit("error", new Error(
+					err = new Error(
 						"Factorio server unexpectedly shut down. Possible causes:\n- "+
 						this._unexpected.join("\n- ")
-					));
+					);
 				}
+
+				// Exiting with code 0 and nothing suspicious logged is a
+				// clean exit, for example from the /quit command.
+				exit = {
+					expected: false,
+					crashed: code !== 0 || this._unexpected.length > 0,
+					reason: err.message,
+				};
+				this.emit("error", err);
 			}
 
 			// Reset server state
@@ -738,7 +750,7 @@ class FactorioServer extends events.EventEmitter {
 			this._unexpected = [];
 			this._runningAutosave = null;
 
-			this.emit("exit");
+			this.emit("exit", exit);
 		});
 	}
 
@@ -2,7 +2,9 @@
  * @module lib/fileOps
  */
 "use strict";
+const events = require("events");
 const fs = require("fs-extra");
+const needle = require("needle");
 const path = require("path");
 
 /**
@@ -32,6 +34,77 @@ async function getNewestFile(directory, filter = (name) => true) {
 	return newestFile;
 }
 
+/**
+ * Upload a file by streaming it in a HTTP PUT request
+ *
+ * @param {URL|string} url - URL to upload the file to.
+ * @param {string} filePath - Path to the file to upload.
+ * @param {Object} headers - Additional headers to send with the request.
+ * @throws {Error} if the server did not respond with status 200.
+ */
+async function uploadFile(url, filePath, headers = {}) {
+	let response = await needle("put", String(url), fs.createReadStream(filePath), {
+		headers: { "Content-Type": "application/octet-stream", ...headers },
+		// Sets Content-Length from the size of the file.
+		stream_length: 0,
+		parse: false,
+		// For now we do not verify TLS certificates since the default setup is
+		// to create a self-signed certificate.
+		rejectUnauthorized: false,
+	});
+
+	if (response.statusCode !== 200) {
+		throw new Error(`Upload failed: ${response.statusCode} ${response.statusMessage}: ${response.body}`);
+	}
+}
+
+/**
+ * Download a file by streaming a HTTP GET request to disk
+ *
+ * The file is written to a temporary file next to the destination with
+ * .tmp inserted before the extension, and only moved into place once the
+ * download completed successfully.
+ *
+ * @param {URL|string} url - URL to download the file from.
+ * @param {string} filePath - Path to write the file to.
+ * @param {Object} headers - Additional headers to send with the request.
+ * @throws {Error} if the server did not respond with status 200.
+ */
+async function downloadFile(url, filePath, headers = {}) {
+	let { dir, name, ext } = path.parse(filePath);
+	let tempPath = path.join(dir, `${name}.tmp${ext}`);
+	let stream = needle.get(String(url), { headers, parse: false, rejectUnauthorized: false });
+	let statusCode = null;
+	stream.on("header", code => { statusCode = code; });
+
+	let file = fs.createWriteStream(tempPath);
+	let closed = events.once(file, "close");
+	let done = events.once(stream, "done");
+	stream.pipe(file);
+
+	let [err] = await done;
+	if (err) {
+		file.destroy();
+	}
+	await closed;
+
+	try {
+		if (err) {
+			throw err;
+		}
+		if (statusCode !== 200) {
+			let body = await fs.readFile(tempPath, "utf8");
+			throw new Error(`Download failed: ${statusCode}: ${body}`);
+		}
+		await fs.rename(tempPath, filePath);
+
+	} finally {
+		await fs.remove(tempPath);
+	}
+}
+
 module.exports = {
 	getNewestFile,
+	uploadFile,
+	downloadFile,
 };
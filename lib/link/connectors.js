@@ -7,6 +7,87 @@ const schema = require("lib/schema");
 const errors = require("lib/errors");
 
 
+/**
+ * Highest version of the link protocol supported
+ *
+ * Incremented whenever changes are made to the handshake or the core link
+ * messages that are not compatible with previous versions.
+ * @memberof module:lib/link
+ */
+const protocolVersion = 1;
+
+/**
+ * Lowest version of the link protocol supported
+ * @memberof module:lib/link
+ */
+const minProtocolVersion = 1;
+
+function peerProtocolVersions(data) {
+	let max = 0;
+	if (data.protocol_version !== undefined) {
+		max = data.protocol_version;
+	}
+	let min = max;
+	if (data.min_protocol_version !== undefined) {
+		min = data.min_protocol_version;
+	}
+	return [min, max];
+}
+
+/**
+ * Negotiate the protocol version to use with the other side of a link
+ *
+ * Picks the highest protocol version supported by both sides.  Peers
+ * that do not send the protocol versions they support predate the
+ * negotiation and are treated as supporting version 0 only.
+ *
+ * @param {Object} data - Handshake data received from the other side.
+ * @returns {?number}
+ *     protocol version to use or null if there is no version supported by
+ *     both sides.
+ * @memberof module:lib/link
+ */
+function negotiateProtocolVersion(data) {
+	let [min, max] = peerProtocolVersions(data);
+	let version = Math.min(max, protocolVersion);
+	if (version < Math.max(min, minProtocolVersion)) {
+		return null;
+	}
+	return version;
+}
+
+/**
+ * Describe why the protocol versions of the two sides are incompatible
+ *
+ * @param {string} peer - Name of the other side of the link.
+ * @param {Object} data - Handshake data received from the other side.
+ * @returns {string} reason suitable for a WebSocket close frame.
+ * @memberof module:lib/link
+ */
+function incompatibleProtocolReason(peer, data) {
+	let [min, max] = peerProtocolVersions(data);
+	return (
+		`Incompatible protocol version: ${peer} supports ${min}-${max}, need ${minProtocolVersion}-${protocolVersion}`
+	);
+}
+
+/**
+ * Truncate reason to fit into a WebSocket close frame
+ *
+ * @param {string} reason - Reason to truncate.
+ * @returns {string} reason truncated to at most 123 bytes.
+ * @memberof module:lib/link
+ */
+function closeReason(reason) {
+	let buf = Buffer.from(reason);
+	if (buf.length <= 123) {
+		return reason;
+	}
+	// Strip partial UTF-8 sequence cut by the truncation.
+	return `${buf.slice(0, 120).toString().replace(/\uFFFD$/, "")}...`;
+}
+
+
 /**
  * Base connector for links
  *
@@ -24,6 +105,12 @@ class WebSocketBaseConnector extends events.EventEmitter {
 		this._heartbeatInterval = null;
 		this._lastReceivedSeq = null;
 		this._sendBuffer = [];
+
+		/**
+		 * Protocol version negotiated with the other side in the handshake.
+		 * @type {?number}
+		 */
+		this.protocolVersion = null;
 	}
 
 	_dropSendBufferSeq(seq) {
@@ -133,19 +220,40 @@ class WebSocketBaseConnector extends events.EventEmitter {
 	get closing() {
 		return ["closing", "closed"].includes(this._state);
 	}
+
+	/**
+	 * Sequence number of the last message sent, 0 if none has been sent
+	 */
+	get lastSeq() {
+		return this._seq - 1;
+	}
 }
 
 /**
  * Connector for master server clients
  *
+ * Can be given a list of URLs to connect to, in which case the next URL
+ * in the list is tried whenever connecting to the current one fails.
+ *
  * @extends module:lib/link.WebSocketBaseConnector
  * @memberof module:lib/link
  */
 class WebSocketClientConnector extends WebSocketBaseConnector {
+	/**
+	 * Create connector
+	 *
+	 * @param {string|Array<string>} url -
+	 *     URL or list of URLs of master servers to connect to.
+	 * @param {number} reconnectDelay -
+	 *     Maximum delay in seconds to wait before reconnecting.
+	 */
 	constructor(url, reconnectDelay) {
 		super();
 
-		this._url = url;
+		this._urls = Array.isArray(url) ? url : [url];
+		this._urlIndex = 0;
+		this._connectedUrl = null;
+		this._socketEstablished = false;
 
 		// The following states are used in the client connector
 		// new: Not connected
@@ -169,6 +277,23 @@ class WebSocketClientConnector extends WebSocketBaseConnector {
 		}
 	}
 
+	/**
+	 * URL of the master server currently connected to or being connected to
+	 * @type {string}
+	 */
+	get url() {
+		return this._urls[this._urlIndex];
+	}
+
+	_connectionEstablished() {
+		this._socketEstablished = true;
+		if (this._connectedUrl !== null && this._connectedUrl !== this.url) {
+			console.log(`SOCKET | failed over to master at ${this.url}`);
+			this.emit("failover", this.url);
+		}
+		this._connectedUrl = this.url;
+	}
+
 	setTimeout(timeout) {
 		this._timeout = timeout;
 
@@ -212,10 +337,24 @@ class WebSocketClientConnector extends WebSocketBaseConnector {
 
 		this.stopHeartbeat();
 		this._state = "closing";
+		if (this._socket.readyState === WebSocket.CLOSED) {
+			// Closed while waiting to reconnect
+			this._closed();
+			return;
+		}
 		this._socket.close(code, reason);
 		await events.once(this, "close");
 	}
 
+	_closed() {
+		this._lastReceivedSeq = null;
+		this._sessionToken = null;
+		this._sendBuffer.length = 0;
+		this._state = "new";
+		this._connected = false;
+		this.emit("close");
+	}
+
 	/**
 	 * Connect to the master server
 	 */
@@ -230,7 +369,8 @@ class WebSocketClientConnector extends WebSocketBaseConnector {
 	}
 
 	async _doConnect() {
-		let url = new URL(this._url);
+		this._socketEstablished = false;
+		let url = new URL(this.url);
 		url.pathname += "api/socket";
 
 		// Open WebSocket to master
@@ -283,17 +423,21 @@ class WebSocketClientConnector extends WebSocketBaseConnector {
 			if (code === 4003) {
 				this.emit("error", new errors.AuthenticationFailed(reason));
 				this._state = "closing";
+
+			// Incompatible versions
+			} else if (code === 4010) {
+				this.emit("error", new errors.IncompatibleVersion(reason));
+				this._state = "closing";
 			}
 
 			if (this._state === "closing") {
-				this._lastReceivedSeq = null;
-				this._sessionToken = null;
-				this._sendBuffer.length = 0;
-				this._state = "new";
-				this._connected = false;
-				this.emit("close");
+				this._closed();
 
 			} else {
+				// Try the next master if this one could not be connected to.
+				if (!this._socketEstablished && this._urls.length > 1) {
+					this._urlIndex = (this._urlIndex + 1) % this._urls.length;
+				}
 				this._state = "handshake";
 				this.reconnect();
 				if (this._connected) {
@@ -354,6 +498,12 @@ class WebSocketClientConnector extends WebSocketBaseConnector {
 		let { seq, type, data } = message;
 		if (type == "hello") {
 			console.log(`SOCKET | received hello from master version ${data.version}`);
+			if (negotiateProtocolVersion(data) === null) {
+				let reason = closeReason(incompatibleProtocolReason("master", data));
+				console.log(`SOCKET | closing after ${reason}`);
+				this._socket.close(4010, reason);
+				return;
+			}
 			this.emit("hello", data);
 			if (this._sessionToken) {
 				console.log("SOCKET | Attempting resume");
@@ -370,6 +520,8 @@ class WebSocketClientConnector extends WebSocketBaseConnector {
 			this._state = "connected";
 			this._sessionToken = data.session_token;
 			this._heartbeatInterval = data.heartbeat_interval;
+			this.protocolVersion = data.protocol_version;
+			this._connectionEstablished();
 			this.startHeartbeat();
 			for (let message of this._sendBuffer) {
 				this._socket.send(JSON.stringify(message));
@@ -382,6 +534,7 @@ class WebSocketClientConnector extends WebSocketBaseConnector {
 			console.log("SOCKET | resuming existing session");
 			this._state = "connected";
 			this._heartbeatInterval = data.heartbeat_interval;
+			this._connectionEstablished();
 			this.startHeartbeat();
 			this._dropSendBufferSeq(data.last_seq);
 			for (let message of this._sendBuffer) {
@@ -450,12 +603,28 @@ class VirtualConnector extends events.EventEmitter {
 	 * @returns {number} the sequence number of the message sent
 	 */
 	send(type, data) {
-		this.other.emit("message", { seq: this._seq, type, data });
-		return this._seq++;
+		// Messages sent while the other side handles this one must get
+		// their own sequence numbers.
+		let seq = this._seq++;
+		this.other.emit("message", { seq, type, data });
+		return seq;
+	}
+
+	/**
+	 * Sequence number of the last message sent, 0 if none has been sent
+	 */
+	get lastSeq() {
+		return this._seq - 1;
 	}
 }
 
 module.exports = {
+	protocolVersion,
+	minProtocolVersion,
+	negotiateProtocolVersion,
+	incompatibleProtocolReason,
+	closeReason,
+
 	WebSocketBaseConnector,
 	WebSocketClientConnector,
 	VirtualConnector,
@@ -7,5 +7,6 @@
 module.exports = {
 	...require("lib/link/link"),
 	...require("lib/link/messages"),
+	...require("lib/link/streams"),
 	...require("lib/link/connectors"),
 };
@@ -1,9 +1,12 @@
 // Implementation of Link class
 "use strict";
 
+const crypto = require("crypto");
+
 const schema = require("lib/schema");
 const errors = require("lib/errors");
-const messages = require("lib/link/messages");
+const { messages } = require("lib/link/messages");
+const { OutgoingStream, IncomingStream } = require("lib/link/streams");
 
 // Some definitions for the terminology used here:
 // link: Either side of a master - client connection
@@ -29,6 +32,27 @@ class Link {
 		this._handlers = new Map();
 		this._validators = new Map();
 
+		// Cancellations of requests being handled, keyed by type and seq.
+		this._cancellations = new Map();
+
+		// Streams sent and received over the link, keyed by id.
+		this._outgoingStreams = new Map();
+		this._incomingStreams = new Map();
+
+		/**
+		 * Max number of streams the other side may send to this side
+		 * before they have been accepted.
+		 * @type {number}
+		 */
+		this.maxPendingStreams = 16;
+
+		/**
+		 * Milliseconds a stream sent by the other side has to be accepted
+		 * in before it is aborted.
+		 * @type {number}
+		 */
+		this.pendingStreamTimeout = 60e3;
+
 		// Process messages received by the connector
 		connector.on("message", payload => {
 			try {
@@ -46,24 +70,39 @@ class Link {
 		});
 
 		connector.on("invalidate", () => {
-			for (let waiterType of this._waiters.values()) {
-				for (let waiter of waiterType) {
-					waiter.reject(new errors.SessionLost("Session Lost"));
-				}
-			}
-
-			this._waiters.clear();
+			this._clearSession("Session Lost");
 		});
 
 		connector.on("close", () => {
-			for (let waiterType of this._waiters.values()) {
-				for (let waiter of waiterType) {
-					waiter.reject(new errors.SessionLost("Session Closed"));
-				}
+			this._clearSession("Session Closed");
+		});
+	}
+
+	_clearSession(reason) {
+		for (let waiterType of this._waiters.values()) {
+			for (let waiter of waiterType) {
+				waiter.reject(new errors.SessionLost(reason));
 			}
+		}
 
-			this._waiters.clear();
-		});
+		this._waiters.clear();
+
+		// Nobody is waiting for the requests being handled anymore.
+		for (let cancellation of this._cancellations.values()) {
+			cancellation.cancel();
+		}
+		this._cancellations.clear();
+
+		for (let stream of this._outgoingStreams.values()) {
+			stream._remoteClosed = true;
+			stream.destroy(new errors.SessionLost(reason));
+		}
+		for (let stream of this._incomingStreams.values()) {
+			stream._remoteClosed = true;
+			stream.destroy(stream.accepted ? new errors.SessionLost(reason) : undefined);
+		}
+		this._outgoingStreams.clear();
+		this._incomingStreams.clear();
 	}
 
 	/**
@@ -95,6 +134,15 @@ class Link {
 		let hadWaiters = this._processWaiters(message);
 
 		if (!hadWaiters && !hadHandlers) {
+			// Late responses to requests that timed out or were cancelled
+			// are dropped.  The handler of a cancelled request may never
+			// respond, so instead of tracking them any response to a
+			// request sent on this link without a waiter is dropped.
+			if (message.type.endsWith("_response") && message.data.seq <= this.connector.lastSeq) {
+				return;
+			}
+
+
 			// XXX console.error(`Unhandled message: ${JSON.stringify(message, null, 4)}`);
 			throw new errors.InvalidMessage(`Unhandled message ${message.type}`);
 		}
@@ -202,25 +250,165 @@ class Link {
 	 *
 	 * @param {string} type - Message type to wait for.
 	 * @param {Object} data - Properties to match in the message data.
+	 * @param {?number} timeout -
+	 *     Time in milliseconds to wait before rejecting with {@link
+	 *     module:lib/errors.RequestTimeout}, or null to wait indefinitely.
 	 */
-	async waitFor(type, data) {
+	async waitFor(type, data, timeout = null) {
 		if (!this._validators.has(type)) {
 			throw new Error(`No validator for ${type} on ${this.source}-${this.target}`);
 		}
 
 		let waiter = { data };
 		waiter.promise = new Promise((resolve, reject) => {
-			waiter.resolve = resolve;
-			waiter.reject = reject;
+			let timeoutId = null;
+			waiter.resolve = message => { clearTimeout(timeoutId); resolve(message); };
+			waiter.reject = err => { clearTimeout(timeoutId); reject(err); };
 			if (!this._waiters.has(type)) {
 				this._waiters.set(type, [waiter]);
 			} else {
 				this._waiters.get(type).push(waiter);
 			}
+
+			if (timeout !== null) {
+				timeoutId = setTimeout(() => {
+					this._removeWaiter(type, waiter);
+					reject(new errors.RequestTimeout(`Timed out after ${timeout / 1000} seconds waiting for ${type}`));
+				}, timeout);
+			}
 		});
 		return waiter.promise;
 	}
 
+	_removeWaiter(type, waiter) {
+		let waiters = this._waiters.get(type);
+		let index = waiters ? waiters.indexOf(waiter) : -1;
+		if (index !== -1) {
+			waiters.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Reject waiters matching given type and data
+	 *
+	 * Stops waiting for messages matching the type and data, rejecting the
+	 * promises returned by {@link module:lib/link.Link#waitFor} with the
+	 * given error.
+	 *
+	 * @param {string} type - Message type waited for.
+	 * @param {Object} data - Properties the waiter matched on.
+	 * @param {Error} err - Error to reject the waiters with.
+	 */
+	rejectWaiters(type, data, err) {
+		let waiters = this._waiters.get(type) || [];
+		for (let waiter of [...waiters]) {
+			let matches = Object.entries(data).every(([key, value]) => waiter.data[key] === value);
+			if (matches) {
+				this._removeWaiter(type, waiter);
+				waiter.reject(err);
+			}
+		}
+	}
+
+	/**
+	 * Create a stream for sending binary data over the link
+	 *
+	 * The id of the returned stream should be passed to the other side,
+	 * for example in a request, which then accepts it with {@link
+	 * module:lib/link.Link#acceptStream}.
+	 *
+	 * @param {Object} options - Options for the stream.
+	 * @param {number} options.chunkSize - Max size in bytes of each chunk sent.
+	 * @param {number} options.windowSize -
+	 *     Max size in bytes of data sent that has not yet been read by the
+	 *     receiver.
+	 * @returns {module:lib/link.OutgoingStream} writable stream.
+	 */
+	createStream(options) {
+		let id = crypto.randomBytes(12).toString("hex");
+		let stream = new OutgoingStream(this, id, options);
+		this._outgoingStreams.set(id, stream);
+		return stream;
+	}
+
+	/**
+	 * Accept a stream sent from the other side of the link
+	 *
+	 * Data sent before the stream is accepted is held until it is read,
+	 * provided the stream is accepted within the pendingStreamTimeout of
+	 * the link.
+	 *
+	 * @param {string} id - Id of the stream created on the other side.
+	 * @returns {module:lib/link.IncomingStream} readable stream.
+	 */
+	acceptStream(id) {
+		let stream = this._incomingStreams.get(id);
+		if (!stream) {
+			stream = new IncomingStream(this, id);
+			this._incomingStreams.set(id, stream);
+		}
+		stream._accept();
+		return stream;
+	}
+
+	// Streams not yet accepted are limited in number and time, as they are
+	// held in memory on behalf of the other side.
+	_pendingStream(id) {
+		let stream = this._incomingStreams.get(id);
+		if (stream) {
+			return stream;
+		}
+
+		let pending = [...this._incomingStreams.values()].filter(incoming => !incoming.accepted).length;
+		if (pending >= this.maxPendingStreams) {
+			messages.streamAbort.send(this, { stream_id: id, reason: "Too many streams pending acceptance" });
+			return null;
+		}
+
+		stream = new IncomingStream(this, id);
+		stream._expireIfNotAccepted(this.pendingStreamTimeout);
+		this._incomingStreams.set(id, stream);
+		return stream;
+	}
+
+	// Data for streams not seen before is only accepted from the start, as
+	// anything else is left over from a stream that has been destroyed.
+	async streamDataEventHandler(message) {
+		let { stream_id, offset, data } = message.data;
+		if (offset === 0 || this._incomingStreams.has(stream_id)) {
+			let stream = this._pendingStream(stream_id);
+			if (stream) {
+				stream._handleData(offset, data);
+			}
+		}
+	}
+
+	async streamEndEventHandler(message) {
+		let { stream_id, size, sha256 } = message.data;
+		if (size === 0 || this._incomingStreams.has(stream_id)) {
+			let stream = this._pendingStream(stream_id);
+			if (stream) {
+				stream._handleEnd(size, sha256);
+			}
+		}
+	}
+
+	async streamAckEventHandler(message) {
+		let stream = this._outgoingStreams.get(message.data.stream_id);
+		if (stream) {
+			stream._handleAck(message.data.offset, message.data.done);
+		}
+	}
+
+	async streamAbortEventHandler(message) {
+		let streams = [this._outgoingStreams, this._incomingStreams];
+		for (let stream of streams.map(map => map.get(message.data.stream_id))) {
+			if (stream) {
+				stream._handleAbort(message.data.reason);
+			}
+		}
+	}
+
 	/**
 	 * Handle ping requests
 	 */
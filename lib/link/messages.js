@@ -23,6 +23,50 @@ class Message {
 	}
 }
 
+/**
+ * Cancellation of a request being handled
+ *
+ * Passed to request handlers as the third argument, it is cancelled when
+ * the sender of the request stops waiting for the response because it
+ * timed out, was cancelled itself, or the connection was lost.  Handlers
+ * sending requests on should pass it on to them with the cancellation
+ * option of {@link module:lib/link.Request#send}.
+ *
+ * @memberof module:lib/link
+ */
+class RequestCancellation {
+	constructor() {
+		this.cancelled = false;
+		this._callbacks = new Set();
+	}
+
+	/**
+	 * Invoke callback when the request is cancelled
+	 *
+	 * @param {Function} callback - Function to call on cancellation.
+	 * @returns {Function} function that removes the callback.
+	 */
+	onCancel(callback) {
+		this._callbacks.add(callback);
+		return () => { this._callbacks.delete(callback); };
+	}
+
+	/**
+	 * Cancel the request
+	 */
+	cancel() {
+		if (this.cancelled) {
+			return;
+		}
+
+		this.cancelled = true;
+		for (let callback of this._callbacks) {
+			callback();
+		}
+		this._callbacks.clear();
+	}
+}
+
 /**
  * Represents a request sent over the link
  *
@@ -57,18 +101,25 @@ class Request extends Message {
 	 *     Mapping of property values to JSON schema specifications for the
 	 *     properties that are valid in the data payload of the response to
 	 *     this requst.
+	 * @param {?number} timeout -
+	 *     Time in milliseconds to wait for the response before giving up
+	 *     and cancelling the request, or null to wait indefinitely.
+	 *     Defaults to {@link module:lib/link.Request.defaultTimeout}.
 	 */
 	constructor({
 		type, permission, links, forwardTo = null, requestProperties = {}, responseProperties = {},
+		timeout = Request.defaultTimeout,
 	}) {
 		super();
 		this.type = type;
 		this.links = links;
 		this.permission = permission || null;
 		this.forwardTo = forwardTo;
+		this.timeout = timeout;
 
 		this.requestType = type + "_request";
 		this.responseType = type + "_response";
+		this.cancelType = type + "_cancel";
 
 		if (permission === undefined && links.includes("control-master")) {
 			throw new Error(`permission is required for ${this.type} request over control-master links`);
@@ -87,6 +138,9 @@ class Request extends Message {
 			throw new Error(`Invalid forwardTo value ${forwardTo}`);
 		}
 
+		this.requestProperties = requestProperties;
+		this.responseProperties = responseProperties;
+
 		this._requestValidator = schema.compile({
 			$schema: "http://json-schema.org/draft-07/schema#",
 			properties: {
@@ -125,6 +179,20 @@ class Request extends Message {
 				},
 			},
 		});
+
+		this._cancelValidator = schema.compile({
+			$schema: "http://json-schema.org/draft-07/schema#",
+			properties: {
+				"type": { const: this.cancelType },
+				"data": {
+					additionalProperties: false,
+					required: ["seq"],
+					properties: {
+						"seq": { type: "integer" },
+					},
+				},
+			},
+		});
 	}
 
 	/**
@@ -145,7 +213,9 @@ class Request extends Message {
 	 * @param {Link} link - The link to attach to.
 	 * @param {Function} handler -
 	 *    Async function to invoke with link set as this to handle the
-	 *    request request.  Only used on the target side.
+	 *    request request.  Called with the message, the request and a
+	 *    {@link module:lib/link.RequestCancellation} for the message.
+	 *    Only used on the target side.
 	 * @throws {Error} if the handler is needed and not defined.
 	 */
 	attach(link, handler) {
@@ -173,14 +243,19 @@ class Request extends Message {
 			// Check permission if this is a handler for a control connection on the master
 			if (this.permission !== null && `${link.source}-${link.target}` === "master-control") {
 				let origHandler = handler;
-				handler = async function(message, request) {
+				handler = async function(message, request, cancellation) {
 					this.user.checkPermission(request.permission);
-					return await origHandler.call(this, message, request);
+					return await origHandler.call(this, message, request, cancellation);
 				};
 			}
 
 			link.setHandler(this.requestType, message => {
-				handler.call(link, message, this).then(response => {
+				// Responses are not sent for cancelled requests as the
+				// sender is no longer waiting for them.
+				let key = `${this.requestType}:${message.seq}`;
+				let cancellation = new RequestCancellation();
+				link._cancellations.set(key, cancellation);
+				handler.call(link, message, this, cancellation).then(response => {
 					if (response === undefined) {
 						// XXX Should we allow implicit responses like this?
 						response = {};
@@ -191,15 +266,30 @@ class Request extends Message {
 						throw new Error(`Validation failed responding to ${this.requestType}`);
 					}
 
-					link.connector.send(this.responseType, { ...response, seq: message.seq });
+					if (!cancellation.cancelled) {
+						link.connector.send(this.responseType, { ...response, seq: message.seq });
+					}
 
 				}).catch(err => {
+					if (cancellation.cancelled) {
+						return;
+					}
 					if (!(err instanceof errors.RequestError)) {
 						console.error(`Unexpected error while responding to ${this.requestType}`, err);
 					}
 					link.connector.send(this.responseType, { seq: message.seq, error: err.message });
+
+				}).finally(() => {
+					link._cancellations.delete(key);
 				});
 			}, this._requestValidator);
+
+			link.setHandler(this.cancelType, message => {
+				let cancellation = link._cancellations.get(`${this.requestType}:${message.data.seq}`);
+				if (cancellation) {
+					cancellation.cancel();
+				}
+			}, this._cancelValidator);
 		}
 	}
 
@@ -207,41 +297,122 @@ class Request extends Message {
 	 * Send request over the given link
 	 *
 	 * Sends the given data over the link as the request payload and waits
-	 * for the response.
+	 * for the response.  If no response is received before the timeout or
+	 * the given cancellation is cancelled the other side is told to cancel
+	 * handling the request.
 	 *
 	 * @param {module:lib/link.Link} link - Link to send request over.
 	 * @param {Object} data - Data to send with the request.
+	 * @param {Object} options - Options for this call.
+	 * @param {?number} options.timeout -
+	 *     Time in milliseconds to wait for the response, or null to wait
+	 *     indefinitely.  Defaults to the timeout of the request.
+	 * @param {?module:lib/link.RequestCancellation} options.cancellation -
+	 *     Cancellation of the request being handled that caused this
+	 *     request to be sent.
 	 * @returns {object} response data
+	 * @throws {module:lib/errors.RequestTimeout} if the request timed out.
+	 * @throws {module:lib/errors.RequestError}
+	 *     if the request failed or was cancelled.
 	 */
-	async send(link, data = {}) {
+	async send(link, data = {}, { timeout = this.timeout, cancellation = null } = {}) {
 		// XXX validate link target/source?
 		if (!this._requestValidator({ seq: 0, type: this.requestType, data })) {
 			console.error(this._requestValidator.errors);
 			throw new Error(`Validation failed sending ${this.requestType}`);
 		}
+		if (cancellation && cancellation.cancelled) {
+			throw new errors.RequestError(`${this.type} request cancelled`);
+		}
+
 		let seq = link.connector.send(this.requestType, data);
-		let responseMessage = await link.waitFor(this.responseType, { seq });
+		let removeCallback = null;
+		if (cancellation) {
+			removeCallback = cancellation.onCancel(() => {
+				this._cancel(link, seq);
+				link.rejectWaiters(
+					this.responseType, { seq }, new errors.RequestError(`${this.type} request cancelled`)
+				);
+			});
+		}
+
+		let responseMessage;
+		try {
+			responseMessage = await link.waitFor(this.responseType, { seq }, timeout);
+		} catch (err) {
+			if (err instanceof errors.RequestTimeout) {
+				this._cancel(link, seq);
+				throw new errors.RequestTimeout(`${this.type} request timed out after ${timeout / 1000} seconds`);
+			}
+			throw err;
+		} finally {
+			if (removeCallback) {
+				removeCallback();
+			}
+		}
+
 		if (responseMessage.data.error) {
 			throw new errors.RequestError(responseMessage.data.error);
 		}
 		return responseMessage.data;
 	}
+
+	_cancel(link, seq) {
+		try {
+			link.connector.send(this.cancelType, { seq });
+		} catch (err) {
+			if (!(err instanceof errors.SessionLost)) {
+				throw err;
+			}
+		}
+	}
 }
 
+/**
+ * Default timeout in milliseconds for requests
+ *
+ * Used for requests that do not declare a timeout.
+ */
+Request.defaultTimeout = 30 * 1000;
+
 
 let messages = {};
 
+// Parsed output line from a Factorio server
+const instanceOutputSchema = {
+	type: "object",
+	additionalProperties: false,
+	required: ["source", "received", "format", "type", "message"],
+	properties: {
+		"source": { type: "string" },
+		"received": { type: "number" },
+		"format": { type: "string" },
+		"time": { type: "string" },
+		"level": { type: "string" },
+		"file": { type: "string" },
+		"type": { type: "string" },
+		"action": { type: "string" },
+		"message": { type: "string" },
+	},
+};
+
+// Timeout for requests that may take minutes to complete, like starting
+// Factorio or transferring files.
+const longTimeout = 10 * 60 * 1000;
+
 // Connection requests
 let wsLinks = ["master-control", "control-master", "master-slave", "slave-master"];
 messages.prepareDisconnect = new Request({
 	type: "prepare_disconnect",
 	links: wsLinks,
+	timeout: longTimeout,
 	permission: null,
 });
 
 messages.prepareMasterDisconnect = new Request({
 	type: "prepare_master_disconnect",
 	links: ["slave-instance"],
+	timeout: longTimeout,
 });
 
 messages.ping = new Request({
@@ -267,13 +438,14 @@ messages.listSlaves = new Request({
 			type: "array",
 			items: {
 				additionalProperties: false,
-				required: ["agent", "version", "name", "id", "connected"],
+				required: ["agent", "version", "name", "id", "connected", "warnings"],
 				properties: {
 					"agent": { type: "string" },
 					"version": { type: "string" },
 					"name": { type: "string" },
 					"id": { type: "integer" },
 					"connected": { type: "boolean" },
+					"warnings": { type: "array", items: { type: "string" }},
 				},
 			},
 		},
@@ -289,11 +461,14 @@ messages.listInstances = new Request({
 			type: "array",
 			items: {
 				additionalProperties: false,
-				required: ["name", "id", "assigned_slave"],
+				required: ["name", "id", "assigned_slave", "status", "last_crash_time", "last_crash_reason"],
 				properties: {
 					"name": { type: "string" },
 					"id": { type: "integer" },
 					"assigned_slave": { type: ["null", "integer"] },
+					"status": { enum: ["unknown", "stopped", "initialized", "running"] },
+					"last_crash_time": { type: ["null", "number"] },
+					"last_crash_reason": { type: ["null", "string"] },
 				},
 			},
 		},
@@ -312,6 +487,36 @@ messages.generateSlaveToken = new Request({
 	},
 });
 
+messages.revokeSlaveToken = new Request({
+	type: "revoke_slave_token",
+	links: ["control-master"],
+	permission: "core.slave.revoke_token",
+	requestProperties: {
+		"slave_id": { type: "integer" },
+	},
+});
+
+messages.rotateSlaveToken = new Request({
+	type: "rotate_slave_token",
+	links: ["control-master"],
+	permission: "core.slave.rotate_token",
+	requestProperties: {
+		"slave_id": { type: "integer" },
+	},
+	responseProperties: {
+		"token": { type: "string" },
+		"updated": { type: "boolean" },
+	},
+});
+
+messages.updateSlaveToken = new Request({
+	type: "update_slave_token",
+	links: ["master-slave"],
+	requestProperties: {
+		"token": { type: "string" },
+	},
+});
+
 messages.createSlaveConfig = new Request({
 	type: "create_slave_config",
 	links: ["control-master"],
@@ -338,6 +543,30 @@ messages.setInstanceOutputSubscriptions = new Request({
 	},
 });
 
+messages.getInstanceLog = new Request({
+	type: "get_instance_log",
+	links: ["control-master"],
+	permission: "core.instance.read_log",
+	requestProperties: {
+		"instance_id": { type: "integer" },
+		"since": { type: ["null", "number"] },
+		"until": { type: ["null", "number"] },
+		"type": { type: ["null", "string"] },
+		"action": { type: ["null", "string"] },
+		"level": { type: ["null", "string"] },
+		"offset": { type: "integer", minimum: 0 },
+		"limit": { type: "integer", minimum: 1, maximum: 1000 },
+	},
+	responseProperties: {
+		"log": {
+			type: "array",
+			items: instanceOutputSchema,
+		},
+		// Count of matching entries, counted up to one past the entries returned
+		"total": { type: "integer" },
+	},
+});
+
 messages.createInstance = new Request({
 	type: "create_instance",
 	links: ["control-master"],
@@ -404,6 +633,7 @@ messages.assignInstance = new Request({
 messages.startInstance = new Request({
 	type: "start_instance",
 	links: ["control-master", "master-slave", "slave-instance"],
+	timeout: longTimeout,
 	permission: "core.instance.start",
 	requestProperties: {
 		"save": { type: ["string", "null"] },
@@ -414,6 +644,7 @@ messages.startInstance = new Request({
 messages.createSave = new Request({
 	type: "create_save",
 	links: ["control-master", "master-slave", "slave-instance"],
+	timeout: longTimeout,
 	permission: "core.instance.create_save",
 	forwardTo: "instance",
 });
@@ -421,6 +652,7 @@ messages.createSave = new Request({
 messages.loadScenario = new Request({
 	type: "load_scenario",
 	links: ["control-master", "master-slave", "slave-instance"],
+	timeout: longTimeout,
 	permission: "core.instance.load_scenario",
 	forwardTo: "instance",
 	requestProperties: {
@@ -431,6 +663,7 @@ messages.loadScenario = new Request({
 messages.exportData = new Request({
 	type: "export_data",
 	links: ["control-master", "master-slave", "slave-instance"],
+	timeout: longTimeout,
 	permission: "core.instance.export_data",
 	forwardTo: "instance",
 });
@@ -438,6 +671,7 @@ messages.exportData = new Request({
 messages.stopInstance = new Request({
 	type: "stop_instance",
 	links: ["control-master", "master-slave", "slave-instance"],
+	timeout: longTimeout,
 	permission: "core.instance.stop",
 	forwardTo: "instance",
 });
@@ -445,10 +679,144 @@ messages.stopInstance = new Request({
 messages.deleteInstance = new Request({
 	type: "delete_instance",
 	links: ["control-master", "master-slave"],
+	timeout: longTimeout,
 	permission: "core.instance.delete",
 	forwardTo: "instance",
 });
 
+messages.listSaves = new Request({
+	type: "list_saves",
+	links: ["control-master", "master-slave"],
+	permission: "core.instance.save.list",
+	forwardTo: "instance",
+	responseProperties: {
+		"list": {
+			type: "array",
+			items: {
+				additionalProperties: false,
+				required: ["name", "size", "mtime_ms"],
+				properties: {
+					"name": { type: "string" },
+					"size": { type: "integer" },
+					"mtime_ms": { type: "number" },
+				},
+			},
+		},
+	},
+});
+
+messages.renameSave = new Request({
+	type: "rename_save",
+	links: ["control-master", "master-slave"],
+	permission: "core.instance.save.rename",
+	forwardTo: "instance",
+	requestProperties: {
+		"old_name": { type: "string" },
+		"new_name": { type: "string" },
+	},
+});
+
+messages.copySave = new Request({
+	type: "copy_save",
+	links: ["control-master", "master-slave"],
+	timeout: longTimeout,
+	permission: "core.instance.save.copy",
+	forwardTo: "instance",
+	requestProperties: {
+		"source": { type: "string" },
+		"destination": { type: "string" },
+	},
+});
+
+messages.deleteSave = new Request({
+	type: "delete_save",
+	links: ["control-master", "master-slave"],
+	permission: "core.instance.save.delete",
+	forwardTo: "instance",
+	requestProperties: {
+		"save": { type: "string" },
+	},
+});
+
+// Save transfers are streamed over HTTP through the master, these requests
+// set up the stream and return the id to connect to it with.
+messages.downloadSave = new Request({
+	type: "download_save",
+	links: ["control-master"],
+	timeout: longTimeout,
+	permission: "core.instance.save.download",
+	forwardTo: "instance",
+	requestProperties: {
+		"save": { type: "string" },
+	},
+	responseProperties: {
+		"stream_id": { type: "string" },
+	},
+});
+
+messages.uploadSave = new Request({
+	type: "upload_save",
+	links: ["control-master"],
+	timeout: longTimeout,
+	permission: "core.instance.save.upload",
+	forwardTo: "instance",
+	requestProperties: {
+		"save": { type: "string" },
+	},
+	responseProperties: {
+		"stream_id": { type: "string" },
+	},
+});
+
+const instanceFileProperties = {
+	"directory": { type: "string", enum: ["saves", "mods"] },
+	"name": { type: "string" },
+	"stream_id": { type: "string" },
+};
+
+messages.listInstanceFiles = new Request({
+	type: "list_instance_files",
+	links: ["master-slave"],
+	forwardTo: "instance",
+	requestProperties: {
+		"directory": instanceFileProperties.directory,
+	},
+	responseProperties: {
+		"list": {
+			type: "array",
+			items: { type: "string" },
+		},
+	},
+});
+
+messages.pushInstanceFile = new Request({
+	type: "push_instance_file",
+	links: ["master-slave"],
+	timeout: longTimeout,
+	forwardTo: "instance",
+	requestProperties: instanceFileProperties,
+});
+
+messages.pullInstanceFile = new Request({
+	type: "pull_instance_file",
+	links: ["master-slave"],
+	timeout: longTimeout,
+	forwardTo: "instance",
+	requestProperties: instanceFileProperties,
+});
+
+messages.migrateInstance = new Request({
+	type: "migrate_instance",
+	links: ["control-master"],
+	timeout: longTimeout,
+	permission: "core.instance.migrate",
+	requestProperties: {
+		"instance_id": { type: "integer" },
+		"slave_id": { type: "integer" },
+		"start": { type: "boolean" },
+	},
+});
+
 messages.sendRcon = new Request({
 	type: "send_rcon",
 	links: ["control-master", "master-slave", "slave-instance"],
@@ -462,6 +830,46 @@ messages.sendRcon = new Request({
 	},
 });
 
+messages.createMasterBackup = new Request({
+	type: "create_master_backup",
+	links: ["control-master"],
+	timeout: longTimeout,
+	permission: "core.backup.create",
+	responseProperties: {
+		"name": { type: "string" },
+	},
+});
+
+messages.listMasterBackups = new Request({
+	type: "list_master_backups",
+	links: ["control-master"],
+	permission: "core.backup.list",
+	responseProperties: {
+		"list": {
+			type: "array",
+			items: {
+				additionalProperties: false,
+				required: ["name", "size", "mtime_ms"],
+				properties: {
+					"name": { type: "string" },
+					"size": { type: "integer" },
+					"mtime_ms": { type: "number" },
+				},
+			},
+		},
+	},
+});
+
+messages.replicateMaster = new Request({
+	type: "replicate_master",
+	links: ["control-master"],
+	timeout: longTimeout,
+	permission: "core.backup.replicate",
+	responseProperties: {
+		"stream_id": { type: "string" },
+	},
+});
+
 messages.listPermissions = new Request({
 	type: "list_permissions",
 	links: ["control-master"],
@@ -595,6 +1003,59 @@ messages.deleteUser = new Request({
 	},
 });
 
+const scheduledTaskActions = ["start", "stop", "create_save", "load_scenario", "send_rcon", "export_data"];
+messages.listScheduledTasks = new Request({
+	type: "list_scheduled_tasks",
+	links: ["control-master"],
+	permission: "core.schedule.list",
+	responseProperties: {
+		"list": {
+			type: "array",
+			items: {
+				additionalProperties: false,
+				required: [
+					"id", "instance_id", "action", "argument", "schedule",
+					"last_run_time", "last_run_result", "next_run_time",
+				],
+				properties: {
+					"id": { type: "integer" },
+					"instance_id": { type: "integer" },
+					"action": { enum: scheduledTaskActions },
+					"argument": { type: ["null", "string"] },
+					"schedule": { type: "string" },
+					"last_run_time": { type: ["null", "number"] },
+					"last_run_result": { type: ["null", "string"] },
+					"next_run_time": { type: ["null", "number"] },
+				},
+			},
+		},
+	},
+});
+
+messages.createScheduledTask = new Request({
+	type: "create_scheduled_task",
+	links: ["control-master"],
+	permission: "core.schedule.create",
+	requestProperties: {
+		"instance_id": { type: "integer" },
+		"action": { enum: scheduledTaskActions },
+		"argument": { type: ["null", "string"] },
+		"schedule": { type: "string" },
+	},
+	responseProperties: {
+		"id": { type: "integer" },
+	},
+});
+
+messages.deleteScheduledTask = new Request({
+	type: "delete_scheduled_task",
+	links: ["control-master"],
+	permission: "core.schedule.delete",
+	requestProperties: {
+		"id": { type: "integer" },
+	},
+});
+
 messages.getMetrics = new Request({
 	type: "statistics_exporter:get_metrics",
 	links: ["master-slave", "slave-instance"],
@@ -754,6 +1215,49 @@ class Event extends Message {
 	}
 }
 
+// Binary data streamed over a link, see lib/link/streams.
+let streamLinks = [
+	"master-control", "control-master", "master-slave", "slave-master", "slave-instance", "instance-slave",
+];
+messages.streamData = new Event({
+	type: "stream_data",
+	links: streamLinks,
+	eventProperties: {
+		"stream_id": { type: "string" },
+		"offset": { type: "integer" },
+		"data": { type: "string" },
+	},
+});
+
+messages.streamEnd = new Event({
+	type: "stream_end",
+	links: streamLinks,
+	eventProperties: {
+		"stream_id": { type: "string" },
+		"size": { type: "integer" },
+		"sha256": { type: "string" },
+	},
+});
+
+messages.streamAck = new Event({
+	type: "stream_ack",
+	links: streamLinks,
+	eventProperties: {
+		"stream_id": { type: "string" },
+		"offset": { type: "integer" },
+		"done": { type: "boolean" },
+	},
+});
+
+messages.streamAbort = new Event({
+	type: "stream_abort",
+	links: streamLinks,
+	eventProperties: {
+		"stream_id": { type: "string" },
+		"reason": { type: "string" },
+	},
+});
+
 messages.debugWsMessage = new Event({
 	type: "debug_ws_message",
 	links: ["master-control"],
@@ -763,6 +1267,16 @@ messages.debugWsMessage = new Event({
 	},
 });
 
+messages.instanceMigrationProgress = new Event({
+	type: "instance_migration_progress",
+	links: ["master-control"],
+	eventProperties: {
+		"instance_id": { type: "integer" },
+		"stage": { type: "string", enum: ["stopping", "assigning", "transferring", "cleaning_up", "starting"] },
+		"message": { type: "string" },
+	},
+});
+
 messages.instanceInitialized = new Event({
 	type: "instance_initialized",
 	links: ["instance-slave", "slave-master"],
@@ -789,6 +1303,16 @@ messages.instanceStopped = new Event({
 	},
 });
 
+messages.instanceCrashed = new Event({
+	type: "instance_crashed",
+	links: ["instance-slave", "slave-master"],
+	eventProperties: {
+		"instance_id": { type: "integer" },
+		"reason": { type: "string" },
+		"crashed": { type: "boolean" },
+	},
+});
+
 messages.updateInstances = new Event({
 	type: "update_instances",
 	links: ["slave-master"],
@@ -814,22 +1338,7 @@ messages.instanceOutput = new Event({
 	forwardTo: "master",
 	eventProperties: {
 		"instance_id": { type: "integer" },
-		"output": {
-			type: "object",
-			additionalProperties: false,
-			required: ["source", "received", "format", "type", "message"],
-			properties: {
-				"source": { type: "string" },
-				"received": { type: "number" },
-				"format": { type: "string" },
-				"time": { type: "string" },
-				"level": { type: "string" },
-				"file": { type: "string" },
-				"type": { type: "string" },
-				"action": { type: "string" },
-				"message": { type: "string" },
-			},
-		},
+		"output": instanceOutputSchema,
 	},
 });
 
@@ -872,6 +1381,7 @@ function attachAllMessages(link) {
 
 module.exports = {
 	Message,
+	RequestCancellation,
 	Request,
 	Event,
 
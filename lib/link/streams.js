@@ -0,0 +1,296 @@
+// Streaming of binary data over links
+"use strict";
+const crypto = require("crypto");
+const stream = require("stream");
+
+const errors = require("lib/errors");
+const { messages } = require("lib/link/messages");
+
+// Max size in bytes of data sent that has not been read by the receiver.
+// Receivers abort streams sending past it, so it can only be lowered.
+const defaultWindowSize = 1024 * 1024;
+
+
+/**
+ * Stream of binary data sent over a link
+ *
+ * Writable stream that sends the data written to it in chunks over the
+ * link as stream_data events.  No more than the window size of data is
+ * sent before it has been acknowledged by the receiver, which it only
+ * does as the data is read out, so a slow reader will pause the writer.
+ * Once ended the size and SHA-256 hash of the data is sent for the
+ * receiver to verify, and the stream finishes when the receiver has
+ * acknowledged the data as intact.
+ *
+ * Messages are delivered through the link's connector which resends the
+ * messages not received by the other side after a reconnect, so streams
+ * continue where they left off if the session is resumed.  If the session
+ * is lost the stream is destroyed with a SessionLost error.
+ *
+ * Created with {@link module:lib/link.Link#createStream}, and received on
+ * the other side with {@link module:lib/link.Link#acceptStream} using
+ * the id of the stream.
+ *
+ * @extends stream.Writable
+ * @memberof module:lib/link
+ */
+class OutgoingStream extends stream.Writable {
+	constructor(link, id, { chunkSize = 64 * 1024, windowSize = defaultWindowSize } = {}) {
+		super();
+
+		/**
+		 * Id of the stream used to accept it on the other side.
+		 * @type {string}
+		 */
+		this.id = id;
+		this.link = link;
+		this.chunkSize = chunkSize;
+		this.windowSize = windowSize;
+
+		this._sent = 0;
+		this._acked = 0;
+		this._hash = crypto.createHash("sha256");
+
+		// Continues sending once the window has room, if waiting for it.
+		this._resume = null;
+		this._finalCallback = null;
+		this._remoteClosed = false;
+	}
+
+	_write(chunk, encoding, callback) {
+		this._hash.update(chunk);
+		let position = 0;
+		let sendChunks = () => {
+			try {
+				while (position < chunk.length) {
+					if (this._sent - this._acked >= this.windowSize) {
+						this._resume = sendChunks;
+						return;
+					}
+
+					let room = this.windowSize - (this._sent - this._acked);
+					let data = chunk.slice(position, position + Math.min(this.chunkSize, room));
+					let offset = this._sent;
+					position += data.length;
+					this._sent += data.length;
+					messages.streamData.send(this.link, {
+						stream_id: this.id, offset, data: data.toString("base64"),
+					});
+				}
+			} catch (err) {
+				callback(err);
+				return;
+			}
+			callback();
+		};
+		sendChunks();
+	}
+
+	_final(callback) {
+		this._finalCallback = callback;
+		try {
+			messages.streamEnd.send(this.link, {
+				stream_id: this.id, size: this._sent, sha256: this._hash.digest("hex"),
+			});
+		} catch (err) {
+			this._finalCallback = null;
+			callback(err);
+		}
+	}
+
+	_destroy(err, callback) {
+		this.link._outgoingStreams.delete(this.id);
+		if (!this._remoteClosed) {
+			try {
+				messages.streamAbort.send(this.link, {
+					stream_id: this.id, reason: err ? err.message : "Stream destroyed by sender",
+				});
+			} catch (sendErr) {
+				if (!(sendErr instanceof errors.SessionLost)) {
+					throw sendErr;
+				}
+			}
+		}
+		callback(err);
+	}
+
+	_handleAck(offset, done) {
+		this._acked = Math.max(this._acked, offset);
+		if (done) {
+			this._remoteClosed = true;
+			this.link._outgoingStreams.delete(this.id);
+			if (this._finalCallback) {
+				let callback = this._finalCallback;
+				this._finalCallback = null;
+				callback();
+			}
+
+		} else if (this._resume && this._sent - this._acked < this.windowSize) {
+			let resume = this._resume;
+			this._resume = null;
+			resume();
+		}
+	}
+
+	_handleAbort(reason) {
+		this._remoteClosed = true;
+		this.destroy(new errors.StreamError(`Stream aborted by receiver: ${reason}`));
+	}
+}
+
+/**
+ * Stream of binary data received over a link
+ *
+ * Readable stream of the data sent from an {@link
+ * module:lib/link.OutgoingStream} on the other side of the link.  Data is
+ * acknowledged to the sender as it is read out of the stream.  The
+ * offset of each chunk received as well as the total size and SHA-256
+ * hash of the data is checked, and the stream is destroyed with a
+ * StreamError if they do not match.  The stream is also destroyed if the
+ * sender sends more than the window size of data that has not been
+ * acknowledged.
+ *
+ * Streams the other side has started sending before they have been
+ * accepted are destroyed without an error if not accepted within a
+ * timeout.
+ *
+ * @extends stream.Readable
+ * @memberof module:lib/link
+ */
+class IncomingStream extends stream.Readable {
+	constructor(link, id, { windowSize = defaultWindowSize } = {}) {
+		super();
+
+		/**
+		 * Id of the stream.
+		 * @type {string}
+		 */
+		this.id = id;
+		this.link = link;
+		this.windowSize = windowSize;
+
+		/**
+		 * True if the stream has been accepted on this side of the link.
+		 * @type {boolean}
+		 */
+		this.accepted = false;
+		this._acceptTimeoutId = null;
+
+		this._received = 0;
+		this._acked = 0;
+		this._hash = crypto.createHash("sha256");
+		this._ackPending = false;
+		this._remoteClosed = false;
+		this._ended = false;
+
+		// Kept on the link until read out so that it can be accepted after
+		// all of the data has been received.
+		this.once("end", () => {
+			this.link._incomingStreams.delete(this.id);
+		});
+	}
+
+	_sendAck(done = false) {
+		this._acked = this._received;
+		messages.streamAck.send(this.link, { stream_id: this.id, offset: this._received, done });
+	}
+
+	_accept() {
+		this.accepted = true;
+		clearTimeout(this._acceptTimeoutId);
+		this._acceptTimeoutId = null;
+	}
+
+	_expireIfNotAccepted(timeout) {
+		this._acceptTimeoutId = setTimeout(() => {
+			this._fail("Stream was not accepted in time");
+		}, timeout);
+		if (this._acceptTimeoutId.unref) {
+			this._acceptTimeoutId.unref();
+		}
+	}
+
+	// Nothing is listening for errors on streams not yet accepted.
+	_fail(reason) {
+		if (this.accepted) {
+			this.destroy(new errors.StreamError(reason));
+		} else {
+			this._abort(reason);
+			this.destroy();
+		}
+	}
+
+	_abort(reason) {
+		this._remoteClosed = true;
+		try {
+			messages.streamAbort.send(this.link, { stream_id: this.id, reason });
+		} catch (sendErr) {
+			if (!(sendErr instanceof errors.SessionLost)) {
+				throw sendErr;
+			}
+		}
+	}
+
+	_read() {
+		if (this._ackPending) {
+			this._ackPending = false;
+			this._sendAck();
+		}
+	}
+
+	_destroy(err, callback) {
+		clearTimeout(this._acceptTimeoutId);
+		this.link._incomingStreams.delete(this.id);
+		if (!this._remoteClosed && !this._ended) {
+			this._abort(err ? err.message : "Stream destroyed by receiver");
+		}
+		callback(err);
+	}
+
+	_handleData(offset, data) {
+		if (offset !== this._received) {
+			this._fail(`Expected data at offset ${this._received} but got ${offset}`);
+			return;
+		}
+
+		let chunk = Buffer.from(data, "base64");
+		if (this._received + chunk.length - this._acked > this.windowSize) {
+			this._fail("Data sent past the window");
+			return;
+		}
+
+		this._hash.update(chunk);
+		this._received += chunk.length;
+		if (this.push(chunk)) {
+			this._sendAck();
+		} else {
+			this._ackPending = true;
+		}
+	}
+
+	_handleEnd(size, sha256) {
+		if (size !== this._received) {
+			this._fail(`Expected ${size} bytes but received ${this._received}`);
+			return;
+		}
+		if (sha256 !== this._hash.digest("hex")) {
+			this._fail("SHA-256 hash of data received does not match");
+			return;
+		}
+
+		this._ended = true;
+		this._sendAck(true);
+		this.push(null);
+	}
+
+	_handleAbort(reason) {
+		this._remoteClosed = true;
+		this.destroy(this.accepted ? new errors.StreamError(`Stream aborted by sender: ${reason}`) : undefined);
+	}
+}
+
+
+module.exports = {
+	OutgoingStream,
+	IncomingStream,
+};
@@ -5,6 +5,7 @@
 "use strict";
 const fs = require("fs-extra");
 const path = require("path");
+const semver = require("semver");
 
 const errors = require("lib/errors");
 
@@ -258,6 +259,22 @@ class BaseMasterPlugin {
 	 */
 	async onShutdown() { }
 
+	/**
+	 * Called when a backup of the master database is made
+	 *
+	 * Invoked when creating a backup of the master server to collect the
+	 * data of the plugin to store in it.  The files returned are written
+	 * back to the database directory when the backup is restored, so the
+	 * names used should be the same as the plugin loads its data from.
+	 * To give a consistent backup the content should be serialized from
+	 * the current state without awaiting anything in between.
+	 *
+	 * @returns {?Object<string, string|Buffer>}
+	 *     mapping of file paths relative to the database directory to the
+	 *     content of the file, or undefined if there is nothing to store.
+	 */
+	async onBackup() { }
+
 	/**
 	 * Called when an event on a slave connection happens
 	 *
@@ -436,13 +453,82 @@ function attachPluginMessages(link, pluginInfo, plugin) {
 			messageFormat.attach(link);
 
 		} else {
-			messageFormat.attach(link, async function(message, format) {
-				return await plugin[handler](message, format, this);
+			messageFormat.attach(link, async function(message, format, cancellation) {
+				return await plugin[handler](message, format, this, cancellation);
 			});
 		}
 	}
 }
 
+/**
+ * Get the range of versions compatible with a plugin
+ *
+ * Uses the compatibleVersions property of the plugin info if present,
+ * otherwise versions with the same major version, or the same minor
+ * version for 0.x versions, are considered compatible.
+ *
+ * @param {object} pluginInfo - Plugin info object.
+ * @returns {string} semver range of compatible versions.
+ * @static
+ */
+function compatibleVersionRange(pluginInfo) {
+	if (pluginInfo.compatibleVersions) {
+		return pluginInfo.compatibleVersions;
+	}
+	let version = semver.parse(pluginInfo.version);
+	if (!version) {
+		return pluginInfo.version;
+	}
+	if (version.major === 0) {
+		return `^0.${version.minor}.0-0`;
+	}
+	return `^${version.major}.0.0-0`;
+}
+
+/**
+ * Check plugin versions of a slave against the plugins on the master
+ *
+ * Plugins installed on both sides with versions outside of the range
+ * compatible with the master's plugin are incompatible, while plugins
+ * only present on one side result in warnings.
+ *
+ * @param {Array<Object>} pluginInfos - Info of plugins enabled on the master.
+ * @param {Object<string, string>} slavePlugins -
+ *     Mapping of plugin name to version of plugins on the slave.
+ * @returns {{incompatible: Array<string>, warnings: Array<string>}}
+ *     description of the incompatible plugins and of the warnings.
+ * @static
+ */
+function checkPluginVersions(pluginInfos, slavePlugins) {
+	let incompatible = [];
+	let warnings = [];
+	for (let pluginInfo of pluginInfos) {
+		let slaveVersion = slavePlugins[pluginInfo.name];
+		if (slaveVersion === undefined) {
+			warnings.push(`Plugin ${pluginInfo.name} is enabled on the master but not installed on the slave`);
+
+		} else if (!semver.satisfies(
+			slaveVersion, compatibleVersionRange(pluginInfo), { includePrerelease: true }
+		)) {
+			incompatible.push(`${pluginInfo.name} ${slaveVersion} (master has ${pluginInfo.version})`);
+
+		} else if (slaveVersion !== pluginInfo.version) {
+			warnings.push(
+				`Plugin ${pluginInfo.name} is version ${slaveVersion} on the slave and ${pluginInfo.version} on the master`
+			);
+		}
+	}
+
+	let masterPlugins = new Set(pluginInfos.map(pluginInfo => pluginInfo.name));
+	for (let name of Object.keys(slavePlugins)) {
+		if (!masterPlugins.has(name)) {
+			warnings.push(`Plugin ${name} is installed on the slave but not enabled on the master`);
+		}
+	}
+
+	return { incompatible, warnings };
+}
+
 /**
  * Invokes the given hook on all plugins
  *
@@ -475,5 +561,7 @@ module.exports = {
 
 	loadPluginInfos,
 	attachPluginMessages,
+	compatibleVersionRange,
+	checkPluginVersions,
 	invokeHook,
 };
@@ -447,6 +447,7 @@ module.exports = {
 	Metric,
 
 	exposition,
+	keyToLabels,
 	defaultRegistry,
 	defaultCollectors,
 	serializeResult,
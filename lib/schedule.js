@@ -0,0 +1,276 @@
+/**
+ * Scheduling of recurring tasks
+ *
+ * Implements parsing of cron expressions and a scheduler that runs tasks
+ * at the times given by their cron expression.
+ *
+ * @module
+ */
+"use strict";
+
+const fieldRanges = [
+	["minute", 0, 59],
+	["hour", 0, 23],
+	["day of month", 1, 31],
+	["month", 1, 12],
+	["day of week", 0, 7],
+];
+
+const macros = new Map([
+	["@yearly", "0 0 1 1 *"],
+	["@annually", "0 0 1 1 *"],
+	["@monthly", "0 0 1 * *"],
+	["@weekly", "0 0 * * 0"],
+	["@daily", "0 0 * * *"],
+	["@midnight", "0 0 * * *"],
+	["@hourly", "0 * * * *"],
+]);
+
+function parseField(field, name, min, max) {
+	let values = new Set();
+	for (let part of field.split(",")) {
+		let match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+		if (!match) {
+			throw new Error(`Invalid ${name} field ${field}`);
+		}
+
+		let start = min;
+		let end = max;
+		if (match[1] !== "*") {
+			start = Number(match[2]);
+			end = match[3] !== undefined ? Number(match[3]) : start;
+			if (match[4] !== undefined && match[3] === undefined) {
+				end = max;
+			}
+		}
+		let step = match[4] !== undefined ? Number(match[4]) : 1;
+
+		if (start < min || end > max || start > end || step < 1) {
+			throw new Error(`Invalid ${name} field ${field}`);
+		}
+
+		for (let value = start; value <= end; value += step) {
+			values.add(value);
+		}
+	}
+	return values;
+}
+
+/**
+ * Schedule described by a cron expression
+ *
+ * Supports the standard five fields of minute, hour, day of month, month
+ * and day of week with lists, ranges and steps, as well as the @yearly,
+ * @monthly, @weekly, @daily and @hourly macros.  Times are evaluated in
+ * the local time of the server.
+ * @static
+ */
+class CronSchedule {
+
+	/**
+	 * Parse a cron expression
+	 *
+	 * @param {string} expression - Cron expression to parse.
+	 * @throws {Error} if the expression is not valid.
+	 */
+	constructor(expression) {
+		this.expression = expression;
+
+		let fields = (macros.get(expression) || expression).trim().split(/\s+/);
+		if (fields.length !== 5) {
+			throw new Error(`Expected 5 fields in cron expression but got ${fields.length}`);
+		}
+
+		[this.minutes, this.hours, this.days, this.months, this.weekdays] = fields.map(
+			(field, index) => parseField(field, ...fieldRanges[index])
+		);
+
+		// Sunday can be given as both 0 and 7
+		if (this.weekdays.has(7)) {
+			this.weekdays.add(0);
+		}
+
+		// If both day fields are restricted a day matching either is a match.
+		this._daysRestricted = fields[2] !== "*";
+		this._weekdaysRestricted = fields[4] !== "*";
+	}
+
+	_dayMatches(date) {
+		let day = this.days.has(date.getDate());
+		let weekday = this.weekdays.has(date.getDay());
+		if (this._daysRestricted && this._weekdaysRestricted) {
+			return day || weekday;
+		}
+		return day && weekday;
+	}
+
+	/**
+	 * Find the next time after the given time matching the schedule
+	 *
+	 * @param {number} after - Time in milliseconds since the epoch.
+	 * @returns {?number}
+	 *     time in milliseconds since the epoch of the next run or null if
+	 *     the schedule never matches.
+	 */
+	next(after) {
+		let date = new Date(after);
+		date.setSeconds(0, 0);
+		date.setMinutes(date.getMinutes() + 1);
+
+		// Schedules like the 31st of February never match.
+		let limit = date.getFullYear() + 8;
+		while (date.getFullYear() <= limit) {
+			if (!this.months.has(date.getMonth() + 1)) {
+				date.setMonth(date.getMonth() + 1, 1);
+				date.setHours(0, 0, 0, 0);
+			} else if (!this._dayMatches(date)) {
+				date.setDate(date.getDate() + 1);
+				date.setHours(0, 0, 0, 0);
+			} else if (!this.hours.has(date.getHours())) {
+				date.setHours(date.getHours() + 1, 0, 0, 0);
+			} else if (!this.minutes.has(date.getMinutes())) {
+				date.setMinutes(date.getMinutes() + 1, 0, 0);
+			} else {
+				return date.getTime();
+			}
+		}
+		return null;
+	}
+}
+
+/**
+ * Runs tasks at the times given by their schedule
+ *
+ * Tasks are plain objects with at least an `id` and a `schedule` property
+ * containing a cron expression.  The result of the last run is stored in
+ * the `last_run_time` and `last_run_result` properties of the task.
+ * @static
+ */
+class Scheduler {
+
+	/**
+	 * Create a scheduler
+	 *
+	 * @param {Map<number, object>} tasks - Mapping of id to task to run.
+	 * @param {function(object): Promise} runTask -
+	 *     Async function invoked with a task to run it.
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 */
+	constructor(tasks, runTask, now = Date.now()) {
+		this.tasks = tasks;
+		this.runTask = runTask;
+		this._nextRuns = new Map();
+		this._running = new Set();
+		this._intervalId = null;
+
+		/**
+		 * ID to give the next task added
+		 *
+		 * Kept past the ids of removed tasks so that they are not reused.
+		 * @type {number}
+		 */
+		this.nextId = Math.max(0, ...tasks.keys()) + 1;
+
+		for (let task of tasks.values()) {
+			this._nextRuns.set(task.id, new CronSchedule(task.schedule).next(now));
+		}
+	}
+
+	/**
+	 * Add a task to the scheduler
+	 *
+	 * @param {object} task - Task to add, the id must not be in use.
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 * @throws {Error} if the schedule of the task is not valid.
+	 */
+	add(task, now = Date.now()) {
+		let nextRun = new CronSchedule(task.schedule).next(now);
+		this.tasks.set(task.id, task);
+		this._nextRuns.set(task.id, nextRun);
+		this.nextId = Math.max(this.nextId, task.id + 1);
+	}
+
+	/**
+	 * Remove a task from the scheduler
+	 *
+	 * @param {number} id - ID of the task to remove.
+	 * @returns {boolean} true if the task existed.
+	 */
+	remove(id) {
+		this._nextRuns.delete(id);
+		return this.tasks.delete(id);
+	}
+
+	/**
+	 * Time of next run of a task
+	 *
+	 * @param {number} id - ID of the task.
+	 * @returns {?number}
+	 *     time in milliseconds since the epoch of the next run, or null if
+	 *     the task will never run.
+	 */
+	nextRun(id) {
+		let nextRun = this._nextRuns.get(id);
+		return nextRun === undefined ? null : nextRun;
+	}
+
+	/**
+	 * Run all tasks that are due
+	 *
+	 * Tasks still running from a previous invocation are skipped.
+	 *
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 */
+	async runDue(now = Date.now()) {
+		let runs = [];
+		for (let task of this.tasks.values()) {
+			let nextRun = this._nextRuns.get(task.id);
+			if (nextRun === null || nextRun > now || this._running.has(task.id)) {
+				continue;
+			}
+
+			this._nextRuns.set(task.id, new CronSchedule(task.schedule).next(now));
+			this._running.add(task.id);
+			runs.push(this._run(task, now));
+		}
+		await Promise.all(runs);
+	}
+
+	async _run(task, now) {
+		try {
+			await this.runTask(task);
+			task.last_run_result = "ok";
+		} catch (err) {
+			task.last_run_result = `Error: ${err.message}`;
+		} finally {
+			task.last_run_time = now;
+			this._running.delete(task.id);
+		}
+	}
+
+	/**
+	 * Start checking for due tasks periodically
+	 *
+	 * @param {number} interval - Interval in milliseconds to check on.
+	 */
+	start(interval = 10000) {
+		this._intervalId = setInterval(() => {
+			this.runDue().catch(err => {
+				console.error("Unexpected error running scheduled tasks:", err);
+			});
+		}, interval);
+	}
+
+	/**
+	 * Stop checking for due tasks
+	 */
+	stop() {
+		clearInterval(this._intervalId);
+		this._intervalId = null;
+	}
+}
+
+module.exports = {
+	CronSchedule,
+	Scheduler,
+};
@@ -84,6 +84,8 @@ const serverHandshake = ajv.compile({
 					required: ["version", "plugins"],
 					properties: {
 						"version": { type: "string" },
+						"protocol_version": { type: "integer" },
+						"min_protocol_version": { type: "integer" },
 						"plugins": {
 							type: "object",
 							additionalProperties: { type: "string" },
@@ -97,10 +99,11 @@ const serverHandshake = ajv.compile({
 				"type": { const: "ready" },
 				"data": {
 					additionalProperties: false,
-					required: ["session_token", "heartbeat_interval"],
+					required: ["session_token", "heartbeat_interval", "protocol_version"],
 					properties: {
 						"session_token": { type: "string" },
 						"heartbeat_interval": { type: "number" },
+						"protocol_version": { type: "integer" },
 					},
 				},
 			},
@@ -149,6 +152,8 @@ const clientHandshake = ajv.compile({
 						"token": { type: "string" },
 						"agent": { type: "string" },
 						"version": { type: "string" },
+						"protocol_version": { type: "integer" },
+						"min_protocol_version": { type: "integer" },
 						"name": { type: "string" },
 						"id": { type: "integer" },
 						"plugins": {
@@ -169,6 +174,8 @@ const clientHandshake = ajv.compile({
 						"token": { type: "string" },
 						"agent": { type: "string" },
 						"version": { type: "string" },
+						"protocol_version": { type: "integer" },
+						"min_protocol_version": { type: "integer" },
 					},
 				},
 			},
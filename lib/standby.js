@@ -0,0 +1,270 @@
+/**
+ * Standby mode for the master server
+ *
+ * A standby master connects to the leader master as a control client and
+ * periodically replicates the leader's database, including the data
+ * plugins provide through the onBackup hook, as a backup zip stored in
+ * its own database directory.  The standby does not serve the cluster
+ * while the leader is reachable.  Once the leader has been unreachable
+ * for longer than the failover timeout the last replica received is
+ * restored and the standby takes over as the leader.
+ *
+ * @module
+ */
+"use strict";
+const events = require("events");
+const fs = require("fs-extra");
+const path = require("path");
+
+const link = require("lib/link");
+
+
+/**
+ * Agent name standby masters connect to the leader with
+ * @static
+ */
+const agentName = "Clusterio Standby Master";
+
+/**
+ * Name of the replica stored in the database directory of the standby
+ * @static
+ */
+const replicaFile = "standby-replica.zip";
+
+
+/**
+ * Connector for the connection from a standby to the leader master
+ *
+ * Keeps reconnecting to the leader for as long as the standby runs.
+ * @extends module:lib/link.WebSocketClientConnector
+ */
+class LeaderConnector extends link.WebSocketClientConnector {
+	constructor(url, reconnectDelay, token, version) {
+		super(url, reconnectDelay);
+		this._token = token;
+		this._version = version;
+		this._timeout = Infinity;
+	}
+
+	register() {
+		console.log("SOCKET | registering standby master");
+		this.sendHandshake("register_control", {
+			token: this._token,
+			agent: agentName,
+			version: this._version,
+			protocol_version: link.protocolVersion,
+			min_protocol_version: link.minProtocolVersion,
+		});
+	}
+}
+
+/**
+ * Link from a standby to the leader master
+ * @extends module:lib/link.Link
+ */
+class LeaderLink extends link.Link {
+	constructor(connector) {
+		super("control", "master", connector);
+		let names = ["prepareDisconnect", "replicateMaster", "streamData", "streamEnd", "streamAck", "streamAbort"];
+		for (let name of names) {
+			let message = link.messages[name];
+			message.attach(this, this[`${name}${message.constructor.name}Handler`]);
+		}
+	}
+}
+
+/**
+ * Standby replicating from a leader master
+ *
+ * Emits replicated with the time the replica was taken each time the
+ * database of the leader has been replicated.
+ * @extends events.EventEmitter
+ * @static
+ */
+class Standby extends events.EventEmitter {
+
+	/**
+	 * Create standby
+	 *
+	 * @param {Object} options - Options for the standby.
+	 * @param {string} options.url - URL of the leader master.
+	 * @param {string} options.token - Token to authenticate to the leader with.
+	 * @param {string} options.databaseDirectory -
+	 *     Database directory to store the replica in.
+	 * @param {number} options.replicationInterval -
+	 *     Seconds between replications of the database.
+	 * @param {number} options.failoverTimeout -
+	 *     Seconds the leader has to be unreachable for before taking over.
+	 * @param {string} options.version - Version of Clusterio running.
+	 * @param {number=} options.reconnectDelay -
+	 *     Maximum seconds to wait before reconnecting to the leader.
+	 * @param {module:lib/link.WebSocketClientConnector=} options.connector -
+	 *     Connector to use instead of connecting to the url given.
+	 */
+	constructor({
+		url, token, databaseDirectory, replicationInterval, failoverTimeout, version,
+		reconnectDelay = 5, connector = null,
+	}) {
+		super();
+		this.databaseDirectory = databaseDirectory;
+		this.replicationInterval = replicationInterval;
+		this.failoverTimeout = failoverTimeout;
+
+		this.connector = connector || new LeaderConnector(url, reconnectDelay, token, version);
+		this.link = new LeaderLink(this.connector);
+
+		this.connected = false;
+
+		/**
+		 * Time the leader was last seen reachable in ms since the epoch.
+		 * @type {number}
+		 */
+		this.lastContact = Date.now();
+
+		/**
+		 * Time of the last replication in ms since the epoch.
+		 * @type {?number}
+		 */
+		this.lastReplication = null;
+
+		this._stopped = false;
+		this._wakeup = null;
+
+		this.connector.on("connect", () => {
+			this.connected = true;
+			this._wake();
+		});
+		for (let event of ["drop", "close", "invalidate"]) {
+			this.connector.on(event, () => {
+				if (this.connected) {
+					console.log("Standby | Lost connection to the leader");
+				}
+				this.connected = false;
+				this.lastContact = Date.now();
+				this._wake();
+			});
+		}
+		this.connector.on("error", err => {
+			console.error(`Standby | Error connecting to the leader: ${err.message}`);
+		});
+	}
+
+	/**
+	 * Path to the replica of the leader's database
+	 * @type {string}
+	 */
+	get replicaPath() {
+		return path.join(this.databaseDirectory, replicaFile);
+	}
+
+	/**
+	 * Replicate the database of the leader
+	 *
+	 * Writes the replica received into the database directory.
+	 */
+	async replicate() {
+		let response = await link.messages.replicateMaster.send(this.link);
+		let incoming = this.link.acceptStream(response.stream_id);
+		let chunks = [];
+		incoming.on("data", chunk => chunks.push(chunk));
+		await events.once(incoming, "end");
+
+		let tempPath = `${this.replicaPath}.tmp`;
+		await fs.outputFile(tempPath, Buffer.concat(chunks));
+		await fs.rename(tempPath, this.replicaPath);
+		this.lastReplication = Date.now();
+		this.emit("replicated", this.lastReplication);
+	}
+
+	_wake() {
+		if (this._wakeup) {
+			this._wakeup();
+		}
+	}
+
+	async _sleep(ms) {
+		if (this._stopped) {
+			return;
+		}
+		await new Promise(resolve => {
+			let timeoutId = setTimeout(resolve, ms);
+			this._wakeup = () => {
+				clearTimeout(timeoutId);
+				resolve();
+			};
+		});
+		this._wakeup = null;
+	}
+
+	/**
+	 * Run the standby until it takes over or is stopped
+	 *
+	 * Replicates from the leader while connected to it.  Taking over is
+	 * only done if there is a replica to take over with, either from this
+	 * run or a previous one.
+	 *
+	 * @returns {?string}
+	 *     path to the replica to take over with, or null if stopped.
+	 */
+	async run() {
+		this.connector.connect().catch(() => {});
+		while (!this._stopped) {
+			if (this.connected) {
+				this.lastContact = Date.now();
+				let due = this.lastReplication === null
+					|| Date.now() - this.lastReplication >= this.replicationInterval * 1000;
+				if (due) {
+					try {
+						await this.replicate();
+					} catch (err) {
+						console.error(`Standby | Error replicating from the leader: ${err.message}`);
+					}
+				}
+
+			} else if (Date.now() - this.lastContact >= this.failoverTimeout * 1000) {
+				if (await fs.pathExists(this.replicaPath)) {
+					await this._disconnect();
+					return this.replicaPath;
+				}
+				console.log("Standby | Leader is unreachable, but there is no replica to take over with");
+				this.lastContact = Date.now();
+			}
+
+			await this._sleep(1000);
+		}
+
+		await this._disconnect();
+		return null;
+	}
+
+	async _disconnect() {
+		if (this.connected) {
+			try {
+				await link.messages.prepareDisconnect.send(this.link);
+			} catch (err) {
+				// Leader may already be gone.
+			}
+			this.connected = false;
+		}
+		await this.connector.close(1001, "Standby Quit");
+	}
+
+	/**
+	 * Stop the standby
+	 *
+	 * Causes {@link module:lib/standby.Standby#run} to return null.
+	 */
+	stop() {
+		this._stopped = true;
+		this._wake();
+	}
+}
+
+
+module.exports = {
+	agentName,
+	replicaFile,
+	LeaderConnector,
+	LeaderLink,
+	Standby,
+};
@@ -136,7 +136,7 @@ function ensureDefaultPlayerRole(roles) {
  * @static
  */
 class User {
-	constructor({ name, roles, tokenValidAfter }, loadedRoles) {
+	constructor({ name, roles, tokenValidAfter, muted }, loadedRoles) {
 		/**
 		 * Factorio user name.
 		 * @type {string}
@@ -155,6 +155,12 @@ class User {
 		 */
 		this.tokenValidAfter = tokenValidAfter || 0;
 
+		/**
+		 * True if chat from this user is not shared between instances.
+		 * @type {boolean}
+		 */
+		this.muted = Boolean(muted);
+
 		/**
 		 * Roles this user has
 		 * @type {Set<module:lib/permissions.Role>}
@@ -180,6 +186,10 @@ class User {
 			serialized.tokenValidAfter = this.tokenValidAfter;
 		}
 
+		if (this.muted) {
+			serialized.muted = true;
+		}
+
 		return serialized;
 	}
 
@@ -266,6 +276,16 @@ definePermission({
 	title: "Generate slave token",
 	description: "Generate tokens for slaves to connect to the cluster with.",
 });
+definePermission({
+	name: "core.slave.revoke_token",
+	title: "Revoke slave token",
+	description: "Revoke the tokens issued to a slave and disconnect it from the cluster.",
+});
+definePermission({
+	name: "core.slave.rotate_token",
+	title: "Rotate slave token",
+	description: "Replace the tokens issued to a slave with a new token sent to the slave.",
+});
 definePermission({
 	name: "core.slave.create_config",
 	title: "Create slave config",
@@ -298,16 +318,56 @@ definePermission({
 	title: "Assign instance",
 	description: "Assign or reassign instances to a slave.",
 });
+definePermission({
+	name: "core.instance.migrate",
+	title: "Migrate instance",
+	description: "Move instances and their saves and mods to another slave.",
+});
 definePermission({
 	name: "core.instance.follow_log",
 	title: "Follow instance log",
 	description: "Listen for the stdout log of instances.",
 });
+definePermission({
+	name: "core.instance.read_log",
+	title: "Read instance log",
+	description: "Read the stored output history of instances.",
+});
 definePermission({
 	name: "core.instance.create_save",
 	title: "Create new instance save",
 	description: "Create new savegames on instances.",
 });
+definePermission({
+	name: "core.instance.save.list",
+	title: "List saves",
+	description: "List the savegames stored on instances.",
+});
+definePermission({
+	name: "core.instance.save.rename",
+	title: "Rename save",
+	description: "Rename savegames stored on instances.",
+});
+definePermission({
+	name: "core.instance.save.copy",
+	title: "Copy save",
+	description: "Make copies of savegames stored on instances.",
+});
+definePermission({
+	name: "core.instance.save.delete",
+	title: "Delete save",
+	description: "Delete savegames stored on instances.",
+});
+definePermission({
+	name: "core.instance.save.download",
+	title: "Download save",
+	description: "Download savegames stored on instances.",
+});
+definePermission({
+	name: "core.instance.save.upload",
+	title: "Upload save",
+	description: "Upload savegames to instances, replacing existing saves with the same name.",
+});
 definePermission({
 	name: "core.instance.export_data",
 	title: "Export locale and icons",
@@ -339,6 +399,22 @@ definePermission({
 	description: "Send arbitrary RCON commands to instances.",
 });
 
+definePermission({
+	name: "core.backup.create",
+	title: "Create backup",
+	description: "Create backups of the master database.",
+});
+definePermission({
+	name: "core.backup.list",
+	title: "List backups",
+	description: "List the backups of the master database.",
+});
+definePermission({
+	name: "core.backup.replicate",
+	title: "Replicate database",
+	description: "Download the master database and auth secret for replication to a standby master.",
+});
+
 definePermission({
 	name: "core.permission.list",
 	title: "List permissions",
@@ -389,6 +465,22 @@ definePermission({
 	description: "Delete users and all data stored for them.",
 });
 
+definePermission({
+	name: "core.schedule.list",
+	title: "List scheduled tasks",
+	description: "Get the full list of scheduled tasks in the cluster.",
+});
+definePermission({
+	name: "core.schedule.create",
+	title: "Create scheduled task",
+	description: "Schedule actions to run on instances.  Also requires the permission for the action scheduled.",
+});
+definePermission({
+	name: "core.schedule.delete",
+	title: "Delete scheduled task",
+	description: "Delete scheduled tasks.",
+});
+
 definePermission({
 	name: "core.debug.dump_ws",
 	title: "Dump WebSocket",
@@ -37,6 +37,9 @@ let masterConfigPath;
 let stopAcceptingNewSessions = false;
 let debugEvents = new events.EventEmitter();
 let pluginList = {};
+let instanceLogPruneId = null;
+let backupIntervalId = null;
+let standbyMaster = null;
 
 // homebrew modules
 const generateSSLcert = require("lib/generateSSLcert");
@@ -48,6 +51,9 @@ const plugin = require("lib/plugin");
 const prometheus = require("lib/prometheus");
 const config = require("lib/config");
 const users = require("lib/users");
+const schedule = require("lib/schedule");
+const backup = require("lib/backup");
+const standby = require("lib/standby");
 
 const express = require("express");
 const compression = require("compression");
@@ -82,7 +88,6 @@ app.use(function(req, res, next){
 	res.locals.res = res;
 	res.locals.req = req;
 	res.locals.masterPlugins = masterPlugins;
-	res.locals.slaves = db.slaves;
 	res.locals.moment = moment;
 	next();
 });
@@ -182,7 +187,7 @@ function validateSlaveToken(req, res, next) {
 	}
 
 	try {
-		jwt.verify(token, masterConfig.get("master.auth_secret"), { audience: "slave" });
+		authenticateSlaveToken(token);
 
 	} catch (err) {
 		res.sendStatus(401);
@@ -192,6 +197,59 @@ function validateSlaveToken(req, res, next) {
 	next();
 }
 
+/**
+ * Authenticate a slave token
+ *
+ * Verifies that the given token is a valid slave token that has not been
+ * revoked.
+ *
+ * @param {string} token - JWT slave token to verify.
+ * @returns {number} the id of the slave the token was issued for.
+ * @throws {Error} if the token is not valid.
+ */
+function authenticateSlaveToken(token) {
+	let tokenPayload = jwt.verify(
+		token,
+		masterConfig.get("master.auth_secret"),
+		{ audience: "slave" }
+	);
+
+	let slave = db.slaves.get(tokenPayload.slave);
+	if (slave && tokenPayload.iat <= (slave.tokenValidAfter || 0)) {
+		throw new Error("token revoked");
+	}
+	return tokenPayload.slave;
+}
+
+/**
+ * Authenticate a user token
+ *
+ * Verifies that the given token is a valid user token that has not been
+ * invalidated and that the user it was issued for is allowed to connect
+ * to the control interface.
+ *
+ * @param {string} token - JWT user token to verify.
+ * @returns {module:lib/users.User} the user the token was issued for.
+ * @throws {Error} if the token or user is not valid.
+ */
+function authenticateUserToken(token) {
+	let tokenPayload = jwt.verify(
+		token,
+		masterConfig.get("master.auth_secret"),
+		{ audience: "user" }
+	);
+
+	let user = db.users.get(tokenPayload.user);
+	if (!user) {
+		throw new Error("invalid user");
+	}
+	if (tokenPayload.iat < user.tokenValidAfter) {
+		throw new Error("invalid token");
+	}
+	user.checkPermission("core.control.connect");
+	return user;
+}
+
 // Handle an uploaded export package.
 async function uploadExport(req, res, next) {
 	endpointHitCounter.labels(req.route.path).inc();
@@ -232,6 +290,208 @@ app.put("/api/upload-export",
 	(req, res, next) => uploadExport(req, res, next).catch(next)
 );
 
+/**
+ * Files being streamed through the master
+ *
+ * Transfers of files between slaves and control clients are relayed
+ * through the master without being stored on it.  Each transfer is
+ * identified by a random id given to both ends, which acts as the
+ * credential for connecting to it.  The sending end uploads the file with
+ * a PUT to /api/stream/:id and the receiving end downloads it with a GET.
+ */
+const pendingStreams = new Map();
+const pendingStreamTimeout = 60 * 1000;
+
+/**
+ * Create a stream for relaying a file through the master
+ *
+ * @param {string} filename - Name of the file given to the receiver.
+ * @returns {Object} the stream created.
+ */
+function createStream(filename) {
+	let stream = {
+		id: crypto.randomBytes(16).toString("hex"),
+		filename,
+		source: null,
+		sink: null,
+		error: null,
+		// Promise for the request sent to the slave if it is the receiver.
+		received: null,
+	};
+	stream.timeout = setTimeout(() => {
+		failStream(stream, new Error("Timed out waiting for the other end of the stream"));
+	}, pendingStreamTimeout);
+	pendingStreams.set(stream.id, stream);
+	return stream;
+}
+
+function sendStreamError(res, err) {
+	res.status(err instanceof errors.RequestError ? 400 : 500).type("text/plain").send(err.message);
+}
+
+/**
+ * Fail a stream that has not been connected yet
+ *
+ * Responds with the error to the ends that have connected.  The stream
+ * is kept around for a while so that an end connecting late also gets
+ * the error.
+ *
+ * @param {Object} stream - Stream to fail.
+ * @param {Error} err - Reason for the failure.
+ */
+function failStream(stream, err) {
+	if (pendingStreams.get(stream.id) !== stream || stream.error) {
+		return;
+	}
+
+	stream.error = err;
+	if (stream.source) {
+		stream.source.req.resume();
+		sendStreamError(stream.source.res, err);
+	}
+	if (stream.sink) {
+		sendStreamError(stream.sink, err);
+	}
+
+	clearTimeout(stream.timeout);
+	stream.timeout = setTimeout(() => { pendingStreams.delete(stream.id); }, pendingStreamTimeout);
+}
+
+/**
+ * Start relaying the file from the sending end to the receiving end
+ *
+ * If either end goes away before the whole file is transferred the other
+ * end is failed too, instead of waiting on a transfer that never completes.
+ *
+ * @param {Object} stream - Stream with both ends connected.
+ */
+function connectStream(stream) {
+	clearTimeout(stream.timeout);
+	pendingStreams.delete(stream.id);
+
+	let { req, fail } = stream.source;
+	let sink = stream.sink;
+	sink.on("close", () => {
+		if (!sink.writableFinished) {
+			req.unpipe(sink);
+			fail(new Error("Receiving end of the stream closed before the transfer completed"));
+		}
+	});
+	req.on("close", () => {
+		if (!req.complete) {
+			sink.destroy();
+		}
+	});
+
+	sink.attachment(stream.filename);
+	req.pipe(sink);
+}
+
+async function putStream(req, res) {
+	endpointHitCounter.labels(req.route.path).inc();
+	let stream = pendingStreams.get(req.params.id);
+	if (!stream || stream.source) {
+		res.sendStatus(404);
+		return;
+	}
+
+	let ended = new Promise((resolve, reject) => {
+		req.once("end", resolve);
+		req.once("error", reject);
+		stream.source = { req, res, fail: reject };
+	});
+	if (stream.error) {
+		req.resume();
+		sendStreamError(res, stream.error);
+		return;
+	}
+
+	if (stream.sink) {
+		connectStream(stream);
+	}
+
+	try {
+		await ended;
+		if (stream.received) {
+			await stream.received;
+		}
+	} catch (err) {
+		if (!res.headersSent) {
+			sendStreamError(res, err);
+		}
+		// Stop receiving the rest of a file that has nowhere to go.
+		if (!req.complete) {
+			if (res.writableFinished) {
+				req.destroy();
+			} else {
+				res.once("finish", () => req.destroy());
+			}
+		}
+		return;
+	}
+
+	if (!res.headersSent) {
+		res.sendStatus(200);
+	}
+}
+
+function getStream(req, res) {
+	endpointHitCounter.labels(req.route.path).inc();
+	let stream = pendingStreams.get(req.params.id);
+	if (!stream || stream.sink) {
+		res.sendStatus(404);
+		return;
+	}
+
+	stream.sink = res;
+	if (stream.error) {
+		sendStreamError(res, stream.error);
+		return;
+	}
+
+	if (stream.source) {
+		connectStream(stream);
+	}
+}
+
+app.put("/api/stream/:id", (req, res, next) => putStream(req, res).catch(next));
+app.get("/api/stream/:id", getStream);
+
+const masterReplicationsCounter = new prometheus.Counter(
+	"clusterio_master_replications_total",
+	"How many times the database has been replicated to a standby master server"
+);
+
+const masterFailoversCounter = new prometheus.Counter(
+	"clusterio_master_failovers_total",
+	"How many times this master server has taken over from the leader it was a standby for"
+);
+
+const masterStandbyCount = new prometheus.Gauge(
+	"clusterio_master_standby_count",
+	"How many standby master servers are replicating from this master server",
+	{
+		callback: async function(gauge) {
+			gauge.set(controlConnections.filter(connection => connection._agent === standby.agentName).length);
+		},
+	},
+);
+
+const masterIsLeaderGauge = new prometheus.Gauge(
+	"clusterio_master_is_leader",
+	"1 if this master server is serving the cluster, 0 if it's a standby",
+	{
+		callback: async function(gauge) {
+			gauge.set(standbyMaster ? 0 : 1);
+		},
+	},
+);
+
+const masterLastReplicationGauge = new prometheus.Gauge(
+	"clusterio_master_last_replication_timestamp_seconds",
+	"Unix time in seconds the database of the leader was last replicated to this standby master server"
+);
+
 const masterConnectedClientsCount = new prometheus.Gauge(
 	"clusterio_master_connected_clients_count", "How many clients are currently connected to this master server",
 	{
@@ -263,18 +523,10 @@ async function loadInstances(databaseDirectory, file) {
 	console.log(`Loading ${filePath}`);
 
 	let instances = new Map();
-	try {
-		let serialized = JSON.parse(await fs.readFile(filePath));
-		for (let serializedConfig of serialized) {
-			let instanceConfig = new config.InstanceConfig();
-			await instanceConfig.load(serializedConfig);
-			instances.set(instanceConfig.get("instance.id"), { config: instanceConfig });
-		}
-
-	} catch (err) {
-		if (err.code !== "ENOENT") {
-			throw err;
-		}
+	for (let serializedConfig of await database.loadJson(filePath, [])) {
+		let instanceConfig = new config.InstanceConfig();
+		await instanceConfig.load(serializedConfig);
+		instances.set(instanceConfig.get("instance.id"), { config: instanceConfig });
 	}
 
 	return instances;
@@ -283,8 +535,8 @@ async function loadInstances(databaseDirectory, file) {
 async function loadUsers(databaseDirectory, file) {
 	let loadedRoles = new Map();
 	let loadedUsers = new Map();
-	try {
-		let content = JSON.parse(await fs.readFile(path.join(databaseDirectory, file)));
+	let content = await database.loadJson(path.join(databaseDirectory, file), null);
+	if (content) {
 		for (let serializedRole of content.roles) {
 			let role = new users.Role(serializedRole);
 			loadedRoles.set(role.id, role);
@@ -295,12 +547,8 @@ async function loadUsers(databaseDirectory, file) {
 			loadedUsers.set(user.name, user);
 		}
 
-	} catch (err) {
-		if (err.code !== "ENOENT") {
-			throw err;
-		}
-
-		// Create default roles if loading failed
+	} else {
+		// Create default roles if the file does not exist
 		users.ensureDefaultAdminRole(loadedRoles);
 		users.ensureDefaultPlayerRole(loadedRoles);
 	}
@@ -325,6 +573,7 @@ function createUser(name) {
 	let defaultRoleId = masterConfig.get("master.default_role_id");
 	let user = new users.User({ name, roles: [defaultRoleId] }, db.roles);
 	db.users.set(name, user);
+	markDirty("users.json");
 	return user;
 }
 
@@ -337,22 +586,23 @@ function createUser(name) {
  */
 async function saveMap(databaseDirectory, file, map) {
 	let databasePath = path.resolve(databaseDirectory, file);
-	console.log(`Saving ${databasePath}`);
 	await database.saveMapAsJsonArray(databasePath, map);
 }
 
-async function saveInstances(databaseDirectory, file, instances) {
-	let filePath = path.join(databaseDirectory, file);
+function serializeInstances(instances) {
 	let serialized = [];
 	for (let instance of instances.values()) {
 		serialized.push(instance.config.serialize());
 	}
-
-	await fs.outputFile(filePath, JSON.stringify(serialized, null, 4));
+	return serialized;
 }
 
-async function saveUsers(databaseDirectory, file) {
+async function saveInstances(databaseDirectory, file, instances) {
 	let filePath = path.join(databaseDirectory, file);
+	await database.writeFileAtomic(filePath, JSON.stringify(serializeInstances(instances), null, 4));
+}
+
+function serializeUsers() {
 	let serializedRoles = [];
 	for (let role of db.roles.values()) {
 		serializedRoles.push(role.serialize());
@@ -363,11 +613,129 @@ async function saveUsers(databaseDirectory, file) {
 		serializedUsers.push(user.serialize());
 	}
 
-	let serialized = {
+	return {
 		users: serializedUsers,
 		roles: serializedRoles,
 	};
-	await fs.outputFile(filePath, JSON.stringify(serialized, null, 4));
+}
+
+function serializeSchedule() {
+	return {
+		next_id: db.scheduler.nextId,
+		tasks: [...db.scheduler.tasks.values()],
+	};
+}
+
+async function saveSchedule(databaseDirectory, file) {
+	let filePath = path.join(databaseDirectory, file);
+	await database.writeFileAtomic(filePath, JSON.stringify(serializeSchedule(), null, 4));
+}
+
+async function saveUsers(databaseDirectory, file) {
+	let filePath = path.join(databaseDirectory, file);
+	await database.writeFileAtomic(filePath, JSON.stringify(serializeUsers(), null, 4));
+}
+
+// Savers for the files of the master database, set up on startup.
+const autosavers = new Map();
+
+/**
+ * Create the savers for the files of the master database
+ *
+ * @param {string} databaseDirectory - Path to master database directory.
+ */
+function createAutosavers(databaseDirectory) {
+	let saves = [
+		["slaves.json", () => saveMap(databaseDirectory, "slaves.json", db.slaves)],
+		["instances.json", () => saveInstances(databaseDirectory, "instances.json", db.instances)],
+		["users.json", () => saveUsers(databaseDirectory, "users.json")],
+		["schedule.json", () => saveSchedule(databaseDirectory, "schedule.json")],
+	];
+	for (let [file, save] of saves) {
+		autosavers.set(file, new database.AutoSaver(file, save));
+	}
+}
+
+/**
+ * Mark a file of the master database as changed
+ *
+ * Schedules the file to be saved shortly.
+ *
+ * @param {string} file - Name of the file that changed.
+ */
+function markDirty(file) {
+	let saver = autosavers.get(file);
+	if (saver) {
+		saver.markDirty();
+	}
+}
+
+/**
+ * Collect the files making up the master database for a backup
+ *
+ * Serializes the core database and invokes the onBackup hook of plugins
+ * to get their data.
+ *
+ * @returns {Object}
+ *     files mapping of file name to content and plugins mapping of plugin
+ *     name to the file names it contributed.
+ */
+async function collectBackupFiles() {
+	let files = new Map([
+		["slaves.json", JSON.stringify([...db.slaves.values()], null, 4)],
+		["instances.json", JSON.stringify(serializeInstances(db.instances), null, 4)],
+		["users.json", JSON.stringify(serializeUsers(), null, 4)],
+		["schedule.json", JSON.stringify(serializeSchedule(), null, 4)],
+	]);
+
+	let plugins = {};
+	for (let [name, masterPlugin] of masterPlugins) {
+		let pluginFiles = await masterPlugin.onBackup();
+		if (!pluginFiles) {
+			continue;
+		}
+
+		plugins[name] = Object.keys(pluginFiles);
+		for (let [fileName, content] of Object.entries(pluginFiles)) {
+			if (files.has(fileName)) {
+				throw new Error(`Backup file ${fileName} from plugin ${name} is already in use`);
+			}
+			files.set(fileName, content);
+		}
+	}
+
+	return { files, plugins };
+}
+
+/**
+ * Create a backup of the master database
+ *
+ * Writes the backup to the backup directory and removes the oldest
+ * backups exceeding the configured max count.
+ *
+ * @returns {string} name of the backup created.
+ */
+async function createMasterBackup() {
+	let { files, plugins } = await collectBackupFiles();
+	let content = await backup.createBackup(files, { version, created: Date.now(), plugins });
+
+	let directory = masterConfig.get("master.backup_directory");
+	let name = await backup.writeBackup(directory, content);
+	console.log(`Clusterio | Created backup ${name}`);
+
+	for (let removed of await backup.rotateBackups(directory, masterConfig.get("master.backup_max_count"))) {
+		console.log(`Clusterio | Removed old backup ${removed}`);
+	}
+	return name;
+}
+
+function createInstanceLog() {
+	let maxAge = masterConfig.get("master.instance_log_max_age");
+	return new database.InstanceLog(
+		path.join(masterConfig.get("master.database_directory"), "instance_logs"),
+		maxAge === null ? null : maxAge * 24 * 60 * 60 * 1000,
+		masterConfig.get("master.instance_log_max_entries")
+	);
 }
 
 /**
@@ -376,13 +744,22 @@ async function saveUsers(databaseDirectory, file) {
 async function shutdown() {
 	console.log("Shutting down");
 	let exitStartTime = Date.now();
+	if (standbyMaster) {
+		standbyMaster.stop();
+		return;
+	}
+
 	try {
 		console.log("Saving configs");
 		await fs.outputFile(masterConfigPath, JSON.stringify(masterConfig.serialize(), null, 4));
 
-		await saveMap(masterConfig.get("master.database_directory"), "slaves.json", db.slaves);
-		await saveInstances(masterConfig.get("master.database_directory"), "instances.json", db.instances);
-		await saveUsers(masterConfig.get("master.database_directory"), "users.json");
+		clearInterval(instanceLogPruneId);
+		clearInterval(backupIntervalId);
+		db.scheduler.stop();
+		console.log("Saving database");
+		for (let saver of autosavers.values()) {
+			await saver.stop();
+		}
 
 		await plugin.invokeHook(masterPlugins, "onShutdown");
 
@@ -415,11 +792,8 @@ async function shutdown() {
 			socket.close(1001, "Server Quit");
 		}
 
-		let stopTasks = [];
 		console.log("Stopping HTTP(S) server");
-		if (httpServer) { stopTasks.push(new Promise(resolve => httpServer.close(resolve))); }
-		if (httpsServer) { stopTasks.push(new Promise(resolve => httpsServer.close(resolve))); }
-		await Promise.all(stopTasks);
+		await stopListening();
 
 		console.log(`Clusterio cleanly exited in ${Date.now() - exitStartTime}ms`);
 
@@ -454,6 +828,123 @@ app.get("/api/modmeta", async function(req, res) {
 });
 
 
+/**
+ * Send a request to the instance given by the instance_id in data
+ *
+ * @param {module:lib/link.Request} request - Request to send.
+ * @param {Object} data - Data to send with the request.
+ * @param {Object} options -
+ *     Options passed to {@link module:lib/link.Request#send}.
+ * @returns {Promise<Object>} the response data from the instance.
+ * @throws {module:lib/errors.RequestError} if the instance is not reachable.
+ */
+async function sendRequestToInstance(request, data, options) {
+	let instance = db.instances.get(data.instance_id);
+	if (!instance) {
+		throw new errors.RequestError(`Instance with ID ${data.instance_id} does not exist`);
+	}
+
+	let slaveId = instance.config.get("instance.assigned_slave");
+	if (slaveId === null) {
+		throw new errors.RequestError("Instance is not assigned to a slave");
+	}
+
+	let connection = slaveConnections.get(slaveId);
+	if (!connection) {
+		throw new errors.RequestError("Slave containing instance is not connected");
+	}
+	if (request.plugin && !connection.plugins.has(request.plugin)) {
+		throw new errors.RequestError(`Slave containing instance does not have ${request.plugin} plugin`);
+	}
+
+	return await request.send(connection, data, options);
+}
+
+/**
+ * Transfer a file in an instance directory from one slave to another
+ *
+ * @param {module:master~SlaveConnection} source - Slave to send file from.
+ * @param {module:master~SlaveConnection} target - Slave to send file to.
+ * @param {number} instanceId - ID of instance the file belongs to.
+ * @param {string} directory - Directory of instance the file is in.
+ * @param {string} name - Name of the file.
+ */
+async function transferInstanceFile(source, target, instanceId, directory, name) {
+	let stream = createStream(name);
+	let data = { instance_id: instanceId, directory, name, stream_id: stream.id };
+	let push = link.messages.pushInstanceFile.send(source, data);
+	let pull = link.messages.pullInstanceFile.send(target, data);
+	push.catch(err => failStream(stream, err));
+	pull.catch(err => failStream(stream, err));
+	await Promise.all([push, pull]);
+}
+
+// IDs of instances currently being migrated.
+const migratingInstances = new Set();
+
+/**
+ * Requests scheduled tasks can perform and the request property their
+ * argument is passed as.
+ */
+const scheduledTaskActions = new Map([
+	["start", [link.messages.startInstance, "save"]],
+	["stop", [link.messages.stopInstance, null]],
+	["create_save", [link.messages.createSave, null]],
+	["load_scenario", [link.messages.loadScenario, "scenario"]],
+	["send_rcon", [link.messages.sendRcon, "command"]],
+	["export_data", [link.messages.exportData, null]],
+]);
+
+async function runScheduledTask(task) {
+	let [request, argumentName] = scheduledTaskActions.get(task.action);
+	let data = { instance_id: task.instance_id };
+	if (argumentName) {
+		data[argumentName] = task.argument;
+	}
+	await sendRequestToInstance(request, data);
+}
+
+function createScheduler(tasks) {
+	return new schedule.Scheduler(tasks, async task => {
+		console.log(`Clusterio | Running scheduled task ${task.id} (${task.action} on instance ${task.instance_id})`);
+		try {
+			await runScheduledTask(task);
+		} catch (err) {
+			console.error(`Clusterio | Scheduled task ${task.id} failed: ${err.message}`);
+			throw err;
+		} finally {
+			// The scheduler stores the result of the run in the task.
+			markDirty("schedule.json");
+		}
+	});
+}
+
+/**
+ * Load the scheduled tasks and create the scheduler for them
+ *
+ * @param {string} databaseDirectory - Path to master database directory.
+ * @param {string} file - Name of file to load.
+ * @returns {module:lib/schedule.Scheduler} scheduler with the tasks loaded.
+ */
+async function loadSchedule(databaseDirectory, file) {
+	let filePath = path.join(databaseDirectory, file);
+	console.log(`Loading ${filePath}`);
+
+	let content = await database.loadJson(filePath, { next_id: 1, tasks: [] });
+	// Older versions stored only the list of tasks.
+	if (content instanceof Array) {
+		content = { next_id: 1, tasks: content };
+	}
+
+	let tasks = new Map();
+	for (let task of content.tasks) {
+		tasks.set(task.id, task);
+	}
+	let scheduler = createScheduler(tasks);
+	scheduler.nextId = Math.max(scheduler.nextId, content.next_id);
+	return scheduler;
+}
+
 /**
  * Base class for master server connections
  *
@@ -468,26 +959,8 @@ class BaseConnection extends link.Link {
 		}
 	}
 
-	async forwardRequestToInstance(message, request) {
-		let instance = db.instances.get(message.data.instance_id);
-		if (!instance) {
-			throw new errors.RequestError(`Instance with ID ${message.data.instance_id} does not exist`);
-		}
-
-		let slaveId = instance.config.get("instance.assigned_slave");
-		if (slaveId === null) {
-			throw new errors.RequestError("Instance is not assigned to a slave");
-		}
-
-		let connection = slaveConnections.get(slaveId);
-		if (!connection) {
-			throw new errors.RequestError("Slave containing instance is not connected");
-		}
-		if (request.plugin && !connection.plugins.has(request.plugin)) {
-			throw new errors.RequestError(`Slave containing instance does not have ${request.plugin} plugin`);
-		}
-
-		return await request.send(connection, message.data);
+	async forwardRequestToInstance(message, request, cancellation) {
+		return await sendRequestToInstance(request, message.data, { cancellation });
 	}
 
 	async forwardEventToInstance(message, event) {
@@ -572,23 +1045,83 @@ class ControlConnection extends BaseConnection {
 	async listSlavesRequestHandler(message) {
 		let list = [];
 		for (let slave of db.slaves.values()) {
+			// Slaves that have only had their tokens revoked.
+			if (!slave.agent) {
+				continue;
+			}
+
 			list.push({
 				agent: slave.agent,
 				version: slave.version,
 				id: slave.id,
 				name: slave.name,
 				connected: slaveConnections.has(slave.id),
+				warnings: slave.warnings || [],
 			});
 		}
 		return { list };
 	}
 
-	generateSlaveToken(slaveId) {
-		return jwt.sign({ aud: "slave", slave: slaveId }, masterConfig.get("master.auth_secret"));
+	// Tokens issued up to and including the second of tokenValidAfter are
+	// revoked, so a token issued within that second is dated after it.
+	generateSlaveToken(slaveId, validAfter = null) {
+		if (validAfter === null) {
+			let slave = db.slaves.get(slaveId);
+			validAfter = 0;
+			if (slave && slave.tokenValidAfter) {
+				validAfter = slave.tokenValidAfter;
+			}
+		}
+		let iat = Math.max(Math.floor(Date.now() / 1000), validAfter + 1);
+		return jwt.sign({ aud: "slave", slave: slaveId, iat }, masterConfig.get("master.auth_secret"));
 	}
 
 	async generateSlaveTokenRequestHandler(message) {
-		return { token: generateSlaveToken(message.data.slave_id) };
+		return { token: this.generateSlaveToken(message.data.slave_id) };
+	}
+
+	// Tokens may be leaked before the slave has ever connected, so
+	// revoking them for unknown slaves creates a record holding only the
+	// id and tokenValidAfter, which is kept when the slave registers.
+	getOrCreateSlaveRecord(slaveId) {
+		let slave = db.slaves.get(slaveId);
+		if (!slave) {
+			slave = { id: slaveId };
+			db.slaves.set(slaveId, slave);
+		}
+		return slave;
+	}
+
+	async revokeSlaveTokenRequestHandler(message) {
+		let slaveId = message.data.slave_id;
+		let slave = this.getOrCreateSlaveRecord(slaveId);
+		slave.tokenValidAfter = Math.floor(Date.now() / 1000);
+		markDirty("slaves.json");
+
+		let connection = slaveConnections.get(slaveId);
+		if (connection) {
+			console.log(`Clusterio | disconnecting slave ${slaveId} after revoking its token`);
+			await connection.disconnect(1008, "Slave token revoked");
+		}
+	}
+
+	async rotateSlaveTokenRequestHandler(message) {
+		let slaveId = message.data.slave_id;
+
+		// The old tokens are only revoked once the new token has been
+		// delivered, otherwise a failure would leave the slave locked out.
+		let validAfter = Math.floor(Date.now() / 1000);
+		let token = this.generateSlaveToken(slaveId, validAfter);
+		let updated = false;
+		let connection = slaveConnections.get(slaveId);
+		if (connection) {
+			await link.messages.updateSlaveToken.send(connection, { token });
+			updated = true;
+		}
+
+		this.getOrCreateSlaveRecord(slaveId).tokenValidAfter = validAfter;
+		markDirty("slaves.json");
+		return { token, updated };
 	}
 
 	async createSlaveConfigRequestHandler(message) {
@@ -612,10 +1145,15 @@ class ControlConnection extends BaseConnection {
 	async listInstancesRequestHandler(message) {
 		let list = [];
 		for (let instance of db.instances.values()) {
+			let slaveId = instance.config.get("instance.assigned_slave");
 			list.push({
 				id: instance.config.get("instance.id"),
 				name: instance.config.get("instance.name"),
-				assigned_slave: instance.config.get("instance.assigned_slave"),
+				assigned_slave: slaveId,
+				// The last known status is stale if the slave is not connected.
+				status: slaveConnections.has(slaveId) && instance.status || "unknown",
+				last_crash_time: instance.lastCrash ? instance.lastCrash.time : null,
+				last_crash_reason: instance.lastCrash ? instance.lastCrash.reason : null,
 			});
 		}
 		return { list };
@@ -631,18 +1169,106 @@ class ControlConnection extends BaseConnection {
 			throw new errors.RequestError(`Instance with ID ${instanceId} already exists`);
 		}
 		db.instances.set(instanceId, { config: instanceConfig });
+		markDirty("instances.json");
 	}
 
-	async deleteInstanceRequestHandler(message, request) {
+	async deleteInstanceRequestHandler(message, request, cancellation) {
 		let instance = db.instances.get(message.data.instance_id);
 		if (!instance) {
 			throw new errors.RequestError(`Instance with ID ${message.data.instance_id} does not exist`);
 		}
 
 		if (instance.config.get("instance.assigned_slave") !== null) {
-			await this.forwardRequestToInstance(message, request);
+			await this.forwardRequestToInstance(message, request, cancellation);
 		}
 		db.instances.delete(message.data.instance_id);
+		markDirty("instances.json");
+		await db.instanceLog.remove(message.data.instance_id);
+		for (let task of [...db.scheduler.tasks.values()]) {
+			if (task.instance_id === message.data.instance_id) {
+				db.scheduler.remove(task.id);
+				markDirty("schedule.json");
+			}
+		}
+	}
+
+	async listScheduledTasksRequestHandler(message) {
+		let list = [];
+		for (let task of db.scheduler.tasks.values()) {
+			list.push({ ...task, next_run_time: db.scheduler.nextRun(task.id) });
+		}
+		return { list };
+	}
+
+	async createScheduledTaskRequestHandler(message) {
+		let { instance_id, action, argument, schedule: expression } = message.data;
+		if (!db.instances.has(instance_id)) {
+			throw new errors.RequestError(`Instance with ID ${instance_id} does not exist`);
+		}
+
+		// Scheduling an action should not grant more access than performing it.
+		let [request, argumentName] = scheduledTaskActions.get(action);
+		this.user.checkPermission(request.permission);
+		if (argumentName === "save") {
+			// The save is optional when starting.
+		} else if (argumentName && argument === null) {
+			throw new errors.RequestError(`Action ${action} requires an argument`);
+		} else if (!argumentName && argument !== null) {
+			throw new errors.RequestError(`Action ${action} does not take an argument`);
+		}
+
+		let id = db.scheduler.nextId;
+		try {
+			db.scheduler.add({
+				id,
+				instance_id,
+				action,
+				argument,
+				schedule: expression,
+				last_run_time: null,
+				last_run_result: null,
+			});
+		} catch (err) {
+			throw new errors.RequestError(`Invalid schedule: ${err.message}`);
+		}
+		markDirty("schedule.json");
+		return { id };
+	}
+
+	async deleteScheduledTaskRequestHandler(message) {
+		if (!db.scheduler.remove(message.data.id)) {
+			throw new errors.RequestError(`Scheduled task with ID ${message.data.id} does not exist`);
+		}
+		markDirty("schedule.json");
+	}
+
+	async downloadSaveRequestHandler(message) {
+		let { instance_id, save } = message.data;
+		let stream = createStream(save);
+		sendRequestToInstance(link.messages.pushInstanceFile, {
+			instance_id, directory: "saves", name: save, stream_id: stream.id,
+		}).catch(err => failStream(stream, err));
+		return { stream_id: stream.id };
+	}
+
+	async uploadSaveRequestHandler(message) {
+		let { instance_id, save } = message.data;
+		let stream = createStream(save);
+		stream.received = sendRequestToInstance(link.messages.pullInstanceFile, {
+			instance_id, directory: "saves", name: save, stream_id: stream.id,
+		});
+		stream.received.catch(err => failStream(stream, err));
+		return { stream_id: stream.id };
+	}
+
+	async getInstanceLogRequestHandler(message) {
+		let { instance_id, ...options } = message.data;
+		if (!db.instances.has(instance_id)) {
+			throw new errors.RequestError(`Instance with ID ${instance_id} does not exist`);
+		}
+
+		let { entries, total } = await db.instanceLog.query(instance_id, options);
+		return { log: entries, total };
 	}
 
 	async getInstanceConfigRequestHandler(message) {
@@ -685,6 +1311,7 @@ class ControlConnection extends BaseConnection {
 		}
 
 		instance.config.set(message.data.field, message.data.value);
+		markDirty("instances.json");
 		await this.updateInstanceConfig(instance);
 	}
 
@@ -696,6 +1323,7 @@ class ControlConnection extends BaseConnection {
 
 		let { field, prop, value } = message.data;
 		instance.config.setProp(field, prop, value);
+		markDirty("instances.json");
 		await this.updateInstanceConfig(instance);
 	}
 
@@ -718,6 +1346,7 @@ class ControlConnection extends BaseConnection {
 		}
 
 		instance.config.set("instance.assigned_slave", message.data.slave_id);
+		markDirty("instances.json");
 
 		return await link.messages.assignInstance.send(connection, {
 			instance_id: instance.config.get("instance.id"),
@@ -725,6 +1354,113 @@ class ControlConnection extends BaseConnection {
 		});
 	}
 
+	async migrateInstanceRequestHandler(message) {
+		let { instance_id: instanceId, slave_id: targetId, start } = message.data;
+		let instance = db.instances.get(instanceId);
+		if (!instance) {
+			throw new errors.RequestError(`Instance with ID ${instanceId} does not exist`);
+		}
+
+		let sourceId = instance.config.get("instance.assigned_slave");
+		if (sourceId === null) {
+			throw new errors.RequestError("Instance is not assigned to a slave");
+		}
+		if (sourceId === targetId) {
+			throw new errors.RequestError("Instance is already assigned to the target slave");
+		}
+
+		let source = slaveConnections.get(sourceId);
+		if (!source) {
+			throw new errors.RequestError("Slave containing instance is not connected");
+		}
+		let target = slaveConnections.get(targetId);
+		if (!target) {
+			throw new errors.RequestError("Target slave is not connected to the master server");
+		}
+
+		if (migratingInstances.has(instanceId)) {
+			throw new errors.RequestError("Instance is already being migrated");
+		}
+
+		let progress = (stage, text) => {
+			if (!this.connector.closing) {
+				link.messages.instanceMigrationProgress.send(this, { instance_id: instanceId, stage, message: text });
+			}
+		};
+
+		migratingInstances.add(instanceId);
+		try {
+			progress("stopping", "Stopping instance");
+			await link.messages.stopInstance.send(source, { instance_id: instanceId });
+
+			progress("assigning", `Assigning instance to slave ${targetId}`);
+			instance.config.set("instance.assigned_slave", targetId);
+			markDirty("instances.json");
+			try {
+				await link.messages.assignInstance.send(target, {
+					instance_id: instanceId,
+					serialized_config: instance.config.serialize(),
+				});
+
+				for (let directory of ["saves", "mods"]) {
+					let { list } = await link.messages.listInstanceFiles.send(source, {
+						instance_id: instanceId, directory,
+					});
+					for (let [index, name] of list.entries()) {
+						progress("transferring", `Transferring ${directory}/${name} (${index + 1}/${list.length})`);
+						await transferInstanceFile(source, target, instanceId, directory, name);
+					}
+				}
+
+			} catch (err) {
+				// Leave the instance on the source slave untouched.
+				instance.config.set("instance.assigned_slave", sourceId);
+				markDirty("instances.json");
+				try {
+					await link.messages.deleteInstance.send(target, { instance_id: instanceId });
+				} catch (deleteErr) {
+					console.error(`Failed to remove partially migrated instance ${instanceId}:`, deleteErr.message);
+				}
+				throw err;
+			}
+
+			progress("cleaning_up", `Removing instance from slave ${sourceId}`);
+			await link.messages.deleteInstance.send(source, { instance_id: instanceId });
+
+		} finally {
+			migratingInstances.delete(instanceId);
+		}
+
+		if (start) {
+			progress("starting", "Starting instance");
+			await sendRequestToInstance(link.messages.startInstance, { instance_id: instanceId, save: null });
+		}
+	}
+
+	async createMasterBackupRequestHandler() {
+		return { name: await createMasterBackup() };
+	}
+
+	async listMasterBackupsRequestHandler() {
+		return { list: await backup.listBackups(masterConfig.get("master.backup_directory")) };
+	}
+
+	async replicateMasterRequestHandler() {
+		let { files, plugins } = await collectBackupFiles();
+		// The standby needs the auth secret to accept the tokens issued by
+		// this master after taking over.
+		let content = await backup.createBackup(files, {
+			version, created: Date.now(), plugins, auth_secret: masterConfig.get("master.auth_secret"),
+		});
+		let outgoing = this.createStream();
+		outgoing.on("error", err => {
+			console.error(`Error sending replica to ${this._agent}:`, err.message);
+		});
+		outgoing.end(content);
+		masterReplicationsCounter.inc();
+		return { stream_id: outgoing.id };
+	}
+
 	async setInstanceOutputSubscriptionsRequestHandler(message) {
 		this.instanceOutputSubscriptions = new Set(message.data.instance_ids);
 	}
@@ -760,6 +1496,7 @@ class ControlConnection extends BaseConnection {
 		// Start at 5 to leave space for future default roles
 		let id = Math.max(5, lastId+1);
 		db.roles.set(id, new users.Role({ id, ...message.data }));
+		markDirty("users.json");
 		return { id };
 	}
 
@@ -773,6 +1510,7 @@ class ControlConnection extends BaseConnection {
 		role.name = name;
 		role.description = description;
 		role.permissions = new Set(permissions);
+		markDirty("users.json");
 	}
 
 	async grantDefaultRolePermissionsRequestHandler(message) {
@@ -782,6 +1520,7 @@ class ControlConnection extends BaseConnection {
 		}
 
 		role.grantDefaultPermissions();
+		markDirty("users.json");
 	}
 
 	async deleteRoleRequestHandler(message) {
@@ -795,6 +1534,7 @@ class ControlConnection extends BaseConnection {
 		for (let user of db.users.values()) {
 			user.roles.delete(role);
 		}
+		markDirty("users.json");
 	}
 
 	async listUsersRequestHandler(message) {
@@ -830,12 +1570,14 @@ class ControlConnection extends BaseConnection {
 		}
 
 		user.roles = resolvedRoles;
+		markDirty("users.json");
 	}
 
 	async deleteUserRequestHandler(message) {
 		if (!db.users.delete(message.data.name)) {
 			throw new errors.RequestError(`User '${message.data.name}' does not exist`);
 		}
+		markDirty("users.json");
 	}
 
 	async debugDumpWsRequestHandler(message) {
@@ -856,7 +1598,7 @@ var slaveConnections = new Map();
  * @extends module:master~BaseConnection
  */
 class SlaveConnection extends BaseConnection {
-	constructor(registerData, connector) {
+	constructor(registerData, connector, warnings = []) {
 		super("slave", connector);
 
 		this._agent = registerData.agent;
@@ -865,13 +1607,20 @@ class SlaveConnection extends BaseConnection {
 		this._version = registerData.version;
 		this.plugins = new Map(Object.entries(registerData.plugins));
 
-		db.slaves.set(this._id, {
+		let slave = {
 			agent: this._agent,
 			id: this._id,
 			name: this._name,
 			version: this._version,
 			plugins: registerData.plugins,
-		});
+			warnings,
+		};
+		let previous = db.slaves.get(this._id);
+		if (previous && previous.tokenValidAfter) {
+			slave.tokenValidAfter = previous.tokenValidAfter;
+		}
+		db.slaves.set(this._id, slave);
+		markDirty("slaves.json");
 
 		this.connector.on("close", () => {
 			if (slaveConnections.get(this._id) === this) {
@@ -905,6 +1654,15 @@ class SlaveConnection extends BaseConnection {
 		await plugin.invokeHook(masterPlugins, "onInstanceStatusChanged", instance, prev);
 	}
 
+	async instanceCrashedEventHandler(message, event) {
+		let { instance_id, reason, crashed } = message.data;
+		let instance = db.instances.get(instance_id);
+		instance.lastCrash = { time: Date.now(), reason };
+		console.log(
+			`Clusterio | Instance ${instance.config.get("instance.name")} ${crashed ? "crashed" : "exited"}: ${reason}`
+		);
+	}
+
 	async instanceStoppedEventHandler(message, event) {
 		let instance = db.instances.get(message.data.instance_id);
 		let prev = instance.status;
@@ -944,6 +1702,7 @@ class SlaveConnection extends BaseConnection {
 
 			instanceConfig.set("instance.assigned_slave", this._id);
 			db.instances.set(instanceConfig.get("instance.id"), { config: instanceConfig });
+			markDirty("instances.json");
 			await link.messages.assignInstance.send(this, {
 				instance_id: instanceConfig.get("instance.id"),
 				serialized_config: instanceConfig.serialize(),
@@ -953,6 +1712,12 @@ class SlaveConnection extends BaseConnection {
 
 	async instanceOutputEventHandler(message) {
 		let { instance_id, output } = message.data;
+		try {
+			await db.instanceLog.append(instance_id, output);
+		} catch (err) {
+			console.error(`Error storing output from instance ${instance_id}:`, err.message);
+		}
+
 		for (let controlConnection of controlConnections) {
 			if (controlConnection.instanceOutputSubscriptions.has(instance_id)) {
 				link.messages.instanceOutput.send(controlConnection, message.data);
@@ -972,12 +1737,203 @@ class SlaveConnection extends BaseConnection {
 		} else if (type === "leave") {
 			user.notifyLeave(instance_id);
 		}
+		markDirty("users.json");
 
 		let instance = db.instances.get(instance_id);
 		await plugin.invokeHook(masterPlugins, "onPlayerEvent", instance, message.data);
 	}
 }
 
+/**
+ * Routes for the REST API
+ *
+ * Maps HTTP method and path under /api/v1 to the control request it is
+ * handled by.  Path parameters, query parameters and the JSON body are
+ * merged together into the data sent with the request.
+ */
+const restRoutes = [
+	["get", "/slaves", "listSlaves"],
+	["post", "/slaves/config", "createSlaveConfig"],
+	["post", "/slaves/:slave_id/token", "generateSlaveToken"],
+	["post", "/slaves/:slave_id/token/revoke", "revokeSlaveToken"],
+	["post", "/slaves/:slave_id/token/rotate", "rotateSlaveToken"],
+
+	["get", "/instances", "listInstances"],
+	["post", "/instances", "createInstance"],
+	["delete", "/instances/:instance_id", "deleteInstance"],
+	["get", "/instances/:instance_id/config", "getInstanceConfig"],
+	["put", "/instances/:instance_id/config/field", "setInstanceConfigField"],
+	["put", "/instances/:instance_id/config/prop", "setInstanceConfigProp"],
+	["post", "/instances/:instance_id/assign", "assignInstanceCommand"],
+	["post", "/instances/:instance_id/migrate", "migrateInstance"],
+	["post", "/instances/:instance_id/start", "startInstance"],
+	["post", "/instances/:instance_id/load-scenario", "loadScenario"],
+	["post", "/instances/:instance_id/stop", "stopInstance"],
+	["post", "/instances/:instance_id/create-save", "createSave"],
+	["post", "/instances/:instance_id/export-data", "exportData"],
+	["post", "/instances/:instance_id/send-rcon", "sendRcon"],
+	["get", "/instances/:instance_id/log", "getInstanceLog"],
+	["get", "/instances/:instance_id/saves", "listSaves"],
+	["put", "/instances/:instance_id/saves/:old_name/rename", "renameSave"],
+	["post", "/instances/:instance_id/saves/:source/copy", "copySave"],
+	["delete", "/instances/:instance_id/saves/:save", "deleteSave"],
+	["post", "/instances/:instance_id/saves/:save/download", "downloadSave"],
+	["post", "/instances/:instance_id/saves/:save/upload", "uploadSave"],
+
+	["get", "/schedule", "listScheduledTasks"],
+	["post", "/schedule", "createScheduledTask"],
+	["delete", "/schedule/:id", "deleteScheduledTask"],
+
+	["get", "/backups", "listMasterBackups"],
+	["post", "/backups", "createMasterBackup"],
+
+	["get", "/permissions", "listPermissions"],
+
+	["get", "/roles", "listRoles"],
+	["post", "/roles", "createRole"],
+	["put", "/roles/:id", "updateRole"],
+	["post", "/roles/:id/grant-default", "grantDefaultRolePermissions"],
+	["delete", "/roles/:id", "deleteRole"],
+
+	["get", "/users", "listUsers"],
+	["post", "/users", "createUser"],
+	["put", "/users/:name/roles", "updateUserRoles"],
+	["delete", "/users/:name", "deleteUser"],
+];
+
+/**
+ * Convert string parameters to the types expected by a request
+ *
+ * Path and query parameters are always strings, this converts those
+ * that the request schema expects to be numbers or booleans.
+ *
+ * @param {module:lib/link.Request} request - Request the params are for.
+ * @param {Object<string, string>} params - Parameters to convert.
+ * @returns {Object} converted parameters.
+ */
+function coerceRestParams(request, params) {
+	let coerced = {};
+	for (let [name, value] of Object.entries(params)) {
+		let propertySchema = request.requestProperties[name];
+		let types = propertySchema && propertySchema.type ? [].concat(propertySchema.type) : [];
+
+		if ((types.includes("integer") || types.includes("number")) && /^-?\d+(\.\d+)?$/.test(value)) {
+			value = Number(value);
+		} else if (types.includes("boolean") && ["true", "false"].includes(value)) {
+			value = value === "true";
+		} else if (types.includes("null") && value === "null") {
+			value = null;
+		}
+
+		coerced[name] = value;
+	}
+	return coerced;
+}
+
+/**
+ * Handle a REST API call by sending the given control request
+ *
+ * Authenticates the user from the x-access-token header and invokes the
+ * handler for the request on a transient control connection for that
+ * user, which applies the same permission checks and validation as
+ * requests sent over the WebSocket.
+ *
+ * @param {module:lib/link.Request} request - Request to send.
+ * @param {Object} req - Express request.
+ * @param {Object} res - Express response.
+ * @param {Object<string, string>} params - Path parameters to include.
+ */
+async function handleRestRequest(request, req, res, params) {
+	endpointHitCounter.labels(req.route.path).inc();
+
+	let user;
+	try {
+		user = authenticateUserToken(req.header("x-access-token") || "");
+	} catch (err) {
+		res.status(401).json({ error: `Authentication failed: ${err.message}` });
+		return;
+	}
+
+	try {
+		user.checkPermission(request.permission);
+	} catch (err) {
+		res.status(403).json({ error: err.message });
+		return;
+	}
+
+	let body = typeof req.body === "object" && req.body !== null ? req.body : {};
+	let data = {
+		...body,
+		...coerceRestParams(request, req.query),
+		...coerceRestParams(request, params),
+	};
+
+	// Properties that accept null may be left out
+	for (let [name, property] of Object.entries(request.requestProperties)) {
+		let types = [].concat(property.type);
+		if (data[name] === undefined && types.includes("null")) {
+			data[name] = null;
+		}
+	}
+
+	if (!request._requestValidator({ seq: 0, type: request.requestType, data })) {
+		res.status(400).json({ error: "Invalid request data", errors: request._requestValidator.errors });
+		return;
+	}
+
+	let [clientConnector, serverConnector] = link.VirtualConnector.makePair();
+	// The connection handles requests sent over the connector it's given.
+	// eslint-disable-next-line no-new
+	new ControlConnection({ agent: "REST API", version }, serverConnector, user);
+	let client = new link.Link("control", "master", clientConnector);
+	request.attach(client);
+
+	// Events such as progress updates can't be delivered over REST.
+	for (let message of Object.values(link.messages)) {
+		if (message instanceof link.Event) {
+			message.attach(client, async () => {});
+		}
+	}
+
+	let response;
+	try {
+		response = await request.send(client, data);
+	} catch (err) {
+		if (err instanceof errors.RequestTimeout) {
+			res.status(504).json({ error: err.message });
+			return;
+		}
+		if (err instanceof errors.RequestError) {
+			res.status(400).json({ error: err.message });
+			return;
+		}
+		throw err;
+	}
+
+	delete response.seq;
+	res.json(response);
+}
+
+for (let [method, routePath, name] of restRoutes) {
+	let request = link.messages[name];
+	app[method](`/api/v1${routePath}`, (req, res, next) => {
+		handleRestRequest(request, req, res, req.params).catch(next);
+	});
+}
+
+// Requests defined by plugins are exposed under the plugin's name.
+app.post("/api/v1/plugins/:plugin/:request", (req, res, next) => {
+	let masterPlugin = masterPlugins.get(req.params.plugin);
+	let request = masterPlugin && (masterPlugin.info.messages || {})[req.params.request];
+	if (!(request instanceof link.Request) || !request.links.includes("control-master")) {
+		res.status(404).json({ error: "No such request" });
+		return;
+	}
+
+	// The route parameters are not part of the request data.
+	handleRestRequest(request, req, res, {}).catch(next);
+});
+
 const wss = new WebSocket.Server({
 	noServer: true,
 	path: "/api/socket",
@@ -1033,15 +1989,19 @@ class WebSocketServerConnector extends link.WebSocketBaseConnector {
 	 *
 	 * @param {string} sessionToken -
 	 *     the session token to send to the client.
+	 * @param {number} protocolVersion -
+	 *     the protocol version negotiated with the client.
 	 */
-	ready(sessionToken) {
+	ready(sessionToken, protocolVersion) {
 		this._heartbeatInterval = masterConfig.get("master.heartbeat_interval");
+		this.protocolVersion = protocolVersion;
 		this._socket.send(JSON.stringify({
 			seq: null,
 			type: "ready",
 			data: {
 				session_token: sessionToken,
 				heartbeat_interval: this._heartbeatInterval,
+				protocol_version: protocolVersion,
 			},
 		}));
 
@@ -1221,6 +2181,8 @@ wss.on("connection", function (socket, req) {
 	// Start connection handshake.
 	socket.send(JSON.stringify({ seq: null, type: "hello", data: {
 		version,
+		protocol_version: link.protocolVersion,
+		min_protocol_version: link.minProtocolVersion,
 		plugins: pluginList,
 	}}));
 
@@ -1316,31 +2278,12 @@ async function handleHandshake(message, socket, req, attachHandler) {
 	let user;
 	try {
 		if (type === "register_slave") {
-			let tokenPayload = jwt.verify(
-				data.token,
-				masterConfig.get("master.auth_secret"),
-				{ audience: "slave" }
-			);
-
-			if (tokenPayload.slave !== data.id) {
+			if (authenticateSlaveToken(data.token) !== data.id) {
 				throw new Error("missmatched slave id");
 			}
 
 		} else if (type === "register_control") {
-			let tokenPayload = jwt.verify(
-				data.token,
-				masterConfig.get("master.auth_secret"),
-				{ audience: "user" }
-			);
-
-			user = db.users.get(tokenPayload.user);
-			if (!user) {
-				throw new Error("invalid user");
-			}
-			if (tokenPayload.iat < user.tokenValidAfter) {
-				throw new Error("invalid token");
-			}
-			user.checkPermission("core.control.connect");
+			user = authenticateUserToken(data.token);
 		}
 
 	} catch (err) {
@@ -1350,6 +2293,33 @@ async function handleHandshake(message, socket, req, attachHandler) {
 		return;
 	}
 
+	// Check compatibility
+	let peer = type === "register_slave" ? "slave" : "control";
+	let protocolVersion = link.negotiateProtocolVersion(data);
+	let warnings = [];
+	let incompatibleReason = null;
+	if (protocolVersion === null) {
+		incompatibleReason = link.incompatibleProtocolReason(peer, data);
+
+	} else if (type === "register_slave") {
+		let pluginInfos = [...masterPlugins.values()].map(masterPlugin => masterPlugin.info);
+		let result = plugin.checkPluginVersions(pluginInfos, data.plugins);
+		if (result.incompatible.length) {
+			incompatibleReason = `Incompatible plugin versions: ${result.incompatible.join(", ")}`;
+		}
+		warnings = result.warnings;
+		if (data.version !== version) {
+			warnings.unshift(`Slave is running version ${data.version} and the master ${version}`);
+		}
+	}
+
+	if (incompatibleReason) {
+		console.log(`SOCKET | rejecting ${peer} from ${req.socket.remoteAddress}: ${incompatibleReason}`);
+		wsRejectedConnectionsCounter.inc();
+		socket.close(4010, link.closeReason(incompatibleReason));
+		return;
+	}
+
 	let sessionId = nextSessionId++;
 	let sessionToken = jwt.sign({ aud: masterSession, sid: sessionId }, masterConfig.get("master.auth_secret"));
 	let connector = new WebSocketServerConnector(socket, sessionId);
@@ -1364,14 +2334,17 @@ async function handleHandshake(message, socket, req, attachHandler) {
 		}
 
 		console.log(`SOCKET | registered slave ${data.id} version ${data.version}`);
-		slaveConnections.set(data.id, new SlaveConnection(data, connector));
+		for (let warning of warnings) {
+			console.warn(`SOCKET | slave ${data.id}: ${warning}`);
+		}
+		slaveConnections.set(data.id, new SlaveConnection(data, connector, warnings));
 
 	} else if (type === "register_control") {
 		console.log(`SOCKET | registered control from ${req.socket.remoteAddress}`);
 		controlConnections.push(new ControlConnection(data, connector, user));
 	}
 
-	connector.ready(sessionToken);
+	connector.ready(sessionToken, protocolVersion);
 }
 
 // handle plugins on the master
@@ -1399,7 +2372,8 @@ async function loadPlugins(pluginInfos) {
 			}
 
 			let masterPlugin = new MasterPlugin(
-				pluginInfo, { app, config: masterConfig, db, slaveConnections }, { endpointHitCounter }
+				pluginInfo, { app, config: masterConfig, db, slaveConnections, createUser, markDirty },
+				{ endpointHitCounter }
 			);
 			await masterPlugin.init();
 			plugins.set(pluginInfo.name, masterPlugin);
@@ -1413,18 +2387,126 @@ async function loadPlugins(pluginInfos) {
 	return plugins;
 }
 
+/**
+ * Run as a standby of the leader master
+ *
+ * Replicates the leader's database until the leader becomes unreachable,
+ * at which point the last replica is restored into the database directory.
+ *
+ * @returns {boolean} true if taking over as the leader.
+ */
+async function runStandby() {
+	let leaderUrl = masterConfig.get("master.leader_url");
+	if (!masterConfig.get("master.leader_token")) {
+		throw new errors.StartupError("master.leader_token must be set when master.leader_url is set");
+	}
+
+	console.log(`Clusterio | Running as standby for the master at ${leaderUrl}`);
+	standbyMaster = new standby.Standby({
+		url: leaderUrl,
+		token: masterConfig.get("master.leader_token"),
+		databaseDirectory: masterConfig.get("master.database_directory"),
+		replicationInterval: masterConfig.get("master.replication_interval"),
+		failoverTimeout: masterConfig.get("master.failover_timeout"),
+		version,
+	});
+	standbyMaster.on("replicated", time => { masterLastReplicationGauge.set(time / 1000); });
+	let replicaPath = await standbyMaster.run();
+	standbyMaster = null;
+	if (replicaPath === null) {
+		console.log("Clusterio | Standby stopped");
+		return false;
+	}
+
+	await takeOverFromReplica(replicaPath);
+	return true;
+}
+
+/**
+ * Take over as the leader with a replica of the leader's database
+ *
+ * Restores the replica into the database directory and switches to the
+ * auth secret of the leader so that the tokens it issued stay valid.
+ *
+ * @param {string} replicaPath - Path to the replica to take over with.
+ */
+async function takeOverFromReplica(replicaPath) {
+	let manifest = await backup.restoreBackup(replicaPath, masterConfig.get("master.database_directory"));
+	let created = new Date(manifest.created).toLocaleString();
+	console.log(`Clusterio | Leader unreachable, taking over with database replicated ${created}`);
+	masterFailoversCounter.inc();
+
+	if (manifest.auth_secret) {
+		masterConfig.set("master.auth_secret", manifest.auth_secret);
+	} else {
+		console.warn("Clusterio | Replica does not contain the auth secret of the leader, existing tokens are invalid");
+	}
+
+	// Stay the leader if restarted, the old leader has to be made a
+	// standby of this master before it is started again.
+	masterConfig.set("master.leader_url", null);
+	await fs.outputFile(masterConfigPath, JSON.stringify(masterConfig.serialize(), null, 4));
+}
+
+/**
+ * Handle the backup command line commands
+ *
+ * @param {Object} args - Parsed command line arguments.
+ * @param {Array<Object>} pluginInfos - Info of plugins available.
+ */
+async function handleBackupCommand(args, pluginInfos) {
+	let subCommand = args._[1];
+	let databaseDirectory = masterConfig.get("master.database_directory");
+	let backupDirectory = masterConfig.get("master.backup_directory");
+
+	if (subCommand === "list") {
+		for (let entry of await backup.listBackups(backupDirectory)) {
+			console.log(`${entry.name}  ${entry.size} bytes  ${new Date(entry.mtime_ms).toLocaleString()}`);
+		}
+
+	} else if (subCommand === "create") {
+		// The database is loaded from disk, which is only up to date when
+		// the master is not running.
+		db.slaves = await loadMap(databaseDirectory, "slaves.json");
+		db.instances = await loadInstances(databaseDirectory, "instances.json");
+		await loadUsers(databaseDirectory, "users.json");
+		db.scheduler = await loadSchedule(databaseDirectory, "schedule.json");
+		await pluginManagement(pluginInfos);
+		try {
+			await createMasterBackup();
+		} finally {
+			await plugin.invokeHook(masterPlugins, "onShutdown");
+		}
+
+	} else if (subCommand === "restore") {
+		let filePath = args.file;
+		if (!await fs.pathExists(filePath) && await fs.pathExists(path.join(backupDirectory, filePath))) {
+			filePath = path.join(backupDirectory, filePath);
+		}
+
+		let manifest = await backup.restoreBackup(filePath, databaseDirectory);
+		console.log(`Restored ${manifest.files.join(", ")} from backup made ${new Date(manifest.created).toLocaleString()}`);
+	}
+}
+
 /**
  * Calls listen on server capturing any errors that occurs
  * binding to the port.  Also adds handler for WebSocket
- * upgrade event.
+ * upgrade event if WebSocket connections are accepted.
  *
  * @param {module:net.Server} server - Server to start the listening on.
+ * @param {boolean} webSockets - Accept WebSocket connections.
  * @param {*} args - Arguments to the .listen() call on the server.
  * @returns {Promise} promise that resolves the server is listening.
  */
-function listen(server, ...args) {
+function listen(server, webSockets, ...args) {
 	return new Promise((resolve, reject) => {
 		server.on("upgrade", (req, socket, head) => {
+			if (!webSockets) {
+				socket.destroy();
+				return;
+			}
+
 			console.log("handling upgrade");
 
 			// For reasons that defy common sense, the connection event has
@@ -1448,8 +2530,9 @@ function listen(server, ...args) {
 	});
 }
 
-function _setConfig(config) {
+function _setConfig(config, configPath) {
 	masterConfig = config;
+	masterConfigPath = configPath;
 }
 
 /**
@@ -1499,6 +2582,13 @@ async function startServer() {
 				})
 				.demandCommand(1, "You need to specify a command to run");
 		})
+		.command("backup", "Manage backups of the master database", yargs => {
+			yargs
+				.command("create", "Create a backup of the master database")
+				.command("restore <file>", "Restore the master database from a backup, master must be stopped")
+				.command("list", "List backups in the backup directory")
+				.demandCommand(1, "You need to specify a command to run");
+		})
 		.command("run", "Run master server")
 		.demandCommand(1, "You need to specify a command to run")
 		.strict()
@@ -1575,6 +2665,10 @@ async function startServer() {
 		// Save config in case the auth_secret was generated during this invocation.
 		await fs.outputFile(masterConfigPath, JSON.stringify(masterConfig.serialize(), null, 4));
 		return;
+
+	} else if (command === "backup") {
+		await handleBackupCommand(args, pluginInfos);
+		return;
 	}
 
 	// If we get here the command was run
@@ -1600,10 +2694,6 @@ async function startServer() {
 
 	await fs.ensureDir(masterConfig.get("master.database_directory"));
 
-	db.slaves = await loadMap(masterConfig.get("master.database_directory"), "slaves.json");
-	db.instances = await loadInstances(masterConfig.get("master.database_directory"), "instances.json");
-	await loadUsers(masterConfig.get("master.database_directory"), "users.json");
-
 	// Make sure we're actually going to listen on a port
 	let httpPort = masterConfig.get("master.http_port");
 	let httpsPort = masterConfig.get("master.https_port");
@@ -1624,21 +2714,76 @@ async function startServer() {
 		});
 	}
 
+	if (masterConfig.get("master.leader_url")) {
+		// Only metrics are served while in standby.
+		let standbyApp = express();
+		standbyApp.get("/metrics", (req, res, next) => {
+			res.set("Connection", "close");
+			getMetrics(req, res, next).catch(next);
+		});
+		await startListening(standbyApp, false);
+		let takingOver = await runStandby();
+		await stopListening();
+		if (!takingOver) {
+			return;
+		}
+	}
+
+	db.slaves = await loadMap(masterConfig.get("master.database_directory"), "slaves.json");
+	db.instances = await loadInstances(masterConfig.get("master.database_directory"), "instances.json");
+	await loadUsers(masterConfig.get("master.database_directory"), "users.json");
+	db.instanceLog = createInstanceLog();
+	await db.instanceLog.prune();
+	instanceLogPruneId = setInterval(() => {
+		db.instanceLog.prune().catch(err => {
+			console.error("Error pruning instance log:", err.message);
+		});
+	}, 60 * 60 * 1000);
+	db.scheduler = await loadSchedule(masterConfig.get("master.database_directory"), "schedule.json");
+	db.scheduler.start();
+
+	createAutosavers(masterConfig.get("master.database_directory"));
+	let autosaveInterval = masterConfig.get("master.autosave_interval");
+	for (let saver of autosavers.values()) {
+		saver.start(autosaveInterval === null ? null : autosaveInterval * 1000);
+	}
+
+	let backupInterval = masterConfig.get("master.backup_interval");
+	if (backupInterval !== null) {
+		backupIntervalId = setInterval(() => {
+			createMasterBackup().catch(err => {
+				console.error("Error creating scheduled backup:", err.message);
+			});
+		}, backupInterval * 60 * 60 * 1000);
+	}
+
 	// Load plugins
 	await pluginManagement(pluginInfos);
 
 	// Only start listening for connections after all plugins have loaded
+	await startListening(app, true);
+}
+
+/**
+ * Start listening on the configured HTTP and HTTPS ports
+ *
+ * @param {Function} handler - Request handler for the servers.
+ * @param {boolean} webSockets - Accept WebSocket connections.
+ */
+async function startListening(handler, webSockets) {
+	let httpPort = masterConfig.get("master.http_port");
+	let httpsPort = masterConfig.get("master.https_port");
 	if (httpPort) {
-		httpServer = require("http").Server(app);
-		await listen(httpServer, httpPort);
+		httpServer = require("http").Server(handler);
+		await listen(httpServer, webSockets, httpPort);
 		console.log("Listening for HTTP on port %s...", httpServer.address().port);
 	}
 
 	if (httpsPort) {
 		let certificate, privateKey;
 		try {
-			certificate = await fs.readFile(tls_cert);
-			privateKey = await fs.readFile(tls_key);
+			certificate = await fs.readFile(masterConfig.get("master.tls_certificate"));
+			privateKey = await fs.readFile(masterConfig.get("master.tls_private_key"));
 
 		} catch (err) {
 			throw new errors.StartupError(
@@ -1649,12 +2794,24 @@ async function startServer() {
 		httpsServer = require("https").createServer({
 			key: privateKey,
 			cert: certificate,
-		}, app);
-		await listen(httpsServer, httpsPort);
+		}, handler);
+		await listen(httpsServer, webSockets, httpsPort);
 		console.log("Listening for HTTPS on port %s...", httpsServer.address().port);
 	}
 }
 
+/**
+ * Stop listening on the HTTP and HTTPS ports
+ */
+async function stopListening() {
+	let stopTasks = [];
+	if (httpServer) { stopTasks.push(new Promise(resolve => httpServer.close(resolve))); }
+	if (httpsServer) { stopTasks.push(new Promise(resolve => httpsServer.close(resolve))); }
+	await Promise.all(stopTasks);
+	httpServer = null;
+	httpsServer = null;
+}
+
 module.exports = {
 	app,
 
@@ -1666,6 +2823,10 @@ module.exports = {
 	_ControlConnection: ControlConnection,
 	_slaveConnections: slaveConnections,
 	_SlaveConnection: SlaveConnection,
+	_createScheduler: createScheduler,
+	_loadSchedule: loadSchedule,
+	_createStream: createStream,
+	_takeOverFromReplica: takeOverFromReplica,
 };
 
 if (module === require.main) {
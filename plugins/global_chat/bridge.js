@@ -0,0 +1,127 @@
+/**
+ * Bridge between global chat and an external chat service
+ *
+ * Chat and player joins and leaves are sent to the external service by
+ * POSTing JSON to a webhook URL, and the service sends its chat back by
+ * POSTing JSON to the bridge endpoint of the master.  Both directions
+ * are authenticated with a shared secret passed in the X-Bridge-Secret
+ * header.
+ *
+ * @module
+ */
+"use strict";
+const crypto = require("crypto");
+const needle = require("needle");
+
+const schema = require("lib/schema");
+
+
+/**
+ * Name of the header the shared secret is passed in
+ * @static
+ */
+const secretHeader = "x-bridge-secret";
+
+/**
+ * Validator for the messages the external chat service sends
+ * @function
+ * @param {Object} obj - Object to validate.
+ * @returns {boolean} True if object passed validation.
+ * @static
+ */
+const validateIncoming = schema.compile({
+	$schema: "http://json-schema.org/draft-07/schema#",
+	type: "object",
+	additionalProperties: false,
+	required: ["type", "name"],
+	properties: {
+		"type": { type: "string", enum: ["chat", "join", "leave"] },
+		"name": { type: "string", minLength: 1 },
+		"content": { type: "string" },
+	},
+	if: { properties: { "type": { const: "chat" } } },
+	then: { required: ["content"] },
+});
+
+/**
+ * Check a secret given against the shared secret
+ *
+ * @param {string} expected - The shared secret.
+ * @param {?string} given - Secret to check.
+ * @returns {boolean} true if the secrets are the same.
+ * @static
+ */
+function checkSecret(expected, given) {
+	if (typeof given !== "string") {
+		return false;
+	}
+
+	// Hashing makes the lengths equal as required by timingSafeEqual.
+	let [expectedHash, givenHash] = [expected, given].map(
+		value => crypto.createHash("sha256").update(value).digest()
+	);
+	return crypto.timingSafeEqual(expectedHash, givenHash);
+}
+
+/**
+ * Limits the number of messages passed in a minute
+ *
+ * Keeps the times of the messages passed within the last minute.
+ * @static
+ */
+class RateLimiter {
+	constructor() {
+		this.times = [];
+	}
+
+	/**
+	 * Take a message from the limit
+	 *
+	 * @param {?number} limit -
+	 *     Max number of messages per minute, or null for no limit.
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 * @returns {boolean} true if the message is within the limit.
+	 */
+	take(limit, now = Date.now()) {
+		while (this.times.length && this.times[0] <= now - 60e3) {
+			this.times.shift();
+		}
+
+		if (limit !== null && this.times.length >= limit) {
+			return false;
+		}
+
+		this.times.push(now);
+		return true;
+	}
+}
+
+/**
+ * Send a message to the webhook of an external chat service
+ *
+ * @param {string} url - URL of the webhook.
+ * @param {?string} secret - Shared secret to send with the message.
+ * @param {Object} payload - Message to send.
+ * @throws {Error} if the webhook did not respond with a 2xx status.
+ * @static
+ */
+async function sendWebhook(url, secret, payload) {
+	let headers = {};
+	if (secret !== null) {
+		headers[secretHeader] = secret;
+	}
+
+	let response = await needle("post", url, payload, { json: true, headers, response_timeout: 10e3 });
+	if (response.statusCode < 200 || response.statusCode >= 300) {
+		throw new Error(`Webhook responded with ${response.statusCode} ${response.statusMessage}`);
+	}
+}
+
+
+module.exports = {
+	secretHeader,
+	validateIncoming,
+	checkSecret,
+	RateLimiter,
+	sendWebhook,
+};
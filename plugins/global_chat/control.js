@@ -8,14 +8,45 @@ const globalChatCommands = new command.CommandTree({ name: "global-chat", descri
 globalChatCommands.add(new command.Command({
 	definition: ["shout <message>", "Send message to all instances", (yargs) => {
 		yargs.positional("message", { describe: "message to send", type: "string" });
+		yargs.options({
+			"channel": { describe: "Only send to instances in this channel", nargs: 1, type: "string" },
+		});
 	}],
 	handler: async function(args, control) {
 		await info.messages.chat.send(control, {
+			instance_id: null,
 			instance_name: "Console",
+			channel: args.channel || null,
+			player: null,
 			content: args.message,
 		});
 	},
 }));
+globalChatCommands.add(new command.Command({
+	definition: ["mute <player>", "Stop sharing chat from player with other instances", (yargs) => {
+		yargs.positional("player", { describe: "Name of player to mute", type: "string" });
+	}],
+	handler: async function(args, control) {
+		await info.messages.mutePlayer.send(control, { name: args.player, muted: true });
+	},
+}));
+globalChatCommands.add(new command.Command({
+	definition: ["unmute <player>", "Share chat from player with other instances again", (yargs) => {
+		yargs.positional("player", { describe: "Name of player to unmute", type: "string" });
+	}],
+	handler: async function(args, control) {
+		await info.messages.mutePlayer.send(control, { name: args.player, muted: false });
+	},
+}));
+globalChatCommands.add(new command.Command({
+	definition: ["muted", "List muted players"],
+	handler: async function(args, control) {
+		let response = await info.messages.listMuted.send(control);
+		for (let name of response.list) {
+			console.log(name);
+		}
+	},
+}));
 
 class ControlPlugin extends plugin.BaseControlPlugin {
 	async addCommands(rootCommand) {
@@ -1,6 +1,90 @@
 "use strict";
 let link = require("lib/link");
-let plugin = require("lib/plugin");
+let config = require("lib/config");
+let users = require("lib/users");
+
+class MasterConfigGroup extends config.PluginConfigGroup {}
+MasterConfigGroup.groupName = "global_chat";
+MasterConfigGroup.define({
+	name: "word_filter",
+	title: "Word Filter",
+	description:
+		"Space separated list of words to replace with asterisks in chat shared between instances, matched " +
+		"without regard to case.",
+	type: "string",
+	optional: true,
+});
+MasterConfigGroup.define({
+	name: "bridge_webhook_url",
+	title: "Bridge Webhook URL",
+	description: "URL of an external chat service to POST chat and player joins and leaves to.",
+	type: "string",
+	optional: true,
+});
+MasterConfigGroup.define({
+	name: "bridge_secret",
+	title: "Bridge Secret",
+	description:
+		"Secret shared with the external chat service, the bridge endpoint accepting chat from the service is " +
+		"disabled if not set.",
+	type: "string",
+	optional: true,
+});
+MasterConfigGroup.define({
+	name: "bridge_channel",
+	title: "Bridge Channel",
+	description: "Channel bridged to the external chat service, set to null to bridge all channels.",
+	type: "string",
+	optional: true,
+	initial_value: "global",
+});
+MasterConfigGroup.define({
+	name: "bridge_name",
+	title: "Bridge Name",
+	description: "Name shown in place of the instance name for chat from the external chat service.",
+	type: "string",
+	initial_value: "Chat",
+});
+MasterConfigGroup.define({
+	name: "bridge_rate_limit",
+	title: "Bridge Rate Limit",
+	description:
+		"Max number of messages per minute sent to and accepted from the external chat service, set to null " +
+		"for no limit.",
+	type: "number",
+	optional: true,
+	initial_value: 60,
+});
+MasterConfigGroup.finalize();
+
+class InstanceConfigGroup extends config.PluginConfigGroup {}
+InstanceConfigGroup.groupName = "global_chat";
+InstanceConfigGroup.define({
+	name: "share_chat",
+	title: "Share Chat",
+	description: "Share chat between this instance and the other instances in its channel.",
+	type: "boolean",
+	initial_value: false,
+});
+InstanceConfigGroup.define({
+	name: "channel",
+	title: "Channel",
+	description: "Name of the channel chat is shared in, only instances in the same channel see each other's chat.",
+	type: "string",
+	initial_value: "global",
+});
+InstanceConfigGroup.finalize();
+
+users.definePermission({
+	name: "global_chat.mute",
+	title: "Mute players",
+	description: "Mute and unmute players in chat shared between instances.",
+});
+users.definePermission({
+	name: "global_chat.mute.list",
+	title: "List muted players",
+	description: "List the players muted in chat shared between instances.",
+});
 
 module.exports = {
 	name: "global_chat",
@@ -8,18 +92,57 @@ module.exports = {
 	description: "Forwards chat between instances.",
 	version: "2.0.0-alpha",
 	instanceEntrypoint: "instance",
+	InstanceConfigGroup,
+
+	masterEntrypoint: "master",
+	MasterConfigGroup,
+
 	controlEntrypoint: "control",
 
 	messages: {
 		chat: new link.Event({
 			type: "global_chat:chat",
-			links: ["instance-slave", "slave-master", "master-slave", "slave-instance", "control-master"],
+			links: ["instance-slave", "slave-master", "control-master"],
 			forwardTo: "master",
+			eventProperties: {
+				"instance_id": { type: ["null", "integer"] },
+				"instance_name": { type: "string" },
+				"channel": { type: ["null", "string"] },
+				"player": { type: ["null", "string"] },
+				"content": { type: "string" },
+			},
+		}),
+		relayChat: new link.Event({
+			type: "global_chat:relay_chat",
+			links: ["master-slave", "slave-instance"],
 			broadcastTo: "instance",
 			eventProperties: {
+				"instance_id": { type: ["null", "integer"] },
 				"instance_name": { type: "string" },
+				"channel": { type: ["null", "string"] },
 				"content": { type: "string" },
 			},
 		}),
+
+		mutePlayer: new link.Request({
+			type: "global_chat:mute_player",
+			links: ["control-master"],
+			permission: "global_chat.mute",
+			requestProperties: {
+				"name": { type: "string" },
+				"muted": { type: "boolean" },
+			},
+		}),
+		listMuted: new link.Request({
+			type: "global_chat:list_muted",
+			links: ["control-master"],
+			permission: "global_chat.mute.list",
+			responseProperties: {
+				"list": {
+					type: "array",
+					items: { type: "string" },
+				},
+			},
+		}),
 	},
 };
@@ -16,6 +16,17 @@ function removeTags(content) {
 	return content.replace(/(\[gps=-?\d+,-?\d+\]|\[train=\d+\])/g, "");
 }
 
+/**
+ * Get the name of the player that sent a chat message
+ *
+ * @param {string} content - Chat message as logged by Factorio.
+ * @returns {?string} name of the player or null if not found.
+ */
+function chatPlayer(content) {
+	let match = /^(\S+?)(?: \[[^\]]*\])?: /.exec(content);
+	return match ? match[1] : null;
+}
+
 class InstancePlugin extends plugin.BaseInstancePlugin {
 	async init() {
 		this.messageQueue = [];
@@ -30,21 +41,40 @@ class InstancePlugin extends plugin.BaseInstancePlugin {
 		}
 	}
 
-	async chatEventHandler(message) {
-		// TODO check if cross server chat is enabled
+	/**
+	 * True if chat is shared between this instance and others
+	 * @type {boolean}
+	 */
+	get shareChat() {
+		return this.instance.config.get("global_chat.share_chat");
+	}
+
+	async relayChatEventHandler(message) {
+		let { instance_id, channel } = message.data;
+		if (
+			!this.shareChat
+			|| instance_id === this.instance.config.get("instance.id")
+			|| (channel !== null && channel !== this.instance.config.get("global_chat.channel"))
+		) {
+			return;
+		}
+
 		let content = `[${message.data.instance_name}] ${removeTags(message.data.content)}`;
 		await this.instance.server.sendRcon(`/sc game.print('${luaTools.escapeString(content)}')`, true);
 	}
 
 	sendChat(message) {
 		this.info.messages.chat.send(this.instance, {
+			instance_id: this.instance.config.get("instance.id"),
 			instance_name: this.instance.name,
+			channel: this.instance.config.get("global_chat.channel"),
+			player: chatPlayer(message),
 			content: message,
 		});
 	}
 
 	async onOutput(output) {
-		if (output.type === "action" && output.action === "CHAT") {
+		if (output.type === "action" && output.action === "CHAT" && this.shareChat) {
 			if (this.slave.connector.connected) {
 				this.sendChat(output.message);
 			} else {
@@ -61,4 +91,5 @@ module.exports = {
 
 	// For testing only
 	_removeTags: removeTags,
+	_chatPlayer: chatPlayer,
 };
@@ -0,0 +1,168 @@
+"use strict";
+const errors = require("lib/errors");
+const plugin = require("lib/plugin");
+
+const bridge = require("./bridge");
+
+
+/**
+ * Replace the words in a word filter with asterisks
+ *
+ * @param {string} content - Chat message to filter.
+ * @param {?string} wordFilter - Space separated list of words to replace.
+ * @returns {string} filtered message.
+ */
+function filterWords(content, wordFilter) {
+	let words = (wordFilter || "").split(/\s+/).filter(word => word.length);
+	if (!words.length) {
+		return content;
+	}
+
+	let escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+	let pattern = new RegExp(`(?<!\\w)(${escaped.join("|")})(?!\\w)`, "giu");
+	return content.replace(pattern, match => "*".repeat(match.length));
+}
+
+class MasterPlugin extends plugin.BaseMasterPlugin {
+	async init() {
+		this.outgoingLimiter = new bridge.RateLimiter();
+		this.incomingLimiter = new bridge.RateLimiter();
+		this.master.app.post("/api/global_chat/bridge", (req, res, next) => {
+			this.handleBridgeRequest(req, res).catch(next);
+		});
+	}
+
+	isMuted(name) {
+		let user = this.master.db.users.get(name);
+		return Boolean(user && user.muted);
+	}
+
+	isBridged(channel) {
+		let bridgeChannel = this.master.config.get("global_chat.bridge_channel");
+		return bridgeChannel === null || channel === null || channel === bridgeChannel;
+	}
+
+	async chatEventHandler(message) {
+		let { instance_id, instance_name, channel, player, content } = message.data;
+		if (player !== null && this.isMuted(player)) {
+			return;
+		}
+
+		content = filterWords(content, this.master.config.get("global_chat.word_filter"));
+		this.broadcastEventToSlaves(this.info.messages.relayChat, { instance_id, instance_name, channel, content });
+		if (this.isBridged(channel)) {
+			await this.sendToBridge({ type: "chat", channel, instance_name, content });
+		}
+	}
+
+	async onPlayerEvent(instance, event) {
+		if (!instance || !instance.config.get("global_chat.share_chat")) {
+			return;
+		}
+
+		let channel = instance.config.get("global_chat.channel");
+		if (this.isBridged(channel)) {
+			await this.sendToBridge({
+				type: event.type,
+				channel,
+				instance_name: instance.config.get("instance.name"),
+				name: event.name,
+			});
+		}
+	}
+
+	/**
+	 * Send a message to the webhook of the external chat service
+	 *
+	 * Does nothing if no webhook is configured, and drops the message if
+	 * the rate limit has been reached.
+	 *
+	 * @param {Object} payload - Message to send.
+	 */
+	async sendToBridge(payload) {
+		let url = this.master.config.get("global_chat.bridge_webhook_url");
+		if (url === null) {
+			return;
+		}
+
+		if (!this.outgoingLimiter.take(this.master.config.get("global_chat.bridge_rate_limit"))) {
+			console.warn("global_chat | Rate limit reached, dropped message to chat bridge");
+			return;
+		}
+
+		try {
+			await bridge.sendWebhook(url, this.master.config.get("global_chat.bridge_secret"), payload);
+		} catch (err) {
+			console.error(`global_chat | Error sending message to chat bridge: ${err.message}`);
+		}
+	}
+
+	async handleBridgeRequest(req, res) {
+		let secret = this.master.config.get("global_chat.bridge_secret");
+		if (secret === null) {
+			res.status(404).json({ error: "Chat bridge is not enabled" });
+			return;
+		}
+		if (!bridge.checkSecret(secret, req.header(bridge.secretHeader))) {
+			res.sendStatus(401);
+			return;
+		}
+		if (!bridge.validateIncoming(req.body)) {
+			res.status(400).json({ error: "Invalid message" });
+			return;
+		}
+		if (!this.incomingLimiter.take(this.master.config.get("global_chat.bridge_rate_limit"))) {
+			res.status(429).json({ error: "Rate limit reached" });
+			return;
+		}
+
+		let { type, name, content } = req.body;
+		if (type === "chat") {
+			if (this.isMuted(name)) {
+				res.json({});
+				return;
+			}
+			content = filterWords(`${name}: ${content}`, this.master.config.get("global_chat.word_filter"));
+		} else {
+			content = `${name} ${type === "join" ? "joined" : "left"}`;
+		}
+		this.broadcastEventToSlaves(this.info.messages.relayChat, {
+			instance_id: null,
+			instance_name: this.master.config.get("global_chat.bridge_name"),
+			channel: this.master.config.get("global_chat.bridge_channel"),
+			content,
+		});
+		res.json({});
+	}
+
+	async mutePlayerRequestHandler(message) {
+		let { name, muted } = message.data;
+		let user = this.master.db.users.get(name);
+		if (!user) {
+			if (!muted) {
+				throw new errors.RequestError(`User '${name}' does not exist`);
+			}
+			user = this.master.createUser(name);
+		}
+
+		user.muted = muted;
+		this.master.markDirty("users.json");
+	}
+
+	async listMutedRequestHandler(message) {
+		let list = [];
+		for (let user of this.master.db.users.values()) {
+			if (user.muted) {
+				list.push(user.name);
+			}
+		}
+		return { list };
+	}
+}
+
+module.exports = {
+	MasterPlugin,
+
+	// For testing only
+	_filterWords: filterWords,
+};
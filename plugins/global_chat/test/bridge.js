@@ -0,0 +1,177 @@
+"use strict";
+const assert = require("assert").strict;
+const bodyParser = require("body-parser");
+const events = require("events");
+const express = require("express");
+const http = require("http");
+const needle = require("needle");
+
+const bridge = require("../bridge");
+const master = require("../master");
+const info = require("../info");
+
+
+describe("global_chat bridge", function() {
+	describe("checkSecret()", function() {
+		it("should only accept the shared secret", function() {
+			assert.equal(bridge.checkSecret("secret", "secret"), true);
+			assert.equal(bridge.checkSecret("secret", "secre"), false);
+			assert.equal(bridge.checkSecret("secret", undefined), false);
+		});
+	});
+
+	describe("class RateLimiter", function() {
+		it("should limit the messages passed within a minute", function() {
+			let limiter = new bridge.RateLimiter();
+			assert.equal(limiter.take(2, 0), true);
+			assert.equal(limiter.take(2, 30e3), true);
+			assert.equal(limiter.take(2, 59e3), false);
+			assert.equal(limiter.take(2, 60e3), true);
+		});
+		it("should not limit messages when the limit is null", function() {
+			let limiter = new bridge.RateLimiter();
+			for (let i = 0; i < 100; i++) {
+				assert.equal(limiter.take(null, 0), true);
+			}
+		});
+	});
+
+	describe("class MasterPlugin", function() {
+		let masterPlugin;
+		let masterConfig;
+		let broadcasts;
+		let server;
+		let webhook;
+		let received;
+		let baseUrl;
+		let webhookUrl;
+
+		before(async function() {
+			// Local stand-in for the external chat service.
+			webhook = http.createServer((req, res) => {
+				let body = "";
+				req.on("data", chunk => { body += chunk; });
+				req.on("end", () => {
+					received.push({ secret: req.headers[bridge.secretHeader], payload: JSON.parse(body) });
+					res.end();
+				});
+			});
+			webhook.listen(0, "localhost");
+			await events.once(webhook, "listening");
+			webhookUrl = `http://localhost:${webhook.address().port}/webhook`;
+
+			let app = express();
+			app.use(bodyParser.json());
+			masterPlugin = new master.MasterPlugin(info, { app, config: { get: name => masterConfig[name] } }, {});
+			await masterPlugin.init();
+			masterPlugin.isMuted = name => name === "Muted";
+			masterPlugin.broadcastEventToSlaves = (event, data) => { broadcasts.push([event.type, data]); };
+
+			server = app.listen(0, "localhost");
+			await events.once(server, "listening");
+			baseUrl = `http://localhost:${server.address().port}`;
+		});
+		after(async function() {
+			server.close();
+			webhook.close();
+		});
+		beforeEach(function() {
+			masterConfig = {
+				"global_chat.word_filter": "darn",
+				"global_chat.bridge_webhook_url": webhookUrl,
+				"global_chat.bridge_secret": "secret",
+				"global_chat.bridge_channel": "global",
+				"global_chat.bridge_name": "Discord",
+				"global_chat.bridge_rate_limit": null,
+			};
+			masterPlugin.outgoingLimiter = new bridge.RateLimiter();
+			masterPlugin.incomingLimiter = new bridge.RateLimiter();
+			broadcasts = [];
+			received = [];
+		});
+
+		function chat(channel, content) {
+			return masterPlugin.chatEventHandler({
+				data: { instance_id: 1, instance_name: "test", channel, player: "User", content },
+			});
+		}
+
+		function post(data, secret = "secret") {
+			return needle("post", `${baseUrl}/api/global_chat/bridge`, data, {
+				json: true,
+				headers: { [bridge.secretHeader]: secret },
+			});
+		}
+
+		describe("outgoing", function() {
+			it("should send filtered chat in the bridged channel to the webhook", async function() {
+				await chat("global", "User: darn");
+				await chat("other", "User: message");
+				assert.deepEqual(received, [{
+					secret: "secret",
+					payload: { type: "chat", channel: "global", instance_name: "test", content: "User: ****" },
+				}]);
+			});
+			it("should send player joins and leaves on instances sharing chat", async function() {
+				let instanceConfig = {
+					"instance.name": "test", "global_chat.share_chat": true, "global_chat.channel": "global",
+				};
+				let instance = { config: { get: name => instanceConfig[name] } };
+				await masterPlugin.onPlayerEvent(instance, { type: "join", name: "User" });
+				instanceConfig["global_chat.share_chat"] = false;
+				await masterPlugin.onPlayerEvent(instance, { type: "leave", name: "User" });
+				assert.deepEqual(received.map(request => request.payload), [
+					{ type: "join", channel: "global", instance_name: "test", name: "User" },
+				]);
+			});
+			it("should drop messages over the rate limit", async function() {
+				masterConfig["global_chat.bridge_rate_limit"] = 2;
+				for (let i = 0; i < 3; i++) {
+					await chat("global", `User: message ${i}`);
+				}
+				assert.deepEqual(received.map(request => request.payload.content), [
+					"User: message 0", "User: message 1",
+				]);
+			});
+		});
+
+		describe("incoming", function() {
+			it("should relay filtered chat to the bridged channel", async function() {
+				let res = await post({ type: "chat", name: "Someone", content: "darn it" });
+				assert.equal(res.statusCode, 200);
+				assert.deepEqual(broadcasts, [["global_chat:relay_chat", {
+					instance_id: null, instance_name: "Discord", channel: "global", content: "Someone: **** it",
+				}]]);
+			});
+			it("should relay joins and leaves", async function() {
+				await post({ type: "join", name: "Someone" });
+				await post({ type: "leave", name: "Someone" });
+				assert.deepEqual(broadcasts.map(([type, data]) => data.content), ["Someone joined", "Someone left"]);
+			});
+			it("should not relay chat from muted players", async function() {
+				let res = await post({ type: "chat", name: "Muted", content: "message" });
+				assert.equal(res.statusCode, 200);
+				assert.deepEqual(broadcasts, []);
+			});
+			it("should reject requests with the wrong secret", async function() {
+				let res = await post({ type: "chat", name: "Someone", content: "message" }, "wrong");
+				assert.equal(res.statusCode, 401);
+				assert.deepEqual(broadcasts, []);
+			});
+			it("should reject invalid messages", async function() {
+				let res = await post({ type: "chat", name: "Someone" });
+				assert.equal(res.statusCode, 400);
+			});
+			it("should reject messages over the rate limit", async function() {
+				masterConfig["global_chat.bridge_rate_limit"] = 1;
+				assert.equal((await post({ type: "join", name: "Someone" })).statusCode, 200);
+				assert.equal((await post({ type: "leave", name: "Someone" })).statusCode, 429);
+			});
+			it("should not be available without a secret", async function() {
+				masterConfig["global_chat.bridge_secret"] = null;
+				let res = await post({ type: "join", name: "Someone" });
+				assert.equal(res.statusCode, 404);
+			});
+		});
+	});
+});
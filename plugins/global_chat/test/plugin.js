@@ -1,9 +1,12 @@
 "use strict";
 const assert = require("assert").strict;
+const express = require("express");
 
 const mock = require("../../../test/mock");
 const lines = require("../../../test/lib/factorio/lines");
+const users = require("lib/users");
 const instance = require("../instance");
+const master = require("../master");
 const info = require("../info");
 
 
@@ -20,23 +23,84 @@ describe("global_chat plugin", function() {
 		});
 	});
 
+	describe("chatPlayer()", function() {
+		it("should return the name of the player", function() {
+			assert.equal(instance._chatPlayer("User: chat message"), "User");
+		});
+		it("should strip out the player tag", function() {
+			assert.equal(instance._chatPlayer("User [red team]: chat message"), "User");
+		});
+		it("should return null for other messages", function() {
+			assert.equal(instance._chatPlayer("Not a chat message"), null);
+		});
+	});
+
+	describe("filterWords()", function() {
+		it("should replace filtered words regardless of case", function() {
+			assert.equal(master._filterWords("User: Darn it, darn", "darn heck"), "User: **** it, ****");
+		});
+		it("should not replace parts of words", function() {
+			assert.equal(master._filterWords("User: darnation", "darn"), "User: darnation");
+		});
+		it("should pass through messages with no filter", function() {
+			assert.equal(master._filterWords("User: darn", null), "User: darn");
+		});
+	});
+
 	describe("class InstancePlugin", function() {
 		let instancePlugin;
+		let shareChat;
 
 		before(async function() {
 			instancePlugin = new instance.InstancePlugin(info, new mock.MockInstance(), new mock.MockSlave());
+			let instanceConfig = instancePlugin.instance.config;
+			instancePlugin.instance.config = {
+				get: (name) => {
+					if (name === "global_chat.share_chat") { return shareChat; }
+					if (name === "global_chat.channel") { return "global"; }
+					return instanceConfig.get(name);
+				},
+			};
 			await instancePlugin.init();
 		});
+		beforeEach(function() {
+			shareChat = true;
+		});
 
-		describe(".chatEventHandler()", function() {
-			it("should send received chat as command", async function() {
+		describe(".relayChatEventHandler()", function() {
+			function relay(data) {
 				instancePlugin.instance.server.rconCommands = [];
-				await instancePlugin.chatEventHandler({ data: { instance_name: "test", content: "User: message" } });
+				return instancePlugin.relayChatEventHandler({
+					data: {
+						instance_id: 1, instance_name: "test", channel: "global", content: "User: message", ...data,
+					},
+				});
+			}
+
+			it("should send received chat as command", async function() {
+				await relay({});
 				assert.deepEqual(
 					instancePlugin.instance.server.rconCommands,
 					["/sc game.print('[test] User: message')"],
 				);
 			});
+			it("should send chat sent to all channels", async function() {
+				await relay({ channel: null });
+				assert.equal(instancePlugin.instance.server.rconCommands.length, 1);
+			});
+			it("should ignore chat from other channels", async function() {
+				await relay({ channel: "other" });
+				assert.deepEqual(instancePlugin.instance.server.rconCommands, []);
+			});
+			it("should ignore chat sent by itself", async function() {
+				await relay({ instance_id: 7357 });
+				assert.deepEqual(instancePlugin.instance.server.rconCommands, []);
+			});
+			it("should ignore chat when chat is not shared", async function() {
+				shareChat = false;
+				await relay({});
+				assert.deepEqual(instancePlugin.instance.server.rconCommands, []);
+			});
 		});
 		describe(".onOutput()", function() {
 			it("should forward chat", async function() {
@@ -63,6 +127,78 @@ describe("global_chat plugin", function() {
 				}
 				assert(count > 0, "no lines were tested");
 			});
+			it("should not forward chat when chat is not shared", async function() {
+				shareChat = false;
+				instancePlugin.instance.connector.sentMessages = [];
+				await instancePlugin.onOutput({ type: "action", action: "CHAT", message: "User: message" });
+				assert.deepEqual(instancePlugin.instance.connector.sentMessages, []);
+			});
+		});
+	});
+
+	describe("class MasterPlugin", function() {
+		let masterPlugin;
+		let broadcasts;
+		let dirty;
+		beforeEach(async function() {
+			let db = { users: new Map() };
+			let masterConfig = { get: name => (name === "global_chat.word_filter" ? "darn" : null) };
+			masterPlugin = new master.MasterPlugin(info, {
+				app: express(),
+				config: masterConfig,
+				db,
+				createUser: name => {
+					let user = new users.User({ name, roles: [] }, new Map());
+					db.users.set(name, user);
+					return user;
+				},
+				markDirty: file => { dirty.push(file); },
+			}, {});
+			await masterPlugin.init();
+			broadcasts = [];
+			dirty = [];
+			masterPlugin.broadcastEventToSlaves = (event, data) => { broadcasts.push([event.type, data]); };
+		});
+
+		function chat(player, content) {
+			return masterPlugin.chatEventHandler({
+				data: { instance_id: 1, instance_name: "test", channel: "global", player, content },
+			});
+		}
+
+		describe(".chatEventHandler()", function() {
+			it("should relay filtered chat to instances", async function() {
+				await chat("User", "User: darn");
+				assert.deepEqual(broadcasts, [["global_chat:relay_chat", {
+					instance_id: 1, instance_name: "test", channel: "global", content: "User: ****",
+				}]]);
+			});
+			it("should not relay chat from muted players", async function() {
+				await masterPlugin.mutePlayerRequestHandler({ data: { name: "User", muted: true } });
+				await chat("User", "User: message");
+				await chat("Other", "Other: message");
+				assert.deepEqual(broadcasts.map(([type, data]) => data.content), ["Other: message"]);
+			});
+		});
+
+		describe(".mutePlayerRequestHandler()", function() {
+			it("should store the mute with the user", async function() {
+				await masterPlugin.mutePlayerRequestHandler({ data: { name: "User", muted: true } });
+				assert.deepEqual(masterPlugin.master.db.users.get("User").serialize(), {
+					name: "User", roles: [], muted: true,
+				});
+				assert.deepEqual(dirty, ["users.json"]);
+				assert.deepEqual(await masterPlugin.listMutedRequestHandler({}), { list: ["User"] });
+
+				await masterPlugin.mutePlayerRequestHandler({ data: { name: "User", muted: false } });
+				assert.deepEqual(await masterPlugin.listMutedRequestHandler({}), { list: [] });
+			});
+			it("should reject unmuting a user that does not exist", async function() {
+				await assert.rejects(
+					masterPlugin.mutePlayerRequestHandler({ data: { name: "User", muted: false } }),
+					{ message: "User 'User' does not exist" },
+				);
+			});
 		});
 	});
 });
@@ -0,0 +1,106 @@
+"use strict";
+const asTable = require("as-table").configure({ delimiter: " | " });
+
+const command = require("lib/command");
+const errors = require("lib/errors");
+const plugin = require("lib/plugin");
+
+const info = require("./info");
+
+
+const researchSyncCommands = new command.CommandTree({
+	name: "research-sync", description: "Research Sync plugin commands",
+});
+researchSyncCommands.add(new command.Command({
+	definition: [["list", "l"], "List technologies and their research progress", (yargs) => {
+		yargs.options({
+			"group": { describe: "Only include this sync group", nargs: 1, type: "string" },
+			"force": { describe: "Only include this force", nargs: 1, type: "string" },
+		});
+	}],
+	handler: async function(args, control) {
+		let response = await info.messages.listTechnologies.send(control, {
+			group: args.group || null,
+			force: args.force || null,
+		});
+		console.log(asTable(response.list.map(tech => ({
+			group: tech.group,
+			force: tech.force,
+			name: tech.name,
+			level: tech.level,
+			status: tech.researched ? "researched" : `${((tech.progress || 0) * 100).toFixed(1)}%`,
+		}))));
+	},
+}));
+
+researchSyncCommands.add(new command.Command({
+	definition: ["set <technology> <level>", "Set technology researched up to and including level", (yargs) => {
+		yargs.positional("technology", { describe: "Name of technology", type: "string" });
+		yargs.positional("level", { describe: "Level of technology", type: "number" });
+		yargs.options({
+			"group": { describe: "Sync group of technology", nargs: 1, type: "string", default: "default" },
+			"force": { describe: "Force of technology", nargs: 1, type: "string", default: "player" },
+			"progress": {
+				describe: "Set the level as being researched with this progress from 0 to 1 instead",
+				nargs: 1,
+				type: "number",
+			},
+		});
+	}],
+	handler: async function(args, control) {
+		if (args.progress !== undefined && !(args.progress >= 0 && args.progress < 1)) {
+			throw new errors.CommandError("--progress must be at least 0 and less than 1");
+		}
+
+		await info.messages.setTechnology.send(control, {
+			group: args.group,
+			force: args.force,
+			name: args.technology,
+			level: args.level,
+			researched: args.progress === undefined,
+			progress: args.progress === undefined ? null : args.progress,
+		});
+	},
+}));
+
+researchSyncCommands.add(new command.Command({
+	definition: ["reset <technology>", "Reset technology to not researched", (yargs) => {
+		yargs.positional("technology", { describe: "Name of technology", type: "string" });
+		yargs.options({
+			"group": { describe: "Sync group of technology", nargs: 1, type: "string", default: "default" },
+			"force": { describe: "Force of technology", nargs: 1, type: "string", default: "player" },
+		});
+	}],
+	handler: async function(args, control) {
+		await info.messages.resetTechnology.send(control, {
+			group: args.group,
+			force: args.force,
+			name: args.technology,
+		});
+	},
+}));
+
+researchSyncCommands.add(new command.Command({
+	definition: ["wipe", "Reset all technologies to not researched", (yargs) => {
+		yargs.options({
+			"group": { describe: "Only include this sync group", nargs: 1, type: "string" },
+			"force": { describe: "Only include this force", nargs: 1, type: "string" },
+		});
+	}],
+	handler: async function(args, control) {
+		await info.messages.wipeTechnologies.send(control, {
+			group: args.group || null,
+			force: args.force || null,
+		});
+	},
+}));
+
+class ControlPlugin extends plugin.BaseControlPlugin {
+	async addCommands(rootCommand) {
+		rootCommand.add(researchSyncCommands);
+	}
+}
+
+module.exports = {
+	ControlPlugin,
+};
@@ -1,5 +1,89 @@
 "use strict";
 const link = require("lib/link");
+const config = require("lib/config");
+const users = require("lib/users");
+
+class MasterConfigGroup extends config.PluginConfigGroup {}
+MasterConfigGroup.groupName = "research_sync";
+MasterConfigGroup.define({
+	name: "queue_mode",
+	title: "Queue Mode",
+	description:
+		"How the research queue is synchronised between the instances in a sync group, leader uses the queue " +
+		"of the instances with research_sync.queue_leader set while merged applies the changes made on any " +
+		"instance to the queue.",
+	type: "string",
+	enum: ["disabled", "leader", "merged"],
+	initial_value: "merged",
+});
+MasterConfigGroup.define({
+	name: "history_max_age",
+	title: "History Max Age",
+	description: "Number of days to keep the history of finished research for, set to null to keep it forever.",
+	type: "number",
+	optional: true,
+	initial_value: 365,
+});
+MasterConfigGroup.define({
+	name: "history_max_entries",
+	title: "History Max Entries",
+	description: "Max number of technologies finished to keep in the research history, set to null for no limit.",
+	type: "number",
+	optional: true,
+	initial_value: 10000,
+});
+MasterConfigGroup.finalize();
+
+class InstanceConfigGroup extends config.PluginConfigGroup {}
+InstanceConfigGroup.groupName = "research_sync";
+InstanceConfigGroup.define({
+	name: "sync_group",
+	title: "Sync Group",
+	description:
+		"Name of the group of instances research is synchronised between, set to null to not synchronise " +
+		"research on this instance.",
+	type: "string",
+	optional: true,
+	initial_value: "default",
+});
+InstanceConfigGroup.define({
+	name: "queue_leader",
+	title: "Queue Leader",
+	description: "Use the research queue of this instance for its sync group when the queue mode is leader.",
+	type: "boolean",
+	initial_value: false,
+});
+InstanceConfigGroup.finalize();
+
+users.definePermission({
+	name: "research_sync.history.view",
+	title: "View research history",
+	description: "View when technologies were researched and which instance contributed most to them.",
+	grantByDefault: true,
+});
+
+users.definePermission({
+	name: "research_sync.technology.list",
+	title: "List technologies",
+	description: "List the research progress of technologies synchronised by research_sync.",
+	grantByDefault: true,
+});
+users.definePermission({
+	name: "research_sync.technology.set",
+	title: "Set technology",
+	description: "Set or reset the research of a technology on all instances in a sync group.",
+});
+users.definePermission({
+	name: "research_sync.technology.wipe",
+	title: "Wipe research",
+	description: "Reset the research of all technologies on all instances in a sync group.",
+});
+
+// schema used for syncing the research queue of a force
+const queue = {
+	type: "array",
+	items: { type: "string" },
+};
 
 
 // schema used for syncing technologies to and from the master
@@ -24,7 +108,12 @@ module.exports = {
 	description: "Synchronises technology research progress between instances.",
 	version: "2.0.0-alpha",
 	instanceEntrypoint: "instance",
+	InstanceConfigGroup,
+
 	masterEntrypoint: "master",
+	MasterConfigGroup,
+
+	controlEntrypoint: "control",
 
 	messages: {
 		contribution: new link.Event({
@@ -32,6 +121,9 @@ module.exports = {
 			links: ["instance-slave", "slave-master"],
 			forwardTo: "master",
 			eventProperties: {
+				"instance_id": { type: "integer" },
+				"group": { type: "string" },
+				"force": { type: "string" },
 				"name": { type: "string" },
 				"level": { type: "integer" },
 				"contribution": { type: "number" },
@@ -42,6 +134,8 @@ module.exports = {
 			links: ["master-slave", "slave-instance"],
 			broadcastTo: "instance",
 			eventProperties: {
+				"group": { type: "string" },
+				"force": { type: "string" },
 				"technologies": {
 					type: "array",
 					items: {
@@ -62,8 +156,34 @@ module.exports = {
 			forwardTo: "master",
 			broadcastTo: "instance",
 			eventProperties: {
+				"group": { type: "string" },
+				"force": { type: "string" },
 				"name": { type: "string" },
 				"level": { type: "integer" },
+				// Set the researched level even if it's lower, used for admin changes
+				"override": { type: "boolean" },
+			},
+		}),
+		queueChanged: new link.Event({
+			type: "research_sync:queue_changed",
+			links: ["instance-slave", "slave-master"],
+			forwardTo: "master",
+			eventProperties: {
+				"instance_id": { type: "integer" },
+				"group": { type: "string" },
+				"force": { type: "string" },
+				"queue": queue,
+				"previous": { type: ["null", "array"], items: { type: "string" } },
+			},
+		}),
+		queue: new link.Event({
+			type: "research_sync:queue",
+			links: ["master-slave", "slave-instance"],
+			broadcastTo: "instance",
+			eventProperties: {
+				"group": { type: "string" },
+				"force": { type: "string" },
+				"queue": queue,
 			},
 		}),
 		syncTechnologies: new link.Request({
@@ -71,10 +191,103 @@ module.exports = {
 			links: ["instance-slave", "slave-master"],
 			forwardTo: "master",
 			requestProperties: {
+				"group": { type: "string" },
+				"force": { type: "string" },
 				"technologies": technologies,
+				// Wipe epoch the instance last synced at, null if never synced
+				"epoch": { type: ["null", "integer"] },
 			},
 			responseProperties: {
 				"technologies": technologies,
+				"epoch": { type: "integer" },
+				// Set the technologies even if they are lower, the instance missed a wipe
+				"override": { type: "boolean" },
+			},
+		}),
+		getHistory: new link.Request({
+			type: "research_sync:get_history",
+			links: ["control-master"],
+			permission: "research_sync.history.view",
+			requestProperties: {
+				"offset": { type: "integer", minimum: 0 },
+				"limit": { type: "integer", minimum: 1, maximum: 1000 },
+			},
+			responseProperties: {
+				"history": {
+					type: "array",
+					items: {
+						additionalProperties: false,
+						required: ["time", "group", "force", "name", "level", "instance_id", "instance_name"],
+						properties: {
+							"time": { type: "integer" },
+							"group": { type: "string" },
+							"force": { type: "string" },
+							"name": { type: "string" },
+							"level": { type: "integer" },
+							"instance_id": { type: ["null", "integer"] },
+							"instance_name": { type: ["null", "string"] },
+						},
+					},
+				},
+				"total": { type: "integer" },
+			},
+		}),
+		listTechnologies: new link.Request({
+			type: "research_sync:list_technologies",
+			links: ["control-master"],
+			permission: "research_sync.technology.list",
+			requestProperties: {
+				"group": { type: ["null", "string"] },
+				"force": { type: ["null", "string"] },
+			},
+			responseProperties: {
+				"list": {
+					type: "array",
+					items: {
+						additionalProperties: false,
+						required: ["group", "force", "name", "level", "progress", "researched"],
+						properties: {
+							"group": { type: "string" },
+							"force": { type: "string" },
+							"name": { type: "string" },
+							"level": { type: "integer" },
+							"progress": { type: ["null", "number"] },
+							"researched": { type: "boolean" },
+						},
+					},
+				},
+			},
+		}),
+		setTechnology: new link.Request({
+			type: "research_sync:set_technology",
+			links: ["control-master"],
+			permission: "research_sync.technology.set",
+			requestProperties: {
+				"group": { type: "string" },
+				"force": { type: "string" },
+				"name": { type: "string" },
+				"level": { type: "integer", minimum: 1 },
+				"researched": { type: "boolean" },
+				"progress": { type: ["null", "number"], minimum: 0, exclusiveMaximum: 1 },
+			},
+		}),
+		resetTechnology: new link.Request({
+			type: "research_sync:reset_technology",
+			links: ["control-master"],
+			permission: "research_sync.technology.set",
+			requestProperties: {
+				"group": { type: "string" },
+				"force": { type: "string" },
+				"name": { type: "string" },
+			},
+		}),
+		wipeTechnologies: new link.Request({
+			type: "research_sync:wipe_technologies",
+			links: ["control-master"],
+			permission: "research_sync.technology.wipe",
+			requestProperties: {
+				"group": { type: ["null", "string"] },
+				"force": { type: ["null", "string"] },
 			},
 		}),
 	},
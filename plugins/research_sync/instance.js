@@ -11,6 +11,11 @@ function unexpectedError(err) {
 	console.log(err);
 }
 
+// Empty Lua tables are serialised as {} by Factorio
+function toArray(value) {
+	return value instanceof Array ? value : [];
+}
+
 class InstancePlugin extends plugin.BaseInstancePlugin {
 	async init() {
 		if (!this.instance.config.get("factorio.enable_save_patching")) {
@@ -23,33 +28,100 @@ class InstancePlugin extends plugin.BaseInstancePlugin {
 		this.instance.server.on("ipc-research_sync:finished", (tech) => {
 			this.researchFinished(tech).catch(unexpectedError);
 		});
+		this.instance.server.on("ipc-research_sync:queue_changed", (data) => {
+			this.queueChanged(data).catch(unexpectedError);
+		});
+	}
+
+	/**
+	 * Sync group this instance is in
+	 *
+	 * Research is left alone on instances not in a sync group.
+	 * @type {?string}
+	 */
+	get group() {
+		return this.instance.config.get("research_sync.sync_group");
 	}
 
 	async researchContribution(tech) {
-		this.info.messages.contribution.send(this.instance, tech);
+		if (this.group === null) {
+			return;
+		}
+		this.info.messages.contribution.send(this.instance, {
+			instance_id: this.instance.config.get("instance.id"),
+			group: this.group,
+			...tech,
+		});
 	}
 
 	async progressEventHandler(message) {
-		let techsJson = luaTools.escapeString(JSON.stringify(message.data.technologies));
-		await this.instance.server.sendRcon(`/sc research_sync.update_progress("${techsJson}")`, true);
+		let { group, force, technologies } = message.data;
+		if (group !== this.group) {
+			return;
+		}
+		let forceName = luaTools.escapeString(force);
+		let techsJson = luaTools.escapeString(JSON.stringify(technologies));
+		await this.instance.server.sendRcon(`/sc research_sync.update_progress("${forceName}", "${techsJson}")`, true);
 	}
 
 	async researchFinished(tech) {
-		this.info.messages.finished.send(this.instance, tech);
+		if (this.group === null) {
+			return;
+		}
+		this.info.messages.finished.send(this.instance, { group: this.group, ...tech, override: false });
 	}
 
 	async finishedEventHandler(message) {
-		let { name, level, researched } = message.data;
+		let { group, force, name, level, override } = message.data;
+		if (group !== this.group) {
+			return;
+		}
 		await this.instance.server.sendRcon(
-			`/sc research_sync.research_technology("${luaTools.escapeString(name)}", ${level})`, true
+			`/sc research_sync.research_technology("${luaTools.escapeString(force)}", ` +
+			`"${luaTools.escapeString(name)}", ${level}, ${override})`, true
 		);
 	}
 
+	async queueChanged(data) {
+		if (this.group === null) {
+			return;
+		}
+
+		this.info.messages.queueChanged.send(this.instance, {
+			instance_id: this.instance.config.get("instance.id"),
+			group: this.group,
+			force: data.force,
+			queue: toArray(data.queue),
+			previous: data.previous === undefined ? null : toArray(data.previous),
+		});
+	}
+
+	async queueEventHandler(message) {
+		let { group, force, queue } = message.data;
+		if (group !== this.group) {
+			return;
+		}
+		let forceName = luaTools.escapeString(force);
+		let queueJson = luaTools.escapeString(JSON.stringify(queue));
+		await this.instance.server.sendRcon(`/sc research_sync.set_queue("${forceName}", "${queueJson}")`, true);
+	}
+
 	async onStart() {
+		let group = this.group;
+		if (group === null) {
+			return;
+		}
+
 		let dumpJson = await this.instance.server.sendRcon("/sc research_sync.dump_technologies()");
+		for (let { force, technologies, epoch } of JSON.parse(dumpJson)) {
+			await this.syncForce(group, force, technologies, epoch === undefined ? null : epoch);
+		}
+	}
+
+	async syncForce(group, force, technologies, epoch) {
 		let techsToSend = [];
 		let instanceTechs = new Map();
-		for (let tech of JSON.parse(dumpJson)) {
+		for (let tech of technologies) {
 			techsToSend.push([
 				tech.name,
 				tech.level,
@@ -59,7 +131,9 @@ class InstancePlugin extends plugin.BaseInstancePlugin {
 			instanceTechs.set(tech.name, tech);
 		}
 
-		let response = await this.info.messages.syncTechnologies.send(this.instance, { technologies: techsToSend });
+		let response = await this.info.messages.syncTechnologies.send(
+			this.instance, { group, force, technologies: techsToSend, epoch }
+		);
 		let techsToSync = [];
 		for (let masterTech of response.technologies) {
 			let [name, level, progress, researched] = masterTech;
@@ -74,9 +148,28 @@ class InstancePlugin extends plugin.BaseInstancePlugin {
 			}
 		}
 
+		let forceName = luaTools.escapeString(force);
+		if (response.override) {
+			// Research was wiped while this instance was not running
+			for (let [name, level, progress, researched] of techsToSync) {
+				await this.instance.server.sendRcon(
+					`/sc research_sync.research_technology("${forceName}", "${luaTools.escapeString(name)}", ` +
+					`${researched ? level : level - 1}, true)`, true
+				);
+			}
+			// Progress on the next level is set by sync_technologies
+			techsToSync = techsToSync.filter(tech => tech[2]);
+		}
+
 		if (techsToSync.length) {
 			let syncJson = luaTools.escapeString(JSON.stringify(techsToSync));
-			await this.instance.server.sendRcon(`/sc research_sync.sync_technologies("${syncJson}")`, true);
+			await this.instance.server.sendRcon(
+				`/sc research_sync.sync_technologies("${forceName}", "${syncJson}")`, true
+			);
+		}
+
+		if (response.epoch !== epoch) {
+			await this.instance.server.sendRcon(`/sc research_sync.set_epoch("${forceName}", ${response.epoch})`, true);
 		}
 	}
 }
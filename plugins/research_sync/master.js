@@ -1,23 +1,197 @@
 "use strict";
-const fs = require("fs-extra");
+const express = require("express");
 const path = require("path");
 
+const database = require("lib/database");
 const plugin = require("lib/plugin");
 
 
+function getOrCreate(map, key, create) {
+	let value = map.get(key);
+	if (value === undefined) {
+		value = create();
+		map.set(key, value);
+	}
+	return value;
+}
+
+// Level the first technology of a series of upgrades starts at
+function baseLevel(name) {
+	let match = /-(\d+)$/.exec(name);
+	if (!match) {
+		return 1;
+	}
+	return Number.parseInt(match[1], 10);
+}
+
+/**
+ * Merge changes made to a research queue into the queue of a sync group
+ *
+ * Technologies removed from the instance's queue since the previous
+ * queue it had are removed from the group queue, and technologies not
+ * in the group queue are added to the end of it in the order they are
+ * queued on the instance.
+ *
+ * @param {Array<string>} current - Queue of the sync group.
+ * @param {Array<string>} queue - Queue of the instance.
+ * @param {?Array<string>} previous -
+ *     Queue the instance had before, or null if not known.
+ * @returns {Array<string>} the merged queue.
+ */
+function mergeQueue(current, queue, previous) {
+	let removed = previous ? previous.filter(name => !queue.includes(name)) : [];
+	let merged = current.filter(name => !removed.includes(name));
+	for (let name of queue) {
+		if (!merged.includes(name)) {
+			merged.push(name);
+		}
+	}
+	return merged;
+}
+
 class MasterPlugin extends plugin.BaseMasterPlugin {
 	async init() {
-		this.technologies = await loadTechnologies(this.master.config);
+		let externalAddress = this.master.config.get("master.external_address");
+		let root = externalAddress ? new URL(externalAddress).pathname : "/";
+		this.ui = {
+			sidebar: [
+				{
+					getHtml: () => `
+    <div class="nav-item mr-1">
+        <a class="nav-link align-middle" href="${root}research_sync/history">Research</a>
+    </div>`,
+				},
+			],
+		};
+		this.master.app.use("/research_sync", express.static(path.join(__dirname, "static")));
+		this.master.app.get("/research_sync/history", (req, res) => { res.render("research_sync/views/history"); });
+
+		// Technologies, research queues and wipe epochs keyed by sync group, then force
+		({
+			groups: this.groups,
+			queues: this.queues,
+			history: this.history,
+			epochs: this.epochs,
+		} = await loadTechnologies(this.master.config));
+		this.pruneHistory();
 		this.lastProgressBroadcast = Date.now();
 		this.progressBroadcastId = null;
-		this.progressToBroadcast = new Set();
+		this.progressToBroadcast = new Map();
+
+		this.autosaver = new database.AutoSaver(
+			"research_sync technologies",
+			() => saveTechnologies(this.master.config, this.groups, this.queues, this.history, this.epochs)
+		);
+		let autosaveInterval = this.master.config.get("master.autosave_interval");
+		this.autosaver.start(autosaveInterval === null ? null : autosaveInterval * 1000);
 	}
 
 	async onShutdown() {
 		if (this.progressBroadcastId) {
 			clearTimeout(this.progressBroadcastId);
 		}
-		await saveTechnologies(this.master.config, this.technologies);
+		await this.autosaver.stop();
+	}
+
+	async onBackup() {
+		let content = serializeTechnologies(this.groups, this.queues, this.history, this.epochs);
+		return { "technologies.json": JSON.stringify(content, null, 4) };
+	}
+
+	/**
+	 * Technologies of a force in a sync group
+	 *
+	 * @param {string} group - Name of the sync group.
+	 * @param {string} force - Name of the force.
+	 * @returns {Map<string, Object>} technologies keyed by name.
+	 */
+	technologies(group, force) {
+		let forces = getOrCreate(this.groups, group, () => new Map());
+		return getOrCreate(forces, force, () => new Map());
+	}
+
+	/**
+	 * Research queue of a force in a sync group
+	 *
+	 * @param {string} group - Name of the sync group.
+	 * @param {string} force - Name of the force.
+	 * @returns {Array<string>} names of the technologies queued.
+	 */
+	queue(group, force) {
+		let forces = this.queues.get(group);
+		return forces && forces.get(force) || [];
+	}
+
+	/**
+	 * Number of times the research of a force in a sync group was wiped
+	 *
+	 * Instances store the epoch they last synced at in the save, and
+	 * technologies from instances with an older epoch are not merged as
+	 * they were researched before the wipe.
+	 *
+	 * @param {string} group - Name of the sync group.
+	 * @param {string} force - Name of the force.
+	 * @returns {number} the wipe epoch.
+	 */
+	epoch(group, force) {
+		let forces = this.epochs.get(group);
+		return forces && forces.get(force) || 0;
+	}
+
+	/**
+	 * Record a technology level as finished in the research history
+	 *
+	 * The instance credited is the one that contributed the most progress
+	 * to the level, or null if no contributions were received for it.
+	 *
+	 * @param {string} group - Name of the sync group.
+	 * @param {string} force - Name of the force.
+	 * @param {string} name - Name of the technology.
+	 * @param {number} level - Level of the technology finished.
+	 * @param {Object} contributors - Progress contributed by instance id.
+	 */
+	recordFinished(group, force, name, level, contributors = {}) {
+		let instanceId = null;
+		let most = 0;
+		for (let [id, contribution] of Object.entries(contributors)) {
+			if (contribution > most) {
+				instanceId = Number(id);
+				most = contribution;
+			}
+		}
+		this.history.push({ time: Date.now(), group, force, name, level, instance_id: instanceId });
+		this.pruneHistory();
+	}
+
+	/**
+	 * Remove entries exceeding the retention limits from the history
+	 *
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 */
+	pruneHistory(now = Date.now()) {
+		let maxAge = this.master.config.get("research_sync.history_max_age");
+		if (maxAge !== null) {
+			let oldest = now - maxAge * 24 * 60 * 60 * 1000;
+			let expired = this.history.findIndex(entry => entry.time >= oldest);
+			this.history.splice(0, expired === -1 ? this.history.length : expired);
+		}
+
+		let maxEntries = this.master.config.get("research_sync.history_max_entries");
+		if (maxEntries !== null && this.history.length > maxEntries) {
+			this.history.splice(0, this.history.length - maxEntries);
+		}
+	}
+
+	addProgress(group, force, name) {
+		let forces = getOrCreate(this.progressToBroadcast, group, () => new Map());
+		getOrCreate(forces, force, () => new Set()).add(name);
+	}
+
+	removeProgress(group, force, name) {
+		let forces = this.progressToBroadcast.get(group);
+		if (forces && forces.has(force)) {
+			forces.get(force).delete(name);
+		}
 	}
 
 	registerProgress() {
@@ -39,27 +213,33 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 	}
 
 	broadcastProgress() {
-		let techs = [];
-		for (let name of this.progressToBroadcast) {
-			let tech = this.technologies.get(name);
-			if (tech.progress) {
-				techs.push({ name, level: tech.level, progress: tech.progress });
+		for (let [group, forces] of this.progressToBroadcast) {
+			for (let [force, names] of forces) {
+				let technologies = this.technologies(group, force);
+				let techs = [];
+				for (let name of names) {
+					let tech = technologies.get(name);
+					if (tech.progress) {
+						techs.push({ name, level: tech.level, progress: tech.progress });
+					}
+				}
+
+				if (techs.length) {
+					this.broadcastEventToSlaves(this.info.messages.progress, { group, force, technologies: techs });
+				}
 			}
 		}
 		this.progressToBroadcast.clear();
-
 		this.lastProgressBroadcast = Date.now();
-		if (techs.length) {
-			this.broadcastEventToSlaves(this.info.messages.progress, { technologies: techs });
-		}
 	}
 
 	async contributionEventHandler(message) {
-		let { name, level, contribution } = message.data;
-		let tech = this.technologies.get(name);
+		let { instance_id, group, force, name, level, contribution } = message.data;
+		let technologies = this.technologies(group, force);
+		let tech = technologies.get(name);
 		if (!tech) {
 			tech = { level, progress: 0, researched: false };
-			this.technologies.set(name, tech);
+			technologies.set(name, tech);
 
 		// Ignore contribution to already researched technologies
 		} else if (tech.level > level || tech.level === level && tech.researched) {
@@ -70,6 +250,7 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 		if (tech.level === level - 1 && tech.researched) {
 			tech.researched = false;
 			tech.level = level;
+			delete tech.contributors;
 		}
 
 		// Ignore contributions to higher levels
@@ -77,49 +258,195 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 			return;
 		}
 
+		if (!tech.contributors) {
+			tech.contributors = {};
+		}
+		tech.contributors[instance_id] = (tech.contributors[instance_id] || 0) + contribution;
+
 		let newProgress = tech.progress + contribution;
 		if (newProgress < 1) {
 			tech.progress = newProgress;
-			this.progressToBroadcast.add(name);
+			this.addProgress(group, force, name);
 			this.registerProgress();
 
 		} else {
 			tech.researched = true;
 			tech.progress = null;
-			this.progressToBroadcast.delete(name);
+			this.recordFinished(group, force, name, tech.level, tech.contributors);
+			delete tech.contributors;
+			this.removeProgress(group, force, name);
+			this.autosaver.markDirty();
 
-			this.broadcastEventToSlaves(this.info.messages.finished, { name, level: tech.level });
+			this.broadcastEventToSlaves(this.info.messages.finished, {
+				group, force, name, level: tech.level, override: false,
+			});
 		}
 	}
 
 	async finishedEventHandler(message) {
-		let { name, level } = message.data;
-		let tech = this.technologies.get(name);
+		let { group, force, name, level } = message.data;
+		let technologies = this.technologies(group, force);
+		let tech = technologies.get(name);
 		if (!tech || tech.level <= level) {
-			this.progressToBroadcast.delete(name);
-			this.technologies.set(name, { level, progress: null, researched: true });
+			if (!tech || tech.level < level || !tech.researched) {
+				this.recordFinished(group, force, name, level, tech && tech.level === level ? tech.contributors : {});
+			}
+			this.removeProgress(group, force, name);
+			technologies.set(name, { level, progress: null, researched: true });
+			this.autosaver.markDirty();
 		}
 	}
 
-	async syncTechnologiesRequestHandler(message) {
-		function baseLevel(name) {
-			let match = /-(\d+)$/.exec(name);
-			if (!match) {
-				return 1;
-			} else {
-				return Number.parseInt(match[1], 10);
+	async queueChangedEventHandler(message) {
+		let mode = this.master.config.get("research_sync.queue_mode");
+		if (mode === "disabled") {
+			return;
+		}
+
+		let { instance_id, group, force, queue, previous } = message.data;
+		let current = this.queue(group, force);
+		let updated = current;
+		if (mode === "leader") {
+			let instance = this.master.db.instances.get(instance_id);
+			if (instance && instance.config.get("research_sync.queue_leader")) {
+				updated = queue;
+
+			// Broadcasting the empty queue would wipe the queue of every instance
+			} else if (!this.queues.has(group) || !this.queues.get(group).has(force)) {
+				return;
 			}
+
+		} else if (mode === "merged") {
+			updated = mergeQueue(current, queue, previous);
+		}
+
+		getOrCreate(this.queues, group, () => new Map()).set(force, updated);
+		this.autosaver.markDirty();
+
+		// Always sent so that the instance reporting gets the queue of the group
+		this.broadcastEventToSlaves(this.info.messages.queue, { group, force, queue: updated });
+	}
+
+	async getHistoryRequestHandler(message) {
+		let { offset, limit } = message.data;
+		let total = this.history.length;
+		let page = this.history.slice(Math.max(total - offset - limit, 0), Math.max(total - offset, 0)).reverse();
+		let history = [];
+		for (let entry of page) {
+			let instance = entry.instance_id === null ? null : this.master.db.instances.get(entry.instance_id);
+			history.push({ ...entry, instance_name: instance ? instance.config.get("instance.name") : null });
+		}
+		return { history, total };
+	}
+
+	/**
+	 * Set the researched level of a technology on running instances
+	 *
+	 * @param {string} group - Name of the sync group.
+	 * @param {string} force - Name of the force.
+	 * @param {string} name - Name of the technology.
+	 * @param {number} level - Highest level researched.
+	 * @param {?number} progress - Progress of the next level, if any.
+	 */
+	broadcastOverride(group, force, name, level, progress = null) {
+		this.broadcastEventToSlaves(this.info.messages.finished, { group, force, name, level, override: true });
+		if (progress) {
+			this.broadcastEventToSlaves(this.info.messages.progress, {
+				group, force, technologies: [{ name, level: level + 1, progress }],
+			});
+		}
+	}
+
+	async listTechnologiesRequestHandler(message) {
+		let list = [];
+		for (let [group, forces] of this.groups) {
+			if (message.data.group !== null && message.data.group !== group) {
+				continue;
+			}
+			for (let [force, technologies] of forces) {
+				if (message.data.force !== null && message.data.force !== force) {
+					continue;
+				}
+				for (let [name, tech] of technologies) {
+					list.push({
+						group, force, name, level: tech.level, progress: tech.progress, researched: tech.researched,
+					});
+				}
+			}
+		}
+		return { list };
+	}
+
+	async setTechnologyRequestHandler(message) {
+		let { group, force, name, level, researched, progress } = message.data;
+		if (researched) {
+			progress = null;
+		}
+		this.technologies(group, force).set(name, { level, progress, researched });
+		this.removeProgress(group, force, name);
+		this.autosaver.markDirty();
+		this.broadcastOverride(group, force, name, researched ? level : level - 1, progress);
+	}
+
+	async resetTechnologyRequestHandler(message) {
+		let { group, force, name } = message.data;
+		this.technologies(group, force).delete(name);
+		this.removeProgress(group, force, name);
+		this.autosaver.markDirty();
+		this.broadcastOverride(group, force, name, baseLevel(name) - 1);
+	}
+
+	async wipeTechnologiesRequestHandler(message) {
+		for (let [group, forces] of this.groups) {
+			if (message.data.group !== null && message.data.group !== group) {
+				continue;
+			}
+			for (let [force, technologies] of forces) {
+				if (message.data.force !== null && message.data.force !== force) {
+					continue;
+				}
+				for (let name of technologies.keys()) {
+					this.removeProgress(group, force, name);
+					this.broadcastOverride(group, force, name, baseLevel(name) - 1);
+				}
+				technologies.clear();
+
+				// Instances not running now would sync the old research back otherwise
+				getOrCreate(this.epochs, group, () => new Map()).set(force, this.epoch(group, force) + 1);
+
+				// The queue of the old research would be pushed back to instances otherwise
+				let queues = this.queues.get(group);
+				if (queues) {
+					queues.delete(force);
+				}
+			}
+		}
+		this.autosaver.markDirty();
+	}
+
+	async syncTechnologiesRequestHandler(message) {
+		let { group, force, epoch } = message.data;
+		let technologies = this.technologies(group, force);
+		let current = this.epoch(group, force);
+		if (epoch !== null && epoch < current) {
+			return {
+				technologies: this.wipedTechnologies(technologies, message.data.technologies),
+				epoch: current,
+				override: true,
+			};
 		}
 
 		for (let instanceTech of message.data.technologies) {
 			let [name, level, progress, researched] = instanceTech;
-			let tech = this.technologies.get(name);
+			let tech = technologies.get(name);
 			if (!tech) {
-				this.technologies.set(name, { level, progress, researched });
+				technologies.set(name, { level, progress, researched });
 				if (progress) {
-					this.progressToBroadcast.add(name);
+					this.addProgress(group, force, name);
 				} else if (researched || baseLevel(name) != level) {
-					this.broadcastEventToSlaves(this.info.messages.finished, { name, level });
+					this.broadcastEventToSlaves(this.info.messages.finished, {
+						group, force, name, level, override: false,
+					});
 				}
 
 			} else {
@@ -130,59 +457,132 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 				if (tech.level < level || researched) {
 					// Send update if the unlocked level is greater
 					if (level - !researched > tech.level - !tech.researched) {
-						this.broadcastEventToSlaves(this.info.messages.finished, { name, level: level - !researched });
+						this.broadcastEventToSlaves(this.info.messages.finished, {
+							group, force, name, level: level - !researched, override: false,
+						});
 					}
 					tech.level = level;
 					tech.progress = progress;
 					tech.researched = researched;
 
 					if (progress) {
-						this.progressToBroadcast.add(name);
+						this.addProgress(group, force, name);
 					} else {
-						this.progressToBroadcast.delete(name);
+						this.removeProgress(group, force, name);
 					}
 
 				} else if (tech.progress < progress) {
 					tech.progress = progress;
-					this.progressToBroadcast.add(name);
+					this.addProgress(group, force, name);
 				}
 			}
 		}
 		this.registerProgress();
+		this.autosaver.markDirty();
 
-		let technologies = [];
-		for (let [name, tech] of this.technologies) {
-			technologies.push([name, tech.level, tech.progress, tech.researched]);
+		let response = [];
+		for (let [name, tech] of technologies) {
+			response.push([name, tech.level, tech.progress, tech.researched]);
 		}
 
-		return { technologies };
+		return { technologies: response, epoch: current, override: false };
+	}
+
+	/**
+	 * Technologies to override on an instance that missed a wipe
+	 *
+	 * @param {Map<string, Object>} technologies - Technologies of the force.
+	 * @param {Array} instanceTechs - Technologies synced from the instance.
+	 * @returns {Array} the technologies of the force followed by the
+	 *     technologies the instance has progress in that are not kept
+	 *     anymore, reset to their base level.
+	 */
+	wipedTechnologies(technologies, instanceTechs) {
+		let response = [];
+		for (let [name, tech] of technologies) {
+			response.push([name, tech.level, tech.progress, tech.researched]);
+		}
+		for (let [name, level, progress, researched] of instanceTechs) {
+			if (!technologies.has(name) && (researched || progress || level !== baseLevel(name))) {
+				response.push([name, baseLevel(name), null, false]);
+			}
+		}
+		return response;
 	}
 }
 
+function serializeTechnologies(groups, queues, history, epochs) {
+	let serialized = { groups: {}, queues: {}, history, epochs: {} };
+	for (let [group, forces] of groups) {
+		serialized.groups[group] = {};
+		for (let [force, technologies] of forces) {
+			serialized.groups[group][force] = [...technologies.entries()];
+		}
+	}
+	for (let [group, forces] of queues) {
+		serialized.queues[group] = {};
+		for (let [force, queue] of forces) {
+			serialized.queues[group][force] = queue;
+		}
+	}
+	for (let [group, forces] of epochs) {
+		serialized.epochs[group] = {};
+		for (let [force, epoch] of forces) {
+			serialized.epochs[group][force] = epoch;
+		}
+	}
+	return serialized;
+}
+
+function deserializeTechnologies(content) {
+	// Before sync groups the technologies of the player force were stored as a single list
+	if (content instanceof Array) {
+		return {
+			groups: new Map([["default", new Map([["player", new Map(content)]])]]),
+			queues: new Map(),
+			history: [],
+			epochs: new Map(),
+		};
+	}
+
+	let groups = new Map();
+	for (let [group, forces] of Object.entries(content.groups)) {
+		groups.set(group, new Map(Object.entries(forces).map(([force, techs]) => [force, new Map(techs)])));
+	}
+	let queues = new Map();
+	for (let [group, forces] of Object.entries(content.queues || {})) {
+		queues.set(group, new Map(Object.entries(forces)));
+	}
+	let epochs = new Map();
+	for (let [group, forces] of Object.entries(content.epochs || {})) {
+		epochs.set(group, new Map(Object.entries(forces)));
+	}
+	return { groups, queues, history: content.history || [], epochs };
+}
+
 async function loadTechnologies(masterConfig) {
 	let filePath = path.join(masterConfig.get("master.database_directory"), "technologies.json");
 	console.log(`Loading ${filePath}`);
-	try {
-		return new Map(JSON.parse(await fs.readFile(filePath)));
-
-	} catch (err) {
-		if (err.code === "ENOENT") {
-			console.log("Creating new technologies database");
-			return new Map();
-
-		} else {
-			throw err;
-		}
+	let content = await database.loadJson(filePath, null);
+	if (content === null) {
+		console.log("Creating new technologies database");
+		return { groups: new Map(), queues: new Map(), history: [], epochs: new Map() };
 	}
+	return deserializeTechnologies(content);
 }
 
-async function saveTechnologies(masterConfig, technologies) {
+async function saveTechnologies(masterConfig, groups, queues, history, epochs) {
 	let filePath = path.join(masterConfig.get("master.database_directory"), "technologies.json");
-	console.log(`writing ${filePath}`);
-	await fs.outputFile(filePath, JSON.stringify([...technologies.entries()], null, 4));
+	let content = serializeTechnologies(groups, queues, history, epochs);
+	await database.writeFileAtomic(filePath, JSON.stringify(content, null, 4));
 }
 
 
 module.exports = {
 	MasterPlugin,
+
+	// For testing only
+	_mergeQueue: mergeQueue,
+	_serializeTechnologies: serializeTechnologies,
+	_deserializeTechnologies: deserializeTechnologies,
 };
@@ -19,22 +19,26 @@ local function set_technology_progress(tech, progress)
     end
 end
 
-sync.events = {}
-sync.events[clusterio_api.events.on_server_startup] = function(event)
-    if not global.research_sync then
-        global.research_sync = {
-            technologies = {},
-        }
-    end
+-- Forces that do research, the enemy and neutral forces are left alone
+local function is_synced_force(force)
+    return force.name ~= "enemy" and force.name ~= "neutral"
+end
 
-    -- Used when syncing completed technologies from the master
-    global.research_sync.ignore_research_finished = false
+local function force_technologies(force)
+    local technologies = global.research_sync.technologies[force.name]
+    if not technologies then
+        technologies = {}
+        global.research_sync.technologies[force.name] = technologies
+    end
+    return technologies
+end
 
-    local force = game.forces["player"]
+local function track_force(force)
+    local technologies = force_technologies(force)
     for _, tech in pairs(force.technologies) do
         if tech.enabled then
             local progress = get_technology_progress(tech)
-            global.research_sync.technologies[tech.name] = {
+            technologies[tech.name] = {
                 level = tech.level,
                 researched = tech.researched,
                 progress = progress,
@@ -43,14 +47,45 @@ sync.events[clusterio_api.events.on_server_startup] = function(event)
     end
 end
 
+sync.events = {}
+sync.events[clusterio_api.events.on_server_startup] = function(event)
+    if not global.research_sync then
+        global.research_sync = {}
+    end
+
+    -- Technologies are tracked per force, and rebuilt on each startup
+    global.research_sync.technologies = {}
+
+    -- Last known research queue of each force, reported again after startup
+    global.research_sync.queues = {}
+
+    -- Used when syncing completed technologies from the master
+    global.research_sync.ignore_research_finished = false
+
+    -- Wipe epoch of each force last synced with the master, kept in the save
+    if not global.research_sync.epochs then
+        global.research_sync.epochs = {}
+    end
+
+    for _, force in pairs(game.forces) do
+        if is_synced_force(force) then
+            track_force(force)
+        end
+    end
+end
+
+sync.events[defines.events.on_force_created] = function(event)
+    track_force(event.force)
+end
+
 local function get_contribution(tech)
     local progress = get_technology_progress(tech)
     if not progress then
         return 0, nil
     end
 
-    local prev_tech = global.research_sync.technologies[tech.name]
-    if prev_tech.progress and prev_tech.level == tech.level then
+    local prev_tech = force_technologies(tech.force)[tech.name]
+    if prev_tech and prev_tech.progress and prev_tech.level == tech.level then
         return progress - prev_tech.progress, progress
     else
         return progress, progress
@@ -61,11 +96,17 @@ local function send_contribution(tech)
     local contribution, progress = get_contribution(tech)
     if contribution ~= 0 then
         clusterio_api.send_json("research_sync:contribution", {
+            force = tech.force.name,
             name = tech.name,
             level = tech.level,
             contribution = contribution,
         })
-        global.research_sync.technologies[tech.name].progress = progress
+        local technologies = force_technologies(tech.force)
+        if technologies[tech.name] then
+            technologies[tech.name].progress = progress
+        else
+            technologies[tech.name] = { level = tech.level, progress = progress }
+        end
     end
 end
 
@@ -82,7 +123,11 @@ sync.events[defines.events.on_research_finished] = function(event)
     end
 
     local tech = event.research
-    global.research_sync.technologies[tech.name] = {
+    if not is_synced_force(tech.force) then
+        return
+    end
+
+    force_technologies(tech.force)[tech.name] = {
         level = tech.level,
         researched = tech.researched,
     }
@@ -93,44 +138,100 @@ sync.events[defines.events.on_research_finished] = function(event)
     end
 
     clusterio_api.send_json("research_sync:finished", {
+        force = tech.force.name,
         name = tech.name,
         level = level,
     })
 end
 
+local function get_queue(force)
+    local queue = {}
+    for _, tech in ipairs(force.research_queue or {}) do
+        table.insert(queue, tech.name)
+    end
+    return queue
+end
+
+local function queues_equal(a, b)
+    if #a ~= #b then
+        return false
+    end
+    for i = 1, #a do
+        if a[i] ~= b[i] then
+            return false
+        end
+    end
+    return true
+end
+
+local function check_queue(force)
+    local queue = get_queue(force)
+    local previous = global.research_sync.queues[force.name]
+    if previous and queues_equal(queue, previous) then
+        return
+    end
+
+    global.research_sync.queues[force.name] = queue
+    clusterio_api.send_json("research_sync:queue_changed", {
+        force = force.name,
+        queue = queue,
+        previous = previous,
+    })
+end
+
 sync.on_nth_tick = {}
 sync.on_nth_tick[79] = function(event)
-    local tech = game.forces["player"].current_research
-    if tech then
-        send_contribution(tech)
+    for _, force in pairs(game.forces) do
+        if is_synced_force(force) then
+            local tech = force.current_research
+            if tech then
+                send_contribution(tech)
+            end
+            check_queue(force)
+        end
     end
 end
 
 research_sync = {}
 function research_sync.dump_technologies()
-    local force = game.forces["player"]
+    local forces = {}
+    for _, force in pairs(game.forces) do
+        if is_synced_force(force) then
+            local techs = {}
+            for _, tech in pairs(force.technologies) do
+                if tech.enabled then
+                    table.insert(techs, {
+                        name = tech.name,
+                        level = tech.level,
+                        progress = get_technology_progress(tech),
+                        researched = tech.researched,
+                    })
+                end
+            end
 
-    local techs = {}
-    for _, tech in pairs(force.technologies) do
-        if tech.enabled then
-            table.insert(techs, {
-                name = tech.name,
-                level = tech.level,
-                progress = get_technology_progress(tech),
-                researched = tech.researched,
-            })
+            -- Empty tables serialise to {} and not []
+            if #techs > 0 then
+                table.insert(forces, {
+                    force = force.name,
+                    technologies = techs,
+                    epoch = global.research_sync.epochs[force.name],
+                })
+            end
         end
     end
 
-    if #techs == 0 then
+    if #forces == 0 then
         rcon.print("[]")
     else
-        rcon.print(game.table_to_json(techs))
+        rcon.print(game.table_to_json(forces))
     end
 end
 
-function research_sync.sync_technologies(data)
-    local force = game.forces["player"]
+function research_sync.sync_technologies(force_name, data)
+    local force = game.forces[force_name]
+    if not force then
+        return
+    end
 
     local nameIndex = 1
     local levelIndex = 2
@@ -155,7 +256,7 @@ function research_sync.sync_technologies(data)
                 progress = get_technology_progress(tech)
             end
 
-            global.research_sync.technologies[tech.name] = {
+            force_technologies(force)[tech.name] = {
                 level = tech.level,
                 researched = tech.researched,
                 progress = progress,
@@ -165,16 +266,23 @@ function research_sync.sync_technologies(data)
     global.research_sync.ignore_research_finished = false
 end
 
-function research_sync.update_progress(data)
+function research_sync.set_epoch(force_name, epoch)
+    global.research_sync.epochs[force_name] = epoch
+end
+
+function research_sync.update_progress(force_name, data)
     local techs = game.json_to_table(data)
-    local force = game.forces["player"]
+    local force = game.forces[force_name]
+    if not force then
+        return
+    end
 
     for _, masterTech in ipairs(techs) do
         local tech = force.technologies[masterTech.name]
         if tech and tech.enabled and tech.level == masterTech.level then
             send_contribution(tech)
             set_technology_progress(tech, masterTech.progress)
-            global.research_sync.technologies[tech.name] = {
+            force_technologies(force)[tech.name] = {
                 level = tech.level,
                 progress = masterTech.progress
             }
@@ -182,10 +290,66 @@ function research_sync.update_progress(data)
     end
 end
 
-function research_sync.research_technology(name, level)
-    local force = game.forces["player"]
+function research_sync.set_queue(force_name, data)
+    local force = game.forces[force_name]
+    if not force then
+        return
+    end
+
+    -- Report local changes not yet seen by the master before replacing them
+    check_queue(force)
+
+    local queue = {}
+    for _, name in ipairs(game.json_to_table(data)) do
+        local tech = force.technologies[name]
+        if tech and tech.enabled and not tech.researched then
+            table.insert(queue, tech)
+        end
+    end
+    force.research_queue = queue
+    global.research_sync.queues[force.name] = get_queue(force)
+end
+
+-- Set the technology to have the levels up to and including level researched
+-- and no progress on the next level, used for changes made by admins.
+local function set_researched_level(tech, level)
+    local prototype = tech.prototype
+
+    global.research_sync.ignore_research_finished = true
+    if level >= prototype.max_level then
+        tech.level = prototype.max_level
+        tech.researched = true
+    else
+        tech.researched = false
+        tech.level = math.max(level + 1, prototype.level)
+        set_technology_progress(tech, 0)
+    end
+    global.research_sync.ignore_research_finished = false
+
+    force_technologies(tech.force)[tech.name] = {
+        level = tech.level,
+        researched = tech.researched,
+        progress = not tech.researched and 0 or nil,
+    }
+end
+
+function research_sync.research_technology(force_name, name, level, override)
+    local force = game.forces[force_name]
+    if not force then
+        return
+    end
+
     local tech = force.technologies[name]
-    if not tech or not tech.enabled or tech.level > level then
+    if not tech or not tech.enabled then
+        return
+    end
+
+    if override then
+        set_researched_level(tech, level)
+        return
+    end
+
+    if tech.level > level then
         return
     end
 
@@ -202,15 +366,15 @@ function research_sync.research_technology(name, level)
         tech.researched = true
 
         if tech.name:find("-%d+$") then
-            game.print {"", "Researched ", {"technology-name." .. tech.name:gsub("-%d+$", "")}, " ", level}
+            force.print {"", "Researched ", {"technology-name." .. tech.name:gsub("-%d+$", "")}, " ", level}
         else
-            game.print {"", "Researched ", {"technology-name." .. tech.name}}
+            force.print {"", "Researched ", {"technology-name." .. tech.name}}
         end
-        game.play_sound { path = "utility/research_completed" }
+        force.play_sound { path = "utility/research_completed" }
     end
     global.research_sync.ignore_research_finished = false
 
-    global.research_sync.technologies[tech.name] = {
+    force_technologies(force)[tech.name] = {
         level = tech.level,
         researched = tech.researched,
     }
@@ -0,0 +1,64 @@
+// Research history of the cluster, newest first.
+"use strict";
+let _history = [];
+
+function technologyName(entry) {
+	// Levels of infinite technologies are part of the name
+	if (/-\d+$/.test(entry.name)) {
+		return `${entry.name.replace(/-\d+$/, "")} ${entry.level}`;
+	}
+	return entry.name;
+}
+
+function updateGroupFilter() {
+	let select = $("#group-filter");
+	let selected = select.val();
+	let groups = [...new Set(_history.map(entry => entry.group))].sort();
+	select.find("option:not(:first)").remove();
+	for (let group of groups) {
+		select.append($("<option>").val(group).text(group));
+	}
+	select.val(groups.includes(selected) ? selected : "");
+}
+
+function drawHistory() {
+	let group = $("#group-filter").val();
+	let tbody = $("#history tbody").empty();
+	let entries = _history.filter(entry => !group || entry.group === group);
+	if (!entries.length) {
+		tbody.append($("<tr>").append($("<td colspan=\"5\">").text("No research finished")));
+		return;
+	}
+
+	for (let entry of entries) {
+		let contributor = "Unknown";
+		if (entry.instance_id !== null) {
+			contributor = entry.instance_name || String(entry.instance_id);
+		}
+		tbody.append($("<tr>").append(
+			$("<td>").text(moment(entry.time).format("YYYY-MM-DD HH:mm:ss")),
+			$("<td>").text(technologyName(entry)),
+			$("<td>").text(entry.group),
+			$("<td>").text(entry.force),
+			$("<td>").text(contributor)
+		));
+	}
+}
+
+async function updateHistory() {
+	try {
+		let response = await apiRequest("POST", "/plugins/research_sync/getHistory", { offset: 0, limit: 1000 });
+		_history = response.history;
+		$("#request-error").hide();
+		updateGroupFilter();
+		drawHistory();
+	} catch (err) {
+		handleApiError(err, "#request-error");
+	}
+}
+
+$(function() {
+	$("#group-filter").on("change", drawHistory);
+	updateHistory();
+	setInterval(updateHistory, 30000);
+});
@@ -0,0 +1,277 @@
+"use strict";
+const assert = require("assert").strict;
+
+const info = require("../info");
+const { MasterPlugin, _mergeQueue, _serializeTechnologies, _deserializeTechnologies } = require("../master");
+
+
+describe("research_sync master", function() {
+	let masterPlugin;
+	let broadcasts;
+	let masterConfig;
+	beforeEach(function() {
+		masterConfig = {
+			"research_sync.queue_mode": "merged",
+			"research_sync.history_max_age": null,
+			"research_sync.history_max_entries": null,
+		};
+		let instances = new Map([
+			[1, { config: { get: name => (name === "instance.name" ? "One" : true) } }],
+			[2, { config: { get: name => (name === "instance.name" ? "Two" : false) } }],
+		]);
+		masterPlugin = new MasterPlugin(info, { config: { get: name => masterConfig[name] }, db: { instances } }, {});
+		masterPlugin.groups = new Map();
+		masterPlugin.queues = new Map();
+		masterPlugin.history = [];
+		masterPlugin.epochs = new Map();
+		masterPlugin.lastProgressBroadcast = 0;
+		masterPlugin.progressBroadcastId = null;
+		masterPlugin.progressToBroadcast = new Map();
+		masterPlugin.autosaver = { markDirty() { } };
+		broadcasts = [];
+		masterPlugin.broadcastEventToSlaves = (event, data) => { broadcasts.push([event.type, data]); };
+	});
+
+	function contribute(group, force, contribution, instanceId = 1) {
+		return masterPlugin.contributionEventHandler({
+			data: { instance_id: instanceId, group, force, name: "automation", level: 1, contribution },
+		});
+	}
+
+	describe("contributionEventHandler()", function() {
+		it("should track progress separately for each group and force", async function() {
+			await contribute("a", "player", 0.25);
+			await contribute("a", "player", 0.25);
+			await contribute("a", "red", 0.125);
+			await contribute("b", "player", 0.375);
+			assert.equal(masterPlugin.technologies("a", "player").get("automation").progress, 0.5);
+			assert.equal(masterPlugin.technologies("a", "red").get("automation").progress, 0.125);
+			assert.equal(masterPlugin.technologies("b", "player").get("automation").progress, 0.375);
+		});
+
+		it("should broadcast progress and finished to the group and force", async function() {
+			await contribute("a", "red", 0.5);
+			assert.deepEqual(broadcasts, [["research_sync:progress", {
+				group: "a", force: "red", technologies: [{ name: "automation", level: 1, progress: 0.5 }],
+			}]]);
+
+			broadcasts = [];
+			await contribute("a", "red", 0.5);
+			assert.deepEqual(broadcasts, [["research_sync:finished", {
+				group: "a", force: "red", name: "automation", level: 1, override: false,
+			}]]);
+			assert.equal(masterPlugin.technologies("a", "player").has("automation"), false);
+		});
+	});
+
+	describe("getHistoryRequestHandler()", function() {
+		it("should credit the instance that contributed the most", async function() {
+			await contribute("a", "player", 0.125, 1);
+			await contribute("a", "player", 0.625, 2);
+			await contribute("a", "player", 0.25, 1);
+			let { history } = await masterPlugin.getHistoryRequestHandler({ data: { offset: 0, limit: 1000 } });
+			assert.deepEqual(history.map(({ time, ...entry }) => entry), [{
+				group: "a", force: "player", name: "automation", level: 1, instance_id: 2, instance_name: "Two",
+			}]);
+		});
+
+		it("should return pages of the history starting from the newest", async function() {
+			masterPlugin.history = [1, 2, 3, 4, 5].map(time => ({
+				time, group: "a", force: "player", name: String(time), level: 1, instance_id: null,
+			}));
+			let { history, total } = await masterPlugin.getHistoryRequestHandler({ data: { offset: 1, limit: 2 } });
+			assert.deepEqual(history.map(entry => entry.name), ["4", "3"]);
+			assert.equal(total, 5);
+
+			({ history } = await masterPlugin.getHistoryRequestHandler({ data: { offset: 4, limit: 2 } }));
+			assert.deepEqual(history.map(entry => entry.name), ["1"]);
+		});
+
+		it("should record technologies finished on an instance once", async function() {
+			let data = { group: "a", force: "player", name: "logistics", level: 1 };
+			await masterPlugin.finishedEventHandler({ data });
+			await masterPlugin.finishedEventHandler({ data });
+			let { history } = await masterPlugin.getHistoryRequestHandler({ data: { offset: 0, limit: 1000 } });
+			assert.deepEqual(history.map(({ time, ...entry }) => entry), [
+				{ ...data, instance_id: null, instance_name: null },
+			]);
+		});
+	});
+
+	describe("pruneHistory()", function() {
+		beforeEach(function() {
+			let day = 24 * 60 * 60 * 1000;
+			masterPlugin.history = [1, 2, 3, 4].map(time => ({ time: time * day, name: String(time) }));
+		});
+
+		it("should remove entries older than the max age", function() {
+			masterConfig["research_sync.history_max_age"] = 2;
+			masterPlugin.pruneHistory(5 * 24 * 60 * 60 * 1000);
+			assert.deepEqual(masterPlugin.history.map(entry => entry.name), ["3", "4"]);
+		});
+
+		it("should remove the oldest entries exceeding the max entries", function() {
+			masterConfig["research_sync.history_max_entries"] = 1;
+			masterPlugin.pruneHistory(5 * 24 * 60 * 60 * 1000);
+			assert.deepEqual(masterPlugin.history.map(entry => entry.name), ["4"]);
+		});
+	});
+
+	describe("queueChangedEventHandler()", function() {
+		function changeQueue(instanceId, queue, previous) {
+			return masterPlugin.queueChangedEventHandler({
+				data: { instance_id: instanceId, group: "a", force: "player", queue, previous },
+			});
+		}
+
+		it("should merge changes from all instances in merged mode", async function() {
+			await changeQueue(1, ["automation", "logistics"], null);
+			await changeQueue(2, ["optics"], []);
+			await changeQueue(1, ["logistics", "optics"], ["automation", "logistics", "optics"]);
+			assert.deepEqual(masterPlugin.queue("a", "player"), ["logistics", "optics"]);
+			assert.deepEqual(broadcasts[broadcasts.length - 1], [
+				"research_sync:queue", { group: "a", force: "player", queue: ["logistics", "optics"] },
+			]);
+		});
+
+		it("should only take the queue of leaders in leader mode", async function() {
+			masterConfig["research_sync.queue_mode"] = "leader";
+			await changeQueue(1, ["automation"], null);
+			await changeQueue(2, ["optics"], ["automation"]);
+			assert.deepEqual(masterPlugin.queue("a", "player"), ["automation"]);
+			assert.deepEqual(broadcasts[broadcasts.length - 1][1].queue, ["automation"]);
+		});
+
+		it("should ignore changes before a leader has reported in leader mode", async function() {
+			masterConfig["research_sync.queue_mode"] = "leader";
+			await changeQueue(2, ["optics"], null);
+			assert.equal(masterPlugin.queues.has("a"), false);
+			assert.deepEqual(broadcasts, []);
+		});
+
+		it("should ignore changes when disabled", async function() {
+			masterConfig["research_sync.queue_mode"] = "disabled";
+			await changeQueue(1, ["automation"], null);
+			assert.deepEqual(masterPlugin.queue("a", "player"), []);
+			assert.deepEqual(broadcasts, []);
+		});
+	});
+
+	describe("mergeQueue()", function() {
+		it("should append added and drop removed technologies", function() {
+			assert.deepEqual(_mergeQueue(["a", "b", "c"], ["c", "d"], ["b", "c"]), ["a", "c", "d"]);
+		});
+	});
+
+	describe("setTechnologyRequestHandler()", function() {
+		it("should set the technology and broadcast it as an override", async function() {
+			await contribute("a", "player", 0.5);
+			broadcasts = [];
+			await masterPlugin.setTechnologyRequestHandler({
+				data: { group: "a", force: "player", name: "automation", level: 1, researched: false, progress: 0.25 },
+			});
+			assert.deepEqual(
+				masterPlugin.technologies("a", "player").get("automation"),
+				{ level: 1, progress: 0.25, researched: false }
+			);
+			assert.deepEqual(broadcasts, [
+				["research_sync:finished", {
+					group: "a", force: "player", name: "automation", level: 0, override: true,
+				}],
+				["research_sync:progress", {
+					group: "a", force: "player", technologies: [{ name: "automation", level: 1, progress: 0.25 }],
+				}],
+			]);
+		});
+	});
+
+	describe("resetTechnologyRequestHandler()", function() {
+		it("should remove the technology and reset it to below its base level", async function() {
+			await masterPlugin.finishedEventHandler({
+				data: { group: "a", force: "player", name: "mining-productivity-4", level: 6, override: false },
+			});
+			await masterPlugin.resetTechnologyRequestHandler({
+				data: { group: "a", force: "player", name: "mining-productivity-4" },
+			});
+			assert.equal(masterPlugin.technologies("a", "player").has("mining-productivity-4"), false);
+			assert.deepEqual(broadcasts, [["research_sync:finished", {
+				group: "a", force: "player", name: "mining-productivity-4", level: 3, override: true,
+			}]]);
+		});
+	});
+
+	describe("wipeTechnologiesRequestHandler()", function() {
+		it("should only wipe the group given", async function() {
+			await contribute("a", "player", 1);
+			await contribute("b", "player", 1);
+			masterPlugin.queues.set("a", new Map([["player", ["optics"]]]));
+			broadcasts = [];
+			await masterPlugin.wipeTechnologiesRequestHandler({ data: { group: "a", force: null } });
+			let { list } = await masterPlugin.listTechnologiesRequestHandler({ data: { group: null, force: null } });
+			assert.deepEqual(list.map(tech => tech.group), ["b"]);
+			assert.deepEqual(masterPlugin.queue("a", "player"), []);
+			assert.deepEqual(broadcasts, [["research_sync:finished", {
+				group: "a", force: "player", name: "automation", level: 0, override: true,
+			}]]);
+		});
+	});
+
+	describe("syncTechnologiesRequestHandler()", function() {
+		it("should only respond with the technologies of the group and force", async function() {
+			await masterPlugin.finishedEventHandler({
+				data: { group: "a", force: "player", name: "logistics", level: 1 },
+			});
+			let response = await masterPlugin.syncTechnologiesRequestHandler({
+				data: { group: "b", force: "player", technologies: [["automation", 1, 0.5, false]], epoch: null },
+			});
+			assert.deepEqual(response, { technologies: [["automation", 1, 0.5, false]], epoch: 0, override: false });
+		});
+
+		it("should not restore research from instances that missed a wipe", async function() {
+			function sync(technologies, epoch) {
+				return masterPlugin.syncTechnologiesRequestHandler({
+					data: { group: "a", force: "player", technologies, epoch },
+				});
+			}
+
+			let { epoch } = await sync([["automation", 1, null, true], ["optics", 1, null, true]], null);
+			await masterPlugin.wipeTechnologiesRequestHandler({ data: { group: "a", force: null } });
+			await masterPlugin.finishedEventHandler({
+				data: { group: "a", force: "player", name: "optics", level: 1, override: false },
+			});
+
+			let response = await sync([["automation", 1, null, true], ["optics", 1, null, true]], epoch);
+			assert.deepEqual(response, {
+				technologies: [["optics", 1, null, true], ["automation", 1, null, false]],
+				epoch: 1,
+				override: true,
+			});
+			assert.equal(masterPlugin.technologies("a", "player").has("automation"), false);
+
+			response = await sync([["automation", 1, null, true]], response.epoch);
+			assert.equal(response.override, false);
+			assert.equal(masterPlugin.technologies("a", "player").get("automation").researched, true);
+		});
+	});
+
+	describe("serializeTechnologies()", function() {
+		it("should round trip through deserializeTechnologies()", async function() {
+			await contribute("a", "player", 0.5);
+			await contribute("b", "red", 0.25);
+			masterPlugin.queues.set("a", new Map([["player", ["optics"]]]));
+			masterPlugin.epochs.set("b", new Map([["red", 2]]));
+			let { groups, queues, history, epochs } = masterPlugin;
+			let serialized = _serializeTechnologies(groups, queues, history, epochs);
+			assert.deepEqual(
+				_deserializeTechnologies(JSON.parse(JSON.stringify(serialized))), { groups, queues, history, epochs }
+			);
+		});
+
+		it("should load the format from before sync groups into the default group", function() {
+			let { groups } = _deserializeTechnologies([["automation", { level: 1, progress: null, researched: true }]]);
+			assert.deepEqual(
+				groups.get("default").get("player").get("automation"), { level: 1, progress: null, researched: true }
+			);
+		});
+	});
+});
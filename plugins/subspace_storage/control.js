@@ -0,0 +1,123 @@
+"use strict";
+const asTable = require("as-table").configure({ delimiter: " | " });
+
+const command = require("lib/command");
+const errors = require("lib/errors");
+const plugin = require("lib/plugin");
+
+const info = require("./info");
+const { toCsv } = require("./ledger");
+
+
+const subspaceStorageCommands = new command.CommandTree({
+	name: "subspace-storage", description: "Subspace Storage plugin commands",
+});
+const policyCommands = new command.CommandTree({ name: "policy", description: "Item allocation policy" });
+policyCommands.add(new command.Command({
+	definition: [["list", "l"], "List allocation policy rules"],
+	handler: async function(args, control) {
+		let response = await info.messages.listPolicyRules.send(control);
+		console.log(asTable(response.list.map(rule => ({
+			instance_id: rule.instance_id === null ? "*" : rule.instance_id,
+			item: rule.item === null ? "*" : rule.item,
+			weight: rule.weight === null ? "" : rule.weight,
+			rate_limit: rule.rate_limit === null ? "" : rule.rate_limit,
+			reserved: rule.reserved === null ? "" : rule.reserved,
+		}))));
+	},
+}));
+
+policyCommands.add(new command.Command({
+	definition: ["set <instance> <item>", "Set allocation policy rule, replacing any existing rule", (yargs) => {
+		yargs.positional("instance", { describe: "Instance the rule applies to or * for all", type: "string" });
+		yargs.positional("item", { describe: "Item the rule applies to or * for all", type: "string" });
+		yargs.options({
+			"weight": { describe: "Share of contested items relative to other instances", type: "number" },
+			"rate-limit": { describe: "Max number of items taken per minute", type: "number" },
+			"reserved": { describe: "Number of items kept in storage for the instance", type: "number" },
+		});
+	}],
+	handler: async function(args, control) {
+		let options = [args.weight, args.rateLimit, args.reserved];
+		if (options.every(value => value === undefined)) {
+			throw new errors.CommandError("At least one of --weight, --rate-limit and --reserved must be given");
+		}
+
+		await info.messages.setPolicyRule.send(control, {
+			instance_id: args.instance === "*" ? null : await command.resolveInstance(control, args.instance),
+			item: args.item === "*" ? null : args.item,
+			weight: args.weight === undefined ? null : args.weight,
+			rate_limit: args.rateLimit === undefined ? null : args.rateLimit,
+			reserved: args.reserved === undefined ? null : args.reserved,
+		});
+	},
+}));
+
+policyCommands.add(new command.Command({
+	definition: ["remove <instance> <item>", "Remove allocation policy rule", (yargs) => {
+		yargs.positional("instance", { describe: "Instance of the rule or * for all", type: "string" });
+		yargs.positional("item", { describe: "Item of the rule or * for all", type: "string" });
+	}],
+	handler: async function(args, control) {
+		await info.messages.setPolicyRule.send(control, {
+			instance_id: args.instance === "*" ? null : await command.resolveInstance(control, args.instance),
+			item: args.item === "*" ? null : args.item,
+			weight: null,
+			rate_limit: null,
+			reserved: null,
+		});
+	},
+}));
+subspaceStorageCommands.add(policyCommands);
+
+subspaceStorageCommands.add(new command.Command({
+	definition: ["ledger", "Show items placed into and removed from storage", (yargs) => {
+		yargs.options({
+			"instance": { describe: "Only show transactions of this instance", nargs: 1, type: "string" },
+			"item": { describe: "Only show transactions of this item", nargs: 1, type: "string" },
+			"since": { describe: "Show transactions since time or duration ago, e.g. 2h", nargs: 1, type: "string" },
+			"until": { describe: "Show transactions until time or duration ago", nargs: 1, type: "string" },
+			"csv": { describe: "Output as CSV", type: "boolean", default: false },
+		});
+	}],
+	handler: async function(args, control) {
+		let instanceId = args.instance === undefined ? null : await command.resolveInstance(control, args.instance);
+		let since = args.since === undefined ? null : command.parseTime(args.since);
+		let until = args.until === undefined ? null : command.parseTime(args.until);
+		let offset = 0;
+		let response;
+		do {
+			response = await info.messages.queryLedger.send(control, {
+				instance_id: instanceId,
+				item: args.item || null,
+				since,
+				until,
+				offset,
+				limit: 1000,
+			});
+
+			if (args.csv) {
+				process.stdout.write(toCsv(response.entries, offset === 0));
+			} else {
+				for (let entry of response.entries) {
+					let items = entry.items.map(([name, count]) => `${count} ${name}`).join(", ");
+					let method = entry.method ? ` (${entry.method})` : "";
+					console.log(
+						`${new Date(entry.time).toLocaleString()} instance ${entry.instance_id} ${entry.type}${method}: ${items}`
+					);
+				}
+			}
+			offset += response.entries.length;
+		} while (response.entries.length && offset < response.total);
+	},
+}));
+
+class ControlPlugin extends plugin.BaseControlPlugin {
+	async addCommands(rootCommand) {
+		rootCommand.add(subspaceStorageCommands);
+	}
+}
+
+module.exports = {
+	ControlPlugin,
+};
@@ -0,0 +1,79 @@
+/**
+ * History of stock levels in subspace storage
+ *
+ * @module
+ */
+"use strict";
+
+
+/**
+ * Periodic samples of the count of each item in storage
+ *
+ * Keeps the last maxSamples samples of the stored count of every item
+ * seen.  Items first seen after the oldest sample kept have null for
+ * the samples taken before they appeared.
+ * @static
+ */
+class ItemHistory {
+
+	/**
+	 * Create a new item history
+	 *
+	 * @param {number} maxSamples - Number of samples to keep.
+	 */
+	constructor(maxSamples = 120) {
+		this.maxSamples = maxSamples;
+
+		// Time of each sample in milliseconds since the epoch.
+		this.times = [];
+
+		// Count of the item in each sample, keyed by item name.
+		this.counts = new Map();
+	}
+
+	/**
+	 * Sample the current count of every item
+	 *
+	 * @param {module:lib/database~ItemDatabase} items - Items in storage.
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 */
+	sample(items, now = Date.now()) {
+		this.times.push(now);
+		for (let [name, count] of items._items) {
+			if (!this.counts.has(name)) {
+				this.counts.set(name, new Array(this.times.length - 1).fill(null));
+			}
+			this.counts.get(name).push(count);
+		}
+
+		let drop = Math.max(0, this.times.length - this.maxSamples);
+		this.times.splice(0, drop);
+		for (let [name, counts] of this.counts) {
+			if (counts.length < this.times.length + drop) {
+				counts.push(items.getItemCount(name));
+			}
+			counts.splice(0, drop);
+			if (counts.every(count => count === null || count === 0)) {
+				this.counts.delete(name);
+			}
+		}
+	}
+
+	/**
+	 * Serialize the history
+	 *
+	 * @returns {{times: Array<number>, items: Object<string, Array<?number>>}}
+	 *     times of the samples and the counts sampled for each item.
+	 */
+	serialize() {
+		let items = {};
+		for (let [name, counts] of this.counts) {
+			items[name] = counts;
+		}
+		return { times: this.times, items };
+	}
+}
+
+module.exports = {
+	ItemHistory,
+};
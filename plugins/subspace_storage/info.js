@@ -1,6 +1,7 @@
 "use strict";
 const link = require("lib/link");
 const config = require("lib/config");
+const users = require("lib/users");
 
 class MasterConfigGroup extends config.PluginConfigGroup {}
 MasterConfigGroup.groupName = "subspace_storage";
@@ -11,6 +12,17 @@ MasterConfigGroup.define({
 	type: "number",
 	initial_value: 60,
 });
+MasterConfigGroup.define({
+	name: "storage_backend",
+	title: "Storage Backend",
+	description:
+		"How the storage is saved, json writes the whole storage to items.json while journal only writes " +
+		"changes to the items_journal directory.  Use the migrate_storage.js script to move the storage " +
+		"between backends.",
+	type: "string",
+	enum: ["json", "journal"],
+	initial_value: "json",
+});
 MasterConfigGroup.define({
 	name: "division_method",
 	title: "Division Method",
@@ -26,6 +38,31 @@ MasterConfigGroup.define({
 	type: "boolean",
 	initial_value: false,
 });
+MasterConfigGroup.define({
+	name: "allocation_policy",
+	title: "Allocation Policy",
+	description:
+		"Rules for how items are divided between instances keyed by <instance id or *>:<item or *>, " +
+		"each with an optional weight, rate_limit per minute and reserved count.",
+	type: "object",
+	initial_value: {},
+});
+MasterConfigGroup.define({
+	name: "ledger_max_size",
+	title: "Ledger Max Size",
+	description: "Size in megabytes the item transaction ledger is rotated at, set to null to never rotate it.",
+	type: "number",
+	optional: true,
+	initial_value: 10,
+});
+MasterConfigGroup.define({
+	name: "ledger_max_files",
+	title: "Ledger Max Files",
+	description: "Number of rotated item transaction ledger files to keep, set to null to keep all of them.",
+	type: "number",
+	optional: true,
+	initial_value: 10,
+});
 MasterConfigGroup.finalize();
 
 class InstanceConfigGroup extends config.PluginConfigGroup {}
@@ -39,6 +76,22 @@ InstanceConfigGroup.define({
 });
 InstanceConfigGroup.finalize();
 
+users.definePermission({
+	name: "subspace_storage.policy.list",
+	title: "List allocation policy",
+	description: "List the rules of the subspace storage allocation policy.",
+});
+users.definePermission({
+	name: "subspace_storage.policy.set",
+	title: "Set allocation policy",
+	description: "Add, change and remove rules of the subspace storage allocation policy.",
+});
+users.definePermission({
+	name: "subspace_storage.ledger.query",
+	title: "Query item ledger",
+	description: "Query the ledger of items placed into and removed from subspace storage.",
+});
+
 // JSON schema for subspace storage items
 const items = {
 	type: "array",
@@ -64,14 +117,19 @@ module.exports = {
 	masterEntrypoint: "master",
 	MasterConfigGroup,
 
+	controlEntrypoint: "control",
+
 	messages: {
-		// XXX this should be a request to be reliable
-		place: new link.Event({
+		// Batches are numbered by sequence within a session of the instance
+		// so that the master can discard batches it has already placed.
+		place: new link.Request({
 			type: "subspace_storage:place",
 			links: ["instance-slave", "slave-master"],
 			forwardTo: "master",
-			eventProperties: {
+			requestProperties: {
 				"instance_id": { type: "integer" },
+				"session": { type: "string" },
+				"sequence": { type: "integer" },
 				"items": items,
 			},
 		}),
@@ -95,6 +153,70 @@ module.exports = {
 				"items": items,
 			},
 		}),
+		listPolicyRules: new link.Request({
+			type: "subspace_storage:list_policy_rules",
+			links: ["control-master"],
+			permission: "subspace_storage.policy.list",
+			responseProperties: {
+				"list": {
+					type: "array",
+					items: {
+						additionalProperties: false,
+						required: ["instance_id", "item", "weight", "rate_limit", "reserved"],
+						properties: {
+							"instance_id": { type: ["null", "integer"] },
+							"item": { type: ["null", "string"] },
+							"weight": { type: ["null", "number"] },
+							"rate_limit": { type: ["null", "number"] },
+							"reserved": { type: ["null", "number"] },
+						},
+					},
+				},
+			},
+		}),
+		// Setting all of weight, rate_limit and reserved to null removes the rule.
+		setPolicyRule: new link.Request({
+			type: "subspace_storage:set_policy_rule",
+			links: ["control-master"],
+			permission: "subspace_storage.policy.set",
+			requestProperties: {
+				"instance_id": { type: ["null", "integer"] },
+				"item": { type: ["null", "string"] },
+				"weight": { type: ["null", "number"], minimum: 0 },
+				"rate_limit": { type: ["null", "number"], minimum: 0 },
+				"reserved": { type: ["null", "number"], minimum: 0 },
+			},
+		}),
+		queryLedger: new link.Request({
+			type: "subspace_storage:query_ledger",
+			links: ["control-master"],
+			permission: "subspace_storage.ledger.query",
+			requestProperties: {
+				"instance_id": { type: ["null", "integer"] },
+				"item": { type: ["null", "string"] },
+				"since": { type: ["null", "number"] },
+				"until": { type: ["null", "number"] },
+				"offset": { type: "integer", minimum: 0 },
+				"limit": { type: "integer", minimum: 1, maximum: 1000 },
+			},
+			responseProperties: {
+				"entries": {
+					type: "array",
+					items: {
+						additionalProperties: false,
+						required: ["time", "instance_id", "type", "method", "items"],
+						properties: {
+							"time": { type: "number" },
+							"instance_id": { type: "integer" },
+							"type": { enum: ["place", "remove"] },
+							"method": { type: ["null", "string"] },
+							"items": items,
+						},
+					},
+				},
+				"total": { type: "integer" },
+			},
+		}),
 		updateStorage: new link.Event({
 			type: "subspace_storage:update_storage",
 			links: ["master-slave", "slave-instance"],
@@ -1,6 +1,8 @@
 "use strict";
+const crypto = require("crypto");
 const fs = require("fs-extra");
 
+const database = require("lib/database");
 const plugin = require("lib/plugin");
 const luaTools = require("lib/luaTools");
 
@@ -12,6 +14,19 @@ function unexpectedError(err) {
 
 class InstancePlugin extends plugin.BaseInstancePlugin {
 	async init() {
+		// Exports not yet acknowledged by the master are kept on disk so
+		// that they survive both connection losses and instance restarts.
+		let exportsPath = this.instance.path("subspace_storage_exports.json");
+		this.exports = await database.loadJson(exportsPath, null);
+		if (!this.exports) {
+			this.exports = { session: crypto.randomBytes(8).toString("hex"), next_sequence: 1, pending: [] };
+		}
+		this.exportsSaver = new database.AutoSaver(
+			"subspace_storage exports", () => database.writeFileAtomic(exportsPath, JSON.stringify(this.exports))
+		);
+		this.sendingExports = false;
+		this.masterConnected = true;
+
 		this.instance.server.on("ipc-subspace_storage:output", (output) => {
 			this.provideItems(output).catch(unexpectedError);
 		});
@@ -27,6 +42,8 @@ class InstancePlugin extends plugin.BaseInstancePlugin {
 			).catch(unexpectedError);
 		}, 5000);
 
+		this.sendPendingExports().catch(unexpectedError);
+
 		let response = await this.info.messages.getStorage.send(this.instance);
 		// TODO Diff with dump of invdata produce minimal command to sync
 		let itemsJson = luaTools.escapeString(JSON.stringify(response.items));
@@ -37,12 +54,23 @@ class InstancePlugin extends plugin.BaseInstancePlugin {
 		clearInterval(this.pingId);
 	}
 
+	onMasterConnectionEvent(event) {
+		this.masterConnected = event === "connect";
+		if (this.masterConnected) {
+			this.sendPendingExports().catch(unexpectedError);
+		}
+	}
+
+	async onPrepareMasterDisconnect() {
+		this.masterConnected = false;
+	}
+
 	// provide items --------------------------------------------------------------
 	async provideItems(items) {
-		this.info.messages.place.send(this.instance, {
-			items,
-			instance_id: this.instance.config.get("instance.id"),
-		});
+		this.exports.pending.push({ sequence: this.exports.next_sequence, items });
+		this.exports.next_sequence += 1;
+		await this.exportsSaver.save();
+		this.sendPendingExports().catch(unexpectedError);
 
 		if (this.instance.config.get("subspace_storage.log_item_transfers")) {
 			console.log("Exported the following to master:");
@@ -50,6 +78,43 @@ class InstancePlugin extends plugin.BaseInstancePlugin {
 		}
 	}
 
+	/**
+	 * Send exports to the master until all have been acknowledged
+	 *
+	 * Batches are sent one at a time in order and removed once the master
+	 * has acknowledged them.  If sending fails the remaining batches are
+	 * retried on the next export or when the connection to the master is
+	 * re-established.
+	 */
+	async sendPendingExports() {
+		if (this.sendingExports) {
+			return;
+		}
+
+		this.sendingExports = true;
+		try {
+			while (this.exports.pending.length && this.masterConnected) {
+				let batch = this.exports.pending[0];
+				await this.info.messages.place.send(this.instance, {
+					instance_id: this.instance.config.get("instance.id"),
+					session: this.exports.session,
+					sequence: batch.sequence,
+					items: batch.items,
+				});
+				this.exports.pending.shift();
+				await this.exportsSaver.save();
+			}
+
+		} catch (err) {
+			console.error(
+				`Failed to place ${this.exports.pending.length} exports on master, retrying later: ${err.message}`
+			);
+
+		} finally {
+			this.sendingExports = false;
+		}
+	}
+
 	// request items --------------------------------------------------------------
 	async requestItems(items) {
 		// Request the items all at once
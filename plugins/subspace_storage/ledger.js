@@ -0,0 +1,232 @@
+/**
+ * Ledger of items placed into and removed from subspace storage
+ *
+ * @module
+ */
+"use strict";
+const fs = require("fs-extra");
+const path = require("path");
+
+const database = require("lib/database");
+
+
+/**
+ * Append-only ledger of item transactions
+ *
+ * Entries are stored as lines of JSON in ledger.log inside the ledger
+ * directory.  Once the file exceeds the max size it's renamed to
+ * ledger-<time>.log, where time is that of the last entry in it with a
+ * -<n> suffix added if the name is already taken, and a new
+ * file is started, keeping only the given number of rotated files.
+ * Appends to the ledger are run in the order they are made, and queries
+ * see the appends made before them but read the files alongside those
+ * made after.
+ *
+ * Each entry has the time it was recorded, the instance_id of the
+ * instance, the type of transaction which is either "place" or "remove",
+ * the division method used for removals or null for placements, and the
+ * items as pairs of name and count.
+ * @static
+ */
+class Ledger {
+
+	/**
+	 * Create a new ledger
+	 *
+	 * @param {string} directory - Directory to store the ledger files in.
+	 * @param {?number} maxSize -
+	 *     Size in bytes to rotate the ledger file at, or null to never
+	 *     rotate it.
+	 * @param {?number} maxFiles -
+	 *     Max number of rotated files to keep, or null to keep all.
+	 */
+	constructor(directory, maxSize = null, maxFiles = null) {
+		this.directory = directory;
+		this.maxSize = maxSize;
+		this.maxFiles = maxFiles;
+
+		// Size of the current ledger file, loaded on first append.
+		this._size = null;
+		this._queue = Promise.resolve();
+	}
+
+	_enqueue(task) {
+		let next = this._queue.catch(() => {}).then(task);
+		this._queue = next;
+		return next;
+	}
+
+	async _rotatedFiles() {
+		let files;
+		try {
+			files = await fs.readdir(this.directory);
+		} catch (err) {
+			if (err.code === "ENOENT") {
+				return [];
+			}
+			throw err;
+		}
+		let rotated = [];
+		for (let file of files) {
+			let match = /^ledger-(\d+)(?:-(\d+))?\.log$/.exec(file);
+			if (match) {
+				rotated.push({ file, time: Number(match[1]), suffix: Number(match[2] || 0) });
+			}
+		}
+		rotated.sort((a, b) => a.time - b.time || a.suffix - b.suffix);
+		return rotated.map(entry => entry.file);
+	}
+
+	async _rotate(now) {
+		// Rotations in the same millisecond or after the clock stepped back
+		// would otherwise overwrite a rotated file.
+		let base = `ledger-${String(now).padStart(15, "0")}`;
+		let name = `${base}.log`;
+		for (let suffix = 1; await fs.pathExists(path.join(this.directory, name)); suffix++) {
+			name = `${base}-${suffix}.log`;
+		}
+		await fs.rename(path.join(this.directory, "ledger.log"), path.join(this.directory, name));
+		this._size = 0;
+
+		if (this.maxFiles !== null) {
+			let files = await this._rotatedFiles();
+			for (let file of files.slice(0, Math.max(0, files.length - this.maxFiles))) {
+				await fs.unlink(path.join(this.directory, file));
+			}
+		}
+	}
+
+	/**
+	 * Append an entry to the ledger
+	 *
+	 * @param {object} entry - Transaction to record, see class description.
+	 */
+	async append(entry) {
+		await this._enqueue(async () => {
+			let filePath = path.join(this.directory, "ledger.log");
+			if (this._size === null) {
+				try {
+					this._size = (await fs.stat(filePath)).size;
+				} catch (err) {
+					if (err.code !== "ENOENT") {
+						throw err;
+					}
+					this._size = 0;
+				}
+			}
+
+			let line = `${JSON.stringify(entry)}\n`;
+			await fs.outputFile(filePath, line, { flag: "a" });
+			this._size += Buffer.byteLength(line);
+
+			if (this.maxSize !== null && this._size > this.maxSize) {
+				await this._rotate(entry.time);
+			}
+		});
+	}
+
+	/**
+	 * Query the ledger
+	 *
+	 * Entries are returned in the order they were recorded.  When
+	 * filtering by item only the matching item is included in the items
+	 * of the entries returned.  Rotated files outside of the time range
+	 * queried are skipped, and reading stops once one more entry than
+	 * the page returned has been found.
+	 *
+	 * @param {object} options - Filters and pagination for the query.
+	 * @param {?number} options.instanceId - Only include entries for this instance.
+	 * @param {?string} options.item - Only include entries with this item.
+	 * @param {?number} options.since - Exclude entries recorded before this time.
+	 * @param {?number} options.until - Exclude entries recorded after this time.
+	 * @param {number} options.offset - Number of matching entries to skip.
+	 * @param {?number} options.limit - Max number of entries to return.
+	 * @returns {{entries: Array<object>, total: number}}
+	 *     the matching entries and count of matching entries found, which
+	 *     is the total count unless it exceeds offset + limit.
+	 */
+	async query({ instanceId = null, item = null, since = null, until = null, offset = 0, limit = null } = {}) {
+		let entries = [];
+		let total = 0;
+		function match(entry) {
+			if (
+				(instanceId !== null && entry.instance_id !== instanceId)
+				|| (since !== null && entry.time < since)
+				|| (until !== null && entry.time > until)
+			) {
+				return false;
+			}
+
+			if (item !== null) {
+				let items = entry.items.filter(([name]) => name === item);
+				if (!items.length) {
+					return false;
+				}
+				entry = { ...entry, items };
+			}
+
+			total += 1;
+			if (total > offset && (limit === null || total <= offset + limit)) {
+				entries.push(entry);
+			}
+			return limit !== null && total > offset + limit;
+		}
+
+		// Include appends made before the query without holding back those made after.
+		await this._queue.catch(() => {});
+
+		// Rotated files hold the entries up to the time they are named by.
+		let previousTime = null;
+		for (let file of [...await this._rotatedFiles(), "ledger.log"]) {
+			if (until !== null && previousTime !== null && previousTime > until) {
+				break;
+			}
+			let fileTime = file === "ledger.log" ? null : Number(/^ledger-(\d+)/.exec(file)[1]);
+			previousTime = fileTime;
+			if (since !== null && fileTime !== null && fileTime < since) {
+				continue;
+			}
+
+			if (await database.readJsonLines(path.join(this.directory, file), match)) {
+				break;
+			}
+		}
+
+		return { entries, total };
+	}
+}
+
+function csvField(value) {
+	let text = value === null ? "" : String(value);
+	if (/[",\n]/.test(text)) {
+		return `"${text.replace(/"/g, '""')}"`;
+	}
+	return text;
+}
+
+/**
+ * Format ledger entries as CSV
+ *
+ * Produces a header line followed by one line per item in each entry with
+ * the columns time, instance_id, type, method, item and count.  Time is
+ * formatted as an ISO 8601 date.
+ *
+ * @param {Array<object>} entries - Ledger entries to format.
+ * @param {boolean} header - Include the header line.
+ * @returns {string} the entries as CSV.
+ */
+function toCsv(entries, header = true) {
+	let lines = header ? ["time,instance_id,type,method,item,count"] : [];
+	for (let entry of entries) {
+		let time = new Date(entry.time).toISOString();
+		for (let [name, count] of entry.items) {
+			lines.push([time, entry.instance_id, entry.type, entry.method, name, count].map(csvField).join(","));
+		}
+	}
+	return lines.map(line => `${line}\n`).join("");
+}
+
+module.exports = {
+	Ledger,
+	toCsv,
+};
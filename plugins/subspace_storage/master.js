@@ -1,13 +1,16 @@
 "use strict";
-const fs = require("fs-extra");
 const path = require("path");
 
 const database = require("lib/database");
+const errors = require("lib/errors");
 const plugin = require("lib/plugin");
 const prometheus = require("lib/prometheus");
 
 const routes = require("./routes");
 const dole = require("./dole");
+const { ItemHistory } = require("./history");
+const { Ledger } = require("./ledger");
+const policy = require("./policy");
 
 
 const exportCounter = new prometheus.Counter(
@@ -20,6 +23,14 @@ const importCounter = new prometheus.Counter(
 	"Resources imported by instance",
 	{ labels: ["instance_id", "resource"] }
 );
+const policyThrottledCounter = new prometheus.Counter(
+	"clusterio_subspace_storage_policy_throttled_total",
+	"Resources withheld from instance by the allocation policy",
+	{ labels: ["instance_id", "resource", "policy"] }
+);
+// Interval in milliseconds stock levels are sampled at for the history.
+const historyInterval = 60e3;
+
 const masterInventoryGauge = new prometheus.Gauge(
 	"clusterio_subspace_storage_master_inventory",
 	"Amount of resources stored on master",
@@ -43,15 +54,26 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 			],
 		};
 
-		this.items = await loadDatabase(this.master.config);
+		let databaseDirectory = this.master.config.get("master.database_directory");
+		let backend = this.master.config.get("subspace_storage.storage_backend");
+		this.storage = createStorage(backend, databaseDirectory);
+		this.items = await loadDatabase(this.storage, backend, databaseDirectory);
 		this.itemsLastUpdate = new Map(this.items._items.entries());
-		this.autosaveId = setInterval(() => {
-			saveDatabase(this.master.config, this.items).catch(err => {
-				console.log("Unexpected error autosaving items in subspace_storage");
-				console.log("-----------------------------------------------------");
-				console.log(err);
-			});
-		}, this.master.config.get("subspace_storage.autosave_interval") * 1000);
+		this.placeSequences = await database.loadJsonArrayAsMap(
+			path.resolve(databaseDirectory, "place_sequences.json")
+		);
+		this.autosaver = new database.AutoSaver(
+			"subspace_storage items", () => saveDatabase(databaseDirectory, this.storage, this.items, this.placeSequences)
+		);
+		this.autosaver.start(this.master.config.get("subspace_storage.autosave_interval") * 1000);
+
+		this.policy = new policy.AllocationPolicy(this.master.config.get("subspace_storage.allocation_policy"));
+		let ledgerMaxSize = this.master.config.get("subspace_storage.ledger_max_size");
+		this.ledger = new Ledger(
+			path.resolve(this.master.config.get("master.database_directory"), "subspace_storage_ledger"),
+			ledgerMaxSize === null ? null : ledgerMaxSize * 1024 * 1024,
+			this.master.config.get("subspace_storage.ledger_max_files")
+		);
 
 		this.neuralDole = new dole.neuralDole({ items: this.items });
 		this.doleMagicId = setInterval(() => {
@@ -60,7 +82,13 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 			}
 		}, 1000);
 
-		routes.addApiRoutes(this.master.app, this.items, this.metrics.endpointHitCounter);
+		this.history = new ItemHistory();
+		this.history.sample(this.items);
+		this.historyId = setInterval(() => { this.history.sample(this.items); }, historyInterval);
+
+		routes.addApiRoutes(
+			this.master.app, this.items, this.metrics.endpointHitCounter, this.history, item => this.itemFlows(item)
+		);
 		routes.addWebRoutes(this.master.app);
 	}
 
@@ -82,12 +110,71 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 		this.itemsLastUpdate = new Map(this.items._items.entries());
 	}
 
+	/**
+	 * Get the items each instance has exported and imported of an item
+	 *
+	 * Built from the export and import counters, which count from when
+	 * the master was started.
+	 *
+	 * @param {string} item - Name of item.
+	 * @returns {Array<object>}
+	 *     instance_id, instance_name, exported, imported and net count of
+	 *     the item for each instance that has exported or imported it,
+	 *     sorted from largest net producer to largest net consumer.
+	 */
+	async itemFlows(item) {
+		let flows = new Map();
+		for (let [counter, field] of [[exportCounter, "exported"], [importCounter, "imported"]]) {
+			for await (let result of counter.collect()) {
+				for (let [key, value] of result.samples) {
+					let labels = prometheus.keyToLabels(key);
+					if (labels.get("resource") !== item) {
+						continue;
+					}
+
+					let instanceId = Number(labels.get("instance_id"));
+					let flow = flows.get(instanceId);
+					if (!flow) {
+						let instance = this.master.db.instances.get(instanceId);
+						flow = {
+							instance_id: instanceId,
+							instance_name: instance ? instance.config.get("instance.name") : null,
+							exported: 0,
+							imported: 0,
+						};
+						flows.set(instanceId, flow);
+					}
+					flow[field] += value;
+				}
+			}
+		}
+
+		return [...flows.values()]
+			.map(flow => ({ ...flow, net: flow.exported - flow.imported }))
+			.sort((a, b) => b.net - a.net)
+		;
+	}
+
+	recordTransaction(instanceId, type, method, items) {
+		this.ledger.append({ time: Date.now(), instance_id: instanceId, type, method, items }).catch(err => {
+			console.error(`Error recording subspace_storage transaction from instance ${instanceId}:`, err.message);
+		});
+	}
+
 	async getStorageRequestHandler(message) {
 		return { items: [...this.items._items.entries()] };
 	}
 
-	async placeEventHandler(message) {
-		let instanceId = message.data.instance_id;
+	async placeRequestHandler(message) {
+		let { instance_id: instanceId, session, sequence } = message.data;
+
+		// Batches are retried until acknowledged, ignore those already placed.
+		let last = this.placeSequences.get(instanceId);
+		if (last && last.session === session && last.sequence >= sequence) {
+			return;
+		}
+		this.placeSequences.set(instanceId, { id: instanceId, session, sequence });
+		this.recordTransaction(instanceId, "place", null, message.data.items);
 
 		for (let item of message.data.items) {
 			this.items.addItem(item[0], item[1]);
@@ -102,15 +189,39 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 		}
 	}
 
+	/**
+	 * Limit requested items by the allocation policy
+	 *
+	 * @param {number} instanceId - ID of instance requesting items.
+	 * @param {Array} items - Pairs of item name and count requested.
+	 * @returns {Array} pairs of item name and count allowed.
+	 */
+	applyPolicy(instanceId, items) {
+		let allowed = [];
+		for (let [name, requested] of items) {
+			let { count, throttled } = this.policy.limit(instanceId, name, requested, this.items.getItemCount(name));
+			for (let [policyName, amount] of Object.entries(throttled)) {
+				if (amount > 0) {
+					policyThrottledCounter.labels(String(instanceId), name, policyName).inc(amount);
+				}
+			}
+			if (count > 0) {
+				allowed.push([name, count]);
+			}
+		}
+		return allowed;
+	}
+
 	async removeRequestHandler(message) {
 		let method = this.master.config.get("subspace_storage.division_method");
 		let instanceId = message.data.instance_id;
+		let requestedItems = this.applyPolicy(instanceId, message.data.items);
 
 		let itemsRemoved = [];
 		if (method === "simple") {
 			// Give out as much items as possible until there are 0 left.  This
 			// might lead to one slave getting all the items and the rest nothing.
-			for (let item of message.data.items) {
+			for (let item of requestedItems) {
 				let count = this.items.getItemCount(item[0]);
 				let toRemove = Math.min(count, item[1]);
 				if (toRemove > 0) {
@@ -125,7 +236,7 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 
 			// use fancy neural net to calculate a "fair" dole division rate.
 			if (method === "neural_dole") {
-				for (let item of message.data.items) {
+				for (let item of requestedItems) {
 					let count = neuralDole.divider({ name: item[0], count: item[1], instanceId, instanceName });
 					if (count > 0) {
 						itemsRemoved.push([item[0], count]);
@@ -134,7 +245,7 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 
 			// Use dole division. Makes it really slow to drain out the last little bit.
 			} else if (method === "dole") {
-				for (let item of message.data.items) {
+				for (let item of requestedItems) {
 					let count = dole.doleDivider({
 						object: { name: item[0], count: item[1], instanceId, instanceName },
 						items: this.items,
@@ -152,8 +263,10 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 		}
 
 		if (itemsRemoved.length) {
+			this.recordTransaction(instanceId, "remove", method, itemsRemoved);
 			for (let item of itemsRemoved) {
 				importCounter.labels(String(instanceId), item[0]).inc(item[1]);
+				this.policy.record(instanceId, item[0], item[1]);
 			}
 
 			this.updateStorage();
@@ -169,6 +282,45 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 		};
 	}
 
+	async queryLedgerRequestHandler(message) {
+		let { instance_id: instanceId, item, since, until, offset, limit } = message.data;
+		return await this.ledger.query({ instanceId, item, since, until, offset, limit });
+	}
+
+	async listPolicyRulesRequestHandler() {
+		let list = [];
+		for (let [key, rule] of this.policy.rules) {
+			let [instanceId, item] = policy.parseRuleKey(key);
+			list.push({
+				instance_id: instanceId === "*" ? null : instanceId,
+				item: item === "*" ? null : item,
+				weight: null,
+				rate_limit: null,
+				reserved: null,
+				...rule,
+			});
+		}
+		return { list };
+	}
+
+	async setPolicyRuleRequestHandler(message) {
+		let { instance_id, item, ...rule } = message.data;
+		let rules = { ...this.master.config.get("subspace_storage.allocation_policy") };
+		let key = policy.ruleKey(instance_id, item);
+		if (Object.values(rule).every(value => value === null)) {
+			delete rules[key];
+		} else {
+			rules[key] = rule;
+		}
+
+		try {
+			this.policy.setRules(rules);
+		} catch (err) {
+			throw new errors.RequestError(err.message);
+		}
+		this.master.config.set("subspace_storage.allocation_policy", rules);
+	}
+
 	onMetrics() {
 		if (this.items) {
 			for (let [key, count] of this.items._items) {
@@ -177,42 +329,60 @@ class MasterPlugin extends plugin.BaseMasterPlugin {
 		}
 	}
 
+	async onBackup() {
+		return {
+			...this.storage.backupFiles(this.items),
+			"place_sequences.json": JSON.stringify([...this.placeSequences.values()], null, 4),
+		};
+	}
+
 	async onShutdown() {
-		clearInterval(this.autosaveId);
 		clearInterval(this.doleMagicId);
-		await saveDatabase(this.master.config, this.items);
+		clearInterval(this.historyId);
+		await this.autosaver.stop();
 	}
 }
 
-async function loadDatabase(config) {
-	let itemsPath = path.resolve(config.get("master.database_directory"), "items.json");
-	console.log(`Loading ${itemsPath}`);
-	try {
-		let content = await fs.readFile(itemsPath);
-		return new database.ItemDatabase(JSON.parse(content));
-
-	} catch (err) {
-		if (err.code === "ENOENT") {
-			console.log("Creating new item database");
-			return new database.ItemDatabase();
+/**
+ * Create the storage for the item database
+ *
+ * @param {string} backend - Name of storage backend, either json or journal.
+ * @param {string} databaseDirectory - Directory of the master database.
+ * @returns {module:lib/database~ItemStorage} storage for items.
+ */
+function createStorage(backend, databaseDirectory) {
+	if (backend === "json") {
+		return new database.JsonItemStorage(databaseDirectory);
+	}
+	if (backend === "journal") {
+		return new database.JournalItemStorage(databaseDirectory);
+	}
+	throw new Error(`Unknown storage backend ${backend}`);
+}
 
-		} else {
-			throw err;
+async function loadDatabase(storage, backend, databaseDirectory) {
+	if (!await storage.exists()) {
+		for (let other of ["json", "journal"]) {
+			if (other !== backend && await createStorage(other, databaseDirectory).exists()) {
+				console.warn(
+					`Storage saved with the ${other} backend is not loaded because the ${backend} backend is ` +
+					"configured, use migrate_storage.js to migrate it"
+				);
+			}
 		}
+		console.log("Creating new item database");
 	}
+	return await storage.load();
 }
 
-async function saveDatabase(masterConfig, items) {
-	if (items && items.size < 50000) {
-		let file = path.resolve(masterConfig.get("master.database_directory"), "items.json");
-		console.log(`writing ${file}`);
-		let content = JSON.stringify(items.serialize());
-		await fs.outputFile(file, content);
-	} else if (items) {
-		console.error(`Item database too large, not saving (${items.size})`);
-	}
+async function saveDatabase(databaseDirectory, storage, items, placeSequences) {
+	// The sequences are saved first so that a crash in between can not
+	// cause retried batches to be placed a second time.
+	await database.saveMapAsJsonArray(path.resolve(databaseDirectory, "place_sequences.json"), placeSequences);
+	await storage.save(items);
 }
 
 module.exports = {
 	MasterPlugin,
+	createStorage,
 };
@@ -0,0 +1,55 @@
+/**
+ * Migrate the subspace storage items between storage backends
+ *
+ * Run with the master stopped, and set subspace_storage.storage_backend
+ * to the backend migrated to before starting it again.
+ *
+ * @module
+ */
+"use strict";
+const yargs = require("yargs");
+
+const { migrateItemStorage } = require("lib/database");
+const { createStorage } = require("./master");
+
+
+async function main() {
+	const args = yargs
+		.scriptName("migrate_storage")
+		.usage("$0 --from <backend> --to <backend>")
+		.options({
+			"from": { describe: "Backend to migrate from", choices: ["json", "journal"], demandOption: true },
+			"to": { describe: "Backend to migrate to", choices: ["json", "journal"], demandOption: true },
+			"database-directory": {
+				describe: "Path to master database directory", nargs: 1, type: "string", default: "database",
+			},
+			"force": { describe: "Overwrite items stored with the target backend", type: "boolean", default: false },
+		})
+		.strict()
+		.argv
+	;
+
+	if (args.from === args.to) {
+		throw new Error("--from and --to must be different backends");
+	}
+
+	let source = createStorage(args.from, args.databaseDirectory);
+	let target = createStorage(args.to, args.databaseDirectory);
+	if (!await source.exists()) {
+		throw new Error(`No items stored with the ${args.from} backend in ${args.databaseDirectory}`);
+	}
+	if (await target.exists() && !args.force) {
+		throw new Error(`Items are already stored with the ${args.to} backend, use --force to overwrite them`);
+	}
+
+	let items = await migrateItemStorage(source, target);
+	console.log(`Migrated ${items.size} items from ${args.from} to ${args.to}`);
+	console.log(`Set subspace_storage.storage_backend to ${args.to} in the master config to use it`);
+}
+
+if (module === require.main) {
+	main().catch(err => {
+		console.error(err.message);
+		process.exitCode = 1;
+	});
+}
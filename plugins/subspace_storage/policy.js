@@ -0,0 +1,259 @@
+/**
+ * Allocation policy for items removed from subspace storage
+ *
+ * Rules are keyed by `<instance>:<item>` where instance is an instance id
+ * and item is the name of an item, either of which may be `*` to match
+ * any.  Each rule may set the following properties:
+ *
+ * - weight: Share of contested items the instance gets relative to other
+ *   instances requesting the same item, defaults to 1.  Contested items
+ *   are only divided if a rule sets a weight.
+ * - rate_limit: Max number of the item the instance may take per minute.
+ * - reserved: Number of the item that is kept in storage for the
+ *   instance and not given out to other instances.  Only allowed on rules
+ *   for a specific instance.
+ *
+ * Properties are looked up from the most specific rule that sets them, in
+ * the order `<id>:<item>`, `<id>:*`, `*:<item>` and `*:*`.
+ *
+ * @module
+ */
+"use strict";
+
+const ruleProperties = ["weight", "rate_limit", "reserved"];
+const ruleDefaults = { weight: 1, rate_limit: null, reserved: 0 };
+
+// Time in milliseconds requests for an item count as competing.
+const demandWindow = 10e3;
+
+/**
+ * Parse and validate a rule key
+ *
+ * @param {string} key - Key of the rule.
+ * @returns {Array} instance id or "*" and item name or "*".
+ * @throws {Error} if the key is not valid.
+ */
+function parseRuleKey(key) {
+	let index = key.indexOf(":");
+	let instance = key.slice(0, index);
+	let item = key.slice(index + 1);
+	if (index === -1 || !item || !(instance === "*" || /^-?\d+$/.test(instance))) {
+		throw new Error(`Invalid rule ${key}, expected <instance id or *>:<item or *>`);
+	}
+	return [instance === "*" ? "*" : Number(instance), item];
+}
+
+/**
+ * Create the key for a rule
+ *
+ * @param {?number} instanceId - ID of instance or null for any.
+ * @param {?string} item - Name of item or null for any.
+ * @returns {string} key of the rule.
+ */
+function ruleKey(instanceId, item) {
+	return `${instanceId === null ? "*" : instanceId}:${item === null ? "*" : item}`;
+}
+
+function checkRule(key, rule) {
+	let [instance] = parseRuleKey(key);
+	if (typeof rule !== "object" || rule === null || Array.isArray(rule)) {
+		throw new Error(`Rule ${key} must be an object`);
+	}
+	for (let [name, value] of Object.entries(rule)) {
+		if (!ruleProperties.includes(name)) {
+			throw new Error(`Rule ${key} has unknown property ${name}`);
+		}
+		if (value !== null && (typeof value !== "number" || !(value >= 0))) {
+			throw new Error(`Property ${name} of rule ${key} must be a non-negative number or null`);
+		}
+	}
+	if (instance === "*" && rule.reserved !== undefined && rule.reserved !== null) {
+		throw new Error(`Rule ${key} cannot reserve items for all instances`);
+	}
+}
+
+/**
+ * Limits how many items instances get from storage
+ * @static
+ */
+class AllocationPolicy {
+
+	/**
+	 * Create a new allocation policy
+	 *
+	 * @param {Object<string, Object>} rules - Mapping of rule key to rule.
+	 */
+	constructor(rules = {}) {
+		this.setRules(rules);
+
+		// Tokens left for rate limited instance items, keyed by rule key.
+		this._buckets = new Map();
+
+		// Last time each instance requested an item, keyed by item name.
+		this._demand = new Map();
+	}
+
+	/**
+	 * Replace the rules of the policy
+	 *
+	 * @param {Object<string, Object>} rules - Mapping of rule key to rule.
+	 * @throws {Error} if a rule is not valid.
+	 */
+	setRules(rules) {
+		for (let [key, rule] of Object.entries(rules)) {
+			checkRule(key, rule);
+		}
+		this.rules = new Map(Object.entries(rules));
+		this._weighted = [...this.rules.values()].some(rule => rule.weight !== undefined && rule.weight !== null);
+	}
+
+	/**
+	 * Resolve the rule that applies to an instance and item
+	 *
+	 * @param {number} instanceId - ID of instance.
+	 * @param {string} item - Name of item.
+	 * @returns {Object} weight, rate_limit and reserved for the instance.
+	 */
+	resolve(instanceId, item) {
+		let resolved = {};
+		let keys = [ruleKey(instanceId, item), ruleKey(instanceId, null), ruleKey(null, item), ruleKey(null, null)];
+		for (let name of ruleProperties) {
+			resolved[name] = ruleDefaults[name];
+			for (let key of keys) {
+				let rule = this.rules.get(key);
+				if (rule && rule[name] !== undefined && rule[name] !== null) {
+					resolved[name] = rule[name];
+					break;
+				}
+			}
+		}
+		return resolved;
+	}
+
+	_reservedForOthers(instanceId, item) {
+		let reserved = 0;
+		let instances = new Set();
+		for (let key of this.rules.keys()) {
+			let [ruleInstance] = parseRuleKey(key);
+			if (ruleInstance !== "*" && ruleInstance !== instanceId) {
+				instances.add(ruleInstance);
+			}
+		}
+		for (let other of instances) {
+			reserved += this.resolve(other, item).reserved;
+		}
+		return reserved;
+	}
+
+	_tokens(instanceId, item, rateLimit, now) {
+		let key = ruleKey(instanceId, item);
+		let bucket = this._buckets.get(key);
+		if (!bucket) {
+			bucket = { tokens: rateLimit, time: now };
+			this._buckets.set(key, bucket);
+		}
+		bucket.tokens = Math.min(rateLimit, bucket.tokens + ((now - bucket.time) * rateLimit / 60e3));
+		bucket.time = now;
+		return bucket;
+	}
+
+	_share(instanceId, item, weight, available, now) {
+		let requesters = this._demand.get(item);
+		if (!requesters) {
+			requesters = new Map();
+			this._demand.set(item, requesters);
+		}
+		requesters.set(instanceId, now);
+
+		let weights = new Map();
+		let totalWeight = 0;
+		for (let [other, time] of requesters) {
+			if (time < now - demandWindow) {
+				requesters.delete(other);
+			} else {
+				let otherWeight = other === instanceId ? weight : this.resolve(other, item).weight;
+				weights.set(other, otherWeight);
+				totalWeight += otherWeight;
+			}
+		}
+		if (totalWeight === 0) {
+			return available;
+		}
+
+		// Rounding down the shares leaves items over, which go to the
+		// instance requesting now so that none are held back.
+		let remainder = available;
+		for (let otherWeight of weights.values()) {
+			remainder -= Math.floor(available * otherWeight / totalWeight);
+		}
+		return Math.floor(available * weight / totalWeight) + remainder;
+	}
+
+	/**
+	 * Limit the count of an item an instance may take from storage
+	 *
+	 * The count taken should afterwards be reported with {@link
+	 * module:plugins/subspace_storage/policy.AllocationPolicy#record}.
+	 *
+	 * @param {number} instanceId - ID of instance requesting the item.
+	 * @param {string} item - Name of item requested.
+	 * @param {number} requested - Count of the item requested.
+	 * @param {number} stored - Count of the item in storage.
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 * @returns {{count: number, throttled: Object<string, number>}}
+	 *     count the instance may take and how much each of the rate_limit,
+	 *     reserved and weight properties reduced it by.
+	 */
+	limit(instanceId, item, requested, stored, now = Date.now()) {
+		let rule = this.resolve(instanceId, item);
+		let throttled = { rate_limit: 0, reserved: 0, weight: 0 };
+		let count = Math.min(requested, stored);
+
+		let available = Math.max(0, stored - this._reservedForOthers(instanceId, item));
+		if (count > available) {
+			throttled.reserved = count - available;
+			count = available;
+		}
+
+		// Instances share what is left above their own reservation.
+		if (this._weighted) {
+			let reserved = Math.min(rule.reserved, available);
+			let share = reserved + this._share(instanceId, item, rule.weight, available - reserved, now);
+			if (count > share) {
+				throttled.weight = count - share;
+				count = share;
+			}
+		}
+
+		if (rule.rate_limit !== null) {
+			let tokens = Math.floor(this._tokens(instanceId, item, rule.rate_limit, now).tokens);
+			if (count > tokens) {
+				throttled.rate_limit = count - tokens;
+				count = tokens;
+			}
+		}
+
+		return { count, throttled };
+	}
+
+	/**
+	 * Record the count of an item an instance took from storage
+	 *
+	 * @param {number} instanceId - ID of instance that took the item.
+	 * @param {string} item - Name of item taken.
+	 * @param {number} count - Count of the item taken.
+	 * @param {number} now - Current time in milliseconds since the epoch.
+	 */
+	record(instanceId, item, count, now = Date.now()) {
+		let rule = this.resolve(instanceId, item);
+		if (rule.rate_limit !== null) {
+			this._tokens(instanceId, item, rule.rate_limit, now).tokens -= count;
+		}
+	}
+}
+
+module.exports = {
+	AllocationPolicy,
+	parseRuleKey,
+	ruleKey,
+};
@@ -10,7 +10,7 @@ function addWebRoutes(app) {
 	app.get("/subspace_storage/storage", (req, res) => { res.render("subspace_storage/views/storage"); });
 }
 
-function addApiRoutes(app, items, endpointHitCounter) {
+function addApiRoutes(app, items, endpointHitCounter, history, itemFlows) {
 
 	/**
 	 * GET endpoint to read the masters current inventory of items.
@@ -49,6 +49,44 @@ function addApiRoutes(app, items, endpointHitCounter) {
 		res.type("json");
 		res.send(JSON.stringify(items.serialise()));
 	});
+
+	/**
+	 * GET endpoint to read the history of the masters inventory
+	 *
+	 * @memberof clusterioMaster
+	 * @instance
+	 * @alias api/inventory/history
+	 * @returns {object} JSON {times:[1600000000000], items:{"iron-plate":[100]}}
+	 */
+	app.get("/api/inventory/history", function(req, res) {
+		endpointHitCounter.labels(req.route.path).inc();
+		res.header("Access-Control-Allow-Origin", "*");
+		res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept");
+		res.type("json");
+		res.send(JSON.stringify(history.serialize()));
+	});
+
+	/**
+	 * GET endpoint to read how much of an item each instance has exported
+	 * to and imported from the master
+	 *
+	 * @memberof clusterioMaster
+	 * @instance
+	 * @alias api/inventory/flows/:item
+	 * @returns {object[]} JSON [{instance_id:1, instance_name:"a", exported:10, imported:5, net:5}]
+	 */
+	app.get("/api/inventory/flows/:item", async function(req, res, next) {
+		endpointHitCounter.labels(req.route.path).inc();
+		res.header("Access-Control-Allow-Origin", "*");
+		res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept");
+		try {
+			let flows = await itemFlows(req.params.item);
+			res.type("json");
+			res.send(JSON.stringify(flows));
+		} catch (err) {
+			next(err);
+		}
+	});
 }
 
 module.exports = {
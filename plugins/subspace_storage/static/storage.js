@@ -1,17 +1,98 @@
 // function to draw data we recieve from ajax requests
 "use strict";
 var _lastData = [];
+let _history = { times: [], items: {} };
+let _selected = null;
+
+function getLocaleName(itemName) {
+	let meta = factorioItemMetadata.get(itemName);
+	if (meta && meta.localised_name) {
+		// TODO implement the locale to name conversion.
+		return factorioLocale.get(meta.localised_name[0]) || itemName;
+	}
+	for (let section of ["item-name", "entity-name", "fluid-name", "equipment-name"]) {
+		let name = factorioLocale.get(`${section}.${itemName}`);
+		if (name) {
+			return name;
+		}
+	}
+	return itemName;
+}
+
+function getItemMod(itemName) {
+	let meta = factorioItemMetadata.get(itemName);
+	return (meta && meta.mod) || null;
+}
+
+function formatCount(count) {
+	// format count to have .s in it for large number readability (1,000,000)
+	return count.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+}
+
+// Draw the counts of an item as an SVG line scaled to fit
+function sparkline(counts, width = 120, height = 24) {
+	let values = counts.filter(count => count !== null);
+	if (values.length < 2) {
+		return "";
+	}
+	let min = Math.min(...values);
+	let max = Math.max(...values);
+	let range = max - min || 1;
+	let points = [];
+	counts.forEach((count, i) => {
+		if (count === null) {
+			return;
+		}
+		let x = (i / (counts.length - 1)) * width;
+		let y = height - 1 - (((count - min) / range) * (height - 2));
+		points.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+	});
+	return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+		`<polyline fill="none" stroke="currentColor" stroke-width="1.5" points="${points.join(" ")}"/></svg>`;
+}
+
+// fill the mod filter with the mods that provide items
+function updateModFilter() {
+	const select = document.querySelector("#mod-filter");
+	let mods = new Set();
+	for (let meta of factorioItemMetadata.values()) {
+		if (meta.mod) {
+			mods.add(meta.mod);
+		}
+	}
+	if (select.options.length === mods.size + 1) {
+		return;
+	}
+
+	let selected = select.value;
+	while (select.options.length > 1) {
+		select.remove(1);
+	}
+	for (let mod of [...mods].sort()) {
+		let option = document.createElement("option");
+		option.value = mod;
+		option.textContent = mod;
+		select.appendChild(option);
+	}
+	select.value = selected;
+}
+
 function drawcontents(data) {
 	data = data || _lastData; //Cache data so we can drawcontents without waiting for the server, for the search box.
 	_lastData = data;
+	updateModFilter();
 
 	// allow searching for multiple criteria separated by space
 	var searchArgs = document.querySelector("#search").value;
 	searchArgs = searchArgs.trim();
 	searchArgs = "(" + searchArgs.replace(/ +/g,")|(") + ")";
 	const search = new RegExp(searchArgs, "i");
+	const mod = document.querySelector("#mod-filter").value;
 	data = data.filter(function(item) {
-		return search.test(item.name);
+		if (mod && getItemMod(item.name) !== mod) {
+			return false;
+		}
+		return search.test(item.name) || search.test(getLocaleName(item.name));
 	});
 
 	sortByKey(data, "count");
@@ -21,15 +102,16 @@ function drawcontents(data) {
 
 	//update existing rows or create new ones
 	data.forEach(function(item, i) {
-		// format count to have .s in it for large number readability (1,000,000)
-		item.count = item.count.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-
 		let row = rows[i];
 		if(!row) {
 			row = document.createElement("tr");
-			row.innerHTML = "<td><div></div></td><td class=name></td><td class=count></td>";
+			row.innerHTML = "<td><div></div></td><td class=name></td><td class=count></td><td class=history></td>";
+			row.addEventListener("click", function() {
+				showDrilldown(row.dataset.item);
+			});
 			table.appendChild(row);
 		}
+		row.dataset.item = item.name;
 
 		const itemIcon = row.querySelector("div");
 		const iconClass = getItemIconClass(item.name);
@@ -37,29 +119,24 @@ function drawcontents(data) {
 			itemIcon.setAttribute("class", iconClass);
 		}
 
-		let localeName = item.name;
-		let meta = factorioItemMetadata.get(item.name);
-		if (meta && meta.localised_name) {
-			// TODO implement the locale to name conversion.
-			localeName = factorioLocale.get(meta.localised_name[0]);
-		} else {
-			for (let section of ["item-name", "entity-name", "fluid-name", "equipment-name"]) {
-				let name = factorioLocale.get(`${section}.${item.name}`);
-				if (name) {
-					localeName = name;
-					break;
-				}
-			}
-		}
-
+		let localeName = getLocaleName(item.name);
 		const name = row.querySelector(".name");
 		if(name.textContent !== localeName) {
 			name.textContent = localeName;
 		}
 
 		const count = row.querySelector(".count");
-		if(count.textContent !== String(item.count)) {
-			count.textContent = item.count;
+		let formattedCount = formatCount(item.count);
+		if(count.textContent !== formattedCount) {
+			count.textContent = formattedCount;
+		}
+
+		const history = row.querySelector(".history");
+		let counts = _history.items[item.name] || [];
+		let historyKey = `${item.name}:${_history.times[_history.times.length - 1]}`;
+		if (history.dataset.key !== historyKey) {
+			history.dataset.key = historyKey;
+			history.innerHTML = sparkline(counts);
 		}
 	});
 
@@ -69,23 +146,81 @@ function drawcontents(data) {
 	}
 }
 
-// get cluster inventory from master
-function updateInventory() {
-	var xmlhttp = new XMLHttpRequest();
+function getJSON(url, callback) {
+	let xmlhttp = new XMLHttpRequest();
 	xmlhttp.onreadystatechange = function() {
 		if(xmlhttp.readyState == 4 && xmlhttp.status == 200) {
-			let data = JSON.parse(xmlhttp.responseText);
-			drawcontents(data);
+			callback(JSON.parse(xmlhttp.responseText));
 		}
 	};
-	xmlhttp.open("GET", `${root}api/inventory`, true);
+	xmlhttp.open("GET", url, true);
 	xmlhttp.send();
 }
+
+// get cluster inventory from master
+function updateInventory() {
+	getJSON(`${root}api/inventory`, drawcontents);
+}
+
+// get history of the inventory from master
+function updateHistory() {
+	getJSON(`${root}api/inventory/history`, function(history) {
+		_history = history;
+		drawcontents();
+	});
+}
+
+function drawFlows(selector, flows) {
+	const table = document.querySelector(`${selector} tbody`);
+	table.innerHTML = "";
+	for (let flow of flows) {
+		let row = document.createElement("tr");
+		for (let value of [
+			flow.instance_name || flow.instance_id,
+			formatCount(flow.exported),
+			formatCount(flow.imported),
+			formatCount(flow.net),
+		]) {
+			let cell = document.createElement("td");
+			cell.textContent = value;
+			row.appendChild(cell);
+		}
+		table.appendChild(row);
+	}
+}
+
+// show which instances produce and consume the selected item
+function updateDrilldown() {
+	if (_selected === null) {
+		return;
+	}
+	let itemName = _selected;
+	getJSON(`${root}api/inventory/flows/${encodeURIComponent(itemName)}`, function(flows) {
+		if (_selected !== itemName) {
+			return;
+		}
+		drawFlows("#producers", flows.filter(flow => flow.net > 0));
+		drawFlows("#consumers", flows.filter(flow => flow.net < 0).reverse());
+	});
+}
+
+function showDrilldown(itemName) {
+	_selected = itemName;
+	document.querySelector("#drilldown-title").textContent = getLocaleName(itemName);
+	document.querySelector("#drilldown").hidden = false;
+	drawFlows("#producers", []);
+	drawFlows("#consumers", []);
+	updateDrilldown();
+}
+
 if(JSON.parse(localStorage.settings)["Periodically update storage screen"]) {
 	setInterval(updateInventory, 500);
+	setInterval(updateDrilldown, 5000);
 } else {
 	updateInventory();
 }
+updateHistory();
+setInterval(updateHistory, 60000);
 
 // function to sort arrays of objects after a keys value
 function sortByKey(array, key) {
@@ -97,3 +232,10 @@ function sortByKey(array, key) {
 document.querySelector("#search").addEventListener("input", function() {
 	drawcontents();
 });
+document.querySelector("#mod-filter").addEventListener("change", function() {
+	drawcontents();
+});
+document.querySelector("#drilldown-close").addEventListener("click", function() {
+	_selected = null;
+	document.querySelector("#drilldown").hidden = true;
+});
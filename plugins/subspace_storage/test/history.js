@@ -0,0 +1,44 @@
+"use strict";
+const assert = require("assert").strict;
+
+const database = require("lib/database");
+
+const { ItemHistory } = require("../history");
+
+
+describe("subspace_storage history", function() {
+	describe("class ItemHistory", function() {
+		it("should sample the count of each item", function() {
+			let items = new database.ItemDatabase({ "a": 10 });
+			let history = new ItemHistory();
+			history.sample(items, 1000);
+			items.addItem("a", 5);
+			items.addItem("b", 2);
+			history.sample(items, 2000);
+			assert.deepEqual(history.serialize(), {
+				times: [1000, 2000],
+				items: { "a": [10, 15], "b": [null, 2] },
+			});
+		});
+
+		it("should only keep the max samples", function() {
+			let items = new database.ItemDatabase({ "a": 1 });
+			let history = new ItemHistory(2);
+			for (let time = 1; time <= 3; time++) {
+				items.addItem("a", 1);
+				history.sample(items, time);
+			}
+			assert.deepEqual(history.serialize(), { times: [2, 3], items: { "a": [3, 4] } });
+		});
+
+		it("should drop items that have been empty for all samples", function() {
+			let items = new database.ItemDatabase({ "a": 1 });
+			let history = new ItemHistory(2);
+			history.sample(items, 1);
+			items.removeItem("a", 1);
+			history.sample(items, 2);
+			history.sample(items, 3);
+			assert.deepEqual(history.serialize(), { times: [2, 3], items: {} });
+		});
+	});
+});
@@ -0,0 +1,102 @@
+"use strict";
+const assert = require("assert").strict;
+const fs = require("fs-extra");
+const path = require("path");
+
+const { Ledger, toCsv } = require("../ledger");
+
+
+describe("subspace_storage ledger", function() {
+	let ledgerDir = path.join("temp", "test", "ledger");
+	beforeEach(async function() {
+		await fs.remove(ledgerDir);
+	});
+
+	function entry(time, instanceId, type, items) {
+		return { time, instance_id: instanceId, type, method: type === "remove" ? "simple" : null, items };
+	}
+
+	describe("class Ledger", function() {
+		it("should filter entries by instance, item and time", async function() {
+			let ledger = new Ledger(ledgerDir);
+			await ledger.append(entry(1000, 1, "place", [["iron-plate", 10], ["copper-plate", 5]]));
+			await ledger.append(entry(2000, 2, "remove", [["iron-plate", 4]]));
+			await ledger.append(entry(3000, 1, "remove", [["copper-plate", 2]]));
+
+			assert.equal((await ledger.query()).total, 3);
+			assert.deepEqual((await ledger.query({ instanceId: 1 })).entries.map(e => e.time), [1000, 3000]);
+			assert.deepEqual(
+				(await ledger.query({ item: "iron-plate" })).entries,
+				[entry(1000, 1, "place", [["iron-plate", 10]]), entry(2000, 2, "remove", [["iron-plate", 4]])]
+			);
+			assert.deepEqual((await ledger.query({ since: 1500, until: 2500 })).entries.map(e => e.time), [2000]);
+			assert.deepEqual(
+				await ledger.query({ offset: 1, limit: 1 }),
+				{ entries: [entry(2000, 2, "remove", [["iron-plate", 4]])], total: 3 }
+			);
+		});
+
+		it("should stop reading once one entry past the page is found", async function() {
+			let ledger = new Ledger(ledgerDir);
+			for (let time = 1; time <= 10; time++) {
+				await ledger.append(entry(time, 1, "place", [["iron-plate", time]]));
+			}
+
+			let result = await ledger.query({ offset: 2, limit: 3 });
+			assert.deepEqual(result.entries.map(e => e.time), [3, 4, 5]);
+			assert.equal(result.total, 6);
+			assert.equal((await ledger.query({ offset: 8, limit: 3 })).total, 10);
+		});
+
+		it("should skip rotated files outside of the time range", async function() {
+			let ledger = new Ledger(ledgerDir);
+			// Times of the entries contradict the file names to tell which files were read.
+			await fs.outputFile(
+				path.join(ledgerDir, "ledger-000000000001000.log"), `${JSON.stringify(entry(1500, 1, "place", []))}\n`
+			);
+			await ledger.append(entry(900, 1, "place", [["iron-plate", 1]]));
+			assert.deepEqual((await ledger.query({ since: 1200 })).entries.map(e => e.time), []);
+			assert.deepEqual((await ledger.query({ until: 950 })).entries.map(e => e.time), []);
+			assert.deepEqual((await ledger.query()).entries.map(e => e.time), [1500, 900]);
+		});
+
+		it("should rotate the ledger and keep the max number of files", async function() {
+			let ledger = new Ledger(ledgerDir, 100, 2);
+			for (let time = 1; time <= 8; time++) {
+				await ledger.append(entry(time, 1, "place", [["iron-plate", time]]));
+			}
+
+			let files = await fs.readdir(ledgerDir);
+			assert.equal(files.filter(file => file.startsWith("ledger-")).length, 2);
+
+			// Entries in removed files are gone, the rest are in order.
+			let times = (await ledger.query()).entries.map(e => e.time);
+			assert.deepEqual(times, [...times].sort((a, b) => a - b));
+			assert.equal(times[times.length - 1], 8);
+			assert(times.length < 8);
+		});
+
+		it("should not overwrite files rotated at the same time", async function() {
+			let ledger = new Ledger(ledgerDir, 10);
+			for (let i = 1; i <= 3; i++) {
+				await ledger.append(entry(1000, i, "place", [["iron-plate", i]]));
+			}
+
+			let files = (await fs.readdir(ledgerDir)).filter(file => file.startsWith("ledger-"));
+			assert.equal(files.length, 3);
+			assert.deepEqual((await ledger.query()).entries.map(e => e.instance_id), [1, 2, 3]);
+		});
+	});
+
+	describe("toCsv()", function() {
+		it("should format one line per item", function() {
+			assert.equal(
+				toCsv([entry(0, 1, "remove", [["iron-plate", 4], ["a,b", 1]])]),
+				"time,instance_id,type,method,item,count\n"
+				+ "1970-01-01T00:00:00.000Z,1,remove,simple,iron-plate,4\n"
+				+ "1970-01-01T00:00:00.000Z,1,remove,simple,\"a,b\",1\n"
+			);
+			assert.equal(toCsv([entry(0, 1, "place", [["iron-plate", 4]])], false), "1970-01-01T00:00:00.000Z,1,place,,iron-plate,4\n");
+		});
+	});
+});
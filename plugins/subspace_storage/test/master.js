@@ -0,0 +1,164 @@
+"use strict";
+const assert = require("assert").strict;
+const fs = require("fs-extra");
+const path = require("path");
+
+const database = require("lib/database");
+
+const info = require("../info");
+const { Ledger } = require("../ledger");
+const { MasterPlugin, createStorage } = require("../master");
+const policy = require("../policy");
+
+
+describe("subspace_storage master", function() {
+	describe("placeRequestHandler()", function() {
+		let masterPlugin;
+		let ledgerDir = path.join("temp", "test", "subspace_storage_ledger");
+		beforeEach(async function() {
+			await fs.remove(ledgerDir);
+			masterPlugin = new MasterPlugin(info, { config: { get: () => false } }, {});
+			masterPlugin.ledger = new Ledger(ledgerDir);
+			masterPlugin.items = new database.ItemDatabase();
+			masterPlugin.itemsLastUpdate = new Map();
+			masterPlugin.placeSequences = new Map();
+			masterPlugin.broadcastEventToSlaves = () => {};
+		});
+
+		function place(session, sequence, count) {
+			return masterPlugin.placeRequestHandler({
+				data: { instance_id: 1, session, sequence, items: [["iron-plate", count]] },
+			});
+		}
+
+		it("should add the items placed", async function() {
+			await place("a", 1, 10);
+			await place("a", 2, 5);
+			assert.equal(masterPlugin.items.getItemCount("iron-plate"), 15);
+			assert.deepEqual(masterPlugin.placeSequences.get(1), { id: 1, session: "a", sequence: 2 });
+		});
+
+		it("should ignore batches that have already been placed", async function() {
+			await place("a", 1, 10);
+			await place("a", 2, 5);
+			await place("a", 2, 5);
+			await place("a", 1, 10);
+			assert.equal(masterPlugin.items.getItemCount("iron-plate"), 15);
+		});
+
+		it("should record placed items in the ledger", async function() {
+			await place("a", 1, 10);
+			await place("a", 1, 10);
+			let { entries } = await masterPlugin.ledger.query();
+			assert.deepEqual(entries.map(({ time, ...entry }) => entry), [
+				{ instance_id: 1, type: "place", method: null, items: [["iron-plate", 10]] },
+			]);
+		});
+
+		it("should accept batches from a new session", async function() {
+			await place("a", 5, 10);
+			await place("b", 1, 5);
+			assert.equal(masterPlugin.items.getItemCount("iron-plate"), 15);
+		});
+	});
+
+	describe("itemFlows()", function() {
+		it("should give the net export of the item for each instance", async function() {
+			let instances = new Map([[1, { config: { get: () => "One" } }]]);
+			let masterConfig = { get: name => name === "subspace_storage.division_method" && "simple" };
+			let masterPlugin = new MasterPlugin(info, { config: masterConfig, db: { instances } }, {});
+			masterPlugin.ledger = new Ledger(path.join("temp", "test", "subspace_storage_flows_ledger"));
+			masterPlugin.items = new database.ItemDatabase();
+			masterPlugin.itemsLastUpdate = new Map();
+			masterPlugin.policy = new policy.AllocationPolicy();
+			masterPlugin.placeSequences = new Map();
+			masterPlugin.broadcastEventToSlaves = () => {};
+			await masterPlugin.placeRequestHandler({
+				data: { instance_id: 1, session: "flows", sequence: 1, items: [["flow-plate", 10]] },
+			});
+			await masterPlugin.removeRequestHandler({ data: { instance_id: 2, items: [["flow-plate", 4]] } });
+
+			assert.deepEqual(await masterPlugin.itemFlows("flow-plate"), [
+				{ instance_id: 1, instance_name: "One", exported: 10, imported: 0, net: 10 },
+				{ instance_id: 2, instance_name: null, exported: 0, imported: 4, net: -4 },
+			]);
+		});
+	});
+
+	describe("onBackup()", function() {
+		it("should back up the files of the configured storage backend", async function() {
+			let masterPlugin = new MasterPlugin(info, { config: { get: () => false } }, {});
+			masterPlugin.items = new database.ItemDatabase({ "iron-plate": 10 });
+			masterPlugin.placeSequences = new Map();
+
+			masterPlugin.storage = createStorage("json", "database");
+			assert.deepEqual(Object.keys(await masterPlugin.onBackup()), ["items.json", "place_sequences.json"]);
+
+			masterPlugin.storage = createStorage("journal", "database");
+			let files = await masterPlugin.onBackup();
+			assert.deepEqual(
+				JSON.parse(files["items_journal/snapshot.json"]),
+				{ generation: 0, items: { "iron-plate": 10 } }
+			);
+		});
+	});
+
+	describe("policy rules", function() {
+		let masterPlugin;
+		let fields;
+		beforeEach(function() {
+			fields = new Map([["subspace_storage.allocation_policy", {}]]);
+			let masterConfig = { get: name => fields.get(name), set: (name, value) => fields.set(name, value) };
+			masterPlugin = new MasterPlugin(info, { config: masterConfig }, {});
+			masterPlugin.policy = new policy.AllocationPolicy();
+		});
+
+		function setRule(instance_id, item, weight, rate_limit = null, reserved = null) {
+			return masterPlugin.setPolicyRuleRequestHandler({
+				data: { instance_id, item, weight, rate_limit, reserved },
+			});
+		}
+
+		it("should store rules in the config and list them", async function() {
+			await setRule(1, "iron-plate", 2);
+			await setRule(null, null, null, 1000);
+			assert.deepEqual(fields.get("subspace_storage.allocation_policy"), {
+				"1:iron-plate": { weight: 2, rate_limit: null, reserved: null },
+				"*:*": { weight: null, rate_limit: 1000, reserved: null },
+			});
+
+			let { list } = await masterPlugin.listPolicyRulesRequestHandler();
+			assert.deepEqual(list, [
+				{ instance_id: 1, item: "iron-plate", weight: 2, rate_limit: null, reserved: null },
+				{ instance_id: null, item: null, weight: null, rate_limit: 1000, reserved: null },
+			]);
+		});
+
+		it("should remove rules with all properties null", async function() {
+			await setRule(1, "iron-plate", 2);
+			await setRule(1, "iron-plate", null);
+			assert.deepEqual(fields.get("subspace_storage.allocation_policy"), {});
+			assert.equal(masterPlugin.policy.rules.size, 0);
+		});
+
+		it("should reject invalid rules", async function() {
+			await assert.rejects(
+				setRule(null, "iron-plate", null, null, 10),
+				new Error("Rule *:iron-plate cannot reserve items for all instances")
+			);
+			assert.deepEqual(fields.get("subspace_storage.allocation_policy"), {});
+		});
+	});
+
+	describe("queryLedger", function() {
+		it("should not allow querying more than 1000 entries at once", async function() {
+			let query = { instance_id: null, item: null, since: null, until: null, offset: 0 };
+			for (let limit of [null, 1001]) {
+				await assert.rejects(
+					info.messages.queryLedger.send(null, { ...query, limit }),
+					new Error("Validation failed sending subspace_storage:query_ledger_request")
+				);
+			}
+		});
+	});
+});
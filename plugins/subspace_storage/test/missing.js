@@ -4,5 +4,6 @@
 "use strict";
 require("../instance");
 require("../master");
+require("../control");
 require("../dole");
 require("../dole_nn_base");
@@ -0,0 +1,106 @@
+"use strict";
+const assert = require("assert").strict;
+
+const policy = require("../policy");
+
+
+describe("subspace_storage policy", function() {
+	describe("parseRuleKey()", function() {
+		it("should parse instance and item", function() {
+			assert.deepEqual(policy.parseRuleKey("12:iron-plate"), [12, "iron-plate"]);
+			assert.deepEqual(policy.parseRuleKey("*:*"), ["*", "*"]);
+		});
+		it("should throw on invalid keys", function() {
+			for (let key of ["", "iron-plate", "a:iron-plate", "1:"]) {
+				assert.throws(() => policy.parseRuleKey(key), Error, key);
+			}
+		});
+	});
+
+	describe("class AllocationPolicy", function() {
+		it("should reject invalid rules", function() {
+			let invalid = [
+				{ "1:iron-plate": { weight: -1 } },
+				{ "1:iron-plate": { priority: 1 } },
+				{ "1:iron-plate": 1 },
+				{ "*:iron-plate": { reserved: 10 } },
+			];
+			for (let rules of invalid) {
+				assert.throws(() => new policy.AllocationPolicy(rules), Error, JSON.stringify(rules));
+			}
+		});
+
+		it("should resolve properties from the most specific rule", function() {
+			let allocation = new policy.AllocationPolicy({
+				"*:*": { weight: 2, rate_limit: 100 },
+				"*:iron-plate": { weight: 3 },
+				"1:*": { reserved: 5 },
+				"1:iron-plate": { rate_limit: 50 },
+			});
+			assert.deepEqual(allocation.resolve(1, "iron-plate"), { weight: 3, rate_limit: 50, reserved: 5 });
+			assert.deepEqual(allocation.resolve(2, "copper-plate"), { weight: 2, rate_limit: 100, reserved: 0 });
+		});
+
+		it("should give all requested without rules", function() {
+			let allocation = new policy.AllocationPolicy();
+			assert.deepEqual(
+				allocation.limit(1, "iron-plate", 100, 1000, 0),
+				{ count: 100, throttled: { rate_limit: 0, reserved: 0, weight: 0 } }
+			);
+			assert.equal(allocation.limit(1, "iron-plate", 100, 10, 0).count, 10);
+		});
+
+		it("should keep reserved items for the instance", function() {
+			let allocation = new policy.AllocationPolicy({ "1:iron-plate": { reserved: 80 }, "*:*": { weight: 1 } });
+			assert.deepEqual(
+				allocation.limit(2, "iron-plate", 50, 100, 0),
+				{ count: 20, throttled: { rate_limit: 0, reserved: 30, weight: 0 } }
+			);
+			assert.equal(allocation.limit(1, "iron-plate", 100, 100, 0).count, 90);
+		});
+
+		it("should divide contested items by weight", function() {
+			let allocation = new policy.AllocationPolicy({ "1:*": { weight: 3 } });
+			allocation.limit(2, "iron-plate", 100, 100, 0);
+			assert.deepEqual(
+				allocation.limit(1, "iron-plate", 100, 100, 1000),
+				{ count: 75, throttled: { rate_limit: 0, reserved: 0, weight: 25 } }
+			);
+			assert.equal(allocation.limit(2, "iron-plate", 100, 100, 2000).count, 25);
+
+			// Requests older than the demand window no longer compete.
+			assert.equal(allocation.limit(2, "iron-plate", 100, 100, 20000).count, 100);
+		});
+
+		it("should not divide contested items when no rule sets a weight", function() {
+			let allocation = new policy.AllocationPolicy({ "1:iron-plate": { reserved: 0 } });
+			allocation.limit(2, "iron-plate", 100, 100, 0);
+			assert.equal(allocation.limit(1, "iron-plate", 100, 100, 1000).count, 100);
+		});
+
+		it("should give the last item to one of the instances requesting it", function() {
+			let allocation = new policy.AllocationPolicy({ "*:*": { weight: 1 } });
+			allocation.limit(1, "iron-plate", 100, 1, 0);
+			assert.equal(allocation.limit(2, "iron-plate", 100, 1, 1000).count, 1);
+		});
+
+		it("should give the remainder of the division to the instance requesting", function() {
+			let allocation = new policy.AllocationPolicy({ "*:*": { weight: 1 } });
+			allocation.limit(1, "iron-plate", 100, 3, 0);
+			let result = allocation.limit(2, "iron-plate", 100, 3, 1000);
+			assert.deepEqual(result, { count: 2, throttled: { rate_limit: 0, reserved: 0, weight: 1 } });
+			assert.equal(allocation.limit(1, "iron-plate", 100, 3 - result.count, 2000).count, 1);
+		});
+
+		it("should limit the rate items are taken at", function() {
+			let allocation = new policy.AllocationPolicy({ "1:iron-plate": { rate_limit: 600 } });
+			let result = allocation.limit(1, "iron-plate", 1000, 10000, 0);
+			assert.deepEqual(result, { count: 600, throttled: { rate_limit: 400, reserved: 0, weight: 0 } });
+			allocation.record(1, "iron-plate", result.count, 0);
+
+			assert.equal(allocation.limit(1, "iron-plate", 1000, 10000, 0).count, 0);
+			assert.equal(allocation.limit(1, "iron-plate", 1000, 10000, 10e3).count, 100);
+			assert.equal(allocation.limit(2, "iron-plate", 1000, 10000, 10e3).count, 1000);
+		});
+	});
+});
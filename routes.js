@@ -3,9 +3,18 @@ module.exports = function(app) {
 	app.get("/", function(req, res) {
 		res.render("index");
 	});
+	app.get("/login", function(req, res) {
+		res.render("login");
+	});
 	app.get("/nodes", function(req, res) {
 		res.render("nodes");
 	});
+	app.get("/instances", function(req, res) {
+		res.render("instances");
+	});
+	app.get("/console", function(req, res) {
+		res.render("console");
+	});
 	app.get("/settings", function(req, res) {
 		res.render("settings");
 	});
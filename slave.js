@@ -22,6 +22,7 @@ const util = require("util");
 const version = require("./package").version;
 
 // internal libraries
+const database = require("lib/database");
 const fileOps = require("lib/fileOps");
 const factorio = require("lib/factorio");
 const link = require("lib/link");
@@ -56,6 +57,12 @@ const instanceFactorioAutosaveSize = new prometheus.Gauge(
 	{ labels: ["instance_id"] }
 );
 
+const slaveMasterFailoversCounter = new prometheus.Counter(
+	"clusterio_slave_master_failovers_total",
+	"How many times the slave has failed over to a different master server",
+	{ labels: ["slave_id"] }
+);
+
 function applyAsConfig(name) {
 	return async function action(server, value) {
 		if (name === "tags" && value instanceof Array) {
@@ -151,6 +158,13 @@ class Instance extends link.Link{
 			console.log(`Error in instance ${this.name}:`, err);
 		});
 
+		this._unexpectedExit = null;
+		this.server.on("exit", exit => {
+			if (exit && !exit.expected) {
+				this._unexpectedExit = exit;
+			}
+		});
+
 		this.server.on("autosave-finished", name => {
 			this._autosave(name).catch(err => {
 				console.error("Error handling autosave-finished:", err);
@@ -173,6 +187,14 @@ class Instance extends link.Link{
 
 	notifyExit() {
 		this._running = false;
+		if (this._unexpectedExit) {
+			link.messages.instanceCrashed.send(this, {
+				instance_id: this.config.get("instance.id"),
+				reason: this._unexpectedExit.reason,
+				crashed: this._unexpectedExit.crashed,
+			});
+			this._unexpectedExit = null;
+		}
 		link.messages.instanceStopped.send(this, { instance_id: this.config.get("instance.id") });
 
 		this.config.off("fieldChanged", this._configFieldChanged);
@@ -582,7 +604,7 @@ class Instance extends link.Link{
 			let zip = await factorio.exportData(this.server);
 
 			let content = await zip.generateAsync({ type: "nodebuffer" });
-			let url = new URL(this._slave.config.get("slave.master_url"));
+			let url = new URL(this._slave.connector.url);
 			url.pathname += "api/upload-export";
 			let response = await phin({
 				url, method: "PUT",
@@ -694,8 +716,8 @@ class InstanceConnection extends link.Link {
 		}
 	}
 
-	async forwardRequestToMaster(message, request) {
-		return await request.send(this.slave, message.data);
+	async forwardRequestToMaster(message, request, cancellation) {
+		return await request.send(this.slave, message.data, { cancellation });
 	}
 
 	async forwardEventToInstance(message, event) {
@@ -733,6 +755,12 @@ class InstanceConnection extends link.Link {
 
 	async instanceStartedEventHandler(message, event) {
 		this.status = "running";
+		this.startedAt = Date.now();
+		this.forwardEventToMaster(message, event);
+	}
+
+	async instanceCrashedEventHandler(message, event) {
+		this.unexpectedExit = message.data;
 		this.forwardEventToMaster(message, event);
 	}
 
@@ -740,12 +768,21 @@ class InstanceConnection extends link.Link {
 		this.status = "stopped";
 		this.slave.instanceConnections.delete(this.instanceId);
 		this.forwardEventToMaster(message, event);
+		if (this.unexpectedExit) {
+			this.slave.restartCrashedInstance(this.instanceId, this.unexpectedExit, this.startedAt || null);
+		}
 	}
 }
 
 class SlaveConnector extends link.WebSocketClientConnector {
 	constructor(slaveConfig, pluginInfos) {
-		super(slaveConfig.get("slave.master_url"), slaveConfig.get("slave.reconnect_delay"));
+		super(
+			[
+				slaveConfig.get("slave.master_url"),
+				...(slaveConfig.get("slave.standby_master_urls") || "").split(/\s+/).filter(url => url),
+			],
+			slaveConfig.get("slave.reconnect_delay")
+		);
 		this.slaveConfig = slaveConfig;
 		this.pluginInfos = pluginInfos;
 	}
@@ -761,6 +798,8 @@ class SlaveConnector extends link.WebSocketClientConnector {
 			token: this.slaveConfig.get("slave.master_token"),
 			agent: "Clusterio Slave",
 			version,
+			protocol_version: link.protocolVersion,
+			min_protocol_version: link.minProtocolVersion,
 			id: this.slaveConfig.get("slave.id"),
 			name: this.slaveConfig.get("slave.name"),
 			plugins,
@@ -776,7 +815,7 @@ class SlaveConnector extends link.WebSocketClientConnector {
 class Slave extends link.Link {
 	// I don't like God classes, but the alternative of putting all this state
 	// into global variables is not much better.
-	constructor(connector, slaveConfig, pluginInfos) {
+	constructor(connector, slaveConfig, pluginInfos, configPath = null) {
 		super("slave", "master", connector);
 		link.attachAllMessages(this);
 
@@ -787,9 +826,15 @@ class Slave extends link.Link {
 
 		this.config = slaveConfig;
 
+		// Path the config is saved to when changed by the master.
+		this.configPath = configPath;
+
 		this.instanceConnections = new Map();
 		this.instanceInfos = new Map();
 
+		// Instances waiting to be restarted after exiting unexpectedly.
+		this._restarts = new Map();
+
 		this.connector.on("hello", data => {
 			this.serverVersion = data.version;
 			this.serverPlugins = new Map(Object.entries(data.plugins));
@@ -823,8 +868,12 @@ class Slave extends link.Link {
 			if (this._disconnecting) {
 				this._disconnecting = false;
 				this.connector.connect().catch((err) => {
-					console.error("ERROR: Unexpected error reconnecting to master");
-					console.error(err);
+					if (err instanceof errors.AuthenticationFailed) {
+						console.error(`ERROR: ${err.message}`);
+					} else {
+						console.error("ERROR: Unexpected error reconnecting to master");
+						console.error(err);
+					}
 					this.shutdown().catch((err) => {
 						setBlocking(true);
 						console.error("ERROR: Unexpected error during shutdown");
@@ -869,7 +918,7 @@ class Slave extends link.Link {
 		return dir;
 	}
 
-	async forwardRequestToInstance(message, request) {
+	async forwardRequestToInstance(message, request, cancellation) {
 		let instanceId = message.data.instance_id;
 		if (!this.instanceInfos.has(instanceId)) {
 			throw new errors.RequestError(`Instance with ID ${instanceId} does not exist`);
@@ -884,7 +933,7 @@ class Slave extends link.Link {
 			throw new errors.RequestError(`Instance ID ${instanceId} does not have ${request.plugin} plugin loaded`);
 		}
 
-		return await request.send(instanceConnection, message.data);
+		return await request.send(instanceConnection, message.data, { cancellation });
 	}
 
 	async forwardEventToInstance(message, event) {
@@ -970,6 +1019,70 @@ class Slave extends link.Link {
 		return instanceConnection;
 	}
 
+	/**
+	 * Restart an instance that exited unexpectedly
+	 *
+	 * Schedules a restart from the newest save if the restart policy of
+	 * the instance allows it and it has not exceeded the max retries.
+	 *
+	 * @param {number} instanceId - ID of instance that exited.
+	 * @param {Object} exit - Data of the instance crashed event.
+	 * @param {?number} startedAt - Time the instance had started at.
+	 */
+	restartCrashedInstance(instanceId, exit, startedAt) {
+		let instanceInfo = this.instanceInfos.get(instanceId);
+		if (!instanceInfo || this._shuttingDown) {
+			return;
+		}
+
+		let restart = this._restarts.get(instanceId) || { retries: 0, timeoutId: null };
+		if (startedAt !== null && Date.now() - startedAt > restartResetTime) {
+			restart.retries = 0;
+		}
+
+		let delay = restartDelay(instanceInfo.config, exit.crashed, restart.retries);
+		if (delay === null) {
+			if (restart.retries) {
+				console.log(`Clusterio | Giving up restarting instance ${instanceId} after ${restart.retries} retries`);
+			}
+			this._restarts.delete(instanceId);
+			return;
+		}
+
+		console.log(`Clusterio | Restarting instance ${instanceId} in ${delay / 1000} seconds`);
+		restart.retries += 1;
+		restart.timeoutId = setTimeout(() => {
+			restart.timeoutId = null;
+			this._restartInstance(instanceId).catch(err => {
+				console.error(`Clusterio | Error restarting instance ${instanceId}:`, err.message);
+				this.restartCrashedInstance(instanceId, { crashed: true, reason: err.message }, null);
+			});
+		}, delay);
+		this._restarts.set(instanceId, restart);
+	}
+
+	async _restartInstance(instanceId) {
+		let instanceConnection = await this._connectInstance(instanceId);
+		await link.messages.startInstance.send(instanceConnection, { instance_id: instanceId, save: null });
+	}
+
+	/**
+	 * Cancel a pending restart of an instance
+	 *
+	 * @param {number} instanceId - ID of instance to cancel restart of.
+	 * @returns {boolean} true if there was a restart pending.
+	 */
+	cancelRestart(instanceId) {
+		let restart = this._restarts.get(instanceId);
+		this._restarts.delete(instanceId);
+		if (!restart || restart.timeoutId === null) {
+			return false;
+		}
+
+		clearTimeout(restart.timeoutId);
+		return true;
+	}
+
 	async getMetricsRequestHandler() {
 		let requests = [];
 		for (let instanceConnection of this.instanceConnections.values()) {
@@ -996,28 +1109,43 @@ class Slave extends link.Link {
 		return { results };
 	}
 
-	async startInstanceRequestHandler(message, request) {
+	async startInstanceRequestHandler(message, request, cancellation) {
 		let instanceId = message.data.instance_id;
+		this.cancelRestart(instanceId);
+		if (message.data.save !== null) {
+			await this._checkSaveExists(instanceId, message.data.save);
+		}
 		let instanceConnection = await this._connectInstance(instanceId);
-		return await request.send(instanceConnection, message.data);
+		return await request.send(instanceConnection, message.data, { cancellation });
 	}
 
-	async loadScenarioRequestHandler(message, request) {
+	async loadScenarioRequestHandler(message, request, cancellation) {
 		let instanceId = message.data.instance_id;
+		this.cancelRestart(instanceId);
 		let instanceConnection = await this._connectInstance(instanceId);
-		return await request.send(instanceConnection, message.data);
+		return await request.send(instanceConnection, message.data, { cancellation });
 	}
 
-	async createSaveRequestHandler(message, request) {
+	async createSaveRequestHandler(message, request, cancellation) {
 		let instanceId = message.data.instance_id;
 		let instanceConnection = await this._connectInstance(instanceId);
-		await request.send(instanceConnection, message.data);
+		await request.send(instanceConnection, message.data, { cancellation });
 	}
 
-	async exportDataRequestHandler(message, request) {
+	async exportDataRequestHandler(message, request, cancellation) {
 		let instanceId = message.data.instance_id;
 		let instanceConnection = await this._connectInstance(instanceId);
-		await request.send(instanceConnection, message.data);
+		await request.send(instanceConnection, message.data, { cancellation });
+	}
+
+	async stopInstanceRequestHandler(message, request, cancellation) {
+		let instanceId = message.data.instance_id;
+		this.cancelRestart(instanceId);
+		if (!this.instanceConnections.has(instanceId) && this.instanceInfos.has(instanceId)) {
+			// Stopping an instance waiting to be restarted only cancels the restart
+			return;
+		}
+		await this.forwardRequestToInstance(message, request, cancellation);
 	}
 
 	async stopInstance(instanceId) {
@@ -1027,6 +1155,7 @@ class Slave extends link.Link {
 
 	async deleteInstanceRequestHandler(message) {
 		let instanceId = message.data.instance_id;
+		this.cancelRestart(instanceId);
 		if (this.instanceConnections.has(instanceId)) {
 			throw new errors.RequestError(`Instance with ID ${instanceId} is running`);
 		}
@@ -1040,6 +1169,117 @@ class Slave extends link.Link {
 		this.instanceInfos.delete(instanceId);
 	}
 
+	_instanceInfo(instanceId) {
+		let instanceInfo = this.instanceInfos.get(instanceId);
+		if (!instanceInfo) {
+			throw new errors.RequestError(`Instance with ID ${instanceId} does not exist`);
+		}
+		return instanceInfo;
+	}
+
+	/**
+	 * Return path to a file stored in an instance directory
+	 *
+	 * @param {number} instanceId - ID of instance the file belongs to.
+	 * @param {string} directory - Either saves or mods.
+	 * @param {string} name - Name of file.
+	 * @returns {string} path to the file.
+	 * @throws {module:lib/errors.RequestError}
+	 *     if the instance does not exist or the file name is not valid.
+	 */
+	_instanceFilePath(instanceId, directory, name) {
+		let instanceInfo = this._instanceInfo(instanceId);
+		if (directory === "saves") {
+			checkSaveName(name);
+		} else {
+			try {
+				checkFilename(name);
+			} catch (err) {
+				throw new errors.RequestError(`File name ${err.message}`);
+			}
+		}
+		return path.join(instanceInfo.path, directory, name);
+	}
+
+	_savePath(instanceId, name) {
+		return this._instanceFilePath(instanceId, "saves", name);
+	}
+
+	async _checkSaveExists(instanceId, name) {
+		let savePath = this._savePath(instanceId, name);
+		if (!await fs.pathExists(savePath)) {
+			throw new errors.RequestError(`Save ${name} does not exist`);
+		}
+		return savePath;
+	}
+
+	async _checkSaveFree(instanceId, name) {
+		let savePath = this._savePath(instanceId, name);
+		if (await fs.pathExists(savePath)) {
+			throw new errors.RequestError(`Save ${name} already exists`);
+		}
+		return savePath;
+	}
+
+	async listSavesRequestHandler(message) {
+		let savesDir = path.join(this._instanceInfo(message.data.instance_id).path, "saves");
+		let list = [];
+		for (let name of await listInstanceFiles(savesDir, "saves")) {
+			let stat = await fs.stat(path.join(savesDir, name));
+			list.push({ name, size: stat.size, mtime_ms: stat.mtimeMs });
+		}
+		list.sort((a, b) => b.mtime_ms - a.mtime_ms);
+		return { list };
+	}
+
+	async renameSaveRequestHandler(message) {
+		let { instance_id, old_name, new_name } = message.data;
+		let oldPath = await this._checkSaveExists(instance_id, old_name);
+		let newPath = await this._checkSaveFree(instance_id, new_name);
+		await fs.rename(oldPath, newPath);
+	}
+
+	async copySaveRequestHandler(message) {
+		let { instance_id, source, destination } = message.data;
+		let sourcePath = await this._checkSaveExists(instance_id, source);
+		let destinationPath = await this._checkSaveFree(instance_id, destination);
+		await fs.copy(sourcePath, destinationPath, { overwrite: false, errorOnExist: true });
+	}
+
+	async deleteSaveRequestHandler(message) {
+		let { instance_id, save } = message.data;
+		let savePath = await this._checkSaveExists(instance_id, save);
+		await fs.unlink(savePath);
+	}
+
+	_streamUrl(streamId) {
+		let url = new URL(this.connector.url);
+		url.pathname += `api/stream/${streamId}`;
+		return url;
+	}
+
+	async listInstanceFilesRequestHandler(message) {
+		let { instance_id, directory } = message.data;
+		let list = await listInstanceFiles(path.join(this._instanceInfo(instance_id).path, directory), directory);
+		return { list };
+	}
+
+	async pushInstanceFileRequestHandler(message) {
+		let { instance_id, directory, name, stream_id } = message.data;
+		let filePath = this._instanceFilePath(instance_id, directory, name);
+		if (!await fs.pathExists(filePath)) {
+			throw new errors.RequestError(`File ${directory}/${name} does not exist`);
+		}
+		await fileOps.uploadFile(this._streamUrl(stream_id), filePath);
+	}
+
+	async pullInstanceFileRequestHandler(message) {
+		let { instance_id, directory, name, stream_id } = message.data;
+		let filePath = this._instanceFilePath(instance_id, directory, name);
+		await fs.ensureDir(path.dirname(filePath));
+		await fileOps.downloadFile(this._streamUrl(stream_id), filePath);
+	}
+
 	/**
 	 * Discover available instances
 	 *
@@ -1059,6 +1299,14 @@ class Slave extends link.Link {
 		link.messages.updateInstances.send(this, { instances: list });
 	}
 
+	async updateSlaveTokenRequestHandler(message) {
+		this.config.set("slave.master_token", message.data.token);
+		if (this.configPath) {
+			await database.writeFileAtomic(this.configPath, JSON.stringify(this.config.serialize(), null, 4));
+		}
+		console.log("Clusterio | Updated the token used to connect to the master");
+	}
+
 	async prepareDisconnectRequestHandler(message, request) {
 		this._disconnecting = true;
 		for (let instanceConnection of this.instanceConnections.values()) {
@@ -1084,6 +1332,9 @@ class Slave extends link.Link {
 			}
 		}
 
+		for (let instanceId of this._restarts.keys()) {
+			this.cancelRestart(instanceId);
+		}
 		for (let instanceId of this.instanceConnections.keys()) {
 			await this.stopInstance(instanceId);
 		}
@@ -1094,6 +1345,37 @@ class Slave extends link.Link {
 	}
 }
 
+/**
+ * Time in ms an instance has to run for before crashing for the retry
+ * count to be reset.
+ */
+const restartResetTime = 10 * 60 * 1000;
+
+/**
+ * Determine how long to wait before restarting an instance
+ *
+ * @param {module:lib/config.InstanceConfig} instanceConfig -
+ *     Config of the instance that exited.
+ * @param {boolean} crashed -
+ *     True if the instance crashed, false if it exited cleanly.
+ * @param {number} retries - Number of restarts in a row done so far.
+ * @returns {?number}
+ *     milliseconds to wait before restarting, or null if the instance
+ *     should not be restarted.
+ */
+function restartDelay(instanceConfig, crashed, retries) {
+	let policy = instanceConfig.get("instance.restart_policy");
+	if (policy === "never" || policy === "on-failure" && !crashed) {
+		return null;
+	}
+
+	if (retries >= instanceConfig.get("instance.restart_max_retries")) {
+		return null;
+	}
+
+	return instanceConfig.get("instance.restart_backoff") * 2 ** retries * 1000;
+}
+
 function checkFilename(name) {
 	// All of these are bad in Windows only, except for /, . and ..
 	// See: https://docs.microsoft.com/en-us/windows/win32/fileio/naming-a-file
@@ -1134,6 +1416,54 @@ function checkFilename(name) {
 	}
 }
 
+/**
+ * Check that a save name is valid
+ *
+ * @param {string} name - Name of save including the .zip extension.
+ * @throws {module:lib/errors.RequestError} if the name is not valid.
+ */
+function checkSaveName(name) {
+	try {
+		checkFilename(name);
+	} catch (err) {
+		throw new errors.RequestError(`Save name ${err.message}`);
+	}
+
+	if (!name.endsWith(".zip")) {
+		throw new errors.RequestError("Save name must end with .zip");
+	}
+
+	// Saves ending in .tmp.zip are in the process of being written
+	if (name.endsWith(".tmp.zip")) {
+		throw new errors.RequestError("Save name cannot end with .tmp.zip");
+	}
+}
+
+/**
+ * List the files in an instance directory that can be transferred
+ *
+ * Only regular files are listed, this excludes the mods linked into the
+ * instance from the shared mods directory.  For saves only files with
+ * valid save names are listed.
+ *
+ * @param {string} directory - Path to directory to list.
+ * @param {string} type - Either saves or mods.
+ * @returns {Array<string>} names of the files in the directory.
+ */
+async function listInstanceFiles(directory, type) {
+	let list = [];
+	for (let entry of await fs.readdir(directory, { withFileTypes: true }).catch(() => [])) {
+		if (!entry.isFile()) {
+			continue;
+		}
+		if (type === "saves" && (!entry.name.endsWith(".zip") || entry.name.endsWith(".tmp.zip"))) {
+			continue;
+		}
+		list.push(entry.name);
+	}
+	return list;
+}
+
 /**
  * Create and update symlinks for shared mods in an instance
  *
@@ -1268,15 +1598,18 @@ async function startSlave() {
 	}
 
 	// make sure url ends with /
-	if (!slaveConfig.get("slave.master_url").endsWith("/")) {
+	let slaveConnector = new SlaveConnector(slaveConfig, pluginInfos);
+	if (slaveConnector._urls.some(url => !url.endsWith("/"))) {
 		console.error("ERROR invalid config!");
-		console.error("slave.master_url must end with '/'");
+		console.error("slave.master_url and slave.standby_master_urls must end with '/'");
 		process.exitCode = 1;
 		return;
 	}
 
-	let slaveConnector = new SlaveConnector(slaveConfig, pluginInfos);
-	let slave = new Slave(slaveConnector, slaveConfig, pluginInfos);
+	let slave = new Slave(slaveConnector, slaveConfig, pluginInfos, args.config);
+	slaveConnector.on("failover", () => {
+		slaveMasterFailoversCounter.labels(String(slaveConfig.get("slave.id"))).inc();
+	});
 
 	// Handle interrupts
 	let secondSigint = false;
@@ -1307,6 +1640,9 @@ module.exports = {
 	// For testing only
 	_Instance: Instance,
 	_checkFilename: checkFilename,
+	_checkSaveName: checkSaveName,
+	_listInstanceFiles: listInstanceFiles,
+	_restartDelay: restartDelay,
 	_symlinkMods: symlinkMods,
 	_discoverInstances: discoverInstances,
 	_Slave: Slave,
@@ -1321,7 +1657,7 @@ I           version of clusterio.  Expect things to break. I
 `
 	);
 	startSlave().catch(err => {
-		if (err instanceof errors.AuthenticationFailed) {
+		if (err instanceof errors.AuthenticationFailed || err instanceof errors.IncompatibleVersion) {
 			console.error(err.message);
 
 		} else {
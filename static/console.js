@@ -0,0 +1,116 @@
+const instanceId = Number(getParameterByName("instanceID"));
+let controlSocket = null;
+
+function printLine(line) {
+	let output = $("#console-output");
+	let atBottom = output[0].scrollHeight - output.scrollTop() - output.innerHeight() < 10;
+	output.append(line);
+	if (atBottom) {
+		output.scrollTop(output[0].scrollHeight);
+	}
+}
+
+function printNotice(type, text) {
+	printLine($("<div>").addClass(`console-${type}`).text(text));
+}
+
+// Colourised rendering of instance output, mirrors formatOutputColored in clusterctl
+function formatOutput(output) {
+	let line = $("<div>");
+	if (output.format === "seconds") {
+		line.append($("<span class=\"output-time\">").text(output.time.padStart(8)), " ");
+	} else if (output.format === "date") {
+		line.append($("<span class=\"output-time\">").text(output.time), " ");
+	}
+
+	if (output.type === "log") {
+		line.append(
+			$("<span>").addClass(`output-level-${output.level}`).text(output.level), " ",
+			$("<span class=\"output-file\">").text(output.file), ": "
+		);
+	} else if (output.type === "action") {
+		line.append("[", $("<span class=\"output-action\">").text(output.action), "] ");
+	}
+
+	return line.append(document.createTextNode(output.message));
+}
+
+function handleEvent(type, data) {
+	if (type === "instance_output" && data.instance_id === instanceId) {
+		printLine(formatOutput(data.output));
+	}
+}
+
+async function subscribe() {
+	try {
+		await controlSocket.request("set_instance_output_subscriptions", { instance_ids: [instanceId] });
+		printNotice("info", "Following instance output");
+	} catch (err) {
+		printNotice("error", `Unable to follow instance output: ${err.message}`);
+	}
+	$("#rcon-command, #rcon-send").prop("disabled", false);
+}
+
+async function sendCommand(command) {
+	printLine($("<div>").text(`> ${command}`));
+	try {
+		let response = await controlSocket.request("send_rcon", { instance_id: instanceId, command });
+		if (response.result) {
+			printLine($("<div>").text(response.result));
+		}
+	} catch (err) {
+		printNotice("error", `Unable to send command: ${err.message}`);
+	}
+}
+
+function connect() {
+	controlSocket = new ControlSocket(getToken(), handleEvent);
+	controlSocket.onconnect = subscribe;
+	controlSocket.onclose = function(event) {
+		$("#rcon-command, #rcon-send").prop("disabled", true);
+		if (event.code === 4003) {
+			handleApiError({ status: 401 });
+			return;
+		}
+		printNotice("error", "Connection to master lost, reconnecting");
+		setTimeout(connect, 5000);
+	};
+	controlSocket.connect();
+}
+
+$(async function() {
+	if (!getToken()) {
+		handleApiError({ status: 401 });
+		return;
+	}
+
+	try {
+		let response = await apiRequest("GET", "/instances");
+		let instance = response.list.find(entry => entry.id === instanceId);
+		if (!instance) {
+			printNotice("error", `Instance with ID ${getParameterByName("instanceID")} does not exist`);
+			return;
+		}
+		$("#instance-name").text(instance.name);
+	} catch (err) {
+		handleApiError(err);
+		if (err.status !== 403) {
+			printNotice("error", err.message);
+			return;
+		}
+	}
+
+	$("#rcon-form").on("submit", function(event) {
+		event.preventDefault();
+		let command = $("#rcon-command").val();
+		if (command) {
+			$("#rcon-command").val("");
+			sendCommand(command);
+		}
+	});
+	$(window).on("pagehide", () => {
+		controlSocket.onclose = null;
+		controlSocket.close();
+	});
+	connect();
+});
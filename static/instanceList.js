@@ -0,0 +1,69 @@
+// Shared rendering of instance tables with controls for the instances.
+// Permissions are checked by the master for each action taken.
+
+const instanceActions = [
+	{ label: "Start", path: "start", data: () => ({ save: null }) },
+	{ label: "Stop", path: "stop" },
+	{ label: "Create save", path: "create-save" },
+	{ label: "Send RCON", path: "send-rcon", data: () => {
+		let command = window.prompt("RCON command to send");
+		return command ? { command } : null;
+	} },
+];
+
+// Fill the tbody of table with rows for the given instances, slaves is an
+// optional Map of slave id to slave name.
+function renderInstanceRows(table, instances, slaves, errorElement) {
+	let tbody = $(table).find("tbody").empty();
+	if (!instances.length) {
+		tbody.append($("<tr>").append($("<td colspan=\"5\">").text("No instances")));
+		return;
+	}
+
+	for (let instance of instances) {
+		let slave = "Unassigned";
+		if (instance.assigned_slave !== null) {
+			slave = slaves && slaves.get(instance.assigned_slave) || String(instance.assigned_slave);
+		}
+
+		let actions = $("<td>");
+		$("<a class=\"btn btn-sm btn-secondary mr-1\">")
+			.attr("href", `${root}console?instanceID=${instance.id}`)
+			.text("Console")
+			.appendTo(actions)
+		;
+		for (let action of instanceActions) {
+			$("<button type=\"button\" class=\"btn btn-sm btn-secondary mr-1\">")
+				.text(action.label)
+				.on("click", () => runInstanceAction(instance, action, errorElement))
+				.appendTo(actions)
+			;
+		}
+
+		$("<tr>")
+			.append($("<td>").text(instance.id))
+			.append($("<td>").text(instance.name))
+			.append($("<td>").text(slave))
+			.append($("<td>").text(instance.status))
+			.append(actions)
+			.appendTo(tbody)
+		;
+	}
+}
+
+async function runInstanceAction(instance, action, errorElement) {
+	let data = action.data ? action.data() : {};
+	if (data === null) {
+		return;
+	}
+
+	$(errorElement).hide();
+	try {
+		let response = await apiRequest("POST", `/instances/${instance.id}/${action.path}`, data);
+		if (response.result) {
+			window.alert(response.result);
+		}
+	} catch (err) {
+		handleApiError(err, errorElement);
+	}
+}
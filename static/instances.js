@@ -0,0 +1,23 @@
+async function updateInstanceList() {
+	try {
+		let [slaveResponse, instanceResponse] = await Promise.all([
+			apiRequest("GET", "/slaves").catch(err => {
+				// Slave names are optional for showing the list
+				if (err.status === 403) {
+					return { list: [] };
+				}
+				throw err;
+			}),
+			apiRequest("GET", "/instances"),
+		]);
+		let slaves = new Map(slaveResponse.list.map(slave => [slave.id, slave.name]));
+		renderInstanceRows("#instance-list", instanceResponse.list, slaves, "#request-error");
+	} catch (err) {
+		handleApiError(err, "#request-error");
+	}
+}
+
+$(function() {
+	updateInstanceList();
+	setInterval(updateInstanceList, 5000);
+});
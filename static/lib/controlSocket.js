@@ -0,0 +1,111 @@
+// Browser side of the control link to the master server.  Implements the
+// handshake, heartbeats and request/response parts of the WebSocket
+// protocol used by clusterctl, without session resumption.
+class ControlSocket {
+	constructor(token, eventHandler) {
+		this.token = token;
+		this.eventHandler = eventHandler;
+		this.onconnect = null;
+		this.onclose = null;
+
+		this._socket = null;
+		this._seq = 1;
+		this._lastReceivedSeq = null;
+		this._heartbeatId = null;
+		this._pending = new Map();
+	}
+
+	connect() {
+		let url = new URL(`${root}api/socket`, window.location.href);
+		url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+		this._socket = new WebSocket(url.href);
+		this._socket.onmessage = event => this._handleMessage(JSON.parse(event.data));
+		this._socket.onclose = event => this._handleClose(event);
+	}
+
+	close() {
+		if (this._socket) {
+			this._socket.close(1001, "Page closed");
+		}
+	}
+
+	// Send a request to the master, resolves with the response data or
+	// rejects with an Error containing the error message from the master.
+	request(type, data = {}) {
+		if (!this._socket || this._socket.readyState !== WebSocket.OPEN) {
+			return Promise.reject(new Error("Not connected to master"));
+		}
+
+		let seq = this._seq++;
+		this._socket.send(JSON.stringify({ seq, type: `${type}_request`, data }));
+		return new Promise((resolve, reject) => {
+			this._pending.set(seq, { resolve, reject });
+		});
+	}
+
+	_send(type, data) {
+		this._socket.send(JSON.stringify({ seq: null, type, data }));
+	}
+
+	_handleMessage(message) {
+		if (message.seq !== null) {
+			this._lastReceivedSeq = message.seq;
+		}
+
+		if (message.type === "hello") {
+			// The Web UI is served by the master it connects to and thus
+			// always speaks the same protocol version.
+			this._send("register_control", {
+				token: this.token,
+				agent: "Web UI",
+				version: message.data.version,
+				protocol_version: message.data.protocol_version,
+				min_protocol_version: message.data.min_protocol_version,
+			});
+
+		} else if (message.type === "ready") {
+			this._heartbeatId = setInterval(() => {
+				this._send("heartbeat", { seq: this._lastReceivedSeq });
+			}, message.data.heartbeat_interval * 1000);
+			if (this.onconnect) {
+				this.onconnect();
+			}
+
+		} else if (message.type.endsWith("_response")) {
+			let { seq, error, ...response } = message.data;
+			let pending = this._pending.get(seq);
+			if (pending) {
+				this._pending.delete(seq);
+				if (error !== undefined) {
+					pending.reject(new Error(error));
+				} else {
+					pending.resolve(response);
+				}
+			}
+
+		} else if (message.type.endsWith("_event")) {
+			this.eventHandler(message.type.slice(0, -"_event".length), message.data);
+
+		} else if (message.type.endsWith("_request")) {
+			// The master expects a response to every request sent.
+			this._socket.send(JSON.stringify({
+				seq: this._seq++,
+				type: message.type.replace(/_request$/, "_response"),
+				data: { seq: message.seq },
+			}));
+		}
+	}
+
+	_handleClose(event) {
+		clearInterval(this._heartbeatId);
+		this._heartbeatId = null;
+		this._lastReceivedSeq = null;
+		for (let pending of this._pending.values()) {
+			pending.reject(new Error("Connection to master lost"));
+		}
+		this._pending.clear();
+		if (this.onclose) {
+			this.onclose(event);
+		}
+	}
+}
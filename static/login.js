@@ -0,0 +1,25 @@
+$(function() {
+	$("#login-form").on("submit", async function(event) {
+		event.preventDefault();
+		$("#login-error").hide();
+		setToken($("#token").val().trim());
+
+		try {
+			await apiRequest("GET", "/instances");
+		} catch (err) {
+			// A valid token without access to the instance list is still a login
+			if (err.status !== 403) {
+				setToken(null);
+				$("#login-error").text(err.message).show();
+				return;
+			}
+		}
+
+		// Only return to pages on this site
+		let target = getParameterByName("return");
+		if (!target || new URL(target, window.location.href).origin !== window.location.origin) {
+			target = root;
+		}
+		window.location.href = target;
+	});
+});
@@ -18,53 +18,69 @@ function ensureSetting(setting, type, defaultSetting) {
 	localStorage.settings = JSON.stringify(settings)
 }
 
-// debug tools
+// authentication against the master server
+function getToken() {
+	return localStorage.getItem("token");
+}
+function setToken(token) {
+	if (token) {
+		localStorage.setItem("token", token);
+	} else {
+		localStorage.removeItem("token");
+	}
+}
 
-debugTools = {
-	addItem: function(name, count){
-		console.log(`Attempting to add ${count} ${name}`)
-		postJSON("api/place", {
-			instanceName: "unknown",
-			instanceID: "unknown",
-			unique: "unknown",
-			name: name,
-			count: count,
-		}, function(data){
-			console.log(data);
-		});
-	},
-	removeItem: function(name, count){
-		console.log(`Attempting to remove ${count} ${name}`)
-		postJSON("api/remove", {
-			instanceName: "unknown",
-			instanceID: "unknown",
-			unique: "unknown",
-			name: name,
-			count: count,
-		}, function(data){
-			console.log(data);
-		});
+// Send a request to the REST API of the master server, resolves with the
+// response data and rejects with an Error having the HTTP status as status.
+async function apiRequest(method, path, data) {
+	let options = { method, headers: {} };
+	let token = getToken();
+	if (token) {
+		options.headers["x-access-token"] = token;
+	}
+	if (data !== undefined) {
+		options.headers["Content-Type"] = "application/json";
+		options.body = JSON.stringify(data);
+	}
+
+	let response = await fetch(`${root}api/v1${path}`, options);
+	let body = {};
+	try {
+		body = await response.json();
+	} catch (err) {
+		// Not all error responses have a JSON body
 	}
+	if (!response.ok) {
+		let err = new Error(body.error || response.statusText);
+		err.status = response.status;
+		throw err;
+	}
+	return body;
 }
 
-let cachedInstanceNames = {};
-async function getInstanceName(instanceID){
-	let instance = cachedInstanceNames[instanceID];
-	if(!instance){
-		let slaves = await getJSON("/api/slaves");
-		try {
-			for(id in slaves){
-				cachedInstanceNames[id] = slaves[id].instanceName;
-			}
-		} catch(e){
-			console.log("Error while looking for instance name!");
-			console.log(e);
-		}
-		return cachedInstanceNames[instanceID] || instanceID;
-	} else {
-		return cachedInstanceNames[instanceID];
+// Sends the user to the login page if the error is due to not being logged
+// in, otherwise displays the error in the given element.
+function handleApiError(err, element) {
+	if (err.status === 401) {
+		window.location.href = `${root}login?return=${encodeURIComponent(window.location.href)}`;
+		return;
+	}
+	console.error(err);
+	if (element) {
+		$(element).text(err.message).show();
 	}
 }
+
+$(function() {
+	if (getToken()) {
+		$("#login-link").text("Log out").on("click", function(event) {
+			event.preventDefault();
+			setToken(null);
+			window.location.href = `${root}login`;
+		});
+	}
+});
+
 var g = {}
 contents = {
 	"iron-plate":100,
@@ -0,0 +1,32 @@
+async function updateSlaveList() {
+	try {
+		let response = await apiRequest("GET", "/slaves");
+		let display = $("#display").empty();
+		if (!response.list.length) {
+			display.append($("<p>").text("No slaves have been registered with the master"));
+		}
+
+		for (let slave of response.list) {
+			let link = $("<a>")
+				.attr("href", `${root}nodeDetails?slaveID=${slave.id}`)
+				.text(slave.name)
+			;
+			$("<div class=\"slaveBox card mb-3\">")
+				.append($("<div class=\"card-body\">").append($("<h5 class=\"card-title\">").append(link)))
+				.append($("<ul class=\"list-group list-group-flush\">")
+					.append($("<li class=\"list-group-item\">").text(`ID: ${slave.id}`))
+					.append($("<li class=\"list-group-item\">").text(`Version: ${slave.version}`))
+					.append($("<li class=\"list-group-item\">").text(slave.connected ? "Connected" : "Disconnected"))
+				)
+				.appendTo(display)
+			;
+		}
+	} catch (err) {
+		handleApiError(err, "#display");
+	}
+}
+
+$(function() {
+	updateSlaveList();
+	setInterval(updateSlaveList, 5000);
+});
@@ -14,7 +14,7 @@ describe("Integration of Clusterio", function() {
 	parallel("master web interface", function() {
 		this.timeout(6000);
 
-		let paths = ["/", "/nodes", "/settings", "/nodeDetails"];
+		let paths = ["/", "/login", "/nodes", "/instances", "/console", "/settings", "/nodeDetails"];
 		for (let path of paths) {
 			it(`sends some HTML when accessing ${path}`, async function() {
 				let res = await get(path);
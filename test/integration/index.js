@@ -24,12 +24,20 @@ class TestControl extends link.Link {
 
 	async debugWsMessageEventHandler() { }
 
+	async instanceMigrationProgressEventHandler() { }
+
 	async instanceOutputEventHandler() { }
 }
 
 class TestControlConnector extends link.WebSocketClientConnector {
 	register() {
-		this.sendHandshake("register_control", { token: this.token, agent: "clusterctl", version: "test" });
+		this.sendHandshake("register_control", {
+			token: this.token,
+			agent: "clusterctl",
+			version: "test",
+			protocol_version: link.protocolVersion,
+			min_protocol_version: link.minProtocolVersion,
+		});
 	}
 }
 
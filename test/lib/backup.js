@@ -0,0 +1,92 @@
+"use strict";
+const assert = require("assert").strict;
+const fs = require("fs-extra");
+const JSZip = require("jszip");
+const path = require("path");
+
+const backup = require("lib/backup");
+
+
+describe("lib/backup", function() {
+	let baseDir = path.join("temp", "test", "backup");
+	let backupDir = path.join(baseDir, "backups");
+	let databaseDir = path.join(baseDir, "database");
+
+	beforeEach(async function() {
+		await fs.remove(baseDir);
+	});
+
+	describe("createBackup() and restoreBackup()", function() {
+		it("should round trip the files in the backup", async function() {
+			let content = await backup.createBackup(new Map([
+				["users.json", "[]"],
+				["plugin/data.json", Buffer.from("{}")],
+			]), { version: "test" });
+			let name = await backup.writeBackup(backupDir, content);
+
+			await fs.outputFile(path.join(databaseDir, "users.json"), "old");
+			await fs.outputFile(path.join(databaseDir, "other.json"), "other");
+			let manifest = await backup.restoreBackup(path.join(backupDir, name), databaseDir);
+
+			assert.deepEqual(manifest, { version: "test", files: ["users.json", "plugin/data.json"] });
+			assert.equal(await fs.readFile(path.join(databaseDir, "users.json"), "utf8"), "[]");
+			assert.equal(await fs.readFile(path.join(databaseDir, "plugin", "data.json"), "utf8"), "{}");
+			assert.equal(await fs.readFile(path.join(databaseDir, "other.json"), "utf8"), "other");
+			assert.deepEqual((await fs.readdir(databaseDir)).sort(), ["other.json", "plugin", "users.json"]);
+		});
+
+		it("should reject file names outside the database directory", async function() {
+			for (let name of ["", "/abs.json", "../up.json", "a/../b.json", "a\\b.json"]) {
+				await assert.rejects(backup.createBackup(new Map([[name, "x"]])), Error, name);
+			}
+		});
+
+		it("should reject zips that are not backups", async function() {
+			let zip = new JSZip();
+			zip.file("users.json", "[]");
+			await fs.outputFile(path.join(baseDir, "invalid.zip"), await zip.generateAsync({ type: "nodebuffer" }));
+			await assert.rejects(
+				backup.restoreBackup(path.join(baseDir, "invalid.zip"), databaseDir),
+				new Error("Not a backup, manifest.json is missing")
+			);
+		});
+
+		it("should leave the database unchanged if a file is missing", async function() {
+			let zip = new JSZip();
+			zip.file("manifest.json", JSON.stringify({ files: ["users.json", "slaves.json"] }));
+			zip.file("database/users.json", "[]");
+			await fs.outputFile(path.join(baseDir, "partial.zip"), await zip.generateAsync({ type: "nodebuffer" }));
+			await fs.outputFile(path.join(databaseDir, "users.json"), "old");
+			await assert.rejects(
+				backup.restoreBackup(path.join(baseDir, "partial.zip"), databaseDir),
+				new Error("Backup is missing slaves.json")
+			);
+			assert.equal(await fs.readFile(path.join(databaseDir, "users.json"), "utf8"), "old");
+		});
+	});
+
+	describe("listBackups() and rotateBackups()", function() {
+		it("should list and remove the oldest backups", async function() {
+			let content = await backup.createBackup(new Map());
+			let names = [];
+			for (let now of [1000, 2000, 3000]) {
+				let name = await backup.writeBackup(backupDir, content, now);
+				await fs.utimes(path.join(backupDir, name), now / 1000, now / 1000);
+				names.push(name);
+			}
+			assert.equal(names[0], "backup-1970-01-01T00-00-01-000Z.zip");
+
+			let list = await backup.listBackups(backupDir);
+			assert.deepEqual(list.map(entry => entry.name), [...names].reverse());
+			assert.equal(list[0].size, content.length);
+
+			assert.deepEqual(await backup.rotateBackups(backupDir, null), []);
+			assert.deepEqual(await backup.rotateBackups(backupDir, 2), [names[0]]);
+			assert.deepEqual((await backup.listBackups(backupDir)).map(entry => entry.name), [names[2], names[1]]);
+		});
+
+		it("should return an empty list for a missing directory", async function() {
+			assert.deepEqual(await backup.listBackups(path.join(baseDir, "missing")), []);
+		});
+	});
+});
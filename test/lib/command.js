@@ -16,7 +16,9 @@ describe("lib/command", function() {
 				seq: 1, type: "list_slaves_response",
 				data: {
 					seq: message.seq,
-					list: [{ agent: "test", version: "0.1", id: 11, name: "Test Slave", connected: false }],
+					list: [{
+						agent: "test", version: "0.1", id: 11, name: "Test Slave", connected: false, warnings: [],
+					}],
 				},
 			});
 		} else if (message.type === "list_instances_request") {
@@ -24,7 +26,10 @@ describe("lib/command", function() {
 				seq: 1, type: "list_instances_response",
 				data: {
 					seq: message.seq,
-					list: [{ id: 57, assigned_slave: 4, name: "Test Instance" }],
+					list: [{
+						id: 57, assigned_slave: 4, name: "Test Instance", status: "unknown",
+						last_crash_time: null, last_crash_reason: null,
+					}],
 				},
 			});
 		} else if (message.type === "list_roles_request") {
@@ -85,4 +90,18 @@ describe("lib/command", function() {
 			);
 		});
 	});
+	describe("parseTime()", function() {
+		it("should parse durations relative to now", function() {
+			assert.equal(command.parseTime("30s", 100000), 70000);
+			assert.equal(command.parseTime("1.5m", 100000), 10000);
+			assert.equal(command.parseTime("2h", 10 * 3600000), 8 * 3600000);
+			assert.equal(command.parseTime("1d", 2 * 86400000), 86400000);
+		});
+		it("should parse dates", function() {
+			assert.equal(command.parseTime("2020-01-01T00:00:00Z"), Date.UTC(2020, 0, 1));
+		});
+		it("should throw on invalid times", function() {
+			assert.throws(() => command.parseTime("soon"), new errors.CommandError("Invalid time soon"));
+		});
+	});
 });
@@ -160,6 +160,99 @@ describe("lib/database", function() {
 		});
 	});
 
+	describe("writeFileAtomic() and loadJson()", function() {
+		let testFile = path.join("temp", "test", "atomic", "data.json");
+		beforeEach(async function() {
+			await fs.remove(path.dirname(testFile));
+		});
+
+		it("should write the file and keep a copy of the previous content", async function() {
+			await database.writeFileAtomic(testFile, "[1]");
+			await database.writeFileAtomic(testFile, "[2]");
+			assert.equal(await fs.readFile(testFile, "utf8"), "[2]");
+			assert.equal(await fs.readFile(`${testFile}.bak`, "utf8"), "[1]");
+			assert.deepEqual((await fs.readdir(path.dirname(testFile))).sort(), ["data.json", "data.json.bak"]);
+		});
+
+		it("should return the missing value for non-existant file", async function() {
+			assert.equal(await database.loadJson(testFile, "missing"), "missing");
+		});
+
+		it("should recover a truncated file from the previous content", async function() {
+			await database.writeFileAtomic(testFile, '{"a": 1}');
+			await database.writeFileAtomic(testFile, '{"a": 2}');
+			await fs.writeFile(testFile, '{"a":');
+
+			assert.deepEqual(await database.loadJson(testFile), { a: 1 });
+			assert.equal(await fs.readFile(testFile, "utf8"), '{"a": 1}');
+			assert.equal(await fs.readFile(`${testFile}.corrupt`, "utf8"), '{"a":');
+		});
+
+		it("should reject a truncated file without a valid copy", async function() {
+			await fs.outputFile(testFile, '{"a":');
+			await assert.rejects(
+				database.loadJson(testFile),
+				/^Error: Failed to parse .*data\.json and no valid backup copy is available/
+			);
+		});
+	});
+
+	describe("readJsonLines()", function() {
+		let testFile = path.join("temp", "test", "lines", "data.log");
+		beforeEach(async function() {
+			await fs.remove(path.dirname(testFile));
+		});
+
+		it("should read entries until the callback returns true", async function() {
+			await fs.outputFile(testFile, '{"a": 1}\n{"a":\n{"a": 2}\n{"a": 3}\n');
+			let entries = [];
+			let stopped = await database.readJsonLines(testFile, entry => entries.push(entry) === 2);
+			assert.equal(stopped, true);
+			assert.deepEqual(entries, [{ a: 1 }, { a: 2 }]);
+		});
+
+		it("should read nothing from a non-existant file", async function() {
+			assert.equal(await database.readJsonLines(testFile, () => assert.fail("entry read")), false);
+		});
+	});
+
+	describe("class AutoSaver", function() {
+		it("should save once after several changes", async function() {
+			let saves = 0;
+			let saver = new database.AutoSaver("test", async () => { saves += 1; }, 10);
+			saver.markDirty();
+			saver.markDirty();
+			assert.equal(saves, 0);
+			await new Promise(resolve => setTimeout(resolve, 30));
+			assert.equal(saves, 1);
+		});
+
+		it("should save periodically and on stop", async function() {
+			let saves = 0;
+			let saver = new database.AutoSaver("test", async () => { saves += 1; });
+			saver.start(10);
+			await new Promise(resolve => setTimeout(resolve, 35));
+			await saver.stop();
+			let count = saves;
+			assert(count >= 3, `expected at least 3 saves but got ${count}`);
+			await new Promise(resolve => setTimeout(resolve, 20));
+			assert.equal(saves, count);
+		});
+
+		it("should run saves one at a time", async function() {
+			let running = 0;
+			let maxRunning = 0;
+			let saver = new database.AutoSaver("test", async () => {
+				running += 1;
+				maxRunning = Math.max(maxRunning, running);
+				await new Promise(resolve => setImmediate(resolve));
+				running -= 1;
+			});
+			await Promise.all([saver.save(), saver.save(), saver.save()]);
+			assert.equal(maxRunning, 1);
+		});
+	});
+
 	describe("class ItemDatabase", function() {
 		describe("constructor()", function() {
 			it("should create an empty database with no args", function() {
@@ -291,5 +384,249 @@ describe("lib/database", function() {
 				);
 			});
 		});
+
+		describe(".takeChanges()", function() {
+			it("should return the changed items and clear them", function() {
+				let items = new database.ItemDatabase({ "a": 20 });
+				assert.deepEqual(items.takeChanges(), new Set());
+				items.addItem("b", 10);
+				items.removeItem("a", 5);
+				assert.deepEqual(items.takeChanges(), new Set(["b", "a"]));
+				assert.deepEqual(items.takeChanges(), new Set());
+			});
+		});
+	});
+
+	describe("class JsonItemStorage", function() {
+		let storageDir = path.join("temp", "test", "json_storage");
+		beforeEach(async function() {
+			await fs.remove(storageDir);
+		});
+
+		it("should save and load the database", async function() {
+			let storage = new database.JsonItemStorage(storageDir);
+			assert(!await storage.exists());
+			assert.deepEqual((await storage.load()).serialize(), {});
+
+			let items = new database.ItemDatabase({ "a": 20 });
+			await storage.save(items);
+			assert(await storage.exists());
+			assert.deepEqual(await fs.readJson(path.join(storageDir, "items.json")), { "a": 20 });
+			assert.deepEqual((await storage.load()).serialize(), { "a": 20 });
+		});
+	});
+
+	describe("class JournalItemStorage", function() {
+		let storageDir = path.join("temp", "test", "journal_storage");
+		let journalDir = path.join(storageDir, "items_journal");
+		beforeEach(async function() {
+			await fs.remove(storageDir);
+		});
+
+		it("should only append changed items to the journal", async function() {
+			let storage = new database.JournalItemStorage(storageDir);
+			let items = await storage.load();
+			assert(!await storage.exists());
+			items.addItem("a", 20);
+			await storage.save(items);
+			assert(await storage.exists());
+
+			items.addItem("b", 10);
+			items.addItem("b", 5);
+			await storage.save(items);
+			await storage.save(items);
+			assert.equal(await fs.readFile(path.join(journalDir, "journal-1.log"), "utf8"), '["b",15]\n');
+
+			let loaded = await new database.JournalItemStorage(storageDir).load();
+			assert.deepEqual(loaded.serialize(), { "a": 20, "b": 15 });
+		});
+
+		it("should compact the journal into a snapshot", async function() {
+			let storage = new database.JournalItemStorage(storageDir, 2);
+			let items = await storage.load();
+			await storage.saveAll(items);
+			for (let i = 0; i < 3; i++) {
+				items.addItem("a", 1);
+				await storage.save(items);
+			}
+
+			assert.deepEqual(
+				await fs.readJson(path.join(journalDir, "snapshot.json")),
+				{ generation: 2, items: { "a": 3 } }
+			);
+			// Kept for loading the previous snapshot if the current one is damaged.
+			assert(await fs.pathExists(path.join(journalDir, "journal-1.log")));
+			let loaded = await new database.JournalItemStorage(storageDir).load();
+			assert.deepEqual(loaded.serialize(), { "a": 3 });
+
+			await storage.saveAll(items);
+			assert(!await fs.pathExists(path.join(journalDir, "journal-1.log")));
+		});
+
+		it("should keep the changes since the previous snapshot if the snapshot is damaged", async function() {
+			let storage = new database.JournalItemStorage(storageDir, 2);
+			let items = await storage.load();
+			await storage.saveAll(items);
+			for (let i = 0; i < 5; i++) {
+				items.addItem("a", 1);
+				await storage.save(items);
+			}
+			assert.equal((await fs.readJson(path.join(journalDir, "snapshot.json"))).generation, 2);
+			await fs.writeFile(path.join(journalDir, "snapshot.json"), '{"generation":');
+
+			let errors = [];
+			let originalError = console.error;
+			console.error = message => errors.push(message);
+			let loaded;
+			try {
+				loaded = await new database.JournalItemStorage(storageDir).load();
+			} finally {
+				console.error = originalError;
+			}
+			assert.deepEqual(loaded.serialize(), { "a": 5 });
+			assert.equal(errors.length, 2);
+
+			// A new snapshot is written so that later changes are not applied to the stale one.
+			assert.deepEqual(
+				await fs.readJson(path.join(journalDir, "snapshot.json")),
+				{ generation: 3, items: { "a": 5 } }
+			);
+			assert.deepEqual((await new database.JournalItemStorage(storageDir).load()).serialize(), { "a": 5 });
+		});
+
+		it("should skip a truncated journal line", async function() {
+			await fs.outputJson(path.join(journalDir, "snapshot.json"), { generation: 3, items: { "a": 1 } });
+			await fs.outputFile(path.join(journalDir, "journal-3.log"), '["a",5]\n["b",2');
+			let items = await new database.JournalItemStorage(storageDir).load();
+			assert.deepEqual(items.serialize(), { "a": 5 });
+		});
+
+		it("should ignore the journal of a previous snapshot", async function() {
+			await fs.outputJson(path.join(journalDir, "snapshot.json"), { generation: 3, items: { "a": 1 } });
+			await fs.outputFile(path.join(journalDir, "journal-2.log"), '["a",5]\n');
+			let items = await new database.JournalItemStorage(storageDir).load();
+			assert.deepEqual(items.serialize(), { "a": 1 });
+		});
+	});
+
+	describe("migrateItemStorage()", function() {
+		let storageDir = path.join("temp", "test", "migrate_storage");
+		beforeEach(async function() {
+			await fs.remove(storageDir);
+		});
+
+		it("should copy items between storages", async function() {
+			let json = new database.JsonItemStorage(storageDir);
+			let journal = new database.JournalItemStorage(storageDir);
+			await json.save(new database.ItemDatabase({ "a": 20, "b": 5 }));
+
+			await database.migrateItemStorage(json, journal);
+			assert.deepEqual((await journal.load()).serialize(), { "a": 20, "b": 5 });
+
+			await fs.remove(path.join(storageDir, "items.json"));
+			await database.migrateItemStorage(journal, json);
+			assert.deepEqual((await json.load()).serialize(), { "a": 20, "b": 5 });
+		});
+	});
+
+	describe("class InstanceLog", function() {
+		let logDir = path.join("temp", "test", "instance_logs");
+		function entry(received, extra = {}) {
+			return {
+				source: "stdout", received, format: "seconds", time: "0.000",
+				type: "log", level: "Info", file: "file.cpp", message: `line ${received}`, ...extra,
+			};
+		}
+
+		beforeEach(async function() {
+			await fs.remove(logDir);
+		});
+
+		describe(".append()", function() {
+			it("should store output that can be queried back", async function() {
+				let log = new database.InstanceLog(logDir);
+				await log.append(1, entry(1));
+				await log.append(1, entry(2));
+				await log.append(2, entry(3));
+
+				let instanceLog = new database.InstanceLog(logDir);
+				assert.deepEqual(await instanceLog.query(1), { entries: [entry(1), entry(2)], total: 2 });
+				assert.deepEqual(await instanceLog.query(2), { entries: [entry(3)], total: 1 });
+			});
+
+			it("should prune entries over the max entries limit", async function() {
+				let log = new database.InstanceLog(logDir, null, 10);
+				for (let i = 0; i < 12; i++) {
+					await log.append(1, entry(i));
+				}
+				assert.equal((await log.query(1)).total, 10);
+				assert.deepEqual((await log.query(1)).entries[0], entry(2));
+			});
+		});
+
+		describe(".query()", function() {
+			let log;
+			beforeEach(async function() {
+				log = new database.InstanceLog(logDir);
+				await log.append(1, entry(10));
+				await log.append(1, entry(20, { type: "action", action: "JOIN", level: undefined }));
+				await log.append(1, entry(30, { level: "Error" }));
+				await log.append(1, entry(40));
+			});
+
+			it("should filter by time range", async function() {
+				let result = await log.query(1, { since: 20, until: 30 });
+				assert.deepEqual(result.entries.map(e => e.received), [20, 30]);
+			});
+
+			it("should filter by type, action and level", async function() {
+				assert.deepEqual((await log.query(1, { type: "action" })).entries.map(e => e.received), [20]);
+				assert.deepEqual((await log.query(1, { action: "JOIN" })).entries.map(e => e.received), [20]);
+				assert.deepEqual((await log.query(1, { level: "Error" })).entries.map(e => e.received), [30]);
+			});
+
+			it("should paginate the result", async function() {
+				let result = await log.query(1, { offset: 1, limit: 2 });
+				assert.deepEqual(result.entries.map(e => e.received), [20, 30]);
+				assert.equal(result.total, 4);
+			});
+
+			it("should stop reading once one entry past the page is found", async function() {
+				let result = await log.query(1, { offset: 0, limit: 1 });
+				assert.deepEqual(result.entries.map(e => e.received), [10]);
+				assert.equal(result.total, 2);
+			});
+
+			it("should skip truncated lines", async function() {
+				await fs.appendFile(path.join(logDir, "1.log"), '{"source":"std');
+				assert.equal((await log.query(1)).total, 4);
+			});
+
+			it("should give an empty result for non-existant logs", async function() {
+				assert.deepEqual(await log.query(2), { entries: [], total: 0 });
+			});
+		});
+
+		describe(".prune()", function() {
+			it("should remove entries older than max age", async function() {
+				let log = new database.InstanceLog(logDir, 100);
+				await log.append(1, entry(1000));
+				await log.append(1, entry(1950));
+				await log.append(2, entry(1000));
+				await log.prune(2000);
+
+				assert.deepEqual((await log.query(1)).entries, [entry(1950)]);
+				assert.equal(await fs.exists(path.join(logDir, "2.log")), false);
+			});
+		});
+
+		describe(".remove()", function() {
+			it("should remove the log of the instance", async function() {
+				let log = new database.InstanceLog(logDir);
+				await log.append(1, entry(1));
+				await log.remove(1);
+				assert.deepEqual(await log.query(1), { entries: [], total: 0 });
+			});
+		});
 	});
 });
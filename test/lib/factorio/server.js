@@ -233,5 +233,41 @@ describe("lib/factorio/server", function() {
 				assert(!await fs.pathExists(filePath), "File was not deleted");
 			});
 		});
+
+		describe("._watchExit()", function() {
+			async function exitWith(state, code, unexpected = []) {
+				let exitServer = new factorio.FactorioServer(path.join("test", "file", "factorio"), writePath, {});
+				exitServer._server = new events.EventEmitter();
+				exitServer._state = state;
+				exitServer._unexpected = unexpected;
+				exitServer.on("error", () => {});
+				exitServer._watchExit();
+
+				// events.once would reject on the error event emitted before exit.
+				let waiter = new Promise(resolve => exitServer.once("exit", resolve));
+				exitServer._server.emit("exit", code, null);
+				return await waiter;
+			}
+
+			it("should report stopping the server as expected", async function() {
+				let exit = await exitWith("stopping", 0);
+				assert.deepEqual(exit, { expected: true, crashed: false, reason: null });
+			});
+			it("should report a non-zero exit code as a crash", async function() {
+				let exit = await exitWith("running", 1);
+				assert.deepEqual(exit, {
+					expected: false, crashed: true, reason: "Factorio server unexpectedly shut down with code 1",
+				});
+			});
+			it("should report unexpected messages as a crash", async function() {
+				let exit = await exitWith("running", 0, ["Error: desync"]);
+				assert.deepEqual(exit, { expected: false, crashed: true, reason: "Error: desync" });
+			});
+			it("should report a clean exit while running as not crashed", async function() {
+				let exit = await exitWith("running", 0);
+				assert.equal(exit.expected, false);
+				assert.equal(exit.crashed, false);
+			});
+		});
 	});
 });
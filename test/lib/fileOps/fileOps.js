@@ -1,6 +1,8 @@
 "use strict";
 const assert = require("assert").strict;
+const events = require("events");
 const fs = require("fs-extra");
+const http = require("http");
 const path = require("path");
 
 const fileOps = require("lib/fileOps");
@@ -31,4 +33,56 @@ describe("fileOps.js", function(){
 			assert.equal(newest, null);
 		});
 	});
+
+	describe("file transfers", function() {
+		let server;
+		let url;
+		let uploaded;
+		before(async function() {
+			server = http.createServer(async (req, res) => {
+				if (req.method === "PUT") {
+					let chunks = [];
+					for await (let chunk of req) {
+						chunks.push(chunk);
+					}
+					uploaded = Buffer.concat(chunks).toString();
+					res.end();
+				} else if (req.url === "/missing") {
+					res.statusCode = 404;
+					res.end("Not found");
+				} else {
+					res.end("downloaded contents");
+				}
+			});
+			server.listen(0);
+			await events.once(server, "listening");
+			url = `http://localhost:${server.address().port}`;
+		});
+		after(function() {
+			server.close();
+		});
+
+		describe("fileOps.uploadFile()", function() {
+			it("uploads the content of the file", async function() {
+				await fileOps.uploadFile(`${url}/file`, path.join(baseDir, "test", "file.txt"));
+				assert.equal(uploaded, "contents");
+			});
+		});
+		describe("fileOps.downloadFile()", function() {
+			it("writes the response to the file", async function() {
+				let filePath = path.join(baseDir, "download.txt");
+				await fileOps.downloadFile(`${url}/file`, filePath);
+				assert.equal(await fs.readFile(filePath, "utf8"), "downloaded contents");
+			});
+			it("throws and leaves no file on error responses", async function() {
+				let filePath = path.join(baseDir, "missing.txt");
+				await assert.rejects(
+					fileOps.downloadFile(`${url}/missing`, filePath),
+					new Error("Download failed: 404: Not found")
+				);
+				assert(!await fs.pathExists(filePath), "File was created");
+				assert(!await fs.pathExists(path.join(baseDir, "missing.tmp.txt")), "Temporary file was left");
+			});
+		});
+	});
 });
@@ -7,6 +7,48 @@ const link = require("lib/link");
 
 
 describe("lib/link/connectors", function() {
+	describe("negotiateProtocolVersion()", function() {
+		it("should pick the highest version supported by both", function() {
+			assert.equal(
+				link.negotiateProtocolVersion({ protocol_version: link.protocolVersion + 5, min_protocol_version: 1 }),
+				link.protocolVersion
+			);
+			assert.equal(
+				link.negotiateProtocolVersion({ protocol_version: link.minProtocolVersion, min_protocol_version: 0 }),
+				link.minProtocolVersion
+			);
+		});
+		it("should return null if there is no version in common", function() {
+			assert.equal(
+				link.negotiateProtocolVersion({
+					protocol_version: link.protocolVersion + 2,
+					min_protocol_version: link.protocolVersion + 1,
+				}),
+				null
+			);
+			assert.equal(link.negotiateProtocolVersion({ protocol_version: link.minProtocolVersion - 1 }), null);
+		});
+		it("should treat peers without protocol versions as version 0", function() {
+			assert.equal(link.negotiateProtocolVersion({}), null);
+			let range = `${link.minProtocolVersion}-${link.protocolVersion}`;
+			assert.equal(
+				link.incompatibleProtocolReason("slave", {}),
+				`Incompatible protocol version: slave supports 0-0, need ${range}`
+			);
+		});
+	});
+
+	describe("closeReason()", function() {
+		it("should pass through short reasons", function() {
+			assert.equal(link.closeReason("Short reason"), "Short reason");
+		});
+		it("should truncate long reasons to fit in a close frame", function() {
+			let reason = link.closeReason("ø".repeat(100));
+			assert(Buffer.byteLength(reason) <= 123, "reason was not truncated");
+			assert(reason.endsWith("ø..."), "partial character was not stripped");
+		});
+	});
+
 	describe("class WebSocketBaseConnector", function() {
 		let testConnector = new link.WebSocketBaseConnector();
 
@@ -87,19 +129,62 @@ describe("lib/link/connectors", function() {
 			it("should call register on hello", function() {
 				let called = false;
 				testConnector.register = () => { called = true; };
-				testConnector._processHandshake({ seq: 1, type: "hello", data: { version: "test", plugins: {} }});
+				testConnector._processHandshake({ seq: 1, type: "hello", data: {
+					version: "test",
+					protocol_version: link.protocolVersion,
+					min_protocol_version: link.minProtocolVersion,
+					plugins: {},
+				}});
 				assert(called, "register was not called");
 			});
+			it("should close on hello with incompatible protocol version", function() {
+				let called = false;
+				testConnector.register = () => { called = true; };
+				testConnector._socket.closeCalled = false;
+				testConnector._processHandshake({ seq: 1, type: "hello", data: { version: "test", plugins: {} }});
+				assert(testConnector._socket.closeCalled, "Close was not called on the socket");
+				assert(!called, "register was called");
+			});
 			it("should emit connect on ready", async function() {
 				let result = events.once(testConnector, "connect");
-				testConnector._processHandshake(
-					{ seq: 1, type: "ready", data: { session_token: "x", heartbeat_interval: 10 }}
-				);
+				testConnector._processHandshake({ seq: 1, type: "ready", data: {
+					session_token: "x", heartbeat_interval: 10, protocol_version: link.protocolVersion,
+				}});
 				await result;
+				assert.equal(testConnector.protocolVersion, link.protocolVersion);
 				clearInterval(testConnector._heartbeatId);
 			});
 		});
 
+		describe("failover", function() {
+			let failoverConnector = new link.WebSocketClientConnector(["http://a/", "http://b/"], 1);
+			failoverConnector._socket = new mock.MockSocket();
+			failoverConnector._attachSocketHandlers();
+
+			it("should try the next url when connecting fails", function() {
+				assert.equal(failoverConnector.url, "http://a/");
+				failoverConnector._state = "handshake";
+				failoverConnector._socket.events.get("close")(1006, "");
+				clearTimeout(failoverConnector._reconnectId);
+				assert.equal(failoverConnector.url, "http://b/");
+			});
+			it("should retry the same url when an established connection drops", function() {
+				failoverConnector._socketEstablished = true;
+				failoverConnector._state = "connected";
+				failoverConnector._socket.events.get("close")(1006, "");
+				clearTimeout(failoverConnector._reconnectId);
+				assert.equal(failoverConnector.url, "http://b/");
+			});
+			it("should emit failover when connected to a different url", function() {
+				let urls = [];
+				failoverConnector.on("failover", url => urls.push(url));
+				failoverConnector._connectedUrl = "http://a/";
+				failoverConnector._connectionEstablished();
+				failoverConnector._connectionEstablished();
+				assert.deepEqual(urls, ["http://b/"]);
+			});
+		});
+
 		describe("._attachSocketHandlers()", function() {
 			it("should attach handlers", function() {
 				testConnector._attachSocketHandlers();
@@ -128,4 +213,17 @@ describe("lib/link/connectors", function() {
 			});
 		});
 	});
+
+	describe("class VirtualConnector", function() {
+		describe(".lastSeq", function() {
+			it("should give the sequence number of the last message sent", function() {
+				let [first, second] = link.VirtualConnector.makePair();
+				second.on("message", () => {});
+				assert.equal(first.lastSeq, 0);
+				let seq = first.send("test", {});
+				assert.equal(first.lastSeq, seq);
+				assert.equal(second.lastSeq, 0);
+			});
+		});
+	});
 });
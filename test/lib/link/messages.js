@@ -100,6 +100,100 @@ describe("lib/link/messages", function() {
 				delete testSourceLink.waitFor;
 			});
 		});
+
+		describe("timeouts and cancellation", function() {
+			let timeoutRequest = new link.Request({
+				type: "timeout_test",
+				links: ["source-target", "target-next"],
+				timeout: 20,
+			});
+
+			function makeLinks(source, target) {
+				let [sourceConnector, targetConnector] = link.VirtualConnector.makePair();
+				return [new link.Link(source, target, sourceConnector), new link.Link(target, source, targetConnector)];
+			}
+
+			it("should reject with RequestTimeout and cancel the handler", async function() {
+				let [source, target] = makeLinks("source", "target");
+				let handlerCancellation;
+				timeoutRequest.attach(source);
+				timeoutRequest.attach(target, async (message, request, cancellation) => {
+					handlerCancellation = cancellation;
+					await new Promise(resolve => cancellation.onCancel(resolve));
+					return {};
+				});
+
+				await assert.rejects(
+					timeoutRequest.send(source),
+					new errors.RequestTimeout("timeout_test request timed out after 0.02 seconds")
+				);
+				assert(handlerCancellation.cancelled, "handler was not cancelled");
+				await new Promise(resolve => setImmediate(resolve));
+				assert.equal(source._waiters.get("timeout_test_response").length, 0);
+			});
+
+			it("should allow overriding the timeout per call", async function() {
+				let [source, target] = makeLinks("source", "target");
+				timeoutRequest.attach(source);
+				timeoutRequest.attach(target, async () => {
+					await new Promise(resolve => setTimeout(resolve, 40));
+					return {};
+				});
+
+				assert.deepEqual(await timeoutRequest.send(source, {}, { timeout: 1000 }), { seq: 1 });
+			});
+
+			it("should drop a response arriving after the timeout", async function() {
+				let [source, target] = makeLinks("source", "target");
+				timeoutRequest.attach(source);
+				timeoutRequest.attach(target, async () => {});
+
+				// Respond after the request has timed out
+				target._handlers.set("timeout_test_request", message => {
+					setTimeout(() => target.connector.send("timeout_test_response", { seq: message.seq }), 40);
+				});
+				let unhandled = [];
+				let processMessage = source.processMessage.bind(source);
+				source.processMessage = message => {
+					try {
+						processMessage(message);
+					} catch (err) {
+						unhandled.push(err);
+					}
+				};
+				await assert.rejects(timeoutRequest.send(source), errors.RequestTimeout);
+				await new Promise(resolve => setTimeout(resolve, 40));
+				assert.deepEqual(unhandled, [], "late response was not dropped");
+			});
+
+			it("should not drop responses to requests not sent", function() {
+				let [source] = makeLinks("source", "target");
+				timeoutRequest.attach(source);
+				assert.throws(
+					() => source.processMessage({ seq: 1, type: "timeout_test_response", data: { seq: 1 } }),
+					new errors.InvalidMessage("Unhandled message timeout_test_response")
+				);
+			});
+
+			it("should propagate cancellation to forwarded requests", async function() {
+				let [source, target] = makeLinks("source", "target");
+				let [forwarder, next] = makeLinks("target", "next");
+				let nextCancellation;
+				timeoutRequest.attach(source);
+				timeoutRequest.attach(target, async (message, request, cancellation) => (
+					await request.send(forwarder, message.data, { timeout: null, cancellation })
+				));
+				timeoutRequest.attach(forwarder);
+				timeoutRequest.attach(next, async (message, request, cancellation) => {
+					nextCancellation = cancellation;
+					await new Promise(() => {});
+				});
+
+				await assert.rejects(timeoutRequest.send(source), errors.RequestTimeout);
+				assert(nextCancellation.cancelled, "forwarded request was not cancelled");
+				assert.equal(forwarder._waiters.get("timeout_test_response").length, 0);
+			});
+		});
 	});
 
 	describe("class Event", function() {
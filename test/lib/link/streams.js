@@ -0,0 +1,192 @@
+"use strict";
+const assert = require("assert").strict;
+const crypto = require("crypto");
+const stream = require("stream");
+const util = require("util");
+
+const link = require("lib/link");
+const errors = require("lib/errors");
+
+const finished = util.promisify(stream.finished);
+
+
+describe("lib/link/streams", function() {
+	function makeLinks() {
+		let [sourceConnector, targetConnector] = link.VirtualConnector.makePair();
+		let source = new link.Link("master", "slave", sourceConnector);
+		let target = new link.Link("slave", "master", targetConnector);
+		for (let name of ["streamData", "streamEnd", "streamAck", "streamAbort"]) {
+			link.messages[name].attach(source, source[`${name}EventHandler`]);
+			link.messages[name].attach(target, target[`${name}EventHandler`]);
+		}
+		return [source, target];
+	}
+
+	async function readAll(readable) {
+		let chunks = [];
+		readable.on("data", chunk => chunks.push(chunk));
+		readable.resume();
+		await finished(readable);
+		return Buffer.concat(chunks);
+	}
+
+	let data = crypto.randomBytes(100 * 1024);
+
+	describe("class OutgoingStream", function() {
+		it("should transfer data in chunks", async function() {
+			let [source, target] = makeLinks();
+			let sent = 0;
+			let originalSend = source.connector.send.bind(source.connector);
+			source.connector.send = (type, messageData) => {
+				if (type === "stream_data_event") {
+					sent += 1;
+				}
+				return originalSend(type, messageData);
+			};
+
+			let outgoing = source.createStream({ chunkSize: 10 * 1024 });
+			let incoming = target.acceptStream(outgoing.id);
+			let [received] = await Promise.all([
+				readAll(incoming),
+				util.promisify(stream.pipeline)(
+					new stream.Readable({ read() { this.push(data); this.push(null); } }),
+					outgoing
+				),
+			]);
+			assert(received.equals(data), "data received differs");
+			assert.equal(sent, 10);
+			assert.equal(source._outgoingStreams.size, 0);
+			assert.equal(target._incomingStreams.size, 0);
+		});
+
+		it("should not send more than the window until read", async function() {
+			let [source, target] = makeLinks();
+			let outgoing = source.createStream({ chunkSize: 1024, windowSize: 4 * 1024 });
+			let incoming = target.acceptStream(outgoing.id);
+			let outgoingFinished = finished(outgoing);
+			incoming.pause();
+			outgoing.end(data);
+			await new Promise(resolve => setImmediate(resolve));
+			assert(outgoing._sent - outgoing._acked <= 4 * 1024, "window exceeded");
+			assert(outgoing._sent < data.length, "all data sent without being read");
+
+			let received = await readAll(incoming);
+			assert(received.equals(data), "data received differs");
+			await outgoingFinished;
+		});
+
+		it("should accept data sent before the stream is accepted", async function() {
+			let [source, target] = makeLinks();
+			let outgoing = source.createStream();
+			outgoing.end(Buffer.from("early data"));
+			await new Promise(resolve => setImmediate(resolve));
+			let received = await readAll(target.acceptStream(outgoing.id));
+			assert.equal(received.toString(), "early data");
+		});
+
+		it("should error if the hash does not match", async function() {
+			let [source, target] = makeLinks();
+			let outgoing = source.createStream();
+			let incoming = target.acceptStream(outgoing.id);
+			let outgoingFinished = finished(outgoing);
+			let received = readAll(incoming);
+			outgoing._hash.update("corruption");
+			outgoing.end(Buffer.from("some data"));
+			await assert.rejects(
+				received,
+				new errors.StreamError("SHA-256 hash of data received does not match")
+			);
+			await assert.rejects(
+				outgoingFinished,
+				new errors.StreamError("Stream aborted by receiver: SHA-256 hash of data received does not match")
+			);
+		});
+
+		it("should propagate aborts to the other side", async function() {
+			let [source, target] = makeLinks();
+			let outgoing = source.createStream();
+			let incoming = target.acceptStream(outgoing.id);
+			outgoing.on("error", () => {});
+			outgoing.write(Buffer.from("partial"));
+			outgoing.destroy(new Error("Source failed"));
+			await assert.rejects(
+				readAll(incoming),
+				new errors.StreamError("Stream aborted by sender: Source failed")
+			);
+			assert.equal(target._incomingStreams.size, 0);
+		});
+
+		it("should be destroyed with SessionLost when the session is lost", async function() {
+			let [source, target] = makeLinks();
+			let outgoing = source.createStream();
+			let incoming = target.acceptStream(outgoing.id);
+			outgoing.on("error", () => {});
+			outgoing.write(Buffer.from("partial"));
+			target.connector.emit("invalidate");
+			await assert.rejects(readAll(incoming), new errors.SessionLost("Session Lost"));
+			assert.equal(target._incomingStreams.size, 0);
+		});
+	});
+
+	describe("class IncomingStream", function() {
+		it("should abort streams sending past the window", async function() {
+			let [source, target] = makeLinks();
+			let outgoing = source.createStream({ chunkSize: 8 * 1024, windowSize: 16 * 1024 });
+			let incoming = target.acceptStream(outgoing.id);
+			incoming.windowSize = 4 * 1024;
+			let outgoingFinished = finished(outgoing);
+			let received = readAll(incoming);
+			outgoing.end(data);
+			await assert.rejects(received, new errors.StreamError("Data sent past the window"));
+			await assert.rejects(
+				outgoingFinished,
+				new errors.StreamError("Stream aborted by receiver: Data sent past the window")
+			);
+		});
+
+		it("should abort streams past the max pending acceptance", async function() {
+			let [source, target] = makeLinks();
+			target.maxPendingStreams = 2;
+			let outgoings = [source.createStream(), source.createStream(), source.createStream()];
+			let outgoingsFinished = outgoings.map(outgoing => finished(outgoing));
+			for (let outgoing of outgoings) {
+				outgoing.write(Buffer.from("data"));
+			}
+			await assert.rejects(
+				outgoingsFinished[2],
+				new errors.StreamError("Stream aborted by receiver: Too many streams pending acceptance")
+			);
+			assert.equal(target._incomingStreams.size, 2);
+
+			target.acceptStream(outgoings[0].id);
+			let outgoing = source.createStream();
+			outgoing.write(Buffer.from("data"));
+			await new Promise(resolve => setImmediate(resolve));
+			assert.equal(target._incomingStreams.size, 3);
+		});
+
+		it("should abort streams not accepted within the timeout", async function() {
+			let [source, target] = makeLinks();
+			target.pendingStreamTimeout = 10;
+			let outgoing = source.createStream();
+			let outgoingFinished = finished(outgoing);
+			outgoing.write(Buffer.from("data"));
+			await assert.rejects(
+				outgoingFinished,
+				new errors.StreamError("Stream aborted by receiver: Stream was not accepted in time")
+			);
+			assert.equal(target._incomingStreams.size, 0);
+		});
+
+		it("should discard streams not accepted when the session is lost", async function() {
+			let [source, target] = makeLinks();
+			let outgoing = source.createStream();
+			outgoing.on("error", () => {});
+			outgoing.write(Buffer.from("data"));
+			await new Promise(resolve => setImmediate(resolve));
+			assert.equal(target._incomingStreams.size, 1);
+			target.connector.emit("invalidate");
+			assert.equal(target._incomingStreams.size, 0);
+		});
+	});
+});
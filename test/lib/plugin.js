@@ -121,6 +121,56 @@ describe("lib/plugin", function() {
 		});
 	});
 
+	describe("compatibleVersionRange()", function() {
+		it("should use the compatibleVersions property if present", function() {
+			assert.equal(plugin.compatibleVersionRange({ version: "1.2.3", compatibleVersions: ">=1.1" }), ">=1.1");
+		});
+		it("should default to the same major version", function() {
+			assert.equal(plugin.compatibleVersionRange({ version: "2.3.4" }), "^2.0.0-0");
+			assert.equal(plugin.compatibleVersionRange({ version: "2.0.0-alpha" }), "^2.0.0-0");
+		});
+		it("should default to the same minor version for 0.x versions", function() {
+			assert.equal(plugin.compatibleVersionRange({ version: "0.8.1" }), "^0.8.0-0");
+		});
+	});
+
+	describe("checkPluginVersions()", function() {
+		let pluginInfos = [
+			{ name: "alpha", version: "2.0.0-alpha" },
+			{ name: "beta", version: "1.2.0", compatibleVersions: ">=1.2.0 <2" },
+		];
+		it("should accept matching versions", function() {
+			assert.deepEqual(
+				plugin.checkPluginVersions(pluginInfos, { alpha: "2.0.0-alpha", beta: "1.2.0" }),
+				{ incompatible: [], warnings: [] }
+			);
+		});
+		it("should warn on compatible but differing versions", function() {
+			assert.deepEqual(
+				plugin.checkPluginVersions(pluginInfos, { alpha: "2.1.0", beta: "1.3.0" }),
+				{ incompatible: [], warnings: [
+					"Plugin alpha is version 2.1.0 on the slave and 2.0.0-alpha on the master",
+					"Plugin beta is version 1.3.0 on the slave and 1.2.0 on the master",
+				]}
+			);
+		});
+		it("should reject versions out of range", function() {
+			assert.deepEqual(
+				plugin.checkPluginVersions(pluginInfos, { alpha: "1.0.0", beta: "1.1.0" }).incompatible,
+				["alpha 1.0.0 (master has 2.0.0-alpha)", "beta 1.1.0 (master has 1.2.0)"]
+			);
+		});
+		it("should warn on plugins missing on either side", function() {
+			assert.deepEqual(
+				plugin.checkPluginVersions(pluginInfos, { alpha: "2.0.0-alpha", gamma: "1.0.0" }),
+				{ incompatible: [], warnings: [
+					"Plugin beta is enabled on the master but not installed on the slave",
+					"Plugin gamma is installed on the slave but not enabled on the master",
+				]}
+			);
+		});
+	});
+
 	describe("invokeHook()", function() {
 		let betaTestCalled = false;
 		let plugins = new Map([
@@ -0,0 +1,134 @@
+"use strict";
+const assert = require("assert").strict;
+
+const schedule = require("lib/schedule");
+
+
+describe("lib/schedule", function() {
+	describe("class CronSchedule", function() {
+		describe("constructor()", function() {
+			it("should parse lists, ranges and steps", function() {
+				let cron = new schedule.CronSchedule("0,30 */6 1-3 1-12/4 7");
+				assert.deepEqual([...cron.minutes], [0, 30]);
+				assert.deepEqual([...cron.hours], [0, 6, 12, 18]);
+				assert.deepEqual([...cron.days], [1, 2, 3]);
+				assert.deepEqual([...cron.months], [1, 5, 9]);
+				assert.deepEqual([...cron.weekdays].sort(), [0, 7]);
+			});
+
+			it("should expand macros", function() {
+				let cron = new schedule.CronSchedule("@daily");
+				assert.deepEqual([...cron.minutes], [0]);
+				assert.deepEqual([...cron.hours], [0]);
+			});
+
+			it("should throw on invalid expressions", function() {
+				for (let expression of ["* * * *", "60 * * * *", "* * 0 * *", "a * * * *", "5-1 * * * *", "*/0 * * * *"]) {
+					assert.throws(() => new schedule.CronSchedule(expression), Error, expression);
+				}
+			});
+		});
+
+		describe(".next()", function() {
+			let start = new Date(2020, 0, 15, 10, 20, 30).getTime();
+
+			it("should give the next matching minute", function() {
+				let cron = new schedule.CronSchedule("*/15 * * * *");
+				assert.equal(cron.next(start), new Date(2020, 0, 15, 10, 30).getTime());
+			});
+
+			it("should never give the same time as passed", function() {
+				let cron = new schedule.CronSchedule("* * * * *");
+				let time = new Date(2020, 0, 15, 10, 20).getTime();
+				assert.equal(cron.next(time), new Date(2020, 0, 15, 10, 21).getTime());
+			});
+
+			it("should roll over to the next day, month and year", function() {
+				assert.equal(
+					new schedule.CronSchedule("0 4 * * *").next(start),
+					new Date(2020, 0, 16, 4, 0).getTime()
+				);
+				assert.equal(
+					new schedule.CronSchedule("0 0 1 * *").next(start),
+					new Date(2020, 1, 1, 0, 0).getTime()
+				);
+				assert.equal(
+					new schedule.CronSchedule("0 0 1 1 *").next(start),
+					new Date(2021, 0, 1, 0, 0).getTime()
+				);
+			});
+
+			it("should match either day field when both are restricted", function() {
+				// 2020-01-15 is a Wednesday, the 17th is a Friday
+				let cron = new schedule.CronSchedule("0 0 20 * 5");
+				assert.equal(cron.next(start), new Date(2020, 0, 17, 0, 0).getTime());
+			});
+
+			it("should give null for schedules that never match", function() {
+				let cron = new schedule.CronSchedule("0 0 31 2 *");
+				assert.equal(cron.next(start), null);
+			});
+		});
+	});
+
+	describe("class Scheduler", function() {
+		let start = new Date(2020, 0, 15, 10, 20, 30).getTime();
+		let task;
+		let runs;
+		let scheduler;
+		beforeEach(function() {
+			task = { id: 1, schedule: "*/15 * * * *", last_run_time: null, last_run_result: null };
+			runs = [];
+			scheduler = new schedule.Scheduler(new Map([[1, task]]), async runTask => {
+				runs.push(runTask.id);
+				if (runTask.fail) {
+					throw new Error("failed");
+				}
+			}, start);
+		});
+
+		it("should compute the next run of tasks", function() {
+			assert.equal(scheduler.nextRun(1), new Date(2020, 0, 15, 10, 30).getTime());
+			assert.equal(scheduler.nextRun(2), null);
+		});
+
+		it("should only run tasks that are due", async function() {
+			await scheduler.runDue(new Date(2020, 0, 15, 10, 25).getTime());
+			assert.deepEqual(runs, []);
+
+			let now = new Date(2020, 0, 15, 10, 30).getTime();
+			await scheduler.runDue(now);
+			assert.deepEqual(runs, [1]);
+			assert.equal(task.last_run_time, now);
+			assert.equal(task.last_run_result, "ok");
+			assert.equal(scheduler.nextRun(1), new Date(2020, 0, 15, 10, 45).getTime());
+		});
+
+		it("should record errors from running tasks", async function() {
+			task.fail = true;
+			await scheduler.runDue(new Date(2020, 0, 15, 10, 30).getTime());
+			assert.equal(task.last_run_result, "Error: failed");
+		});
+
+		it("should add and remove tasks", async function() {
+			scheduler.add({ id: 2, schedule: "@hourly" }, start);
+			assert.equal(scheduler.nextRun(2), new Date(2020, 0, 15, 11, 0).getTime());
+			assert.equal(scheduler.remove(1), true);
+			assert.equal(scheduler.remove(1), false);
+			await scheduler.runDue(new Date(2020, 0, 15, 11, 0).getTime());
+			assert.deepEqual(runs, [2]);
+		});
+
+		it("should not reuse the ids of removed tasks", function() {
+			assert.equal(scheduler.nextId, 2);
+			scheduler.add({ id: scheduler.nextId, schedule: "@hourly" }, start);
+			scheduler.remove(2);
+			assert.equal(scheduler.nextId, 3);
+		});
+
+		it("should reject tasks with invalid schedules", function() {
+			assert.throws(() => scheduler.add({ id: 2, schedule: "invalid" }, start));
+			assert.equal(scheduler.tasks.has(2), false);
+		});
+	});
+});
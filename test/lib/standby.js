@@ -0,0 +1,102 @@
+"use strict";
+const assert = require("assert").strict;
+const fs = require("fs-extra");
+const path = require("path");
+
+const link = require("lib/link");
+const standby = require("lib/standby");
+
+
+class TestConnector extends link.VirtualConnector {
+	async connect() {
+		this.emit("connect");
+	}
+
+	async close() {
+		this.emit("close");
+	}
+}
+
+describe("lib/standby", function() {
+	let databaseDir = path.join("temp", "test", "standby");
+	let standbyMaster;
+
+	beforeEach(async function() {
+		await fs.remove(databaseDir);
+	});
+	afterEach(function() {
+		standbyMaster.stop();
+	});
+
+	function makeStandby(options = {}) {
+		let [standbyConnector, leaderConnector] = TestConnector.makePair();
+		let leader = new link.Link("master", "control", leaderConnector);
+		leader.user = { checkPermission() { } };
+		let replicas = 0;
+		leader.prepareDisconnectRequestHandler = async () => { };
+		for (let name of ["prepareDisconnect", "streamData", "streamEnd", "streamAck", "streamAbort"]) {
+			let message = link.messages[name];
+			message.attach(leader, leader[`${name}${message.constructor.name}Handler`]);
+		}
+		link.messages.replicateMaster.attach(leader, async () => {
+			replicas += 1;
+			let outgoing = leader.createStream();
+			outgoing.end(Buffer.from(`replica ${replicas}`));
+			return { stream_id: outgoing.id };
+		});
+
+		standbyMaster = new standby.Standby({
+			databaseDirectory: databaseDir,
+			replicationInterval: 60,
+			failoverTimeout: 60,
+			connector: standbyConnector,
+			...options,
+		});
+		return { leaderConnector };
+	}
+
+	describe("class Standby", function() {
+		describe(".replicate()", function() {
+			it("should write the replica received into the database directory", async function() {
+				makeStandby();
+				await standbyMaster.replicate();
+				assert.equal(await fs.readFile(standbyMaster.replicaPath, "utf8"), "replica 1");
+				assert.notEqual(standbyMaster.lastReplication, null);
+
+				await standbyMaster.replicate();
+				assert.equal(await fs.readFile(standbyMaster.replicaPath, "utf8"), "replica 2");
+			});
+		});
+
+		describe(".run()", function() {
+			it("should replicate when connected and return null when stopped", async function() {
+				makeStandby();
+				let replicated = new Promise(resolve => standbyMaster.once("replicated", resolve));
+				let result = standbyMaster.run();
+				await replicated;
+				standbyMaster.stop();
+				assert.equal(await result, null);
+				assert.equal(await fs.readFile(standbyMaster.replicaPath, "utf8"), "replica 1");
+			});
+
+			it("should take over when the leader is unreachable", async function() {
+				makeStandby({ failoverTimeout: 0 });
+				let replicated = new Promise(resolve => standbyMaster.once("replicated", resolve));
+				let result = standbyMaster.run();
+				await replicated;
+				standbyMaster.connector.emit("drop");
+				assert.equal(await result, standbyMaster.replicaPath);
+			});
+
+			it("should not take over without a replica", async function() {
+				makeStandby({ failoverTimeout: 0 });
+				standbyMaster.connector.connect = async () => { };
+				let result = standbyMaster.run();
+				await new Promise(resolve => setTimeout(resolve, 20));
+				assert.equal(await fs.pathExists(standbyMaster.replicaPath), false);
+				standbyMaster.stop();
+				assert.equal(await result, null);
+			});
+		});
+	});
+});
@@ -1,9 +1,381 @@
 "use strict";
 const assert = require("assert").strict;
+const events = require("events");
+const fs = require("fs-extra");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const needle = require("needle");
+const path = require("path");
+const { PassThrough } = require("stream");
 
+const config = require("lib/config");
+const database = require("lib/database");
+const link = require("lib/link");
+const standby = require("lib/standby");
+const users = require("lib/users");
 const mock = require("./mock");
 const master = require("../master");
 
 
 describe("Master testing", function() {
+	describe("REST API", function() {
+		let server;
+		let baseUrl;
+		let adminToken;
+		let playerToken;
+		let masterConfig;
+
+		before(async function() {
+			config.finalizeConfigs();
+			masterConfig = new config.MasterConfig();
+			await masterConfig.init();
+			masterConfig.set("master.auth_secret", "TestSecretDoNotUse");
+			masterConfig.set("master.backup_directory", path.join("temp", "test", "master_backups"));
+			await fs.remove(masterConfig.get("master.backup_directory"));
+			master._setConfig(masterConfig);
+
+			let db = master._db;
+			db.slaves = new Map();
+			db.instances = new Map();
+			db.roles = new Map();
+			db.users = new Map();
+			let adminRole = users.ensureDefaultAdminRole(db.roles);
+			users.ensureDefaultPlayerRole(db.roles);
+
+			let admin = new users.User({ name: "admin", roles: [adminRole.id] }, db.roles);
+			let player = new users.User({ name: "player", roles: [1] }, db.roles);
+			db.users.set(admin.name, admin);
+			db.users.set(player.name, player);
+			adminToken = admin.createToken("TestSecretDoNotUse");
+			playerToken = player.createToken("TestSecretDoNotUse");
+
+			let instanceConfig = new config.InstanceConfig();
+			await instanceConfig.init();
+			instanceConfig.set("instance.id", 11);
+			instanceConfig.set("instance.name", "rest");
+			db.instances.set(11, { config: instanceConfig });
+
+			let logDir = path.join("temp", "test", "master_instance_logs");
+			await fs.remove(logDir);
+			db.instanceLog = new database.InstanceLog(logDir);
+			db.scheduler = master._createScheduler(new Map());
+			await db.instanceLog.append(11, {
+				source: "stdout", received: 1000, format: "seconds", time: "1.000",
+				type: "action", action: "JOIN", message: "player joined the game",
+			});
+
+			server = master.app.listen(0);
+			await new Promise(resolve => server.once("listening", resolve));
+			baseUrl = `http://localhost:${server.address().port}/api/v1`;
+		});
+
+		after(function() {
+			server.close();
+		});
+
+		function call(method, path, token, data = null) {
+			let options = { json: true };
+			if (token) {
+				options.headers = { "x-access-token": token };
+			}
+			return needle(method, `${baseUrl}${path}`, data, options);
+		}
+
+		it("should reject requests without a token", async function() {
+			let res = await call("get", "/instances", null);
+			assert.equal(res.statusCode, 401);
+		});
+		it("should reject requests with an invalid token", async function() {
+			let res = await call("get", "/instances", "invalid");
+			assert.equal(res.statusCode, 401);
+		});
+		it("should reject requests the user lacks permission for", async function() {
+			let res = await call("get", "/users", playerToken);
+			assert.equal(res.statusCode, 403);
+			assert.deepEqual(res.body, { error: "Permission denied" });
+		});
+		it("should respond with the result of the request", async function() {
+			let res = await call("get", "/instances", playerToken);
+			assert.equal(res.statusCode, 200);
+			assert.deepEqual(res.body, {
+				list: [{ id: 11, name: "rest", assigned_slave: null, status: "unknown", last_crash_time: null, last_crash_reason: null }],
+			});
+		});
+		it("should convert path parameters to the type of the request", async function() {
+			let res = await call("get", "/instances/11/config", adminToken);
+			assert.equal(res.statusCode, 200);
+			assert.equal(typeof res.body.serialized_config, "object");
+		});
+		it("should pass the body as request data", async function() {
+			let res = await call("put", "/instances/11/config/field", adminToken, {
+				field: "instance.name", value: "renamed",
+			});
+			assert.equal(res.statusCode, 200);
+			assert.equal(master._db.instances.get(11).config.get("instance.name"), "renamed");
+		});
+		it("should reject invalid request data", async function() {
+			let res = await call("post", "/roles", adminToken, { name: 1 });
+			assert.equal(res.statusCode, 400);
+			assert.equal(res.body.error, "Invalid request data");
+		});
+		it("should respond with errors from the handler", async function() {
+			let res = await call("get", "/instances/12/config", adminToken);
+			assert.equal(res.statusCode, 400);
+			assert.deepEqual(res.body, { error: "Instance with ID 12 does not exist" });
+		});
+		it("should default left out nullable properties to null", async function() {
+			let res = await call("get", "/instances/11/log?offset=0&limit=10&type=action", adminToken);
+			assert.equal(res.statusCode, 200);
+			assert.equal(res.body.total, 1);
+			assert.equal(res.body.log[0].action, "JOIN");
+		});
+		it("should create and list scheduled tasks", async function() {
+			let res = await call("post", "/schedule", adminToken, {
+				instance_id: 11, action: "send_rcon", argument: "/save", schedule: "0 4 * * *",
+			});
+			assert.equal(res.statusCode, 200);
+			let id = res.body.id;
+
+			res = await call("get", "/schedule", adminToken);
+			let task = res.body.list.find(entry => entry.id === id);
+			assert.equal(task.action, "send_rcon");
+			assert.equal(task.last_run_result, null);
+			assert.equal(typeof task.next_run_time, "number");
+
+			res = await call("delete", `/schedule/${id}`, adminToken);
+			assert.equal(res.statusCode, 200);
+			assert.equal(master._db.scheduler.tasks.has(id), false);
+		});
+		it("should not reuse the ids of deleted scheduled tasks", async function() {
+			let data = { instance_id: 11, action: "stop", schedule: "@daily" };
+			let res = await call("post", "/schedule", adminToken, data);
+			let id = res.body.id;
+			await call("delete", `/schedule/${id}`, adminToken);
+
+			res = await call("post", "/schedule", adminToken, data);
+			assert.equal(res.statusCode, 200);
+			assert.equal(res.body.id, id + 1);
+			await call("delete", `/schedule/${res.body.id}`, adminToken);
+		});
+		it("should load the next scheduled task id", async function() {
+			let databaseDir = path.join("temp", "test", "master_schedule");
+			await fs.outputJson(path.join(databaseDir, "schedule.json"), { next_id: 5, tasks: [] });
+			let scheduler = await master._loadSchedule(databaseDir, "schedule.json");
+			assert.equal(scheduler.nextId, 5);
+
+			let task = { id: 2, instance_id: 11, action: "stop", argument: null, schedule: "@daily" };
+			await fs.outputJson(path.join(databaseDir, "schedule.json"), [task]);
+			scheduler = await master._loadSchedule(databaseDir, "schedule.json");
+			assert.deepEqual(scheduler.tasks, new Map([[2, task]]));
+			assert.equal(scheduler.nextId, 3);
+		});
+		it("should reject scheduled tasks with an invalid schedule", async function() {
+			let res = await call("post", "/schedule", adminToken, {
+				instance_id: 11, action: "stop", schedule: "every night",
+			});
+			assert.equal(res.statusCode, 400);
+			assert.equal(res.body.error, "Invalid schedule: Expected 5 fields in cron expression but got 2");
+		});
+		it("should relay streams from PUT to GET", async function() {
+			let stream = master._createStream("test.zip");
+			let streamUrl = `${baseUrl.replace("/api/v1", "/api/stream")}/${stream.id}`;
+			let get = needle("get", streamUrl, null, { parse: false });
+			let put = needle("put", streamUrl, Buffer.from("save content"), {
+				headers: { "Content-Type": "application/zip" },
+			});
+
+			let [getRes, putRes] = await Promise.all([get, put]);
+			assert.equal(putRes.statusCode, 200);
+			assert.equal(getRes.statusCode, 200);
+			assert.equal(getRes.headers["content-disposition"], 'attachment; filename="test.zip"');
+			assert.equal(getRes.body.toString(), "save content");
+		});
+		it("should fail the sending end if the receiving end closes", async function() {
+			let stream = master._createStream("test.zip");
+			let streamUrl = `${baseUrl.replace("/api/v1", "/api/stream")}/${stream.id}`;
+			let body = new PassThrough();
+			let put = needle("put", streamUrl, body, { headers: { "Content-Type": "application/zip" } });
+
+			body.write("partial save");
+			let getReq = http.get(streamUrl);
+			let [getRes] = await events.once(getReq, "response");
+			await events.once(getRes, "data");
+			getReq.destroy();
+
+			let putRes = await put;
+			assert.equal(putRes.statusCode, 500);
+			assert.equal(
+				putRes.body.toString(), "Receiving end of the stream closed before the transfer completed"
+			);
+		});
+		it("should respond with 404 for unknown streams", async function() {
+			let res = await needle("get", `${baseUrl.replace("/api/v1", "/api/stream")}/invalid`);
+			assert.equal(res.statusCode, 404);
+		});
+		it("should report errors sending save transfers to the stream", async function() {
+			let res = await call("post", "/instances/11/saves/world.zip/download", adminToken);
+			assert.equal(res.statusCode, 200);
+
+			res = await needle("get", `${baseUrl.replace("/api/v1", "/api/stream")}/${res.body.stream_id}`);
+			assert.equal(res.statusCode, 400);
+			assert.equal(res.body.toString(), "Instance is not assigned to a slave");
+		});
+		it("should reject migrating an unassigned instance", async function() {
+			let res = await call("post", "/instances/11/migrate", adminToken, { slave_id: 1, start: false });
+			assert.equal(res.statusCode, 400);
+			assert.deepEqual(res.body, { error: "Instance is not assigned to a slave" });
+		});
+		it("should create and list backups", async function() {
+			let res = await call("post", "/backups", adminToken);
+			assert.equal(res.statusCode, 200);
+			let name = res.body.name;
+
+			res = await call("get", "/backups", adminToken);
+			assert.equal(res.statusCode, 200);
+			assert.deepEqual(res.body.list.map(entry => entry.name), [name]);
+		});
+
+		describe("slave tokens", function() {
+			let oldToken;
+			beforeEach(function() {
+				master._db.slaves.set(5, { agent: "test", id: 5, name: "token", version: "2.0.0", plugins: {} });
+				let iat = Math.floor(Date.now() / 1000) - 10;
+				oldToken = jwt.sign({ aud: "slave", slave: 5, iat }, "TestSecretDoNotUse");
+			});
+			afterEach(function() {
+				master._db.slaves.delete(5);
+				master._slaveConnections.delete(5);
+			});
+
+			function upload(token) {
+				return needle("put", `${baseUrl.slice(0, -3)}/upload-export`, "", {
+					headers: { "x-access-token": token, "content-type": "text/plain" },
+				});
+			}
+
+			it("should reject revoked tokens", async function() {
+				assert.equal((await upload(oldToken)).statusCode, 415);
+				let res = await call("post", "/slaves/5/token/revoke", adminToken);
+				assert.equal(res.statusCode, 200);
+				assert.equal((await upload(oldToken)).statusCode, 401);
+			});
+			it("should revoke tokens of slaves that have not connected yet", async function() {
+				let iat = Math.floor(Date.now() / 1000) - 10;
+				let unusedToken = jwt.sign({ aud: "slave", slave: 6, iat }, "TestSecretDoNotUse");
+				try {
+					let res = await call("post", "/slaves/6/token/revoke", adminToken);
+					assert.equal(res.statusCode, 200);
+					assert.equal((await upload(unusedToken)).statusCode, 401);
+
+					res = await call("get", "/slaves", adminToken);
+					assert(!res.body.list.some(slave => slave.id === 6), "revoked slave listed");
+
+					let [masterConnector] = link.VirtualConnector.makePair();
+					let connection = new master._SlaveConnection(
+						{ agent: "test", id: 6, name: "new", version: "2.0.0", plugins: {} }, masterConnector
+					);
+					assert.equal(master._db.slaves.get(6).name, connection._name);
+					assert.equal((await upload(unusedToken)).statusCode, 401);
+				} finally {
+					master._db.slaves.delete(6);
+				}
+			});
+			it("should return a new token when rotating for a disconnected slave", async function() {
+				let res = await call("post", "/slaves/5/token/rotate", adminToken);
+				assert.equal(res.statusCode, 200);
+				assert.equal(res.body.updated, false);
+				assert.equal((await upload(oldToken)).statusCode, 401);
+				assert.equal((await upload(res.body.token)).statusCode, 415);
+			});
+			it("should send the new token to a connected slave when rotating", async function() {
+				let [masterConnector, slaveConnector] = link.VirtualConnector.makePair();
+				let connection = new master._SlaveConnection(
+					{ agent: "test", id: 5, name: "token", version: "2.0.0", plugins: {} }, masterConnector
+				);
+				master._slaveConnections.set(5, connection);
+				let slave = new link.Link("slave", "master", slaveConnector);
+				let received = null;
+				link.messages.updateSlaveToken.attach(slave, async message => { received = message.data.token; });
+
+				let res = await call("post", "/slaves/5/token/rotate", adminToken);
+				assert.equal(res.statusCode, 200);
+				assert.equal(res.body.updated, true);
+				assert.equal(received, res.body.token);
+				assert.equal((await upload(oldToken)).statusCode, 401);
+				assert.equal(master._db.slaves.get(5).tokenValidAfter > 0, true);
+			});
+			it("should revoke tokens issued in the same second", async function() {
+				let res = await call("post", "/slaves/5/token/revoke", adminToken);
+				assert.equal(res.statusCode, 200);
+				let iat = master._db.slaves.get(5).tokenValidAfter;
+				let sameSecondToken = jwt.sign({ aud: "slave", slave: 5, iat }, "TestSecretDoNotUse");
+				assert.equal((await upload(sameSecondToken)).statusCode, 401);
+
+				res = await call("post", "/slaves/5/token", adminToken);
+				assert.equal((await upload(res.body.token)).statusCode, 415);
+			});
+			it("should accept the rotated token but not others issued in the same second", async function() {
+				let res = await call("post", "/slaves/5/token/rotate", adminToken);
+				assert.equal(res.statusCode, 200);
+				let iat = master._db.slaves.get(5).tokenValidAfter;
+				let sameSecondToken = jwt.sign({ aud: "slave", slave: 5, iat }, "TestSecretDoNotUse");
+				assert.equal((await upload(sameSecondToken)).statusCode, 401);
+				assert.equal((await upload(res.body.token)).statusCode, 415);
+			});
+		});
+
+		describe("standby takeover", function() {
+			let standbyDir = path.join("temp", "test", "master_standby");
+			beforeEach(async function() {
+				await fs.remove(standbyDir);
+			});
+			afterEach(function() {
+				master._setConfig(masterConfig);
+			});
+
+			it("should accept slave tokens issued by the leader after taking over", async function() {
+				let [leaderConnector, standbyConnector] = link.VirtualConnector.makePair();
+				let connection = new master._ControlConnection(
+					{ agent: standby.agentName, version: "2.0.0" }, leaderConnector, master._db.users.get("admin")
+				);
+				let standbyMaster = new standby.Standby({
+					databaseDirectory: standbyDir,
+					replicationInterval: 60,
+					failoverTimeout: 60,
+					connector: standbyConnector,
+				});
+				await standbyMaster.replicate();
+				connection.connector.emit("close");
+
+				let leaderToken = jwt.sign({ aud: "slave", slave: 5 }, "TestSecretDoNotUse");
+				let standbyConfig = new config.MasterConfig();
+				await standbyConfig.init();
+				standbyConfig.set("master.auth_secret", "StandbySecretDoNotUse");
+				standbyConfig.set("master.database_directory", standbyDir);
+				standbyConfig.set("master.leader_url", "http://leader.invalid/");
+				master._setConfig(standbyConfig, path.join(standbyDir, "config-master.json"));
+
+				function upload() {
+					return needle("put", `${baseUrl.slice(0, -3)}/upload-export`, "", {
+						headers: { "x-access-token": leaderToken, "content-type": "text/plain" },
+					});
+				}
+				assert.equal((await upload()).statusCode, 401);
+				await master._takeOverFromReplica(standbyMaster.replicaPath);
+				assert.equal((await upload()).statusCode, 415);
+				assert.equal(standbyConfig.get("master.leader_url"), null);
+			});
+		});
+
+		it("should report being the leader in metrics", async function() {
+			let res = await needle("get", `${baseUrl.slice(0, -"/api/v1".length)}/metrics`);
+			assert.equal(res.statusCode, 200);
+			assert(/^clusterio_master_is_leader 1$/m.test(res.body.toString()), "leader gauge is missing");
+		});
+
+		it("should respond with 404 for unknown plugin requests", async function() {
+			let res = await call("post", "/plugins/unknown/request", adminToken, {});
+			assert.equal(res.statusCode, 404);
+		});
+	});
 });
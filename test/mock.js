@@ -46,6 +46,10 @@ class MockConnector extends events.EventEmitter {
 		setImmediate(() => this.emit("send", message));
 		return this._seq++;
 	}
+
+	get lastSeq() {
+		return this._seq - 1;
+	}
 }
 
 class MockServer {
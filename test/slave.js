@@ -5,6 +5,7 @@ const fs = require("fs-extra");
 
 const link = require("lib/link");
 const config = require("lib/config");
+const errors = require("lib/errors");
 const slave = require("../slave");
 
 describe("Slave testing", function() {
@@ -89,6 +90,85 @@ describe("Slave testing", function() {
 		});
 	});
 
+	describe("checkSaveName()", function() {
+		it("should allow a zip file name", function() {
+			slave._checkSaveName("world.zip");
+		});
+		it("should throw on invalid file names", function() {
+			assert.throws(
+				() => slave._checkSaveName("../world.zip"),
+				new errors.RequestError('Save name cannot contain <>:"\\/|=* or control characters')
+			);
+		});
+		it("should throw on names not ending in .zip", function() {
+			assert.throws(() => slave._checkSaveName("world"), new errors.RequestError("Save name must end with .zip"));
+		});
+		it("should throw on temporary saves", function() {
+			assert.throws(
+				() => slave._checkSaveName("world.tmp.zip"),
+				new errors.RequestError("Save name cannot end with .tmp.zip")
+			);
+		});
+	});
+
+	describe("listInstanceFiles()", function() {
+		let baseDir = path.join("temp", "test", "list_instance_files");
+		before(async function() {
+			await fs.remove(baseDir);
+			await fs.outputFile(path.join(baseDir, "saves", "world.zip"), "");
+			await fs.outputFile(path.join(baseDir, "saves", "_autosave1.tmp.zip"), "");
+			await fs.outputFile(path.join(baseDir, "saves", "notes.txt"), "");
+			await fs.outputFile(path.join(baseDir, "mods", "mod-list.json"), "");
+			await fs.outputFile(path.join(baseDir, "shared", "shared_1.0.0.zip"), "");
+			await fs.symlink(
+				path.join("..", "shared", "shared_1.0.0.zip"), path.join(baseDir, "mods", "shared_1.0.0.zip")
+			);
+		});
+
+		it("should list only valid saves", async function() {
+			assert.deepEqual(await slave._listInstanceFiles(path.join(baseDir, "saves"), "saves"), ["world.zip"]);
+		});
+		it("should not list linked mods", async function() {
+			assert.deepEqual(await slave._listInstanceFiles(path.join(baseDir, "mods"), "mods"), ["mod-list.json"]);
+		});
+		it("should return an empty list for missing directories", async function() {
+			assert.deepEqual(await slave._listInstanceFiles(path.join(baseDir, "missing"), "mods"), []);
+		});
+	});
+
+	describe("restartDelay()", function() {
+		let instanceConfig;
+		before(async function() {
+			instanceConfig = new config.InstanceConfig();
+			await instanceConfig.init();
+			instanceConfig.set("instance.restart_max_retries", 3);
+			instanceConfig.set("instance.restart_backoff", 10);
+		});
+
+		it("should never restart with the never policy", function() {
+			instanceConfig.set("instance.restart_policy", "never");
+			assert.equal(slave._restartDelay(instanceConfig, true, 0), null);
+		});
+		it("should only restart crashes with the on-failure policy", function() {
+			instanceConfig.set("instance.restart_policy", "on-failure");
+			assert.equal(slave._restartDelay(instanceConfig, false, 0), null);
+			assert.equal(slave._restartDelay(instanceConfig, true, 0), 10000);
+		});
+		it("should restart clean exits with the always policy", function() {
+			instanceConfig.set("instance.restart_policy", "always");
+			assert.equal(slave._restartDelay(instanceConfig, false, 0), 10000);
+		});
+		it("should double the delay for each retry", function() {
+			instanceConfig.set("instance.restart_policy", "always");
+			assert.equal(slave._restartDelay(instanceConfig, true, 1), 20000);
+			assert.equal(slave._restartDelay(instanceConfig, true, 2), 40000);
+		});
+		it("should give up after max retries", function() {
+			instanceConfig.set("instance.restart_policy", "always");
+			assert.equal(slave._restartDelay(instanceConfig, true, 3), null);
+		});
+	});
+
 	describe("symlinkMods()", function() {
 		let testDir = path.join("temp", "test", "symlink");
 		let discardingLogger = {